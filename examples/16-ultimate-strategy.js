@@ -10,6 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const WalkForward = require('../lib/walk-forward');
 
 console.log('=== Ultimate Strategy Training ===\n');
 
@@ -184,9 +185,11 @@ console.log('2. WALK-FORWARD TESTING');
 console.log('═══════════════════════════════════════════════════════════\n');
 
 function walkForwardTest(data, trainPct = 0.7) {
-    const splitIdx = Math.floor(data.length * trainPct);
-    const trainData = data.slice(0, splitIdx);
-    const testData = data.slice(splitIdx);
+    // One anchored fold: the first 70% trains, the rest tests
+    const walkForward = new WalkForward({ mode: 'anchored', trainSize: trainPct, testSize: 1 - trainPct });
+    const [split] = walkForward.splits(data.length);
+    const trainData = data.slice(split.trainStart, split.trainEnd);
+    const testData = data.slice(split.testStart, split.testEnd);
 
     // Train: Find best parameters
     const stopLosses = [5, 7, 10];
@@ -8,6 +8,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const WalkForward = require('../lib/walk-forward');
 
 console.log('=== Adaptive Regime Strategy ===\n');
 
@@ -340,8 +341,9 @@ console.log('WALK-FORWARD TEST (Train: 2019-2022, Test: 2023-2024)');
 console.log('═══════════════════════════════════════════════════════════\n');
 
 function walkForwardAdaptive(data) {
-    const splitIdx = Math.floor(data.length * 0.7);
-    const testData = data.slice(splitIdx);
+    // Out-of-sample test on the last 30% (nothing is fitted on the first 70%)
+    const [split] = new WalkForward({ mode: 'anchored', trainSize: 0.7, testSize: 0.3 }).splits(data.length);
+    const testData = data.slice(split.testStart, split.testEnd);
     const testPrices = testData.map(d => d.close);
 
     // Run adaptive on test period only
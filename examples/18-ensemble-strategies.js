@@ -12,6 +12,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const WalkForward = require('../lib/walk-forward');
 
 console.log('=== Ensemble Strategy Training ===\n');
 
@@ -416,8 +417,9 @@ console.log('WALK-FORWARD TEST (2023-2024)');
 console.log('═══════════════════════════════════════════════════════════\n');
 
 function walkForward(data, minAgreement) {
-    const splitIdx = Math.floor(data.length * 0.7);
-    const testData = data.slice(splitIdx);
+    // Out-of-sample test on the last 30% (nothing is fitted on the first 70%)
+    const [split] = new WalkForward({ mode: 'anchored', trainSize: 0.7, testSize: 0.3 }).splits(data.length);
+    const testData = data.slice(split.testStart, split.testEnd);
     const result = runEnsembleStrategy(testData, minAgreement);
     const bhReturn = ((testData[testData.length-1].close - testData[0].close) / testData[0].close) * 100;
     return { ...result, buyHold: bhReturn };
@@ -14,6 +14,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const CostModel = require('../lib/cost-model');
+const WalkForward = require('../lib/walk-forward');
 
 console.log('=== Ultimate Neural Trainer ===\n');
 
@@ -374,40 +376,30 @@ class RandomForest {
 function walkForwardValidation(allFeatures, allLabels, allMetadata, windowSize = 500, stepSize = 100) {
     console.log('Running walk-forward validation...');
 
-    let totalCorrect = 0, totalSamples = 0;
-    let totalTp = 0, totalFp = 0, totalFn = 0;
-
-    const numFolds = Math.floor((allFeatures.length - windowSize) / stepSize);
-
-    for (let fold = 0; fold < Math.min(numFolds, 10); fold++) {
-        const trainStart = fold * stepSize;
-        const trainEnd = trainStart + windowSize;
-        const testEnd = Math.min(trainEnd + stepSize, allFeatures.length);
-
-        const trainFeatures = allFeatures.slice(trainStart, trainEnd);
-        const trainLabels = allLabels.slice(trainStart, trainEnd);
-        const testFeatures = allFeatures.slice(trainEnd, testEnd);
-        const testLabels = allLabels.slice(trainEnd, testEnd);
-
-        if (testFeatures.length === 0) break;
+    // Rolling window: train on windowSize samples, test on the next stepSize
+    const walkForward = new WalkForward({ mode: 'rolling', trainSize: windowSize, testSize: stepSize, maxFolds: 10 });
+    const folds = [];
 
+    for (const split of walkForward.splits(allFeatures.length)) {
         const rf = new RandomForest(20, 8);
-        rf.train(trainFeatures, trainLabels);
-
-        for (let i = 0; i < testFeatures.length; i++) {
-            const pred = rf.predict(testFeatures[i]) > 0.5 ? 1 : 0;
-            if (pred === testLabels[i]) totalCorrect++;
-            if (pred === 1 && testLabels[i] === 1) totalTp++;
-            if (pred === 1 && testLabels[i] === 0) totalFp++;
-            if (pred === 0 && testLabels[i] === 1) totalFn++;
-            totalSamples++;
-        }
+        rf.train(allFeatures.slice(split.trainStart, split.trainEnd), allLabels.slice(split.trainStart, split.trainEnd));
+
+        const testFeatures = allFeatures.slice(split.testStart, split.testEnd);
+        const metrics = WalkForward.classificationMetrics(
+            testFeatures.map(f => rf.predict(f)),
+            allLabels.slice(split.testStart, split.testEnd)
+        );
+        folds.push({ testSize: testFeatures.length, metrics });
     }
 
+    // Pooled over every test sample
+    const totals = walkForward.aggregate(folds).metrics;
+    const tp = totals.truePositives.total, fp = totals.falsePositives.total, fn = totals.falseNegatives.total;
+
     return {
-        accuracy: (totalCorrect / totalSamples * 100).toFixed(1),
-        precision: (totalTp / (totalTp + totalFp) * 100 || 0).toFixed(1),
-        f1: (2 * totalTp / (2 * totalTp + totalFp + totalFn) * 100 || 0).toFixed(1)
+        accuracy: (totals.correct.total / totals.samples.total * 100).toFixed(1),
+        precision: (tp / (tp + fp) * 100 || 0).toFixed(1),
+        f1: (2 * tp / (2 * tp + fp + fn) * 100 || 0).toFixed(1)
     };
 }
 
@@ -415,7 +407,7 @@ function walkForwardValidation(allFeatures, allLabels, allMetadata, windowSize =
 // BACKTEST WITH COSTS
 // ============================================
 
-function backtestWithCosts(predictions, testMeta, commissionPct = 0.001, slippagePct = 0.0005) {
+function backtestWithCosts(predictions, testMeta, costModel = new CostModel({ commissionPercent: 0.001, slippageBps: 5 })) {
     let cash = 10000, shares = 0, entryPrice = 0;
     let trades = 0, wins = 0, totalCommission = 0;
 
@@ -427,11 +419,9 @@ function backtestWithCosts(predictions, testMeta, commissionPct = 0.001, slippag
             const pnlPct = ((price - entryPrice) / entryPrice) * 100;
             if (prob < 0.4 || pnlPct <= -5 || pnlPct >= 8) {
                 // Sell with costs
-                const grossValue = shares * price;
-                const commission = grossValue * commissionPct;
-                const slippage = grossValue * slippagePct;
-                cash = grossValue - commission - slippage;
-                totalCommission += commission + slippage;
+                const fill = costModel.estimate({ side: 'SELL', shares, price });
+                cash = shares * fill.fillPrice - fill.commission;
+                totalCommission += fill.total;
 
                 trades++;
                 if (cash > shares * entryPrice) wins++;
@@ -440,13 +430,11 @@ function backtestWithCosts(predictions, testMeta, commissionPct = 0.001, slippag
         }
 
         if (shares === 0 && prob > 0.55) {
-            // Buy with costs
-            const commission = cash * commissionPct;
-            const slippage = cash * slippagePct;
-            const investable = cash - commission - slippage;
-            totalCommission += commission + slippage;
+            // Buy with costs (per-share fill price and commission)
+            const unit = costModel.estimate({ side: 'BUY', shares: 1, price });
+            shares = cash / (unit.fillPrice + unit.commission);
+            totalCommission += shares * unit.total;
 
-            shares = investable / price;
             entryPrice = price;
             cash = 0;
         }
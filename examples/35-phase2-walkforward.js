@@ -10,6 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const WalkForward = require('../lib/walk-forward');
 
 // Try to load TensorFlow.js with GPU, fall back to CPU
 let tf;
@@ -377,65 +378,55 @@ async function walkForwardValidation(samples, windowSize = 252 * 2, stepSize = 6
     console.log(`  Step size: ${stepSize} days (~1 quarter)`);
     console.log(`  Total samples: ${samples.length}\n`);
 
-    const results = [];
-    let step = 0;
-
-    for (let start = 0; start + windowSize + stepSize < samples.length; start += stepSize) {
-        const trainEnd = start + windowSize;
-        const testEnd = Math.min(trainEnd + stepSize, samples.length);
-
-        const trainData = samples.slice(start, trainEnd);
-        const testData = samples.slice(trainEnd, testEnd);
-
-        const X_train = trainData.map(s => s.features);
-        const y_train = trainData.map(s => s.label);
-        const X_test = testData.map(s => s.features);
-        const y_test = testData.map(s => s.label);
-
-        // Train Random Forest
-        const rf = new RegularizedRandomForest({ nTrees: 80, maxDepth: 8 });
-        rf.train(X_train, y_train);
-
-        // Train Neural Network
-        const nn = new TFNeuralNetwork(X_train[0].length);
-        await nn.build();
-        await nn.train(X_train, y_train, 20, 64);
-
-        // Ensemble predictions (use RF only if NN produces NaN)
-        const rfProbs = rf.predictProba(X_test);
-        const nnProbs = nn.predict(X_test);
-        const ensembleProbs = rfProbs.map((p, i) => {
-            const nnP = nnProbs[i];
-            if (!isFinite(nnP)) return p;  // Use RF only if NN fails
-            return 0.6 * p + 0.4 * nnP;
-        });
-
-        // Evaluate
-        const preds = ensembleProbs.map(p => p > 0.5 ? 1 : 0);
-        const correct = preds.filter((p, i) => p === y_test[i]).length;
-        const accuracy = correct / y_test.length;
-
-        const startDate = trainData[0].date;
-        const endDate = testData[testData.length - 1].date;
-
-        results.push({
-            step: step++,
-            startDate,
-            endDate,
-            trainSize: trainData.length,
-            testSize: testData.length,
-            accuracy
-        });
-
-        console.log(`  Step ${step}: ${startDate.substring(0, 10)} → ${endDate.substring(0, 10)} | Acc: ${(accuracy * 100).toFixed(1)}%`);
+    // Rolling window, retrained every fold (limited to 8 folds for demo)
+    const walkForward = new WalkForward({ mode: 'rolling', trainSize: windowSize, testSize: stepSize, maxFolds: 8 });
+
+    const report = await walkForward.run(samples, {
+        train: async trainData => {
+            const X_train = trainData.map(s => s.features);
+            const y_train = trainData.map(s => s.label);
+
+            // Train Random Forest
+            const rf = new RegularizedRandomForest({ nTrees: 80, maxDepth: 8 });
+            rf.train(X_train, y_train);
+
+            // Train Neural Network
+            const nn = new TFNeuralNetwork(X_train[0].length);
+            await nn.build();
+            await nn.train(X_train, y_train, 20, 64);
+
+            return { rf, nn };
+        },
+        test: ({ rf, nn }, testData) => {
+            const X_test = testData.map(s => s.features);
+
+            // Ensemble predictions (use RF only if NN produces NaN)
+            const rfProbs = rf.predictProba(X_test);
+            const nnProbs = nn.predict(X_test);
+            const ensembleProbs = rfProbs.map((p, i) => {
+                const nnP = nnProbs[i];
+                if (!isFinite(nnP)) return p;  // Use RF only if NN fails
+                return 0.6 * p + 0.4 * nnP;
+            });
 
-        nn.dispose();
+            return WalkForward.classificationMetrics(ensembleProbs, testData.map(s => s.label));
+        },
+        dispose: ({ nn }) => nn.dispose(),
+        onFold: fold => {
+            console.log(`  Step ${fold.fold + 1}: ${fold.trainFrom.substring(0, 10)} → ${fold.testTo.substring(0, 10)} | Acc: ${(fold.metrics.accuracy * 100).toFixed(1)}%`);
+        }
+    });
 
-        // Limit to 8 steps for demo
-        if (step >= 8) break;
-    }
+    const results = report.folds.map(fold => ({
+        step: fold.fold,
+        startDate: fold.trainFrom,
+        endDate: fold.testTo,
+        trainSize: fold.trainSize,
+        testSize: fold.testSize,
+        accuracy: fold.metrics.accuracy
+    }));
 
-    const avgAccuracy = results.reduce((a, r) => a + r.accuracy, 0) / results.length;
+    const avgAccuracy = report.aggregate.metrics.accuracy.mean;
     console.log(`\n  Average Walk-Forward Accuracy: ${(avgAccuracy * 100).toFixed(1)}%`);
 
     return { results, avgAccuracy };
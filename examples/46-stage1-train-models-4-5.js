@@ -322,7 +322,11 @@ console.log('');
 // Load market data
 console.log('[1] Loading market data...');
 const dataDir = path.join(__dirname, '..', 'historical-data');
-const files = fs.readdirSync(dataDir).filter(f => f.endsWith('-5-years.json'));
+// SYMBOLS (comma-separated, set by the training orchestrator from the universe) limits the data files
+const symbolFilter = process.env.SYMBOLS ? process.env.SYMBOLS.split(',') : null;
+const files = fs.readdirSync(dataDir)
+  .filter(f => f.endsWith('-5-years.json'))
+  .filter(f => !symbolFilter || symbolFilter.includes(f.replace('-5-years.json', '')));
 
 const allData = {};
 let totalBars = 0;
@@ -0,0 +1,112 @@
+/**
+ * Library Backtest
+ *
+ * Runs the MACD + trend strategy from example 21 through lib/backtester.js,
+ * which every strategy can share:
+ * - Orders fill at the next bar's open with commission and slippage
+ * - Stop-loss and take-profit checked against daily lows and highs
+ * - One results object (trades, equity curve, metrics) for every run
+ */
+
+const Backtester = require('../lib/backtester');
+const CostModel = require('../lib/cost-model');
+
+console.log('=== Library Backtest ===\n');
+
+// Indicators
+function sma(prices, period) {
+    if (prices.length < period) return null;
+    return prices.slice(-period).reduce((a, b) => a + b, 0) / period;
+}
+
+function ema(prices, period) {
+    const mult = 2 / (period + 1);
+    const result = [prices[0]];
+    for (let i = 1; i < prices.length; i++) {
+        result.push((prices[i] - result[i - 1]) * mult + result[i - 1]);
+    }
+    return result;
+}
+
+function macdHistogram(prices) {
+    const ema12 = ema(prices, 12), ema26 = ema(prices, 26);
+    const line = ema12.map((v, i) => v - ema26[i]);
+    const signal = ema(line, 9);
+    return line.map((v, i) => v - signal[i]);
+}
+
+function rsi(prices, period = 14) {
+    if (prices.length <= period) return null;
+    let gains = 0, losses = 0;
+    for (let j = prices.length - period; j < prices.length; j++) {
+        const change = prices[j] - prices[j - 1];
+        if (change > 0) gains += change;
+        else losses -= change;
+    }
+    return 100 - (100 / (1 + (losses === 0 ? 100 : gains / losses)));
+}
+
+// Strategy: enter on a MACD cross up in an uptrend, exit on a cross down or below SMA200
+const macdTrend = {
+    name: 'macd-trend',
+    parameters: {
+        stopLoss: { type: 'number', default: 0.07, min: 0.01, max: 0.3 },
+        takeProfit: { type: 'number', default: 0.20, min: 0.02, max: 1 },
+        maxRsi: { type: 'number', default: 65, min: 50, max: 90 }
+    },
+    warmup: 200,
+
+    onBar({ history, position, params }) {
+        const prices = history.map(b => b.close);
+        const price = prices[prices.length - 1];
+        const histogram = macdHistogram(prices);
+        const [prev, curr] = histogram.slice(-2);
+
+        const aboveSma200 = price > sma(prices, 200);
+        const trendUp = sma(prices, 20) > sma(prices, 50);
+
+        if (position) {
+            if (!aboveSma200) return { side: 'SELL', reason: 'Below SMA200' };
+            if (curr < 0 && prev >= 0) return { side: 'SELL', reason: 'MACD cross down' };
+            return null;
+        }
+
+        if (curr > 0 && prev <= 0 && trendUp && aboveSma200 && rsi(prices) < params.maxRsi) {
+            return {
+                side: 'BUY',
+                stopLoss: params.stopLoss,
+                takeProfit: params.takeProfit,
+                reason: 'MACD cross up in uptrend'
+            };
+        }
+        return null;
+    }
+};
+
+const pct = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+const num = value => value === null ? 'n/a' : value.toFixed(2);
+
+(async () => {
+    const backtester = new Backtester({
+        initialCapital: 10000,
+        costModel: new CostModel({ commissionPercent: 0.001, slippageBps: 5 })
+    });
+
+    for (const symbol of ['AAPL', 'MSFT', 'NVDA', 'SPY']) {
+        let results;
+        try {
+            results = await backtester.run(macdTrend, { symbol });
+        } catch (error) {
+            console.log(`${symbol}: ${error.message}`);
+            continue;
+        }
+
+        const m = results.metrics;
+        console.log(`${symbol} (${results.startDate} to ${results.endDate})`);
+        console.log(`  Return: ${pct(m.totalReturn)} vs buy & hold ${pct(results.benchmark.totalReturn)}`);
+        console.log(`  Sharpe: ${num(m.sharpe)}  Max DD: ${pct(m.maxDrawdown)}  Exposure: ${pct(m.exposure)}`);
+        console.log(`  Trades: ${m.closedTrades}  Win rate: ${pct(m.winRate)}  Costs: $${m.totalCosts.toFixed(2)}\n`);
+    }
+
+    console.log('=== Backtest Complete ===');
+})();
@@ -0,0 +1,78 @@
+/**
+ * Portfolio Backtest
+ *
+ * Momentum rotation across several symbols sharing one $100k account
+ * (lib/portfolio-backtester.js), instead of averaging separate backtests:
+ * - Symbols above their 50-day SMA qualify, ranked by 20-day return
+ * - At most 2 positions, equal weight, rebalanced weekly
+ * - Exit when price closes below the SMA or hits a 8% stop
+ */
+
+const PortfolioBacktester = require('../lib/portfolio-backtester');
+const CostModel = require('../lib/cost-model');
+
+console.log('=== Portfolio Backtest ===\n');
+
+const momentum = {
+    name: 'momentum-rotation',
+    parameters: {
+        lookback: { type: 'integer', default: 20, min: 5, max: 120 },
+        trendPeriod: { type: 'integer', default: 50, min: 10, max: 200 },
+        stopLoss: { type: 'number', default: 0.08, min: 0.01, max: 0.3 }
+    },
+    warmup: params => Math.max(params.trendPeriod, params.lookback + 1),
+
+    onBar({ history, position, params }) {
+        const closes = history.map(b => b.close);
+        const price = closes[closes.length - 1];
+        const sma = closes.slice(-params.trendPeriod).reduce((a, b) => a + b, 0) / params.trendPeriod;
+        const momentumReturn = price / closes[closes.length - 1 - params.lookback] - 1;
+
+        if (position && price < sma) {
+            return { side: 'SELL', reason: 'Closed below SMA' };
+        }
+        if (!position && price > sma && momentumReturn > 0) {
+            return {
+                side: 'BUY',
+                score: momentumReturn,
+                stopLoss: params.stopLoss,
+                reason: `${(momentumReturn * 100).toFixed(1)}% ${params.lookback}-day momentum`
+            };
+        }
+        return null;
+    }
+};
+
+const pct = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+(async () => {
+    const backtester = new PortfolioBacktester({
+        initialCapital: 100000,
+        maxPositions: 2,
+        weighting: 'equal',
+        rebalance: 'weekly',
+        costModel: new CostModel({ commissionPercent: 0.001, slippageBps: 5 })
+    });
+
+    const results = await backtester.run(momentum, {
+        symbols: ['AAPL', 'MSFT', 'NVDA', 'AMD', 'GOOGL', 'SPY']
+    });
+
+    const m = results.metrics;
+    console.log(`Symbols: ${results.symbols.join(', ')}${results.missing.length ? ` (no data: ${results.missing.join(', ')})` : ''}`);
+    console.log(`Period:  ${results.startDate} to ${results.endDate}\n`);
+    console.log(`Return:        ${pct(m.totalReturn)}${results.benchmark ? ` vs ${results.benchmark.symbol} ${pct(results.benchmark.totalReturn)}` : ''}`);
+    console.log(`Sharpe:        ${m.sharpe === null ? 'n/a' : m.sharpe.toFixed(2)}`);
+    console.log(`Max drawdown:  ${pct(m.maxDrawdown)}`);
+    console.log(`Exposure:      ${pct(m.exposure)}`);
+    console.log(`Turnover:      ${m.annualTurnover.toFixed(1)}x per year`);
+    console.log(`Trades:        ${m.closedTrades} (win rate ${pct(m.winRate)})\n`);
+
+    console.log('Symbol | Trades |      P&L | Contribution | Exposure');
+    console.log('-------|--------|----------|--------------|---------');
+    results.attribution.forEach(a => {
+        console.log(`${a.symbol.padEnd(6)} | ${String(a.trades).padStart(6)} | ${a.pnl.toFixed(0).padStart(8)} | ${pct(a.contribution).padStart(12)} | ${pct(a.exposure).padStart(8)}`);
+    });
+
+    console.log('\n=== Backtest Complete ===');
+})();
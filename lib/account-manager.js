@@ -0,0 +1,389 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigValidator = require('./config-validator');
+const { writeFileAtomic } = require('./portfolio-store');
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+/**
+ * Account Manager for paper trading
+ *
+ * Keeps independent paper accounts, each with its own book and settings:
+ * - Account registry in accounts/accounts.json
+ * - Per-account config overrides on top of the server defaults, validated
+ *   against the settings schema and applied live
+ * - Config audit log in accounts/config-audit.jsonl
+ * - Per-account portfolio (with its order book), journal, equity history and
+ *   kill switch state under accounts/<id>/
+ * - Create, list, reset and delete
+ * - Scratch copies (same accounts and settings, empty books in a temp
+ *   directory) for replay sessions, discarded afterwards
+ *
+ * The default account keeps its files (paper-portfolio.json,
+ * paper-equity.json, paper-risk.json) at the repository root. paper-orders.json is the
+ * pre-journal order book, imported into the portfolio on load.
+ *
+ * The caller supplies createContext(account, config, paths), which builds
+ * the account's services (store, engine, order book, auto-trader).
+ */
+class AccountManager {
+  constructor(options = {}) {
+    this.accountsDir = options.accountsDir || path.join(__dirname, '..', 'accounts');
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.registryFile = path.join(this.accountsDir, 'accounts.json');
+    this.auditFile = path.join(this.accountsDir, 'config-audit.jsonl');
+    this.defaults = options.defaults;
+    this.validator = options.validator || new ConfigValidator();
+    this.createContext = options.createContext;
+
+    this.accounts = null;
+    this.contexts = new Map(); // id -> context
+    this.scratchDir = null; // Set on scratch copies (see createScratch)
+  }
+
+  /**
+   * Load the account registry, creating it with the default account
+   */
+  load() {
+    if (fs.existsSync(this.registryFile)) {
+      this.accounts = JSON.parse(fs.readFileSync(this.registryFile, 'utf8'));
+    } else {
+      this.accounts = {
+        [DEFAULT_ACCOUNT_ID]: {
+          id: DEFAULT_ACCOUNT_ID,
+          name: 'Default',
+          config: {},
+          createdAt: new Date().toISOString()
+        }
+      };
+      this.save();
+    }
+    return this.accounts;
+  }
+
+  /**
+   * Save the account registry
+   */
+  save() {
+    if (!fs.existsSync(this.accountsDir)) {
+      fs.mkdirSync(this.accountsDir, { recursive: true });
+    }
+    writeFileAtomic(this.registryFile, JSON.stringify(this.accounts, null, 2));
+  }
+
+  /**
+   * Convert camelCase settings to validated CONFIG overrides (throws on invalid settings)
+   */
+  normalizeConfig(settings = {}) {
+    const { overrides, errors } = this.validator.validate(settings, this.defaults);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return overrides;
+  }
+
+  /**
+   * Effective config for an account (defaults plus overrides)
+   */
+  resolveConfig(account) {
+    return { ...this.defaults, ...account.config };
+  }
+
+  /**
+   * Config with camelCase setting names, as served by /api/config
+   */
+  publicConfig(config) {
+    return Object.fromEntries(
+      Object.entries(config).map(([key, value]) => [ConfigValidator.toSettingName(key), value])
+    );
+  }
+
+  /**
+   * File locations for an account's book
+   */
+  getPaths(accountId) {
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+      return {
+        portfolioFile: path.join(this.rootDir, 'paper-portfolio.json'),
+        ordersFile: path.join(this.rootDir, 'paper-orders.json'),
+        equityFile: path.join(this.rootDir, 'paper-equity.json'),
+        riskFile: path.join(this.rootDir, 'paper-risk.json')
+      };
+    }
+
+    const accountDir = path.join(this.accountsDir, accountId);
+    return {
+      accountDir,
+      portfolioFile: path.join(accountDir, 'paper-portfolio.json'),
+      ordersFile: path.join(accountDir, 'paper-orders.json'),
+      equityFile: path.join(accountDir, 'paper-equity.json'),
+      riskFile: path.join(accountDir, 'paper-risk.json')
+    };
+  }
+
+  /**
+   * Whether an account exists
+   */
+  has(accountId) {
+    if (!this.accounts) this.load();
+    return Object.prototype.hasOwnProperty.call(this.accounts, accountId);
+  }
+
+  /**
+   * Account with its effective config, as served by the API
+   */
+  describe(account) {
+    return {
+      ...account,
+      config: this.publicConfig(this.resolveConfig(account))
+    };
+  }
+
+  /**
+   * List accounts
+   */
+  list() {
+    if (!this.accounts) this.load();
+    return Object.values(this.accounts).map(account => this.describe(account));
+  }
+
+  /**
+   * Get an account's context ({ account, config, store, engine, orderBook, autoTrader, equityTracker })
+   */
+  get(accountId) {
+    if (!this.has(accountId)) {
+      throw new Error(`Account not found: ${accountId}`);
+    }
+
+    if (!this.contexts.has(accountId)) {
+      const account = this.accounts[accountId];
+      const paths = this.getPaths(accountId);
+      if (paths.accountDir && !fs.existsSync(paths.accountDir)) {
+        fs.mkdirSync(paths.accountDir, { recursive: true });
+      }
+
+      // The context keeps one config object so later setting changes reach every service
+      const config = this.resolveConfig(account);
+      this.contexts.set(accountId, {
+        account,
+        config,
+        ...this.createContext(account, config, paths)
+      });
+    }
+
+    return this.contexts.get(accountId);
+  }
+
+  /**
+   * Contexts for every account
+   */
+  getAll() {
+    if (!this.accounts) this.load();
+    return Object.keys(this.accounts).map(id => this.get(id));
+  }
+
+  /**
+   * Create an account
+   *
+   * @param {Object} params - { name, id, config } (id defaults to a slug of name)
+   * @returns {Object} The new account (as returned by describe())
+   */
+  create(params = {}) {
+    if (!this.accounts) this.load();
+
+    const name = (params.name || '').trim();
+    if (!name) {
+      throw new Error('Account name is required');
+    }
+
+    const id = params.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+      throw new Error('Account id must contain only lowercase letters, digits and dashes');
+    }
+    if (this.has(id)) {
+      throw new Error(`Account already exists: ${id}`);
+    }
+
+    const account = {
+      id,
+      name,
+      config: this.normalizeConfig(params.config),
+      createdAt: new Date().toISOString()
+    };
+
+    this.accounts[id] = account;
+    this.save();
+
+    return this.describe(account);
+  }
+
+  /**
+   * Change an account's settings
+   *
+   * Valid changes are persisted in the registry, applied to the live config
+   * shared by the account's services, and written to the audit log.
+   *
+   * @param {string} accountId - Account to change
+   * @param {Object} settings - Partial settings by camelCase name
+   * @param {Object} audit - { actor, ...details } recorded with the change
+   * @returns {Object} { success, changes, config } or { success: false, error, errors }
+   */
+  updateConfig(accountId, settings, audit = {}) {
+    const context = this.get(accountId);
+    const { overrides, errors } = this.validator.validate(settings, context.config);
+
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('; '), errors };
+    }
+
+    const changes = Object.entries(overrides)
+      .filter(([key, value]) => JSON.stringify(context.config[key]) !== JSON.stringify(value))
+      .map(([key, value]) => ({
+        setting: ConfigValidator.toSettingName(key),
+        from: context.config[key],
+        to: value
+      }));
+
+    if (changes.length > 0) {
+      context.account.config = { ...context.account.config, ...overrides };
+      Object.assign(context.config, overrides);
+      this.save();
+
+      const { actor = 'unknown', ...details } = audit;
+      this.appendAudit({
+        timestamp: new Date().toISOString(),
+        account: accountId,
+        actor,
+        changes,
+        ...details
+      });
+    }
+
+    return { success: true, changes, config: this.publicConfig(context.config) };
+  }
+
+  /**
+   * Append an entry to the config audit log
+   */
+  appendAudit(entry) {
+    if (!fs.existsSync(this.accountsDir)) {
+      fs.mkdirSync(this.accountsDir, { recursive: true });
+    }
+    fs.appendFileSync(this.auditFile, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Config audit log, most recent first
+   *
+   * @param {Object} filter - { accountId, limit }
+   */
+  getAuditLog(filter = {}) {
+    if (!fs.existsSync(this.auditFile)) {
+      return [];
+    }
+
+    return fs.readFileSync(this.auditFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => !filter.accountId || entry.account === filter.accountId)
+      .reverse()
+      .slice(0, filter.limit || 100);
+  }
+
+  /**
+   * Reset an account's book to its initial capital
+   *
+   * Stops its auto-trader, clears positions, history, orders and the equity
+   * series, and resets the kill switch (a halt from the old book's losses
+   * does not carry over to the new one).
+   */
+  async reset(accountId, by = 'system') {
+    const context = this.get(accountId);
+
+    context.autoTrader.pause();
+    await context.store.reset(context.config.INITIAL_CAPITAL);
+
+    if (fs.existsSync(context.orderBook.ordersFile)) {
+      fs.unlinkSync(context.orderBook.ordersFile);
+    }
+    context.equityTracker.reset();
+    context.preTradeRisk.resetKillSwitch(by);
+
+    context.account.resetAt = new Date().toISOString();
+    this.save();
+
+    return this.describe(context.account);
+  }
+
+  /**
+   * Delete an account and its book (the default account cannot be deleted)
+   */
+  async remove(accountId) {
+    if (accountId === DEFAULT_ACCOUNT_ID) {
+      throw new Error('The default account cannot be deleted');
+    }
+
+    const context = this.get(accountId);
+    context.autoTrader.pause();
+
+    // Let queued mutations finish before the files go away
+    await context.store.reset();
+
+    const { accountDir } = this.getPaths(accountId);
+    fs.rmSync(accountDir, { recursive: true, force: true });
+
+    this.contexts.delete(accountId);
+    delete this.accounts[accountId];
+    this.save();
+
+    return this.describe(context.account);
+  }
+
+  /**
+   * Scratch copy of the accounts for a replay session
+   *
+   * Same accounts and settings, but every book (portfolio, journal, orders,
+   * equity) starts empty at its initial capital under a new temp directory,
+   * so nothing done in the copy reaches the real books. Throw it away with
+   * discard().
+   */
+  createScratch() {
+    if (!this.accounts) this.load();
+
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-replay-'));
+    const scratch = new AccountManager({
+      accountsDir: path.join(scratchDir, 'accounts'),
+      rootDir: scratchDir,
+      defaults: this.defaults,
+      validator: this.validator,
+      createContext: this.createContext
+    });
+    scratch.scratchDir = scratchDir;
+    scratch.accounts = structuredClone(this.accounts);
+    scratch.save();
+
+    return scratch;
+  }
+
+  /**
+   * Stop a scratch copy's services and delete its books
+   */
+  async discard() {
+    if (!this.scratchDir) {
+      throw new Error('Only scratch accounts can be discarded');
+    }
+
+    for (const context of this.contexts.values()) {
+      context.autoTrader.pause();
+      await context.store.reset(); // Let queued mutations finish first
+    }
+    this.contexts.clear();
+    fs.rmSync(this.scratchDir, { recursive: true, force: true });
+  }
+}
+
+AccountManager.DEFAULT_ACCOUNT_ID = DEFAULT_ACCOUNT_ID;
+
+module.exports = AccountManager;
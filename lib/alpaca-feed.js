@@ -0,0 +1,95 @@
+const MarketDataFeed = require('./market-data-feed');
+
+/**
+ * Alpaca Market Data Feed
+ *
+ * Polls the Alpaca Market Data v2 REST API for:
+ * - Latest quotes (bid/ask midpoint as the price) for all symbols
+ * - 1-minute bars since the last bar received
+ *
+ * Credentials come from the Alpaca API key and secret environment
+ * variables (see README).
+ * The free plan serves the IEX feed; set options.dataFeed = 'sip' with a
+ * paid plan for consolidated quotes.
+ */
+class AlpacaFeed extends MarketDataFeed {
+  constructor(options = {}) {
+    super({ name: 'alpaca', pollIntervalMs: 5000, ...options });
+    this.apiKey = options.apiKey || process.env.ALPACA_API_KEY;
+    this.apiSecret = options.apiSecret || process.env.ALPACA_API_SECRET;
+    this.baseUrl = options.baseUrl || 'https://data.alpaca.markets/v2';
+    this.dataFeed = options.dataFeed || 'iex';
+    this.lookbackMs = options.lookbackMs || 24 * 60 * 60 * 1000; // First minute-bar fetch
+    this.lastBarTime = null; // ISO timestamp of the newest bar received
+  }
+
+  /**
+   * Check credentials
+   */
+  async initialize() {
+    if (!this.apiKey || !this.apiSecret) {
+      throw new Error('Alpaca credentials missing. Set the Alpaca API key and secret environment variables (see README)');
+    }
+    return true;
+  }
+
+  /**
+   * GET an Alpaca market data endpoint
+   */
+  async request(route, params) {
+    const url = `${this.baseUrl}${route}?${new URLSearchParams(params)}`;
+    const response = await fetch(url, {
+      headers: {
+        'APCA-API-KEY-ID': this.apiKey,
+        'APCA-API-SECRET-KEY': this.apiSecret
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Alpaca ${route} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Fetch latest quotes and new minute bars
+   */
+  async poll() {
+    if (this.symbols.length === 0) return;
+    const symbols = this.symbols.join(',');
+
+    const { quotes = {} } = await this.request('/stocks/quotes/latest', { symbols, feed: this.dataFeed });
+    for (const [symbol, quote] of Object.entries(quotes)) {
+      const price = quote.bp > 0 && quote.ap > 0 ? (quote.bp + quote.ap) / 2 : quote.ap || quote.bp;
+      this.handleQuote({ symbol, price, bid: quote.bp, ask: quote.ap, timestamp: quote.t });
+    }
+
+    const start = this.lastBarTime || new Date(Date.now() - this.lookbackMs).toISOString();
+    let pageToken = null;
+    do {
+      const params = { symbols, timeframe: '1Min', start, feed: this.dataFeed, limit: 10000 };
+      if (pageToken) params.page_token = pageToken;
+
+      const page = await this.request('/stocks/bars', params);
+      for (const [symbol, bars] of Object.entries(page.bars || {})) {
+        for (const bar of bars) {
+          this.handleBar({
+            symbol,
+            timestamp: bar.t,
+            open: bar.o,
+            high: bar.h,
+            low: bar.l,
+            close: bar.c,
+            volume: bar.v
+          });
+          if (!this.lastBarTime || bar.t > this.lastBarTime) {
+            this.lastBarTime = bar.t;
+          }
+        }
+      }
+      pageToken = page.next_page_token;
+    } while (pageToken);
+  }
+}
+
+module.exports = AlpacaFeed;
@@ -0,0 +1,447 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./portfolio-store');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of access; each role can do everything the ones before it can
+const ROLES = ['viewer', 'trader', 'admin'];
+
+const SESSION_COOKIE = 'nt_session';
+const API_KEY_PREFIX = 'ntk';
+
+// Failed logins allowed per username before it is locked out for LOCKOUT_MS
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Failed-login records kept at most; a count with no new failure for LOCKOUT_MS is forgotten
+const MAX_TRACKED_LOGINS = 10000;
+
+// Unknown usernames are hashed against this salt so they take as long as real ones
+const DUMMY_SALT = crypto.randomBytes(16).toString('hex');
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Auth
+ *
+ * Users, API keys and dashboard sessions for the trading API:
+ * - Users in data/users.json with a role: viewer (read portfolio and
+ *   signals), trader (also place orders) or admin (also change config,
+ *   accounts, the universe and users)
+ * - Passwords stored as scrypt hashes with a per-user salt, computed off the
+ *   event loop; unknown usernames are hashed too so timing does not reveal them
+ * - API keys (ntk_<id>_<secret>) sent as "Authorization: Bearer <key>" or
+ *   X-API-Key; only a SHA-256 hash is stored, the key is shown once
+ * - Session login for the dashboard: an HttpOnly, SameSite=Strict cookie
+ *   holding a random token kept in memory (logins end on restart)
+ * - Lockout after repeated failed logins (failure counts expire and are capped)
+ *
+ * Without a users file an admin user is created with the password from
+ * ADMIN_PASSWORD, or a generated one that is returned once for printing.
+ */
+class Auth {
+  constructor(options = {}) {
+    this.usersFile = options.usersFile || path.join(__dirname, '..', 'data', 'users.json');
+    this.sessionTtlMs = options.sessionTtlMs || 12 * 60 * 60 * 1000;
+    this.adminPassword = options.adminPassword || null;
+
+    this.users = null;
+    this.sessions = new Map(); // token -> { username, expiresAt }
+    this.failedLogins = new Map(); // username -> { count, lockedUntil, lastFailedAt }
+  }
+
+  /**
+   * Load users, creating the admin user the first time
+   *
+   * @returns {Promise<Object>} { created, password } where password is set only when generated
+   */
+  async load() {
+    if (fs.existsSync(this.usersFile)) {
+      this.users = JSON.parse(fs.readFileSync(this.usersFile, 'utf8'));
+      return { created: false, password: null };
+    }
+
+    this.users = {};
+    const password = this.adminPassword || crypto.randomBytes(12).toString('base64url');
+    await this.createUser({ username: 'admin', password, role: 'admin' });
+    return { created: true, password: this.adminPassword ? null : password };
+  }
+
+  /**
+   * Save users (owner-only file permissions)
+   */
+  save() {
+    const dir = path.dirname(this.usersFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    writeFileAtomic(this.usersFile, JSON.stringify(this.users, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * scrypt hash of a password (on the libuv thread pool)
+   */
+  async hashPassword(password, salt) {
+    return (await scrypt(password, salt, 64)).toString('hex');
+  }
+
+  /**
+   * SHA-256 of an API key
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Whether a role includes another (admin includes trader includes viewer)
+   */
+  hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * User without secrets, as served by the API
+   */
+  describe(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      createdAt: user.createdAt,
+      lastLoginAt: user.lastLoginAt || null,
+      apiKeys: user.apiKeys.map(({ hash, ...key }) => key)
+    };
+  }
+
+  /**
+   * List users
+   */
+  listUsers() {
+    return Object.values(this.users).map(user => this.describe(user));
+  }
+
+  /**
+   * User by name (null when missing)
+   */
+  getUser(username) {
+    return Object.prototype.hasOwnProperty.call(this.users, username) ? this.users[username] : null;
+  }
+
+  /**
+   * Validate a password (throws when too short)
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+  }
+
+  /**
+   * Validate a role (throws when unknown)
+   */
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create a user (rejects when invalid or the name is taken)
+   */
+  async createUser({ username, password, role = 'viewer' } = {}) {
+    if (!/^[a-z0-9_.-]{3,32}$/.test(username || '')) {
+      throw new Error('Username must be 3-32 characters: lowercase letters, digits, "_", "." or "-"');
+    }
+    if (this.getUser(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+    this.validatePassword(password);
+    this.validateRole(role);
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    this.users[username] = {
+      username,
+      role,
+      salt,
+      passwordHash: await this.hashPassword(password, salt),
+      apiKeys: [],
+      createdAt: new Date().toISOString()
+    };
+    this.save();
+    return this.describe(this.users[username]);
+  }
+
+  /**
+   * Change a user's role or password (rejects when invalid)
+   *
+   * A password change ends the user's sessions.
+   */
+  async updateUser(username, { role, password } = {}) {
+    const user = this.getUser(username);
+    if (!user) {
+      throw new Error(`User not found: ${username}`);
+    }
+
+    if (role !== undefined) {
+      this.validateRole(role);
+      if (user.role === 'admin' && role !== 'admin' && this.countAdmins() === 1) {
+        throw new Error('The last admin cannot be demoted');
+      }
+    }
+    if (password !== undefined) {
+      this.validatePassword(password);
+    }
+
+    // Hash before changing anything so a failed update leaves the user as it was
+    const salt = password !== undefined ? crypto.randomBytes(16).toString('hex') : null;
+    const passwordHash = salt ? await this.hashPassword(password, salt) : null;
+
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (salt) {
+      user.salt = salt;
+      user.passwordHash = passwordHash;
+      this.endSessions(username);
+    }
+
+    this.save();
+    return this.describe(user);
+  }
+
+  /**
+   * Delete a user, ending their sessions (throws for the last admin)
+   */
+  deleteUser(username) {
+    const user = this.getUser(username);
+    if (!user) {
+      throw new Error(`User not found: ${username}`);
+    }
+    if (user.role === 'admin' && this.countAdmins() === 1) {
+      throw new Error('The last admin cannot be deleted');
+    }
+
+    delete this.users[username];
+    this.endSessions(username);
+    this.save();
+    return this.describe(user);
+  }
+
+  /**
+   * Number of admin users
+   */
+  countAdmins() {
+    return Object.values(this.users).filter(user => user.role === 'admin').length;
+  }
+
+  /**
+   * Check a username and password
+   *
+   * Unknown usernames are hashed against a dummy salt, so a response takes
+   * as long whether or not the user exists.
+   *
+   * @returns {Promise<Object>} { user } or { error } (also when locked out)
+   */
+  async verifyPassword(username, password) {
+    this.pruneFailedLogins();
+    const locked = this.failedLogins.get(username);
+    if (locked && locked.lockedUntil > Date.now()) {
+      return { error: 'Too many failed logins; try again later' };
+    }
+
+    const user = this.getUser(username);
+    const hash = await this.hashPassword(typeof password === 'string' ? password : '', user ? user.salt : DUMMY_SALT);
+    const valid = !!user && typeof password === 'string' && safeEqual(hash, user.passwordHash);
+
+    if (!valid) {
+      // Read again after hashing: other attempts may have counted meanwhile.
+      // A lockout that has run out starts a fresh count
+      const failed = this.failedLogins.get(username);
+      const previous = failed && !failed.lockedUntil ? failed.count : 0;
+      const count = previous + 1;
+      this.failedLogins.delete(username); // Re-inserted last, so the map stays oldest-first
+      this.failedLogins.set(username, {
+        count,
+        lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOCKOUT_MS : 0,
+        lastFailedAt: Date.now()
+      });
+      this.pruneFailedLogins();
+      return { error: 'Invalid username or password' };
+    }
+
+    this.failedLogins.delete(username);
+    return { user };
+  }
+
+  /**
+   * Forget failure counts with no failure for LOCKOUT_MS and lockouts that
+   * have run out, then drop the oldest records above MAX_TRACKED_LOGINS
+   */
+  pruneFailedLogins() {
+    const now = Date.now();
+    for (const [username, failed] of this.failedLogins) {
+      if (failed.lockedUntil ? failed.lockedUntil <= now : now - failed.lastFailedAt >= LOCKOUT_MS) {
+        this.failedLogins.delete(username);
+      }
+    }
+    for (const username of this.failedLogins.keys()) {
+      if (this.failedLogins.size <= MAX_TRACKED_LOGINS) break;
+      this.failedLogins.delete(username);
+    }
+  }
+
+  /**
+   * Start a dashboard session
+   *
+   * @returns {Object} { token, expiresAt }
+   */
+  createSession(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.sessionTtlMs;
+    this.sessions.set(token, { username, expiresAt });
+
+    const user = this.getUser(username);
+    user.lastLoginAt = new Date().toISOString();
+    this.save();
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * End one session
+   */
+  endSession(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * End every session of a user
+   */
+  endSessions(username) {
+    for (const [token, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(token);
+    }
+  }
+
+  /**
+   * Create an API key for a user; the key itself is only returned here
+   *
+   * @returns {Object} { key, id, label, createdAt }
+   */
+  createApiKey(username, label = '') {
+    const user = this.getUser(username);
+    if (!user) {
+      throw new Error(`User not found: ${username}`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `${API_KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id,
+      label: String(label).slice(0, 60),
+      hash: this.hashKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    user.apiKeys.push(record);
+    this.save();
+
+    const { hash, ...visible } = record;
+    return { key, ...visible };
+  }
+
+  /**
+   * Revoke one of a user's API keys (throws when missing)
+   */
+  revokeApiKey(username, id) {
+    const user = this.getUser(username);
+    const key = user && user.apiKeys.find(k => k.id === id);
+    if (!key) {
+      throw new Error(`API key not found: ${id}`);
+    }
+
+    user.apiKeys = user.apiKeys.filter(k => k.id !== id);
+    this.save();
+    const { hash, ...visible } = key;
+    return visible;
+  }
+
+  /**
+   * User for an API key (null when unknown)
+   */
+  authenticateKey(key) {
+    const match = /^ntk_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(key || '');
+    if (!match) return null;
+
+    for (const user of Object.values(this.users)) {
+      const record = user.apiKeys.find(k => k.id === match[1]);
+      if (record && safeEqual(this.hashKey(key), record.hash)) {
+        // Record use at most once a minute to keep writes down
+        if (!record.lastUsedAt || Date.now() - new Date(record.lastUsedAt) > 60000) {
+          record.lastUsedAt = new Date().toISOString();
+          this.save();
+        }
+        return user;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Session token from the request's cookie header
+   */
+  sessionToken(req) {
+    const cookies = (req.get('Cookie') || '').split(';').map(c => c.trim());
+    const cookie = cookies.find(c => c.startsWith(`${SESSION_COOKIE}=`));
+    return cookie ? cookie.slice(SESSION_COOKIE.length + 1) : null;
+  }
+
+  /**
+   * User behind a request: API key first, then session cookie
+   *
+   * @returns {Object|null} { user, via: 'api-key' | 'session' }
+   */
+  authenticate(req) {
+    const header = req.get('Authorization') || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+    if (key) {
+      const user = this.authenticateKey(key);
+      return user ? { user, via: 'api-key' } : null;
+    }
+
+    const token = this.sessionToken(req);
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now() || !this.getUser(session.username)) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return { user: this.getUser(session.username), via: 'session' };
+  }
+
+  /**
+   * Set-Cookie value for a session token (empty token clears the cookie)
+   */
+  sessionCookie(token, expiresAt = null) {
+    if (!token) {
+      return `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+    const maxAge = Math.floor((new Date(expiresAt) - Date.now()) / 1000);
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+  }
+}
+
+Auth.ROLES = ROLES;
+Auth.SESSION_COOKIE = SESSION_COOKIE;
+
+module.exports = Auth;
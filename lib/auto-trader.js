@@ -0,0 +1,166 @@
+/**
+ * Auto Trader
+ *
+ * Opt-in autonomous paper trading on ensemble signals:
+ * - Opens positions for signals at or above MIN_CONFIDENCE
+ * - Sizes each position at MAX_POSITION_SIZE of portfolio equity
+ * - Stays within MAX_POSITIONS and available cash
+ * - Goes through the engine's pre-trade risk rules like any other order
+ * - Tags every automated trade with its confidence, model version and the
+ *   decision log event of its signal (signal.decisionId)
+ *
+ * Exits are handled by the engine's stop-loss / take-profit checks.
+ */
+class AutoTrader {
+  constructor(options = {}) {
+    this.engine = options.engine;
+    this.config = options.config;
+    this.getPrice = options.getPrice;
+
+    this.running = false;
+    this.startedAt = null;
+    this.pausedAt = null;
+    this.lastRunAt = null;
+    this.lastRunSummary = null;
+    this.tradesPlaced = 0;
+  }
+
+  /**
+   * Start autonomous trading
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.startedAt = new Date().toISOString();
+      this.pausedAt = null;
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Pause autonomous trading (open positions keep their exits)
+   */
+  pause() {
+    if (this.running) {
+      this.running = false;
+      this.pausedAt = new Date().toISOString();
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Whether the bot is currently trading
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Get bot status
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      startedAt: this.startedAt,
+      pausedAt: this.pausedAt,
+      lastRunAt: this.lastRunAt,
+      lastRun: this.lastRunSummary,
+      tradesPlaced: this.tradesPlaced,
+      minConfidence: this.config.MIN_CONFIDENCE,
+      maxPositionSize: this.config.MAX_POSITION_SIZE,
+      maxPositions: this.config.MAX_POSITIONS
+    };
+  }
+
+  /**
+   * Number of whole shares for a new position
+   */
+  sizePosition(equity, available, price) {
+    const budget = Math.min(equity * this.config.MAX_POSITION_SIZE, available);
+    return Math.floor(budget / price);
+  }
+
+  /**
+   * Act on signals, highest confidence first
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Array} signals - Signals from SignalService.getSignals()
+   * @returns {Object} { opened: [trade], skipped: [{ symbol, reason, rule }] }
+   */
+  run(portfolio, signals) {
+    const opened = [];
+    const skipped = [];
+
+    const candidates = signals
+      .filter(signal => signal.score >= this.config.MIN_CONFIDENCE)
+      .sort((a, b) => b.score - a.score);
+
+    for (const signal of candidates) {
+      const { symbol } = signal;
+
+      if (portfolio.positions[this.engine.positionKey(symbol)]) {
+        continue;
+      }
+
+      if (Object.keys(portfolio.positions).length >= this.config.MAX_POSITIONS) {
+        skipped.push({ symbol, reason: 'Maximum positions reached' });
+        continue;
+      }
+
+      const price = this.getPrice(symbol);
+      if (!price) {
+        skipped.push({ symbol, reason: 'No price data' });
+        continue;
+      }
+
+      // Size on current equity (earlier fills paid costs) so the position-size rule passes
+      const equity = this.engine.computeEquity(portfolio);
+
+      // Never lever up: spend only cash that is also within buying power
+      const available = Math.min(portfolio.cash, this.engine.getMarginStatus(portfolio).buyingPower);
+      let shares = this.sizePosition(equity, available, price);
+
+      // Leave room for commission and the cost model's adverse fill price
+      if (shares > 0) {
+        const fill = this.engine.priceFill('BUY', { symbol, shares, price });
+        const total = shares * fill.fillPrice + fill.commission;
+        if (total > available) {
+          shares = Math.floor(shares * available / total);
+        }
+      }
+
+      if (shares <= 0) {
+        skipped.push({ symbol, reason: 'Insufficient cash for one share' });
+        continue;
+      }
+
+      const result = this.engine.buy(portfolio, {
+        symbol,
+        shares,
+        price,
+        reason: 'AUTO',
+        confidence: signal.score,
+        modelVersion: signal.modelVersion,
+        decisionId: signal.decisionId || null
+      });
+
+      if (result.success) {
+        opened.push(result.trade);
+      } else {
+        skipped.push({ symbol, reason: result.error, rule: result.rule });
+      }
+    }
+
+    this.tradesPlaced += opened.length;
+    this.lastRunAt = new Date().toISOString();
+    this.lastRunSummary = {
+      candidates: candidates.length,
+      opened: opened.length,
+      skipped: skipped.length
+    };
+
+    return { opened, skipped };
+  }
+}
+
+module.exports = AutoTrader;
@@ -0,0 +1,480 @@
+const fs = require('fs');
+const path = require('path');
+const CostModel = require('./cost-model');
+const EquityTracker = require('./equity-tracker');
+
+/**
+ * Backtester
+ *
+ * Event-driven replay of daily bars from historical-data through a strategy:
+ * - The strategy sees one bar at a time, in date order, with only the bars
+ *   up to it; onBar returns an order, a list of orders or nothing
+ * - Orders decided on a bar fill at the next bar's open (fillAt: 'open') or
+ *   at the same bar's close (fillAt: 'close'), priced by the cost model
+ * - Stop-loss and take-profit levels are checked against each bar's low and
+ *   high; a gap through the level fills at the open. When both are touched
+ *   in one bar the stop is assumed to fill first
+ * - Position sizing as a fraction of equity, a notional amount or a share
+ *   count, limited to available cash (long only, no margin)
+ * - Bars before startDate, and the strategy's warmup bars, are history for
+ *   indicators; no orders are taken until both have passed
+ *
+ * Strategy interface (see lib/strategy-registry.js for the parameter schema):
+ *   {
+ *     name,
+ *     parameters: { key: { type, default, ... } },
+ *     warmup: 50 | (params) => 50,  // bars needed before the first decision
+ *     init(context),                // optional, before the first bar
+ *     onBar(context),               // may be async
+ *     onFill(fill, context)         // optional
+ *   }
+ * The context holds { symbol, params, state, bar, index, history, position,
+ * cash, equity }; state is the strategy's own scratch object for the run.
+ *
+ * Orders:
+ *   { side: 'BUY', size: 0.5 | notional: 5000 | shares: 10, stopLoss: 0.05,
+ *     takeProfit: 0.1, reason }
+ *   { side: 'SELL', shares (default: the whole position), reason }
+ * stopLoss / takeProfit are fractions of the entry price; options.stopLoss
+ * and options.takeProfit apply to entries that do not set their own.
+ *
+ * Every run returns the same results object:
+ *   { strategy, symbol, params, startDate, endDate, initialCapital,
+ *     finalEquity, trades, fills, equityCurve, drawdown, metrics, benchmark }
+ * with metrics computed the same way as account performance on the dashboard.
+ */
+class Backtester {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'historical-data');
+    this.initialCapital = options.initialCapital || 10000;
+    this.costModel = options.costModel || new CostModel();
+    this.fillAt = options.fillAt || 'open';
+    this.positionSize = options.positionSize || 1; // Fraction of equity when an order has no size
+    this.fractionalShares = options.fractionalShares || false;
+    this.stopLoss = options.stopLoss || null;
+    this.takeProfit = options.takeProfit || null;
+    this.closeAtEnd = options.closeAtEnd !== false;
+    this.benchmark = options.benchmark || null; // Defaults to buy-and-hold of the tested symbol
+
+    this.barCache = new Map();
+    this.stats = new EquityTracker({
+      riskFreeRate: options.riskFreeRate,
+      periodsPerYear: options.periodsPerYear
+    });
+  }
+
+  /**
+   * Daily bars for a symbol from historical-data (cached)
+   */
+  loadBars(symbol) {
+    if (!this.barCache.has(symbol)) {
+      const filePath = path.join(this.dataDir, `${symbol}-5-years.json`);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`No historical data for ${symbol}`);
+      }
+      this.barCache.set(symbol, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+    return this.barCache.get(symbol);
+  }
+
+  /**
+   * Strategy parameters: the schema's defaults overridden by the run's
+   */
+  resolveParams(strategy, params = {}) {
+    const defaults = {};
+    for (const [key, spec] of Object.entries(strategy.parameters || {})) {
+      defaults[key] = spec.default;
+    }
+    return { ...defaults, ...params };
+  }
+
+  /**
+   * Bars of history a strategy needs before its first decision
+   */
+  resolveWarmup(strategy, params) {
+    const warmup = typeof strategy.warmup === 'function' ? strategy.warmup(params) : strategy.warmup;
+    return warmup || 0;
+  }
+
+  /**
+   * Fresh simulated account
+   */
+  createAccount() {
+    return {
+      cash: this.initialCapital,
+      positions: {}, // symbol -> { shares, entryPrice, entryDate, entryIndex, stopPrice, targetPrice, costs, commission, reason }
+      trades: [],
+      fills: [],
+      costs: 0
+    };
+  }
+
+  /**
+   * Equity of an account at the given prices (symbol -> price)
+   */
+  accountEquity(account, prices) {
+    let equity = account.cash;
+    for (const [symbol, position] of Object.entries(account.positions)) {
+      const price = prices[symbol] !== undefined ? prices[symbol] : position.entryPrice;
+      equity += position.shares * price;
+    }
+    return equity;
+  }
+
+  /**
+   * Read-only view of a position for strategies
+   */
+  describePosition(position, price) {
+    if (!position) return null;
+    return {
+      shares: position.shares,
+      entryPrice: position.entryPrice,
+      entryDate: position.entryDate,
+      stopPrice: position.stopPrice,
+      targetPrice: position.targetPrice,
+      marketValue: position.shares * price,
+      unrealizedPnl: (price - position.entryPrice) * position.shares,
+      unrealizedPnlPercent: (price / position.entryPrice - 1) * 100
+    };
+  }
+
+  /**
+   * Normalize a strategy's onBar return value to a list of orders
+   */
+  normalizeOrders(result) {
+    if (!result) return [];
+    const orders = Array.isArray(result) ? result : [result];
+    return orders.filter(order => order && (order.side === 'BUY' || order.side === 'SELL'));
+  }
+
+  /**
+   * Shares a BUY order asks for at a price
+   */
+  orderShares(order, price, equity, cash) {
+    let notional;
+    if (order.shares !== undefined) {
+      notional = order.shares * price;
+    } else if (order.notional !== undefined) {
+      notional = order.notional;
+    } else {
+      const size = order.size !== undefined ? order.size : this.positionSize;
+      notional = size * equity;
+    }
+
+    const shares = Math.min(notional, cash) / price;
+    return this.fractionalShares ? shares : Math.floor(shares);
+  }
+
+  /**
+   * Buy into a position (adds to an existing one at the average price)
+   *
+   * @returns {Object|null} The fill, or null when nothing could be bought
+   */
+  openPosition(account, symbol, order, price, bar, index, equity) {
+    let shares = this.orderShares(order, price, equity, account.cash);
+    let cost = null;
+
+    // Shrink the order until price impact and commission fit in cash
+    while (shares > 0) {
+      cost = this.costModel.estimate({ side: 'BUY', shares, price, volume: bar.volume });
+      if (shares * cost.fillPrice + cost.commission <= account.cash) break;
+      const affordable = (account.cash - cost.commission) / cost.fillPrice;
+      const next = this.fractionalShares ? affordable * 0.999 : Math.min(shares - 1, Math.floor(affordable));
+      shares = next > 1e-9 ? next : 0;
+    }
+    if (shares <= 0) return null;
+
+    account.cash -= shares * cost.fillPrice + cost.commission;
+    account.costs += cost.total;
+
+    const stopLoss = order.stopLoss !== undefined ? order.stopLoss : this.stopLoss;
+    const takeProfit = order.takeProfit !== undefined ? order.takeProfit : this.takeProfit;
+    const existing = account.positions[symbol];
+
+    if (existing) {
+      const totalShares = existing.shares + shares;
+      existing.entryPrice = (existing.entryPrice * existing.shares + cost.fillPrice * shares) / totalShares;
+      existing.shares = totalShares;
+      existing.costs += cost.total;
+      existing.commission += cost.commission;
+    } else {
+      account.positions[symbol] = {
+        shares,
+        entryPrice: cost.fillPrice,
+        entryDate: bar.date,
+        entryIndex: index,
+        costs: cost.total,
+        commission: cost.commission,
+        reason: order.reason || null
+      };
+    }
+
+    // Rebalancing top-ups keep the position's stop and target
+    const position = account.positions[symbol];
+    if (!existing || !order.rebalance) {
+      position.stopPrice = stopLoss ? position.entryPrice * (1 - stopLoss) : null;
+      position.targetPrice = takeProfit ? position.entryPrice * (1 + takeProfit) : null;
+    }
+
+    const fill = {
+      date: bar.date,
+      symbol,
+      side: 'BUY',
+      shares,
+      price: cost.fillPrice,
+      commission: cost.commission,
+      costs: cost.total,
+      reason: order.reason || null
+    };
+    account.fills.push(fill);
+    return fill;
+  }
+
+  /**
+   * Sell out of a position and record the round trip
+   *
+   * @returns {Object|null} The fill, or null without a position
+   */
+  closePosition(account, symbol, shares, price, bar, index, reason, resting = false) {
+    const position = account.positions[symbol];
+    if (!position) return null;
+
+    shares = Math.min(shares || position.shares, position.shares);
+    const cost = this.costModel.estimate({ side: 'SELL', shares, price, volume: bar.volume, resting });
+    account.cash += shares * cost.fillPrice - cost.commission;
+    account.costs += cost.total;
+
+    // Entry costs are charged to the round trip in proportion to the shares sold
+    const portion = shares / position.shares;
+    const entryCosts = position.costs * portion;
+    const entryCommission = position.commission * portion;
+    const pnl = (cost.fillPrice - position.entryPrice) * shares - entryCommission - cost.commission;
+
+    account.trades.push({
+      symbol,
+      entryDate: position.entryDate,
+      exitDate: bar.date,
+      shares,
+      entryPrice: position.entryPrice,
+      exitPrice: cost.fillPrice,
+      pnl,
+      returnPercent: (cost.fillPrice / position.entryPrice - 1) * 100,
+      holdBars: index - position.entryIndex,
+      costs: entryCosts + cost.total,
+      entryReason: position.reason,
+      exitReason: reason
+    });
+
+    position.costs -= entryCosts;
+    position.commission -= entryCommission;
+    position.shares -= shares;
+    if (position.shares <= 1e-9) {
+      delete account.positions[symbol];
+    }
+
+    const fill = {
+      date: bar.date,
+      symbol,
+      side: 'SELL',
+      shares,
+      price: cost.fillPrice,
+      commission: cost.commission,
+      costs: cost.total,
+      pnl,
+      reason
+    };
+    account.fills.push(fill);
+    return fill;
+  }
+
+  /**
+   * Stop-loss / take-profit exit during a bar
+   *
+   * @returns {Object|null} The fill, or null when neither level was reached
+   */
+  checkExits(account, symbol, bar, index) {
+    const position = account.positions[symbol];
+    if (!position) return null;
+
+    if (position.stopPrice && bar.low <= position.stopPrice) {
+      const price = bar.open <= position.stopPrice ? bar.open : position.stopPrice;
+      return this.closePosition(account, symbol, null, price, bar, index, 'Stop loss');
+    }
+    if (position.targetPrice && bar.high >= position.targetPrice) {
+      const price = bar.open >= position.targetPrice ? bar.open : position.targetPrice;
+      return this.closePosition(account, symbol, null, price, bar, index, 'Take profit', true); // Resting target
+    }
+    return null;
+  }
+
+  /**
+   * Execute an order against a bar at a price
+   */
+  executeOrder(account, symbol, order, price, bar, index) {
+    if (order.side === 'BUY') {
+      const equity = this.accountEquity(account, { [symbol]: price });
+      return this.openPosition(account, symbol, order, price, bar, index, equity);
+    }
+    return this.closePosition(account, symbol, order.shares, price, bar, index, order.reason || 'Strategy exit');
+  }
+
+  /**
+   * Run a strategy over one symbol
+   *
+   * @param {Object} strategy - See the strategy interface above
+   * @param {Object} options - { symbol, startDate, endDate, params, bars }
+   *   (bars replace the historical-data file, e.g. for synthetic tests)
+   * @returns {Promise<Object>} Standard results object
+   */
+  async run(strategy, options = {}) {
+    const { symbol, startDate = null, endDate = null } = options;
+    if (!symbol) {
+      throw new Error('A symbol is required');
+    }
+    if (!strategy || typeof strategy.onBar !== 'function') {
+      throw new Error('A strategy needs an onBar(context) function');
+    }
+
+    const params = this.resolveParams(strategy, options.params);
+    const warmup = this.resolveWarmup(strategy, params);
+    const bars = (options.bars || this.loadBars(symbol)).filter(bar => !endDate || bar.date <= endDate);
+
+    let startIndex = bars.findIndex(bar => !startDate || bar.date >= startDate);
+    startIndex = startIndex === -1 ? bars.length : Math.max(startIndex, warmup);
+    if (startIndex >= bars.length) {
+      throw new Error(`Not enough ${symbol} bars after ${startDate || 'the start'} and ${warmup} warmup bars`);
+    }
+
+    const account = this.createAccount();
+    const state = {};
+    const equityCurve = [];
+    let exposureSum = 0;
+    let pending = [];
+
+    const buildContext = (bar, index) => {
+      const equity = this.accountEquity(account, { [symbol]: bar.close });
+      return {
+        symbol,
+        params,
+        state,
+        bar,
+        index,
+        history: bars.slice(0, index + 1),
+        position: this.describePosition(account.positions[symbol], bar.close),
+        cash: account.cash,
+        equity
+      };
+    };
+
+    const notifyFill = async (fill, bar, index) => {
+      if (fill && typeof strategy.onFill === 'function') {
+        await strategy.onFill(fill, buildContext(bar, index));
+      }
+    };
+
+    if (typeof strategy.init === 'function') {
+      await strategy.init(buildContext(bars[startIndex], startIndex));
+    }
+
+    for (let i = startIndex; i < bars.length; i++) {
+      const bar = bars[i];
+
+      for (const order of pending) {
+        await notifyFill(this.executeOrder(account, symbol, order, bar.open, bar, i), bar, i);
+      }
+      pending = [];
+
+      await notifyFill(this.checkExits(account, symbol, bar, i), bar, i);
+
+      const orders = this.normalizeOrders(await strategy.onBar(buildContext(bar, i)));
+      if (this.fillAt === 'close') {
+        for (const order of orders) {
+          await notifyFill(this.executeOrder(account, symbol, order, bar.close, bar, i), bar, i);
+        }
+      } else {
+        pending = orders;
+      }
+
+      if (i === bars.length - 1 && this.closeAtEnd && account.positions[symbol]) {
+        this.closePosition(account, symbol, null, bar.close, bar, i, 'End of test');
+      }
+
+      const equity = this.accountEquity(account, { [symbol]: bar.close });
+      const position = account.positions[symbol];
+      exposureSum += equity > 0 && position ? (position.shares * bar.close) / equity : 0;
+      equityCurve.push({ date: bar.date, equity });
+    }
+
+    return this.buildResults({
+      strategy,
+      symbol,
+      params,
+      account,
+      equityCurve,
+      exposure: exposureSum / equityCurve.length,
+      benchmark: this.benchmark || symbol,
+      benchmarkBars: this.benchmark && this.benchmark !== symbol ? this.loadBars(this.benchmark) : bars
+    });
+  }
+
+  /**
+   * Standard results object from a finished run
+   */
+  buildResults({ strategy, symbol, params, account, equityCurve, exposure, benchmark, benchmarkBars }) {
+    const dates = equityCurve.map(p => p.date);
+    const values = equityCurve.map(p => p.equity);
+    const stats = this.stats.statistics(values);
+    const tradeStats = this.stats.tradeStatistics(account.trades.map(t => ({ type: 'SELL', pnl: t.pnl })));
+    const trades = account.trades;
+
+    const results = {
+      strategy: strategy.name || 'unnamed',
+      symbol,
+      params,
+      startDate: dates[0] || null,
+      endDate: dates[dates.length - 1] || null,
+      initialCapital: this.initialCapital,
+      finalEquity: values[values.length - 1],
+      trades,
+      fills: account.fills,
+      equityCurve,
+      drawdown: equityCurve.map((p, i) => ({ date: p.date, drawdown: stats.drawdowns[i] })),
+      metrics: {
+        totalReturn: stats.totalReturn,
+        annualizedReturn: stats.annualizedReturn,
+        volatility: stats.volatility,
+        sharpe: stats.sharpe,
+        sortino: stats.sortino,
+        calmar: stats.calmar,
+        maxDrawdown: stats.maxDrawdown,
+        winRate: tradeStats.winRate,
+        profitFactor: tradeStats.profitFactor,
+        closedTrades: tradeStats.closedTrades,
+        avgTradeReturn: trades.length > 0 ? trades.reduce((sum, t) => sum + t.returnPercent, 0) / trades.length / 100 : null,
+        avgHoldBars: trades.length > 0 ? trades.reduce((sum, t) => sum + t.holdBars, 0) / trades.length : null,
+        exposure,
+        totalCosts: account.costs
+      },
+      benchmark: null
+    };
+
+    const closes = this.stats.benchmarkCloses(dates, benchmarkBars);
+    if (closes && values.length > 0) {
+      const benchmarkValues = closes.map(close => close * (values[0] / closes[0]));
+      const benchmarkStats = this.stats.statistics(benchmarkValues);
+      results.benchmark = {
+        symbol: benchmark,
+        totalReturn: benchmarkStats.totalReturn,
+        annualizedReturn: benchmarkStats.annualizedReturn,
+        sharpe: benchmarkStats.sharpe,
+        maxDrawdown: benchmarkStats.maxDrawdown,
+        excessReturn: stats.totalReturn - benchmarkStats.totalReturn,
+        ...this.stats.relativeStatistics(stats.returns, benchmarkStats.returns)
+      };
+    }
+
+    return results;
+  }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bar Store
+ *
+ * Local store for intraday market data on top of the daily history files:
+ * - Latest quote per symbol
+ * - Minute bars per symbol (quotes also update the current minute's bar),
+ *   persisted to market-data/<SYMBOL>-1m.jsonl
+ * - Daily bars: the historical-data files plus days built from minute bars
+ *   after the last file date; the newest of those days is marked partial
+ * - Freshest available price with its timestamp and source
+ *
+ * Trading dates follow the US market calendar (America/New_York).
+ */
+class BarStore {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'market-data');
+    this.readDailyBars = options.readDailyBars; // symbol => daily bars from historical-data
+    this.maxMinuteBars = options.maxMinuteBars || 2000; // ~5 sessions
+    this.timeZone = options.timeZone || 'America/New_York';
+
+    this.quotes = new Map(); // symbol -> quote
+    this.minuteBars = new Map(); // symbol -> bars sorted by timestamp
+    this.dirty = new Map(); // symbol -> Map(timestamp -> bar) not yet written
+    this.loaded = new Set();
+  }
+
+  /**
+   * File holding a symbol's minute bars
+   */
+  minuteFile(symbol) {
+    return path.join(this.dataDir, `${symbol}-1m.jsonl`);
+  }
+
+  /**
+   * Trading date (YYYY-MM-DD) of a timestamp
+   */
+  tradingDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: this.timeZone });
+  }
+
+  /**
+   * Start of the minute containing a timestamp, as ISO
+   */
+  minuteOf(timestamp) {
+    const time = new Date(timestamp).getTime();
+    return new Date(time - (time % 60000)).toISOString();
+  }
+
+  /**
+   * Load a symbol's persisted minute bars (once)
+   *
+   * Later lines win for a repeated timestamp; the file is compacted when it
+   * holds far more bars than are kept.
+   */
+  loadMinuteBars(symbol) {
+    if (this.loaded.has(symbol)) return;
+    this.loaded.add(symbol);
+
+    const file = this.minuteFile(symbol);
+    if (!fs.existsSync(file)) return;
+
+    const byTimestamp = new Map();
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        const bar = JSON.parse(line);
+        byTimestamp.set(bar.timestamp, bar);
+      } catch {
+        // Skip a torn line
+      }
+    }
+
+    const bars = [...byTimestamp.values()]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      .slice(-this.maxMinuteBars);
+    this.minuteBars.set(symbol, bars);
+
+    if (lines.length > this.maxMinuteBars * 2) {
+      fs.writeFileSync(file, bars.map(bar => JSON.stringify(bar)).join('\n') + '\n');
+    }
+  }
+
+  /**
+   * Minute bars for a symbol, oldest first
+   *
+   * @param {Object} options - { since (ISO timestamp), limit }
+   */
+  getMinuteBars(symbol, options = {}) {
+    this.loadMinuteBars(symbol);
+    let bars = this.minuteBars.get(symbol) || [];
+    if (options.since) {
+      bars = bars.filter(bar => bar.timestamp > options.since);
+    }
+    return options.limit ? bars.slice(-options.limit) : bars;
+  }
+
+  /**
+   * Add or replace a minute bar
+   *
+   * @param {Object} bar - { symbol, timestamp, open, high, low, close, volume, source }
+   */
+  addBar(bar) {
+    const symbol = bar.symbol;
+    this.loadMinuteBars(symbol);
+
+    const entry = {
+      timestamp: this.minuteOf(bar.timestamp),
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume || 0,
+      source: bar.source || null
+    };
+
+    const bars = this.minuteBars.get(symbol) || [];
+    const last = bars[bars.length - 1];
+
+    if (!last || last.timestamp < entry.timestamp) {
+      bars.push(entry);
+    } else {
+      // Same minute (an update) or a late bar: replace or insert in order
+      const index = bars.findIndex(b => b.timestamp >= entry.timestamp);
+      if (bars[index].timestamp === entry.timestamp) {
+        bars[index] = entry;
+      } else {
+        bars.splice(index, 0, entry);
+      }
+    }
+
+    if (bars.length > this.maxMinuteBars) {
+      bars.splice(0, bars.length - this.maxMinuteBars);
+    }
+    this.minuteBars.set(symbol, bars);
+    this.markDirty(symbol, entry);
+
+    return entry;
+  }
+
+  /**
+   * Record a quote and fold it into the current minute bar
+   *
+   * @param {Object} quote - { symbol, price, bid, ask, timestamp, source }
+   */
+  addQuote(quote) {
+    const entry = {
+      symbol: quote.symbol,
+      price: quote.price,
+      bid: quote.bid !== undefined ? quote.bid : null,
+      ask: quote.ask !== undefined ? quote.ask : null,
+      timestamp: new Date(quote.timestamp).toISOString(),
+      source: quote.source || null
+    };
+
+    const previous = this.quotes.get(entry.symbol);
+    if (previous && previous.timestamp > entry.timestamp) {
+      return previous; // Stale quote
+    }
+    this.quotes.set(entry.symbol, entry);
+
+    this.loadMinuteBars(entry.symbol);
+    const minute = this.minuteOf(entry.timestamp);
+    const bars = this.minuteBars.get(entry.symbol) || [];
+    const current = bars.find(bar => bar.timestamp === minute);
+
+    this.addBar(current
+      ? {
+        ...current,
+        symbol: entry.symbol,
+        high: Math.max(current.high, entry.price),
+        low: Math.min(current.low, entry.price),
+        close: entry.price
+      }
+      : {
+        symbol: entry.symbol,
+        timestamp: minute,
+        open: entry.price,
+        high: entry.price,
+        low: entry.price,
+        close: entry.price,
+        volume: 0,
+        source: entry.source
+      });
+
+    return entry;
+  }
+
+  /**
+   * Latest quote for a symbol
+   */
+  getQuote(symbol) {
+    return this.quotes.get(symbol) || null;
+  }
+
+  /**
+   * Remember a bar that still has to be written
+   */
+  markDirty(symbol, bar) {
+    if (!this.dirty.has(symbol)) {
+      this.dirty.set(symbol, new Map());
+    }
+    this.dirty.get(symbol).set(bar.timestamp, bar);
+  }
+
+  /**
+   * Append bars added since the last flush to their files
+   */
+  flush() {
+    if (this.dirty.size === 0) return 0;
+
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    let written = 0;
+    for (const [symbol, bars] of this.dirty) {
+      const lines = [...bars.values()].map(bar => JSON.stringify(bar)).join('\n') + '\n';
+      fs.appendFileSync(this.minuteFile(symbol), lines);
+      written += bars.size;
+    }
+    this.dirty.clear();
+
+    return written;
+  }
+
+  /**
+   * Daily bars built from minute bars, one per trading date
+   */
+  aggregateDaily(symbol) {
+    const days = [];
+
+    for (const bar of this.getMinuteBars(symbol)) {
+      const date = this.tradingDate(bar.timestamp);
+      const day = days[days.length - 1];
+
+      if (day && day.date === date) {
+        day.high = Math.max(day.high, bar.high);
+        day.low = Math.min(day.low, bar.low);
+        day.close = bar.close;
+        day.volume += bar.volume;
+        day.timestamp = bar.timestamp;
+      } else {
+        days.push({
+          date,
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close,
+          volume: bar.volume,
+          timestamp: bar.timestamp,
+          source: 'intraday'
+        });
+      }
+    }
+
+    // The quote may be newer than the bar it updated
+    const quote = this.getQuote(symbol);
+    const last = days[days.length - 1];
+    if (quote && last && quote.timestamp > last.timestamp) {
+      last.timestamp = quote.timestamp;
+    }
+
+    return days;
+  }
+
+  /**
+   * Daily bars for a symbol: history plus intraday days after it
+   *
+   * @param {Object} options - { includePartial } (default true) keeps the
+   *   newest intraday day, which may still be trading
+   * @returns {Array|null} Bars oldest first, or null without any data
+   */
+  getDailyBars(symbol, options = {}) {
+    const includePartial = options.includePartial !== false;
+    const daily = this.readDailyBars(symbol) || [];
+    const lastDate = daily.length > 0 ? daily[daily.length - 1].date : '';
+
+    const intraday = this.aggregateDaily(symbol).filter(bar => bar.date > lastDate);
+    if (intraday.length > 0) {
+      intraday[intraday.length - 1].partial = true;
+    }
+
+    const bars = [...daily, ...(includePartial ? intraday : intraday.slice(0, -1))];
+    return bars.length > 0 ? bars : null;
+  }
+
+  /**
+   * Freshest available price for a symbol
+   *
+   * @returns {Object|null} { symbol, price, timestamp, source }
+   */
+  getLatest(symbol) {
+    const bars = this.getDailyBars(symbol);
+    if (!bars) return null;
+
+    const bar = bars[bars.length - 1];
+    const quote = this.getQuote(symbol);
+    if (quote && bar.partial && quote.timestamp >= bar.timestamp) {
+      return { symbol, price: quote.price, timestamp: quote.timestamp, source: quote.source };
+    }
+
+    return {
+      symbol,
+      price: bar.close,
+      timestamp: bar.timestamp || bar.date,
+      source: bar.source || 'historical-data'
+    };
+  }
+}
+
+module.exports = BarStore;
@@ -0,0 +1,162 @@
+// Settings that can be changed at runtime, keyed by CONFIG name
+const SCHEMA = {
+  INITIAL_CAPITAL: { type: 'number', min: 1000, max: 1e9, description: 'Starting cash for new and reset books' },
+  MAX_POSITION_SIZE: { type: 'number', min: 0.001, max: 1, description: 'Largest position as a fraction of equity (also the auto-trader size)' },
+  STOP_LOSS_PERCENT: { type: 'number', min: 0.001, max: 0.5, description: 'Stop-loss distance from entry' },
+  TAKE_PROFIT_PERCENT: { type: 'number', min: 0.001, max: 2, description: 'Take-profit distance from entry' },
+  MIN_CONFIDENCE: { type: 'number', min: 0, max: 1, description: 'Minimum ensemble score to open a position' },
+  MAX_POSITIONS: { type: 'integer', min: 1, max: 100, description: 'Maximum open positions' },
+  ALLOW_SHORTS: { type: 'boolean', description: 'Allow short sales' },
+  INITIAL_MARGIN: { type: 'number', min: 0.1, max: 1, description: 'Initial margin requirement (0.5 = 2x buying power)' },
+  MAINTENANCE_MARGIN_LONG: { type: 'number', min: 0, max: 1, description: 'Maintenance margin on longs' },
+  MAINTENANCE_MARGIN_SHORT: { type: 'number', min: 0, max: 1, description: 'Maintenance margin on shorts' },
+  BORROW_FEE_RATE: { type: 'number', min: 0, max: 1, description: 'Annual borrow fee on short market value' },
+  MARGIN_INTEREST_RATE: { type: 'number', min: 0, max: 1, description: 'Annual interest on negative cash' },
+  COMMISSION_PER_SHARE: { type: 'number', min: 0, max: 1, description: 'Commission per share' },
+  COMMISSION_PERCENT: { type: 'number', min: 0, max: 0.05, description: 'Commission as a fraction of notional' },
+  MIN_COMMISSION: { type: 'number', min: 0, max: 100, description: 'Minimum commission per fill' },
+  SPREAD_BPS: { type: 'number', min: 0, max: 500, description: 'Full bid/ask spread in basis points' },
+  SLIPPAGE_BPS: { type: 'number', min: 0, max: 500, description: 'Slippage in basis points' },
+  IMPACT_COEFFICIENT: { type: 'number', min: 0, max: 5, description: 'Market impact coefficient (x sqrt of volume share)' },
+  MAX_SECTOR_EXPOSURE: { type: 'number', min: 0, max: 2, description: 'Largest sector exposure as a fraction of equity (0 = off)' },
+  DAILY_LOSS_LIMIT: { type: 'number', min: 0, max: 1, description: 'Loss from start-of-day equity that trips the kill switch (0 = off)' },
+  MAX_ORDERS_PER_DAY: { type: 'integer', min: 0, max: 10000, description: 'Orders per day before new positions are refused; automatic exits do not count (0 = off)' },
+  MIN_PRICE: { type: 'number', min: 0, max: 10000, description: 'Minimum share price for new positions (0 = off)' },
+  MIN_AVG_VOLUME: { type: 'integer', min: 0, max: 1e9, description: 'Minimum 20-day average volume for new positions (0 = off)' },
+  BLOCKED_SYMBOLS: { type: 'symbols', description: 'Symbols that can never be bought or shorted' },
+  LOT_METHOD: { type: 'enum', values: ['FIFO', 'LIFO', 'HIGHEST_COST'], description: 'Tax lots relieved first by sells and covers' }
+};
+
+/**
+ * Config Validator
+ *
+ * Checks runtime setting changes against a schema:
+ * - Known settings only, by camelCase name (maxPositionSize -> MAX_POSITION_SIZE)
+ * - Type checks (number, integer, boolean, enum, symbols list)
+ * - Range checks
+ * - Cross-field rules on the resulting config
+ *
+ * Every problem is reported, not just the first one.
+ */
+class ConfigValidator {
+  constructor(options = {}) {
+    this.schema = options.schema || SCHEMA;
+  }
+
+  /**
+   * CONFIG key for a camelCase setting name (maxPositionSize -> MAX_POSITION_SIZE)
+   */
+  static toConfigKey(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  }
+
+  /**
+   * camelCase setting name for a CONFIG key (MAX_POSITION_SIZE -> maxPositionSize)
+   */
+  static toSettingName(key) {
+    return key.toLowerCase().replace(/_([a-z0-9])/g, (match, c) => c.toUpperCase());
+  }
+
+  /**
+   * Check one value against its schema entry
+   *
+   * @returns {string|null} Error message, or null when valid
+   */
+  checkValue(name, value, rule) {
+    if (rule.type === 'boolean') {
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    }
+    if (rule.type === 'enum') {
+      return rule.values.includes(value) ? null : `${name} must be one of ${rule.values.join(', ')}`;
+    }
+    if (rule.type === 'symbols') {
+      const valid = Array.isArray(value) && value.every(symbol => typeof symbol === 'string' && /^[A-Z][A-Z0-9.-]{0,9}$/.test(symbol));
+      return valid ? null : `${name} must be a list of ticker symbols`;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `${name} must be a number`;
+    }
+    if (rule.type === 'integer' && !Number.isInteger(value)) {
+      return `${name} must be a whole number`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `${name} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${name} must be at most ${rule.max}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Rules that involve more than one setting
+   */
+  checkConfig(config) {
+    const errors = [];
+
+    if (config.MAINTENANCE_MARGIN_LONG > config.INITIAL_MARGIN) {
+      errors.push('maintenanceMarginLong cannot exceed initialMargin');
+    }
+    if (config.MAINTENANCE_MARGIN_SHORT > config.INITIAL_MARGIN) {
+      errors.push('maintenanceMarginShort cannot exceed initialMargin');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate camelCase settings against the current config
+   *
+   * @param {Object} settings - Partial settings by camelCase name
+   * @param {Object} current - Current config by CONFIG key
+   * @returns {Object} { overrides (by CONFIG key), errors }
+   */
+  validate(settings, current = {}) {
+    const overrides = {};
+    const errors = [];
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { overrides, errors: ['Settings must be an object'] };
+    }
+
+    for (const [name, value] of Object.entries(settings)) {
+      const key = ConfigValidator.toConfigKey(name);
+      const rule = this.schema[key];
+
+      if (!rule) {
+        errors.push(`Unknown setting: ${name}`);
+        continue;
+      }
+
+      const error = this.checkValue(name, value, rule);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+
+      overrides[key] = value;
+    }
+
+    if (errors.length === 0) {
+      errors.push(...this.checkConfig({ ...current, ...overrides }));
+    }
+
+    return { overrides, errors };
+  }
+
+  /**
+   * Schema with camelCase setting names, for clients building forms
+   */
+  describe() {
+    return Object.entries(this.schema).map(([key, rule]) => ({
+      name: ConfigValidator.toSettingName(key),
+      ...rule
+    }));
+  }
+}
+
+ConfigValidator.SCHEMA = SCHEMA;
+
+module.exports = ConfigValidator;
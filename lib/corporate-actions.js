@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./portfolio-store');
+
+// SPLIT carries ratio (new shares per old share: 4 for 4-for-1, 0.1 for 1-for-10);
+// DIVIDEND carries amount (cash per share)
+const ACTION_TYPES = ['SPLIT', 'DIVIDEND'];
+
+/**
+ * Round to a fixed number of decimals
+ */
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Corporate Actions
+ *
+ * Stock splits and cash dividends, kept in data/corporate-actions.json:
+ * - Fetched from Yahoo Finance (chart events) or added to the file by hand as
+ *   { symbol, type: 'SPLIT', date, ratio } or { symbol, type: 'DIVIDEND', date, amount },
+ *   where date is the ex-date (YYYY-MM-DD)
+ * - Back-adjusts stored daily bars for splits (prices / ratio and
+ *   volume * ratio before the ex-date) so indicator history lines up with
+ *   post-split prices
+ * - Lists the actions due by a date, for the engine to apply to positions
+ *
+ * Yahoo's daily closes are split-adjusted but not dividend-adjusted, so only
+ * splits touch the bars. A split is applied to a file only while its bars
+ * still jump by the split ratio at the ex-date; files downloaded after the
+ * split are left as they are. Either way the action is marked barsAdjusted.
+ */
+class CorporateActions {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'historical-data');
+    this.actionsFile = options.actionsFile || path.join(__dirname, '..', 'data', 'corporate-actions.json');
+    this.yahooFinance = options.yahooFinance || null;
+
+    this.actions = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Initialize Yahoo Finance connection (only needed to fetch actions)
+   */
+  async initialize() {
+    if (this.yahooFinance) return true;
+    try {
+      const YahooFinance = require('yahoo-finance2').default;
+      this.yahooFinance = new YahooFinance();
+      return true;
+    } catch (error) {
+      throw new Error('yahoo-finance2 package not installed. Run: npm install yahoo-finance2');
+    }
+  }
+
+  /**
+   * Validate an action and give it its id
+   */
+  normalize(action) {
+    const symbol = String(action.symbol || '').toUpperCase();
+    const type = String(action.type || '').toUpperCase();
+    const date = String(action.date || '').split('T')[0];
+
+    if (!symbol) throw new Error('Corporate action needs a symbol');
+    if (!ACTION_TYPES.includes(type)) throw new Error(`Corporate action type must be one of ${ACTION_TYPES.join(', ')}`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`${symbol} ${type}: date must be YYYY-MM-DD`);
+
+    const normalized = { id: `${symbol}:${type}:${date}`, symbol, type, date };
+    if (type === 'SPLIT') {
+      if (!(action.ratio > 0) || action.ratio === 1) throw new Error(`${symbol} split on ${date}: ratio must be positive and not 1`);
+      normalized.ratio = action.ratio;
+      normalized.barsAdjusted = action.barsAdjusted === true;
+    } else {
+      if (!(action.amount > 0)) throw new Error(`${symbol} dividend on ${date}: amount must be positive`);
+      normalized.amount = action.amount;
+    }
+    normalized.source = action.source || 'file';
+    return normalized;
+  }
+
+  /**
+   * All known actions by ex-date (re-read when the file changes)
+   */
+  load() {
+    if (!fs.existsSync(this.actionsFile)) {
+      this.actions = [];
+      this.loadedMtime = null;
+      return this.actions;
+    }
+
+    const mtime = fs.statSync(this.actionsFile).mtimeMs;
+    if (this.actions && mtime === this.loadedMtime) {
+      return this.actions;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.actionsFile, 'utf8'));
+    const list = Array.isArray(data) ? data : data.actions || [];
+    this.actions = list.map(action => this.normalize(action)).sort((a, b) => a.date.localeCompare(b.date));
+    this.loadedMtime = mtime;
+    return this.actions;
+  }
+
+  /**
+   * Save actions to file
+   */
+  save(actions) {
+    const dir = path.dirname(this.actionsFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    writeFileAtomic(this.actionsFile, JSON.stringify({ actions }, null, 2));
+    this.actions = actions;
+    this.loadedMtime = fs.statSync(this.actionsFile).mtimeMs;
+  }
+
+  /**
+   * Actions filtered by symbol, type and ex-date range (inclusive)
+   */
+  getActions(filter = {}) {
+    return this.load()
+      .filter(a => !filter.symbol || a.symbol === filter.symbol)
+      .filter(a => !filter.type || a.type === filter.type)
+      .filter(a => !filter.from || a.date >= filter.from)
+      .filter(a => !filter.to || a.date <= filter.to);
+  }
+
+  /**
+   * Add actions not already known (same symbol, type and ex-date)
+   *
+   * @returns {Array} The actions that were added
+   */
+  addActions(actions, source = 'file') {
+    const existing = this.load();
+    const known = new Set(existing.map(a => a.id));
+    const added = [];
+
+    for (const action of actions) {
+      const normalized = this.normalize({ source, ...action });
+      if (known.has(normalized.id)) continue;
+      known.add(normalized.id);
+      added.push(normalized);
+    }
+
+    if (added.length > 0) {
+      this.save([...existing, ...added].sort((a, b) => a.date.localeCompare(b.date)));
+    }
+    return added;
+  }
+
+  /**
+   * Fetch splits and dividends since a date from Yahoo Finance and add new ones
+   *
+   * @returns {Array} The actions that were added
+   */
+  async fetchActions(symbol, since) {
+    if (!this.yahooFinance) {
+      throw new Error('Yahoo Finance not initialized. Call initialize() first.');
+    }
+
+    const chart = await this.yahooFinance.chart(symbol, {
+      period1: since,
+      interval: '1d',
+      events: 'div|split'
+    });
+
+    const events = chart.events || {};
+    const list = value => Array.isArray(value) ? value : Object.values(value || {});
+    const day = date => new Date(date).toISOString().split('T')[0];
+
+    const actions = [
+      ...list(events.splits).map(split => ({
+        symbol,
+        type: 'SPLIT',
+        date: day(split.date),
+        ratio: split.numerator / split.denominator
+      })),
+      ...list(events.dividends).map(dividend => ({
+        symbol,
+        type: 'DIVIDEND',
+        date: day(dividend.date),
+        amount: dividend.amount
+      }))
+    ];
+
+    return this.addActions(actions, 'yahoo');
+  }
+
+  /**
+   * Whether bars still show a split's price jump at its ex-date
+   *
+   * Compares the close before the ex-date with the close on it: an
+   * unadjusted series moves by about the ratio, an adjusted one by about 1.
+   */
+  needsAdjustment(bars, split) {
+    const next = bars.findIndex(bar => bar.date >= split.date);
+    if (next <= 0) return false;
+
+    const move = Math.log(bars[next - 1].close / bars[next].close);
+    return Math.abs(move - Math.log(split.ratio)) < Math.abs(move);
+  }
+
+  /**
+   * Back-adjust bars for the symbol's splits not yet applied to them
+   *
+   * Splits dated after the last bar wait for the bars that show them.
+   *
+   * @param {string} symbol - Symbol of the bars
+   * @param {Array} bars - Daily bars sorted by date
+   * @returns {Object} { bars, adjusted: [split], unchanged: [split] }
+   */
+  adjustBars(symbol, bars) {
+    const adjusted = [];
+    const unchanged = [];
+    let result = bars;
+
+    if (!bars || bars.length === 0) {
+      return { bars, adjusted, unchanged };
+    }
+    const lastDate = bars[bars.length - 1].date;
+
+    for (const split of this.getActions({ symbol, type: 'SPLIT' })) {
+      if (split.barsAdjusted || split.date > lastDate) continue;
+
+      if (!this.needsAdjustment(result, split)) {
+        unchanged.push(split);
+        continue;
+      }
+
+      result = result.map(bar => bar.date >= split.date ? bar : {
+        ...bar,
+        open: round(bar.open / split.ratio, 4),
+        high: round(bar.high / split.ratio, 4),
+        low: round(bar.low / split.ratio, 4),
+        close: round(bar.close / split.ratio, 4),
+        volume: Math.round(bar.volume * split.ratio)
+      });
+      adjusted.push(split);
+    }
+
+    return { bars: result, adjusted, unchanged };
+  }
+
+  /**
+   * Record that splits are reflected in the stored bars
+   */
+  markBarsAdjusted(splits) {
+    if (splits.length === 0) return;
+    const ids = new Set(splits.map(split => split.id));
+    this.save(this.load().map(action => ids.has(action.id) ? { ...action, barsAdjusted: true } : action));
+  }
+
+  /**
+   * Back-adjust a symbol's data file for its pending splits
+   *
+   * @returns {Object} { symbol, adjusted: [split], unchanged: [split] }
+   */
+  adjustDataFile(symbol) {
+    const filePath = path.join(this.dataDir, `${symbol}-5-years.json`);
+    if (!fs.existsSync(filePath)) {
+      return { symbol, adjusted: [], unchanged: [] };
+    }
+
+    const bars = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const { bars: result, adjusted, unchanged } = this.adjustBars(symbol, bars);
+
+    if (adjusted.length > 0) {
+      writeFileAtomic(filePath, JSON.stringify(result, null, 2));
+    }
+    this.markBarsAdjusted([...adjusted, ...unchanged]);
+
+    return { symbol, adjusted, unchanged };
+  }
+
+  /**
+   * Actions with ex-dates on or before a date (YYYY-MM-DD)
+   */
+  dueActions(date) {
+    return this.getActions({ to: date });
+  }
+}
+
+CorporateActions.ACTION_TYPES = ACTION_TYPES;
+
+module.exports = CorporateActions;
@@ -0,0 +1,127 @@
+/**
+ * Transaction Cost Model
+ *
+ * Prices the friction of a fill:
+ * - Commission per share and/or as a percentage of notional (with a minimum)
+ * - Crossing half the bid/ask spread
+ * - Fixed slippage
+ * - Square-root market impact from the order's share of the bar's volume
+ *
+ * Spread, slippage and impact move the fill price against the trader;
+ * commission is charged to cash on top. Resting limit orders fill at their
+ * matched price, so only commission applies to them.
+ *
+ * All options default to zero, which models frictionless fills.
+ */
+class CostModel {
+  constructor(options = {}) {
+    this.commissionPerShare = options.commissionPerShare || 0;
+    this.commissionPercent = options.commissionPercent || 0;
+    this.minCommission = options.minCommission || 0;
+    this.spreadBps = options.spreadBps || 0;
+    this.slippageBps = options.slippageBps || 0;
+    this.impactCoefficient = options.impactCoefficient || 0;
+  }
+
+  /**
+   * Build a cost model from server-style CONFIG keys
+   */
+  static fromConfig(config) {
+    return new CostModel({
+      commissionPerShare: config.COMMISSION_PER_SHARE,
+      commissionPercent: config.COMMISSION_PERCENT,
+      minCommission: config.MIN_COMMISSION,
+      spreadBps: config.SPREAD_BPS,
+      slippageBps: config.SLIPPAGE_BPS,
+      impactCoefficient: config.IMPACT_COEFFICIENT
+    });
+  }
+
+  /**
+   * Commission for a fill
+   */
+  commission(shares, price) {
+    if (shares <= 0) return 0;
+    const commission = shares * this.commissionPerShare + shares * price * this.commissionPercent;
+    return commission > 0 ? Math.max(commission, this.minCommission) : 0;
+  }
+
+  /**
+   * Market impact as a fraction of price
+   *
+   * impactCoefficient * sqrt(shares / volume); zero without volume data.
+   */
+  impactFraction(shares, volume) {
+    if (!this.impactCoefficient || !(volume > 0)) return 0;
+    return this.impactCoefficient * Math.sqrt(shares / volume);
+  }
+
+  /**
+   * Estimate the fill price and costs of an order
+   *
+   * An order that fills when placed crosses the spread whatever its type;
+   * only a limit order that rested and was filled later (resting) pays
+   * commission alone. With a limitPrice the fill never goes past the limit:
+   * spread, slippage and impact are cut to what fits within it.
+   *
+   * @param {Object} order - { side: 'BUY'|'SELL'|'SHORT'|'COVER', shares, price, volume, resting, limitPrice }
+   * @returns {Object} { fillPrice, commission, spread, slippage, impact, total }
+   */
+  estimate(order) {
+    const { side, shares, price, volume = null, resting = false, limitPrice = null } = order;
+    const direction = side === 'BUY' || side === 'COVER' ? 1 : -1;
+
+    let spreadFraction = 0;
+    let slippageFraction = 0;
+    let impactFraction = 0;
+
+    if (!resting) {
+      spreadFraction = this.spreadBps / 2 / 10000;
+      slippageFraction = this.slippageBps / 10000;
+      impactFraction = this.impactFraction(shares, volume);
+    }
+
+    // Scale the frictions down so the fill stays within the limit
+    const friction = spreadFraction + slippageFraction + impactFraction;
+    if (limitPrice && friction > 0) {
+      const room = Math.max(0, direction * (limitPrice - price) / price);
+      if (room < friction) {
+        const scale = room / friction;
+        spreadFraction *= scale;
+        slippageFraction *= scale;
+        impactFraction *= scale;
+      }
+    }
+
+    const fillPrice = price * (1 + direction * (spreadFraction + slippageFraction + impactFraction));
+    const spread = shares * price * spreadFraction;
+    const slippage = shares * price * slippageFraction;
+    const impact = shares * price * impactFraction;
+    const commission = this.commission(shares, fillPrice);
+
+    return {
+      fillPrice,
+      commission,
+      spread,
+      slippage,
+      impact,
+      total: commission + spread + slippage + impact
+    };
+  }
+
+  /**
+   * Current settings
+   */
+  getSettings() {
+    return {
+      commissionPerShare: this.commissionPerShare,
+      commissionPercent: this.commissionPercent,
+      minCommission: this.minCommission,
+      spreadBps: this.spreadBps,
+      slippageBps: this.slippageBps,
+      impactCoefficient: this.impactCoefficient
+    };
+  }
+}
+
+module.exports = CostModel;
@@ -1,14 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const Universe = require('./universe');
 
 /**
  * Data Refresh System for Neural Trader
  *
  * Handles incremental updates of historical market data:
+ * - Refreshes the ACTIVE symbols of the universe registry
+ * - Downloads the full history of symbols that have no data file yet
  * - Loads existing data files
  * - Fetches only new bars since last update
  * - Validates data quality
  * - Merges and saves updated files
+ * - Back-adjusts stored bars for stock splits (options.corporateActions)
  * - Logs all refresh operations
  */
 class DataRefreshSystem {
@@ -18,6 +22,9 @@ class DataRefreshSystem {
     this.yahooFinance = null;
     this.maxBarsPerFetch = options.maxBarsPerFetch || 100;
     this.rateLimitDelay = options.rateLimitDelay || 1000; // ms between requests
+    this.corporateActions = options.corporateActions || null; // CorporateActions: splits and dividends
+    this.universe = options.universe || new Universe({ dataDir: this.dataDir });
+    this.historyYears = options.historyYears || 5; // Initial download for new symbols
   }
 
   /**
@@ -27,6 +34,9 @@ class DataRefreshSystem {
     try {
       const YahooFinance = require('yahoo-finance2').default;
       this.yahooFinance = new YahooFinance();
+      if (this.corporateActions) {
+        this.corporateActions.yahooFinance = this.yahooFinance;
+      }
       return true;
     } catch (error) {
       throw new Error('yahoo-finance2 package not installed. Run: npm install yahoo-finance2');
@@ -34,13 +44,10 @@ class DataRefreshSystem {
   }
 
   /**
-   * Get list of all symbols from existing data files
+   * Get list of ACTIVE symbols from the universe registry
    */
   async getSymbolList() {
-    const files = fs.readdirSync(this.dataDir)
-      .filter(f => f.endsWith('-5-years.json'));
-
-    return files.map(f => f.replace('-5-years.json', ''));
+    return this.universe.activeSymbols();
   }
 
   /**
@@ -75,25 +82,13 @@ class DataRefreshSystem {
   }
 
   /**
-   * Fetch new bars since last date
+   * Fetch daily bars between two dates
    */
-  async fetchNewBars(symbol, lastDate) {
+  async fetchBars(symbol, startDate, endDate) {
     if (!this.yahooFinance) {
       throw new Error('Yahoo Finance not initialized. Call initialize() first.');
     }
 
-    // Calculate start date (day after last bar)
-    const startDate = new Date(lastDate);
-    startDate.setDate(startDate.getDate() + 1);
-
-    // End date is today
-    const endDate = new Date();
-
-    // If no new data needed, return empty
-    if (startDate >= endDate) {
-      return [];
-    }
-
     try {
       const data = await this.yahooFinance.historical(symbol, {
         period1: startDate.toISOString().split('T')[0],
@@ -117,11 +112,87 @@ class DataRefreshSystem {
     }
   }
 
+  /**
+   * Fetch new bars since last date
+   */
+  async fetchNewBars(symbol, lastDate) {
+    // Calculate start date (day after last bar)
+    const startDate = new Date(lastDate);
+    startDate.setDate(startDate.getDate() + 1);
+
+    // End date is today
+    const endDate = new Date();
+
+    // If no new data needed, return empty
+    if (startDate >= endDate) {
+      return [];
+    }
+
+    return this.fetchBars(symbol, startDate, endDate);
+  }
+
+  /**
+   * Download the full history of a symbol that has no data file yet
+   *
+   * Records the download state on the symbol's universe entry.
+   */
+  async downloadHistory(symbol) {
+    const startTime = Date.now();
+    const result = {
+      symbol,
+      timestamp: new Date().toISOString(),
+      success: false,
+      newBars: 0,
+      totalBars: 0,
+      errors: []
+    };
+
+    this.universe.setHistory(symbol, { status: 'DOWNLOADING' });
+
+    try {
+      const endDate = new Date();
+      const startDate = new Date(endDate);
+      startDate.setFullYear(startDate.getFullYear() - this.historyYears);
+
+      const bars = await this.fetchBars(symbol, startDate, endDate);
+      if (bars.length === 0) {
+        throw new Error('No bars returned');
+      }
+
+      // Years of history usually hold a few zero-volume days; anything else blocks the download
+      const issues = this.validateData(symbol, bars).issues.filter(issue => !issue.includes('Zero volume'));
+      if (issues.length > 0) {
+        result.errors.push(...issues);
+        result.message = 'Data validation failed';
+        this.universe.setHistory(symbol, { status: 'FAILED', error: issues[0] });
+        return result;
+      }
+
+      this.saveData(symbol, bars);
+      this.universe.setHistory(symbol, { status: 'READY', bars: bars.length });
+
+      result.success = true;
+      result.newBars = bars.length;
+      result.totalBars = bars.length;
+      result.message = `Downloaded ${bars.length} bars`;
+      result.duration = Date.now() - startTime;
+    } catch (error) {
+      result.errors.push(error.message);
+      result.message = 'Download failed';
+      this.universe.setHistory(symbol, { status: 'FAILED', error: error.message });
+    }
+
+    return result;
+  }
+
   /**
    * Validate data quality
+   *
+   * options.splitDates exempts known split ex-dates from the suspicious move check.
    */
-  validateData(symbol, bars) {
+  validateData(symbol, bars, options = {}) {
     const issues = [];
+    const splitDates = new Set(options.splitDates || []);
 
     if (!bars || bars.length === 0) {
       return { valid: true, issues: [] };
@@ -146,7 +217,7 @@ class DataRefreshSystem {
       }
 
       // Check for suspicious price movements (>50% in one day)
-      if (i > 0) {
+      if (i > 0 && !splitDates.has(bar.date)) {
         const prevClose = bars[i - 1].close;
         const change = Math.abs((bar.close - prevClose) / prevClose);
         if (change > 0.5) {
@@ -257,11 +328,10 @@ class DataRefreshSystem {
     };
 
     try {
-      // Load existing data
+      // Load existing data (new symbols get their full history)
       const existingData = this.loadExistingData(symbol);
       if (!existingData) {
-        result.errors.push('No existing data file found');
-        return result;
+        return this.downloadHistory(symbol);
       }
 
       result.totalBars = existingData.length;
@@ -277,29 +347,51 @@ class DataRefreshSystem {
       const newBars = await this.fetchNewBars(symbol, lastDate);
       result.newBars = newBars.length;
 
-      if (newBars.length === 0) {
+      // Merge data
+      let merged = this.mergeData(existingData, newBars);
+
+      // Back-adjust for splits, so a split between the stored and the new bars is no jump
+      let splits = { adjusted: [], unchanged: [] };
+      if (this.corporateActions) {
+        if (this.corporateActions.yahooFinance) {
+          await this.corporateActions.fetchActions(symbol, existingData[0].date);
+        }
+        splits = this.corporateActions.adjustBars(symbol, merged);
+        merged = splits.bars;
+        result.splitsAdjusted = splits.adjusted.map(split => split.date);
+      }
+
+      if (newBars.length === 0 && splits.adjusted.length === 0) {
+        if (this.corporateActions) this.corporateActions.markBarsAdjusted(splits.unchanged);
         result.success = true;
         result.message = 'Already up to date';
         return result;
       }
 
       // Validate new bars
-      const validation = this.validateData(symbol, newBars);
+      const lastDay = lastDate.toISOString().split('T')[0];
+      const validation = this.validateData(symbol, merged.filter(bar => bar.date > lastDay), {
+        splitDates: this.corporateActions ? this.corporateActions.getActions({ symbol, type: 'SPLIT' }).map(split => split.date) : []
+      });
       if (!validation.valid) {
         result.errors.push(...validation.issues);
         result.message = 'Data validation failed';
         return result;
       }
 
-      // Merge data
-      const merged = this.mergeData(existingData, newBars);
       result.totalBars = merged.length;
 
       // Save updated data
       this.saveData(symbol, merged);
+      if (this.corporateActions) {
+        this.corporateActions.markBarsAdjusted([...splits.adjusted, ...splits.unchanged]);
+      }
 
       result.success = true;
       result.message = `Added ${newBars.length} new bars`;
+      if (splits.adjusted.length > 0) {
+        result.message += `, adjusted for ${splits.adjusted.length} split(s)`;
+      }
       result.duration = Date.now() - startTime;
 
     } catch (error) {
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CURRENT_FILE = 'decisions.jsonl';
+
+/**
+ * Decision Log
+ *
+ * Persistent, append-only record of what the system decided and why (the
+ * dashboard's thinking log), one JSON line per event:
+ *   { id, timestamp, replayDate, type, account, symbol, message, data }
+ * - Signal decisions carry the features used, per-model outputs and each
+ *   threshold comparison; trades carry the decisionId of the event behind them
+ * - decisions.jsonl rotates to decisions-<timestamp>.jsonl at maxFileBytes,
+ *   keeping the newest maxFiles files
+ * - Queries by account, symbol, type and time range, newest first, paged
+ *   with offset / limit; files are read asynchronously from the end in
+ *   chunks, and reading stops once the page is full
+ * - Lookups by id read only the file the id's time prefix falls in
+ *
+ * Lines that do not parse (a write cut short by a crash) are skipped.
+ */
+class DecisionLog {
+  constructor(options = {}) {
+    this.logDir = options.logDir || path.join(__dirname, '..', 'logs', 'decisions');
+    this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 20;
+    this.chunkBytes = options.chunkBytes || 64 * 1024; // Read size when scanning a file backwards
+    this.currentFile = path.join(this.logDir, CURRENT_FILE);
+  }
+
+  /**
+   * Time-ordered event id
+   */
+  generateId() {
+    return `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Epoch milliseconds of an event id's time prefix (null when malformed)
+   */
+  idTime(id) {
+    const match = /^([0-9a-z]+)-[0-9a-f]+$/.exec(id || '');
+    return match ? parseInt(match[1], 36) : null;
+  }
+
+  /**
+   * Epoch milliseconds a rotated file was closed at, from its name
+   */
+  rotatedAt(file) {
+    const match = /^decisions-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.jsonl$/.exec(path.basename(file));
+    return match ? Date.parse(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`) : null;
+  }
+
+  /**
+   * Append an event, rotating the file first when it is full
+   *
+   * @param {Object} event - { timestamp, type, account, symbol, message, data, replayDate }
+   * @returns {Object} The event with its id
+   */
+  append(event) {
+    if (!fs.existsSync(this.logDir)) {
+      fs.mkdirSync(this.logDir, { recursive: true });
+    }
+
+    const entry = { id: this.generateId(), ...event };
+    const line = JSON.stringify(entry) + '\n';
+
+    if (fs.existsSync(this.currentFile) && fs.statSync(this.currentFile).size + Buffer.byteLength(line) > this.maxFileBytes) {
+      this.rotate();
+    }
+    fs.appendFileSync(this.currentFile, line);
+
+    return entry;
+  }
+
+  /**
+   * Rotated files, newest first
+   */
+  rotatedFiles() {
+    return fs.readdirSync(this.logDir)
+      .filter(file => /^decisions-.+\.jsonl$/.test(file))
+      .sort()
+      .reverse();
+  }
+
+  /**
+   * Start a new current file and drop rotated files beyond maxFiles
+   */
+  rotate() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    fs.renameSync(this.currentFile, path.join(this.logDir, `decisions-${stamp}.jsonl`));
+
+    this.rotatedFiles()
+      .slice(this.maxFiles - 1)
+      .forEach(file => fs.unlinkSync(path.join(this.logDir, file)));
+  }
+
+  /**
+   * Log files, newest first
+   */
+  files() {
+    if (!fs.existsSync(this.logDir)) {
+      return [];
+    }
+    const files = this.rotatedFiles().map(file => path.join(this.logDir, file));
+    return fs.existsSync(this.currentFile) ? [this.currentFile, ...files] : files;
+  }
+
+  /**
+   * Parse one log line (null when empty or torn)
+   */
+  parseLine(line) {
+    if (line.length === 0) return null;
+    try {
+      return JSON.parse(line.toString('utf8'));
+    } catch (error) {
+      return null; // Torn write
+    }
+  }
+
+  /**
+   * Events in a file, newest first, read backwards in chunks
+   *
+   * Lines are split on the newline byte, which never occurs inside a
+   * multi-byte character, so a chunk boundary cannot break a line.
+   */
+  async *readBackward(file) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return; // Rotated away meanwhile
+      throw error;
+    }
+
+    try {
+      let position = (await handle.stat()).size;
+      let rest = Buffer.alloc(0); // Start of the last line read, continued in the next chunk
+
+      while (position > 0) {
+        const size = Math.min(this.chunkBytes, position);
+        position -= size;
+        const chunk = Buffer.alloc(size);
+        await handle.read(chunk, 0, size, position);
+
+        const buffer = Buffer.concat([chunk, rest]);
+        let end = buffer.length;
+        for (let newline = buffer.lastIndexOf(10, end - 1); newline !== -1; newline = buffer.lastIndexOf(10, end - 1)) {
+          const entry = this.parseLine(buffer.subarray(newline + 1, end));
+          if (entry) yield entry;
+          end = newline;
+          if (end === 0) break;
+        }
+        rest = buffer.subarray(0, end);
+      }
+
+      const entry = this.parseLine(rest);
+      if (entry) yield entry;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Whether an event passes a filter
+   *
+   * from / to are ISO timestamps or dates (a date includes the whole day).
+   */
+  matches(entry, filter) {
+    if (filter.account && entry.account !== filter.account) return false;
+    if (filter.symbol && entry.symbol !== filter.symbol) return false;
+    if (filter.types && !filter.types.includes(entry.type)) return false;
+    if (filter.from && entry.timestamp < filter.from) return false;
+    if (filter.to && entry.timestamp.slice(0, filter.to.length) > filter.to) return false;
+    return true;
+  }
+
+  /**
+   * Events matching a filter, newest first
+   *
+   * @param {Object} filter - { account, symbol, types: [type], from, to, offset, limit }
+   * @returns {Promise<Object>} { events, offset, limit, hasMore }
+   */
+  async query(filter = {}) {
+    const offset = filter.offset || 0;
+    const limit = filter.limit || 50;
+    const events = [];
+    let skipped = 0;
+
+    for (const file of this.files()) {
+      for await (const entry of this.readBackward(file)) {
+        // Older entries and files only hold older events
+        if (filter.from && entry.timestamp < filter.from) {
+          return { events, offset, limit, hasMore: false };
+        }
+        if (!this.matches(entry, filter)) continue;
+
+        if (skipped < offset) {
+          skipped++;
+        } else if (events.length < limit) {
+          events.push(entry);
+        } else {
+          return { events, offset, limit, hasMore: true };
+        }
+      }
+    }
+
+    return { events, offset, limit, hasMore: false };
+  }
+
+  /**
+   * Event by id (null when missing or rotated away)
+   *
+   * The id's time prefix picks the file: the oldest one closed at or after
+   * that time. Within it, the backwards scan stops at older ids.
+   */
+  async get(id) {
+    const time = this.idTime(id);
+    if (time === null) return null;
+
+    const files = this.files().reverse(); // Oldest first; the current file (never closed) last
+    const start = files.findIndex(f => f === this.currentFile || this.rotatedAt(f) === null || this.rotatedAt(f) >= time);
+    if (start === -1) return null;
+
+    for (let i = start; i < files.length; i++) {
+      for await (const entry of this.readBackward(files[i])) {
+        if (entry.id === id) return entry;
+        const entryTime = this.idTime(entry.id);
+        if (entryTime !== null && entryTime < time) break;
+      }
+      // Only a file closed in the id's own millisecond can leave the event to the next one
+      if (this.rotatedAt(files[i]) !== time) break;
+    }
+    return null;
+  }
+}
+
+module.exports = DecisionLog;
@@ -0,0 +1,36 @@
+/**
+ * Default Config
+ *
+ * Settings every paper account starts from (accounts override them one by
+ * one). The backtest and optimization scripts build their cost model from
+ * the same values, so simulated fills cost what paper fills do.
+ */
+const DEFAULT_CONFIG = {
+  INITIAL_CAPITAL: 100000,
+  MAX_POSITION_SIZE: 0.02,
+  STOP_LOSS_PERCENT: 0.02,  // Changed from 5% to 2%
+  TAKE_PROFIT_PERCENT: 0.02,  // Changed from 15% to 2%
+  MIN_CONFIDENCE: 0.43,
+  MAX_POSITIONS: 10,
+  ALLOW_SHORTS: true,
+  INITIAL_MARGIN: 0.5,  // Reg T: 2x buying power
+  MAINTENANCE_MARGIN_LONG: 0.25,
+  MAINTENANCE_MARGIN_SHORT: 0.30,
+  BORROW_FEE_RATE: 0.03,  // Annual, charged daily on short market value
+  MARGIN_INTEREST_RATE: 0.08,  // Annual, charged daily on negative cash
+  COMMISSION_PER_SHARE: 0,
+  COMMISSION_PERCENT: 0.001,  // 0.1% of notional, as in examples/32
+  MIN_COMMISSION: 0,
+  SPREAD_BPS: 2,  // Full bid/ask spread; market fills cross half of it
+  SLIPPAGE_BPS: 5,
+  IMPACT_COEFFICIENT: 0.1,  // Impact = coefficient * sqrt(shares / bar volume)
+  MAX_SECTOR_EXPOSURE: 0.10,  // Pre-trade rules: a limit of 0 turns the rule off
+  DAILY_LOSS_LIMIT: 0.03,  // Trips the kill switch
+  MAX_ORDERS_PER_DAY: 50,
+  MIN_PRICE: 5,
+  MIN_AVG_VOLUME: 100000,  // 20-day average, shares
+  BLOCKED_SYMBOLS: [],
+  LOT_METHOD: 'FIFO'  // Tax lots relieved first: FIFO, LIFO or HIGHEST_COST
+};
+
+module.exports = DEFAULT_CONFIG;
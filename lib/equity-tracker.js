@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./portfolio-store');
+
+/**
+ * Equity Tracker
+ *
+ * Keeps a daily mark-to-market equity series for a paper account and
+ * derives performance analytics from it:
+ * - One point per market date (the benchmark's latest bar date), updated in
+ *   place until the next bar arrives; a date earlier than the last point
+ *   (a replay jump) drops the points after it
+ * - Equity curve and drawdown series
+ * - Sharpe, Sortino, Calmar, max drawdown and exposure from the curve
+ * - Win rate and profit factor from closed trades
+ * - Benchmark comparison (SPY by default) over the same dates
+ *
+ * Points are marked with the engine's margin status, so longs and shorts are
+ * valued at historical-data closes.
+ */
+class EquityTracker {
+  constructor(options = {}) {
+    this.equityFile = options.equityFile || path.join(__dirname, '..', 'paper-equity.json');
+    this.getBars = options.getBars;
+    this.benchmark = options.benchmark || 'SPY';
+    this.riskFreeRate = options.riskFreeRate || 0; // Annual
+    this.periodsPerYear = options.periodsPerYear || 252;
+
+    this.history = null;
+  }
+
+  /**
+   * Load the equity series
+   */
+  load() {
+    if (fs.existsSync(this.equityFile)) {
+      this.history = JSON.parse(fs.readFileSync(this.equityFile, 'utf8'));
+    } else {
+      this.history = [];
+    }
+    return this.history;
+  }
+
+  /**
+   * Save the equity series
+   */
+  save() {
+    writeFileAtomic(this.equityFile, JSON.stringify(this.history, null, 2));
+  }
+
+  /**
+   * Equity series, oldest first
+   */
+  getHistory() {
+    if (!this.history) this.load();
+    return this.history;
+  }
+
+  /**
+   * Current market date: the benchmark's latest bar date, or today without one
+   */
+  currentDate() {
+    const bars = this.getBars(this.benchmark);
+    if (bars && bars.length > 0) {
+      return bars[bars.length - 1].date;
+    }
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Record the account's mark-to-market equity for the current market date
+   *
+   * @param {Object} status - Margin status from PaperTradingEngine.getMarginStatus()
+   * @returns {Object} The recorded point
+   */
+  record(status) {
+    const history = this.getHistory();
+    const point = {
+      date: this.currentDate(),
+      equity: status.equity,
+      cash: status.cash,
+      longMarketValue: status.longMarketValue,
+      shortMarketValue: status.shortMarketValue,
+      grossExposure: status.grossExposure,
+      updatedAt: new Date().toISOString()
+    };
+
+    const last = history[history.length - 1];
+    if (last && last.date === point.date) {
+      if (last.equity === point.equity && last.grossExposure === point.grossExposure) {
+        return last;
+      }
+      history[history.length - 1] = point;
+    } else {
+      // The date moved back (replay jump): the curve restarts from that date
+      while (history.length > 0 && history[history.length - 1].date > point.date) {
+        history.pop();
+      }
+      if (history.length > 0 && history[history.length - 1].date === point.date) {
+        history[history.length - 1] = point;
+      } else {
+        history.push(point);
+      }
+    }
+
+    this.save();
+    return point;
+  }
+
+  /**
+   * Equity at the close of the last market date before the current one
+   * (null before the second recorded date)
+   */
+  startOfDayEquity() {
+    const today = this.currentDate();
+    const previous = this.getHistory().filter(point => point.date < today);
+    return previous.length > 0 ? previous[previous.length - 1].equity : null;
+  }
+
+  /**
+   * Discard the series (account reset)
+   */
+  reset() {
+    this.history = [];
+    if (fs.existsSync(this.equityFile)) {
+      fs.unlinkSync(this.equityFile);
+    }
+  }
+
+  /**
+   * Period returns of a value series
+   */
+  returns(values) {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+      returns.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : 0);
+    }
+    return returns;
+  }
+
+  /**
+   * Drawdown from the running peak at each point (0 to 1)
+   */
+  drawdowns(values) {
+    let peak = -Infinity;
+    return values.map(value => {
+      peak = Math.max(peak, value);
+      return peak > 0 ? (peak - value) / peak : 0;
+    });
+  }
+
+  /**
+   * Return and risk statistics of a value series
+   *
+   * Ratios are null when there is not enough data to compute them.
+   */
+  statistics(values) {
+    const returns = this.returns(values);
+    const drawdowns = this.drawdowns(values);
+    const periodRf = this.riskFreeRate / this.periodsPerYear;
+
+    const totalReturn = values.length > 0 && values[0] > 0 ? values[values.length - 1] / values[0] - 1 : 0;
+    const annualizedReturn = returns.length > 0
+      ? Math.pow(1 + totalReturn, this.periodsPerYear / returns.length) - 1
+      : 0;
+
+    const mean = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+    const variance = returns.length > 1
+      ? returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1)
+      : 0;
+    const stdDev = Math.sqrt(variance);
+    const downside = returns.length > 0
+      ? Math.sqrt(returns.reduce((sum, r) => sum + Math.min(0, r - periodRf) ** 2, 0) / returns.length)
+      : 0;
+    const maxDrawdown = drawdowns.length > 0 ? Math.max(...drawdowns) : 0;
+    const annualize = Math.sqrt(this.periodsPerYear);
+
+    return {
+      totalReturn,
+      annualizedReturn,
+      volatility: stdDev * annualize,
+      sharpe: stdDev > 0 ? ((mean - periodRf) / stdDev) * annualize : null,
+      sortino: downside > 0 ? ((mean - periodRf) / downside) * annualize : null,
+      calmar: maxDrawdown > 0 ? annualizedReturn / maxDrawdown : null,
+      maxDrawdown,
+      returns,
+      drawdowns
+    };
+  }
+
+  /**
+   * Win rate and profit factor of closed trades
+   */
+  tradeStatistics(tradeHistory) {
+    const closed = tradeHistory.filter(t => (t.type === 'SELL' || t.type === 'COVER') && t.pnl !== undefined);
+    const wins = closed.filter(t => t.pnl > 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = closed.filter(t => t.pnl < 0).reduce((sum, t) => sum - t.pnl, 0);
+
+    return {
+      closedTrades: closed.length,
+      winRate: closed.length > 0 ? wins.length / closed.length : null,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      grossProfit,
+      grossLoss
+    };
+  }
+
+  /**
+   * Benchmark closes on the series' dates (latest close on or before each date)
+   */
+  benchmarkCloses(dates, bars = this.getBars(this.benchmark)) {
+    if (!bars || bars.length === 0) return null;
+
+    const closes = [];
+    let i = 0;
+    let close = null;
+    for (const date of dates) {
+      while (i < bars.length && bars[i].date <= date) {
+        close = bars[i].close;
+        i++;
+      }
+      closes.push(close !== null ? close : bars[0].close);
+    }
+    return closes;
+  }
+
+  /**
+   * Performance analytics for the account
+   *
+   * @param {Object} portfolio - Portfolio (for closed trades)
+   * @returns {Object} { startDate, endDate, equityCurve, drawdown, metrics, benchmark }
+   */
+  getPerformance(portfolio) {
+    const history = this.getHistory();
+    const dates = history.map(p => p.date);
+    const values = history.map(p => p.equity);
+    const stats = this.statistics(values);
+    const trades = this.tradeStatistics(portfolio.tradeHistory || []);
+
+    const exposure = history.length > 0
+      ? history.reduce((sum, p) => sum + (p.equity > 0 ? p.grossExposure / p.equity : 0), 0) / history.length
+      : 0;
+
+    const performance = {
+      startDate: dates[0] || null,
+      endDate: dates[dates.length - 1] || null,
+      periods: stats.returns.length,
+      equityCurve: history.map(p => ({ date: p.date, equity: p.equity })),
+      drawdown: history.map((p, i) => ({ date: p.date, drawdown: stats.drawdowns[i] })),
+      metrics: {
+        totalReturn: stats.totalReturn,
+        annualizedReturn: stats.annualizedReturn,
+        volatility: stats.volatility,
+        sharpe: stats.sharpe,
+        sortino: stats.sortino,
+        calmar: stats.calmar,
+        maxDrawdown: stats.maxDrawdown,
+        winRate: trades.winRate,
+        profitFactor: trades.profitFactor,
+        closedTrades: trades.closedTrades,
+        exposure
+      },
+      benchmark: null
+    };
+
+    const closes = this.benchmarkCloses(dates);
+    if (closes && values.length > 0) {
+      const scale = values[0] / closes[0];
+      const benchmarkValues = closes.map(close => close * scale);
+      const benchmarkStats = this.statistics(benchmarkValues);
+
+      performance.benchmark = {
+        symbol: this.benchmark,
+        equityCurve: dates.map((date, i) => ({ date, equity: benchmarkValues[i] })),
+        totalReturn: benchmarkStats.totalReturn,
+        annualizedReturn: benchmarkStats.annualizedReturn,
+        volatility: benchmarkStats.volatility,
+        sharpe: benchmarkStats.sharpe,
+        maxDrawdown: benchmarkStats.maxDrawdown,
+        excessReturn: stats.totalReturn - benchmarkStats.totalReturn,
+        ...this.relativeStatistics(stats.returns, benchmarkStats.returns)
+      };
+    }
+
+    return performance;
+  }
+
+  /**
+   * Beta and correlation of account returns against benchmark returns
+   */
+  relativeStatistics(returns, benchmarkReturns) {
+    const n = returns.length;
+    if (n < 2) {
+      return { beta: null, correlation: null };
+    }
+
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const meanA = mean(returns);
+    const meanB = mean(benchmarkReturns);
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (returns[i] - meanA) * (benchmarkReturns[i] - meanB);
+      varianceA += (returns[i] - meanA) ** 2;
+      varianceB += (benchmarkReturns[i] - meanB) ** 2;
+    }
+
+    return {
+      beta: varianceB > 0 ? covariance / varianceB : null,
+      correlation: varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null
+    };
+  }
+}
+
+module.exports = EquityTracker;
@@ -0,0 +1,119 @@
+/**
+ * Event Stream
+ *
+ * Pushes dashboard updates to browsers over Server-Sent Events:
+ * - One long-lived text/event-stream response per subscriber
+ * - Events published for an account reach only that account's subscribers;
+ *   events without an account (prices, signals, model thinking) reach everyone
+ * - Heartbeat comments keep proxies from closing idle connections
+ * - A retry hint tells EventSource how soon to reconnect
+ *
+ * Events are not buffered: a client that reconnects reloads its state over
+ * the REST API and then follows the stream again.
+ */
+class EventStream {
+  constructor(options = {}) {
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.retryMs = options.retryMs || 3000;
+
+    this.clients = new Set();
+    this.nextId = 1;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Open a stream on an HTTP response
+   *
+   * @param {Object} req - Request (the stream ends when it closes)
+   * @param {Object} res - Response to stream events on
+   * @param {Object} filter - { accountId } receives that account's events
+   */
+  subscribe(req, res, filter = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const client = { res, accountId: filter.accountId || null };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+
+    this.send(client, 'connected', { accountId: client.accountId });
+    return client;
+  }
+
+  /**
+   * Push an event to every matching subscriber
+   *
+   * @param {string} type - Event name (e.g. 'portfolio', 'fill', 'thinking')
+   * @param {*} data - JSON-serializable payload
+   * @param {string} accountId - Account the event belongs to, or null for all
+   * @returns {number} Subscribers reached
+   */
+  publish(type, data, accountId = null) {
+    let delivered = 0;
+
+    for (const client of this.clients) {
+      if (accountId && client.accountId !== accountId) continue;
+      this.send(client, type, data);
+      delivered++;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Write one event to a subscriber
+   */
+  send(client, type, data) {
+    const id = this.nextId++;
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Start heartbeat comments while anyone is subscribed
+   */
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': heartbeat\n\n');
+      }
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop heartbeat comments
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Subscriber counts, overall and by account
+   */
+  getStats() {
+    const byAccount = {};
+    for (const client of this.clients) {
+      const key = client.accountId || 'all';
+      byAccount[key] = (byAccount[key] || 0) + 1;
+    }
+    return { clients: this.clients.size, byAccount };
+  }
+}
+
+module.exports = EventStream;
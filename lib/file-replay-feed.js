@@ -0,0 +1,114 @@
+const fs = require('fs');
+const MarketDataFeed = require('./market-data-feed');
+
+/**
+ * File Replay Feed
+ *
+ * Replays recorded intraday data from a file, offline:
+ * - CSV with a header row: symbol,timestamp,open,high,low,close,volume
+ *   (rows with a price column instead of OHLC are quotes; bid/ask optional)
+ * - JSON array or JSON lines with the same fields
+ *
+ * Rows are played in timestamp order, rowsPerPoll at a time. Rows for
+ * symbols outside the feed's symbol list are skipped when a list is given.
+ * With loop set, playback starts over at the end of the file.
+ */
+class FileReplayFeed extends MarketDataFeed {
+  constructor(options = {}) {
+    super({ name: 'file', pollIntervalMs: 1000, ...options });
+    this.file = options.file;
+    this.rowsPerPoll = options.rowsPerPoll || 10;
+    this.loop = options.loop || false;
+
+    this.rows = [];
+    this.position = 0;
+  }
+
+  /**
+   * Read and sort the file's rows
+   */
+  async initialize() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      throw new Error(`Market data file not found: ${this.file}`);
+    }
+
+    const contents = fs.readFileSync(this.file, 'utf8');
+    const rows = this.file.endsWith('.csv') ? this.parseCsv(contents) : this.parseJson(contents);
+
+    this.rows = rows
+      .filter(row => row.symbol && row.timestamp)
+      .filter(row => this.symbols.length === 0 || this.symbols.includes(row.symbol))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    this.position = 0;
+
+    return true;
+  }
+
+  /**
+   * Parse CSV rows (header row names the columns)
+   */
+  parseCsv(contents) {
+    const lines = contents.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const columns = lines[0].split(',').map(c => c.trim());
+    return lines.slice(1).map(line => {
+      const values = line.split(',').map(v => v.trim());
+      const row = {};
+      columns.forEach((column, i) => {
+        const value = values[i];
+        row[column] = column === 'symbol' || column === 'timestamp' ? value : (value === '' || value === undefined ? undefined : Number(value));
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Parse a JSON array or JSON lines
+   */
+  parseJson(contents) {
+    const trimmed = contents.trim();
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed);
+    }
+    return trimmed.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Play the next rows
+   */
+  async poll() {
+    if (this.position >= this.rows.length) {
+      if (!this.loop || this.rows.length === 0) {
+        this.stop();
+        return;
+      }
+      this.position = 0;
+    }
+
+    const batch = this.rows.slice(this.position, this.position + this.rowsPerPoll);
+    this.position += batch.length;
+
+    for (const row of batch) {
+      if (row.close === undefined && row.price !== undefined) {
+        this.handleQuote(row);
+      } else {
+        this.handleBar(row);
+      }
+    }
+  }
+
+  /**
+   * Feed status with playback progress
+   */
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      file: this.file,
+      played: this.position,
+      total: this.rows.length
+    };
+  }
+}
+
+module.exports = FileReplayFeed;
@@ -0,0 +1,157 @@
+/**
+ * Market Data Feed
+ *
+ * Base class for intraday data sources. A feed polls its source on an
+ * interval and writes what it gets into a BarStore:
+ * - handleQuote({ symbol, price, bid, ask, timestamp })
+ * - handleBar({ symbol, timestamp, open, high, low, close, volume })
+ *
+ * Adapters implement poll(); initialize() is optional. Errors in a poll are
+ * counted and reported through getStatus() and onError, and polling goes on.
+ *
+ * MarketDataFeed.create(name, options) builds an adapter by name:
+ * yahoo, alpaca or file (offline CSV / JSON replay).
+ */
+class MarketDataFeed {
+  constructor(options = {}) {
+    this.name = options.name || 'feed';
+    this.barStore = options.barStore;
+    this.symbols = options.symbols || [];
+    this.pollIntervalMs = options.pollIntervalMs || 15000;
+    this.onUpdate = options.onUpdate || null; // (symbols) => void after a poll with new data
+    this.onError = options.onError || null; // (error) => void
+
+    this.timer = null;
+    this.running = false;
+    this.updated = new Set();
+    this.status = {
+      quotes: 0,
+      bars: 0,
+      errors: 0,
+      lastPollAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Build a feed adapter by name
+   *
+   * @param {string} name - 'yahoo', 'alpaca' or 'file'
+   * @param {Object} options - Feed options (see each adapter)
+   */
+  static create(name, options = {}) {
+    switch (name) {
+      case 'yahoo':
+        return new (require('./yahoo-feed'))(options);
+      case 'alpaca':
+        return new (require('./alpaca-feed'))(options);
+      case 'file':
+        return new (require('./file-replay-feed'))(options);
+      default:
+        throw new Error(`Unknown market data feed: ${name} (use yahoo, alpaca or file)`);
+    }
+  }
+
+  /**
+   * Prepare the source (load clients, read files); override as needed
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Fetch new data and hand it to handleQuote / handleBar; override
+   */
+  async poll() {
+    throw new Error(`${this.name} feed does not implement poll()`);
+  }
+
+  /**
+   * Store a quote
+   */
+  handleQuote(quote) {
+    if (!(quote.price > 0) || !quote.timestamp) return;
+    this.barStore.addQuote({ ...quote, source: this.name });
+    this.status.quotes++;
+    this.updated.add(quote.symbol);
+  }
+
+  /**
+   * Store a minute bar
+   */
+  handleBar(bar) {
+    if (!(bar.close > 0) || !bar.timestamp) return;
+    this.barStore.addBar({ ...bar, source: this.name });
+    this.status.bars++;
+    this.updated.add(bar.symbol);
+  }
+
+  /**
+   * Run one poll and report what changed
+   */
+  async tick() {
+    try {
+      await this.poll();
+      this.status.lastPollAt = new Date().toISOString();
+      this.barStore.flush();
+    } catch (error) {
+      this.status.errors++;
+      this.status.lastError = error.message;
+      if (this.onError) this.onError(error);
+    }
+
+    if (this.updated.size > 0) {
+      const symbols = [...this.updated];
+      this.updated.clear();
+      if (this.onUpdate) this.onUpdate(symbols);
+    }
+  }
+
+  /**
+   * Start polling
+   */
+  async start() {
+    if (this.running) return this.getStatus();
+
+    await this.initialize();
+    this.running = true;
+
+    const loop = async () => {
+      if (!this.running) return;
+      await this.tick();
+      if (this.running) {
+        this.timer = setTimeout(loop, this.pollIntervalMs);
+      }
+    };
+    await loop();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Feed status
+   */
+  getStatus() {
+    return {
+      feed: this.name,
+      running: this.running,
+      symbols: this.symbols.length,
+      pollIntervalMs: this.pollIntervalMs,
+      ...this.status
+    };
+  }
+}
+
+module.exports = MarketDataFeed;
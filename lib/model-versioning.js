@@ -94,6 +94,12 @@ class ModelVersioning {
 
       // Copy directory recursively
       this.copyDirSync(sourceDir, targetDir);
+
+      // Carry normalization params with the model (models/phase5-ensemble-modelN-params.json)
+      const paramsPath = `${fs.realpathSync(sourceDir)}-params.json`;
+      if (fs.existsSync(paramsPath)) {
+        fs.copyFileSync(paramsPath, path.join(targetDir, 'params.json'));
+      }
     }
 
     // Gather Git information
@@ -0,0 +1,15 @@
+const { parentPort, workerData } = require('worker_threads');
+const Optimizer = require('./optimizer');
+
+/**
+ * Optimizer worker thread: evaluates one parameter set per message
+ */
+const evaluate = Optimizer.createEvaluator(workerData);
+
+parentPort.on('message', async ({ id, params }) => {
+  try {
+    parentPort.postMessage({ id, result: await evaluate(params) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
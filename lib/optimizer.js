@@ -0,0 +1,834 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const Backtester = require('./backtester');
+const CostModel = require('./cost-model');
+const EquityTracker = require('./equity-tracker');
+const StrategyRegistry = require('./strategy-registry');
+const WalkForward = require('./walk-forward');
+
+const METHODS = ['grid', 'random', 'bayesian'];
+const OBJECTIVES = ['sharpe', 'sortino', 'calmar', 'totalReturn', 'annualizedReturn'];
+
+const EULER_GAMMA = 0.5772156649;
+
+// Segments allowed (C(16, 8) = 12,870 splits), and the splits scored for the
+// probability of overfitting before they are sampled instead of enumerated
+const MAX_SEGMENTS = 16;
+const MAX_PBO_SPLITS = 1000;
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's approximation)
+ */
+function normalInverse(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Mean, standard deviation, skewness and (non-excess) kurtosis of a sample
+ */
+function moments(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+  const std = Math.sqrt(variance);
+  if (std === 0) {
+    return { mean, std, skew: 0, kurtosis: 3 };
+  }
+  return {
+    mean,
+    std,
+    skew: values.reduce((sum, v) => sum + ((v - mean) / std) ** 3, 0) / n,
+    kurtosis: values.reduce((sum, v) => sum + ((v - mean) / std) ** 4, 0) / n
+  };
+}
+
+/**
+ * All ways to choose k of the indexes 0..n-1
+ */
+function combinations(n, k) {
+  const result = [];
+  const pick = (start, chosen) => {
+    if (chosen.length === k) {
+      result.push(chosen.slice());
+      return;
+    }
+    for (let i = start; i <= n - (k - chosen.length); i++) {
+      chosen.push(i);
+      pick(i + 1, chosen);
+      chosen.pop();
+    }
+  };
+  pick(0, []);
+  return result;
+}
+
+/**
+ * `count` distinct random k-subsets of 0..n-1 (each sorted)
+ */
+function sampleCombinations(n, k, count, random) {
+  const seen = new Set();
+  const result = [];
+  while (result.length < count) {
+    const pool = Array.from({ length: n }, (_, i) => i);
+    for (let i = 0; i < k; i++) {
+      const j = i + Math.floor(random() * (n - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    const subset = pool.slice(0, k).sort((a, b) => a - b);
+    const key = subset.join(',');
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push(subset);
+    }
+  }
+  return result;
+}
+
+/**
+ * Binomial coefficient C(n, k)
+ */
+function choose(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return Math.round(result);
+}
+
+/**
+ * Runs evaluations on worker threads, one candidate per message
+ */
+class WorkerPool {
+  constructor(size, setup) {
+    this.onError = null;
+    this.workers = Array.from({ length: size }, () => {
+      const worker = new Worker(path.join(__dirname, 'optimizer-worker.js'), { workerData: setup });
+      worker.on('error', error => {
+        if (this.onError) this.onError(error);
+      });
+      return worker;
+    });
+  }
+
+  /**
+   * Evaluate parameter sets, results in input order
+   */
+  run(paramSets) {
+    return new Promise((resolve, reject) => {
+      const results = new Array(paramSets.length);
+      let next = 0;
+      let done = 0;
+      if (paramSets.length === 0) {
+        resolve(results);
+        return;
+      }
+
+      const feed = worker => {
+        if (next >= paramSets.length) return;
+        const id = next++;
+        worker.once('message', message => {
+          if (message.error) {
+            reject(new Error(message.error));
+            return;
+          }
+          results[id] = message.result;
+          if (++done === paramSets.length) {
+            resolve(results);
+          } else {
+            feed(worker);
+          }
+        });
+        worker.postMessage({ id, params: paramSets[id] });
+      };
+
+      this.onError = reject;
+      this.workers.forEach(feed);
+    });
+  }
+
+  /**
+   * Stop the workers
+   */
+  close() {
+    return Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+/**
+ * Optimizer
+ *
+ * Parameter search for registered strategies (lib/strategy-registry.js):
+ * - Search space from the strategy's parameter schema (min / max / step,
+ *   string values, booleans), optionally narrowed per parameter
+ * - grid (every combination), random, or bayesian search (a Tree-structured
+ *   Parzen Estimator proposing from the best quarter of results so far)
+ * - Evaluations in parallel on worker threads (inline with one worker)
+ *
+ * Every candidate is backtested separately on each of `segments` equal
+ * date segments, each starting flat with the earlier bars as warmup
+ * history, and scored by the objective over the segments' daily returns.
+ * The report then measures how much the choice of parameters is luck:
+ * - Walk-forward (lib/walk-forward.js): for each segment, the candidate
+ *   that did best on all earlier segments (or the last N with a rolling
+ *   window), and how it did on that unseen segment
+ * - Deflated Sharpe ratio of the best candidate: the probability its Sharpe
+ *   beats the best expected from this many trials by chance
+ *   (Bailey & Lopez de Prado, 2014)
+ * - Probability of backtest overfitting: how often the in-sample winner
+ *   lands in the bottom half out of sample across combinatorially symmetric
+ *   splits of the segments (CSCV, Bailey et al., 2015); the segment count
+ *   must be even and at most MAX_SEGMENTS, and above maxSplits splits a
+ *   seeded sample of them is scored
+ */
+class Optimizer {
+  constructor(options = {}) {
+    this.strategiesDir = options.strategiesDir || path.join(__dirname, '..', 'strategies');
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'historical-data');
+    this.initialCapital = options.initialCapital || 10000;
+    this.fillAt = options.fillAt || 'open';
+    this.costs = (options.costModel || new CostModel()).getSettings();
+    this.workers = options.workers || Math.max(1, Math.min(4, os.cpus().length - 1));
+    this.stats = new EquityTracker({ periodsPerYear: options.periodsPerYear });
+
+    this.registry = new StrategyRegistry({ strategiesDir: this.strategiesDir });
+    this.registry.load();
+  }
+
+  /**
+   * Evaluation function for a run setup (used inline and by the workers)
+   *
+   * @param {Object} setup - { strategiesDir, dataDir, strategy, symbols, segments, backtest, costs }
+   * @returns {Function} async (params) => [{ returns, trades }] per segment
+   */
+  static createEvaluator(setup) {
+    const registry = new StrategyRegistry({ strategiesDir: setup.strategiesDir });
+    registry.load();
+    const strategy = registry.get(setup.strategy);
+    const backtester = new Backtester({
+      ...setup.backtest,
+      dataDir: setup.dataDir,
+      costModel: new CostModel(setup.costs)
+    });
+
+    return async params => {
+      const results = [];
+      for (const segment of setup.segments) {
+        const curves = [];
+        let trades = 0;
+        for (const symbol of setup.symbols) {
+          try {
+            const result = await backtester.run(strategy, { symbol, startDate: segment.start, endDate: segment.end, params });
+            curves.push(result.equityCurve);
+            trades += result.metrics.closedTrades;
+          } catch (error) {
+            // Segment too short for the warmup, or no data: no returns from this symbol
+          }
+        }
+        results.push({ returns: Optimizer.averageReturns(curves), trades });
+      }
+      return results;
+    };
+  }
+
+  /**
+   * Daily returns averaged across equity curves (an equal-weight basket)
+   */
+  static averageReturns(curves) {
+    const byDate = new Map();
+    for (const curve of curves) {
+      for (let i = 1; i < curve.length; i++) {
+        const previous = curve[i - 1].equity;
+        const entry = byDate.get(curve[i].date) || { sum: 0, count: 0 };
+        entry.sum += previous > 0 ? curve[i].equity / previous - 1 : 0;
+        entry.count++;
+        byDate.set(curve[i].date, entry);
+      }
+    }
+    return [...byDate.keys()].sort().map(date => byDate.get(date).sum / byDate.get(date).count);
+  }
+
+  /**
+   * Search dimensions from the schema, narrowed by a space
+   *
+   * @param {Object} strategy - Registered strategy
+   * @param {Object} space - key -> [values] or { min, max, step }; defaults to
+   *   every parameter with a range or a fixed set of values
+   * @returns {Array} [{ key, values } | { key, type, min, max, step }]
+   */
+  buildSpace(strategy, space = null) {
+    const schema = strategy.parameters || {};
+    const keys = space
+      ? Object.keys(space)
+      : Object.keys(schema).filter(key => {
+        const spec = schema[key];
+        return spec.type === 'boolean' || spec.values || (spec.min !== undefined && spec.max !== undefined);
+      });
+    if (keys.length === 0) {
+      throw new Error(`${strategy.name} has no parameters to search`);
+    }
+
+    return keys.map(key => {
+      const spec = schema[key];
+      if (!spec) {
+        throw new Error(`${strategy.name}: unknown parameter ${key}`);
+      }
+      const range = space && space[key];
+
+      let dimension;
+      if (Array.isArray(range)) {
+        dimension = { key, values: range.map(value => this.registry.parseValue(spec, value)) };
+      } else if (spec.type === 'boolean') {
+        dimension = { key, values: [false, true] };
+      } else if (spec.type === 'string') {
+        dimension = { key, values: spec.values || [spec.default] };
+      } else {
+        const bounds = { ...spec, ...(range || {}) };
+        if (bounds.min === undefined || bounds.max === undefined || bounds.min > bounds.max) {
+          throw new Error(`${strategy.name}: parameter ${key} needs a min and max to search`);
+        }
+        dimension = {
+          key,
+          type: spec.type,
+          min: bounds.min,
+          max: bounds.max,
+          step: bounds.step || (spec.type === 'integer' ? 1 : null)
+        };
+      }
+
+      const checks = dimension.values || [dimension.min, dimension.max];
+      checks.forEach(value => this.registry.checkValue(strategy.name, key, spec, value));
+      return dimension;
+    });
+  }
+
+  /**
+   * Grid values of a dimension (5 points for an unstepped number range)
+   */
+  gridValues(dimension) {
+    if (dimension.values) return dimension.values;
+    if (!dimension.step) {
+      return [0, 0.25, 0.5, 0.75, 1].map(f => Number((dimension.min + f * (dimension.max - dimension.min)).toFixed(10)));
+    }
+    const values = [];
+    for (let i = 0; dimension.min + i * dimension.step <= dimension.max + 1e-9; i++) {
+      values.push(Number((dimension.min + i * dimension.step).toFixed(10)));
+    }
+    return values;
+  }
+
+  /**
+   * Every combination of the dimensions' grid values
+   */
+  grid(dimensions, maxEvaluations) {
+    const size = dimensions.reduce((product, d) => product * this.gridValues(d).length, 1);
+    if (size > maxEvaluations) {
+      throw new Error(`Grid has ${size} combinations (limit ${maxEvaluations}); narrow the space or use random / bayesian search`);
+    }
+
+    let sets = [{}];
+    for (const dimension of dimensions) {
+      const values = this.gridValues(dimension);
+      sets = sets.flatMap(set => values.map(value => ({ ...set, [dimension.key]: value })));
+    }
+    return sets;
+  }
+
+  /**
+   * Value of a dimension at a position in [0, 1]
+   */
+  valueAt(dimension, unit) {
+    if (dimension.values) {
+      return dimension.values[Math.min(dimension.values.length - 1, Math.floor(unit * dimension.values.length))];
+    }
+    if (!dimension.step) {
+      return dimension.min + unit * (dimension.max - dimension.min);
+    }
+    const steps = Math.floor((dimension.max - dimension.min) / dimension.step + 1e-9);
+    return Number((dimension.min + Math.min(steps, Math.floor(unit * (steps + 1))) * dimension.step).toFixed(10));
+  }
+
+  /**
+   * Position of a value in [0, 1] (inverse of valueAt for ranges)
+   */
+  unitOf(dimension, value) {
+    return dimension.max > dimension.min ? (value - dimension.min) / (dimension.max - dimension.min) : 0.5;
+  }
+
+  /**
+   * Uniformly random parameter set
+   */
+  sample(dimensions, random) {
+    const set = {};
+    dimensions.forEach(dimension => {
+      set[dimension.key] = this.valueAt(dimension, random());
+    });
+    return set;
+  }
+
+  /**
+   * Tree-structured Parzen Estimator proposals
+   *
+   * Splits the scored sets into the best quarter (l) and the rest (g),
+   * samples candidates around the good sets and proposes those with the
+   * highest l(x) / g(x).
+   */
+  proposeTpe(dimensions, history, random, count, seen) {
+    const sorted = history.slice().sort((a, b) => b.score - a.score);
+    const good = sorted.slice(0, Math.max(1, Math.ceil(sorted.length * 0.25)));
+    const bad = sorted.slice(good.length);
+    const bandwidth = Math.max(0.05, Math.pow(good.length, -0.2) * 0.3);
+
+    const gaussian = () => {
+      const u = Math.max(random(), 1e-12);
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+
+    const density = (dimension, value, group) => {
+      if (dimension.values) {
+        const matches = group.filter(h => h.params[dimension.key] === value).length;
+        return (matches + 1) / (group.length + dimension.values.length);
+      }
+      const unit = this.unitOf(dimension, value);
+      const kernel = group.reduce((sum, h) => {
+        const z = (unit - this.unitOf(dimension, h.params[dimension.key])) / bandwidth;
+        return sum + Math.exp(-z * z / 2) / (bandwidth * Math.sqrt(2 * Math.PI));
+      }, 0);
+      return (kernel + 1) / (group.length + 1); // Uniform prior mixed in
+    };
+
+    const proposals = [];
+    for (let attempt = 0; attempt < count * 48 && proposals.length < count; attempt += 24) {
+      let best = null;
+      for (let i = 0; i < 24; i++) {
+        const anchor = good[Math.floor(random() * good.length)].params;
+        const candidate = {};
+        let ratio = 0;
+        for (const dimension of dimensions) {
+          let value;
+          if (dimension.values) {
+            value = random() < 0.8 ? anchor[dimension.key] : this.valueAt(dimension, random());
+          } else {
+            const unit = Math.min(1, Math.max(0, this.unitOf(dimension, anchor[dimension.key]) + gaussian() * bandwidth));
+            value = this.valueAt(dimension, unit === 1 ? 0.999999 : unit);
+          }
+          candidate[dimension.key] = value;
+          ratio += Math.log(density(dimension, value, good)) - Math.log(density(dimension, value, bad.length > 0 ? bad : good));
+        }
+
+        const key = JSON.stringify(candidate);
+        if (!seen.has(key) && (!best || ratio > best.ratio)) {
+          best = { candidate, ratio, key };
+        }
+      }
+      if (best) {
+        seen.add(best.key);
+        proposals.push(best.candidate);
+      }
+    }
+
+    // Space exhausted around the good sets: fall back to random points
+    for (let attempt = 0; attempt < 1000 && proposals.length < count; attempt++) {
+      const candidate = this.sample(dimensions, random);
+      const key = JSON.stringify(candidate);
+      if (!seen.has(key)) {
+        seen.add(key);
+        proposals.push(candidate);
+      }
+    }
+    return proposals;
+  }
+
+  /**
+   * Equal date segments over the symbols' bars, after the warmup bars
+   */
+  buildSegments(symbols, count, startDate, endDate, warmup = 0) {
+    const backtester = new Backtester({ dataDir: this.dataDir });
+    const dates = new Set();
+    for (const symbol of symbols) {
+      backtester.loadBars(symbol).forEach((bar, i) => {
+        if (i >= warmup && (!startDate || bar.date >= startDate) && (!endDate || bar.date <= endDate)) dates.add(bar.date);
+      });
+    }
+
+    const sorted = [...dates].sort();
+    if (sorted.length < count * 20) {
+      throw new Error(`${sorted.length} trading days is too few for ${count} segments (20 days each at least)`);
+    }
+    return Array.from({ length: count }, (_, i) => ({
+      start: sorted[Math.floor((i * sorted.length) / count)],
+      end: sorted[Math.floor(((i + 1) * sorted.length) / count) - 1]
+    }));
+  }
+
+  /**
+   * Objective value of a daily return series (null without enough returns)
+   */
+  score(returns, objective) {
+    if (returns.length < 2) return null;
+    const values = [1];
+    returns.forEach(r => values.push(values[values.length - 1] * (1 + r)));
+    const value = this.stats.statistics(values)[objective];
+    return value === null || !Number.isFinite(value) ? null : value;
+  }
+
+  /**
+   * Score of a candidate over some of its segments
+   */
+  scoreSegments(candidate, indexes, objective) {
+    return this.score(indexes.flatMap(i => candidate.segments[i].returns), objective);
+  }
+
+  /**
+   * Candidate that scored best over some segments ({ candidate, score } or null)
+   */
+  bestCandidate(candidates, indexes, objective) {
+    let best = null;
+    for (const candidate of candidates) {
+      const score = this.scoreSegments(candidate, indexes, objective);
+      if (score !== null && (best === null || score > best.score)) {
+        best = { candidate, score };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Walk-forward selection: for each test segment, pick the candidate that
+   * scored best on its training segments (all earlier ones by default) and
+   * score it there
+   *
+   * @param {Object} options - WalkForward options in segments
+   *   (default anchored, one test segment per fold)
+   */
+  async walkForward(candidates, segments, objective, options = {}) {
+    const walkForward = new WalkForward({ mode: 'anchored', trainSize: 1, testSize: 1, ...options });
+    const outOfSample = [];
+    const chosen = [];
+
+    const report = await walkForward.run(segments.map((_, i) => i), {
+      train: indexes => this.bestCandidate(candidates, indexes, objective),
+      test: (choice, indexes, fold) => {
+        if (!choice) return {};
+        chosen[fold.fold] = choice;
+        outOfSample.push(...indexes.flatMap(i => choice.candidate.segments[i].returns));
+        return {
+          inSampleScore: choice.score,
+          outOfSampleScore: this.scoreSegments(choice.candidate, indexes, objective)
+        };
+      }
+    });
+
+    const folds = report.folds
+      .filter(fold => chosen[fold.fold])
+      .map(fold => ({
+        segment: { start: segments[fold.testStart].start, end: segments[fold.testEnd - 1].end },
+        params: chosen[fold.fold].candidate.params,
+        inSampleScore: fold.metrics.inSampleScore,
+        outOfSampleScore: fold.metrics.outOfSampleScore
+      }));
+
+    return { mode: report.mode, folds, outOfSampleScore: this.score(outOfSample, objective) };
+  }
+
+  /**
+   * Deflated Sharpe ratio of the best candidate among all trials
+   */
+  deflatedSharpe(best, candidates) {
+    const periodSharpe = returns => {
+      const { mean, std } = moments(returns);
+      return std > 0 ? mean / std : null;
+    };
+
+    const returns = best.segments.flatMap(s => s.returns);
+    const sharpes = candidates
+      .map(c => periodSharpe(c.segments.flatMap(s => s.returns)))
+      .filter(s => s !== null);
+    const sharpe = periodSharpe(returns);
+    if (sharpe === null || sharpes.length < 2 || returns.length < 3) {
+      return { deflatedSharpe: null, sharpe: null, expectedMaxSharpe: null, trials: candidates.length };
+    }
+
+    const trials = sharpes.length;
+    const { std: trialStd } = moments(sharpes);
+    const expectedMax = trialStd * (
+      (1 - EULER_GAMMA) * normalInverse(1 - 1 / trials) +
+      EULER_GAMMA * normalInverse(1 - 1 / (trials * Math.E))
+    );
+    const { skew, kurtosis } = moments(returns);
+    const denominator = Math.sqrt(Math.max(1e-12, 1 - skew * sharpe + ((kurtosis - 1) / 4) * sharpe * sharpe));
+    const annualize = Math.sqrt(this.stats.periodsPerYear);
+
+    return {
+      deflatedSharpe: normalCdf(((sharpe - expectedMax) * Math.sqrt(returns.length - 1)) / denominator),
+      sharpe: sharpe * annualize,
+      expectedMaxSharpe: expectedMax * annualize,
+      trials
+    };
+  }
+
+  /**
+   * Probability of backtest overfitting by combinatorially symmetric
+   * cross-validation over an even number of segments
+   *
+   * @param {Object} options - { maxSplits, random (for sampling), logits (include the per-split logits) }
+   * @returns {Object} { pbo, splits, sampled, logits? }
+   */
+  probabilityOfOverfitting(candidates, segmentCount, objective, options = {}) {
+    const { maxSplits = MAX_PBO_SPLITS, random = createRandom(1), logits: includeLogits = false } = options;
+    if (segmentCount % 2 !== 0) {
+      throw new Error('The probability of overfitting needs an even number of segments');
+    }
+    if (candidates.length < 2) {
+      return { pbo: null, splits: 0, sampled: false };
+    }
+
+    const half = segmentCount / 2;
+    const sampled = choose(segmentCount, half) > maxSplits;
+    const splits = sampled ? sampleCombinations(segmentCount, half, maxSplits, random) : combinations(segmentCount, half);
+
+    const all = Array.from({ length: segmentCount }, (_, i) => i);
+    const logits = [];
+    for (const inSample of splits) {
+      const outSample = all.filter(i => !inSample.includes(i));
+
+      let winner = -1;
+      let winnerScore = null;
+      candidates.forEach((candidate, i) => {
+        const score = this.scoreSegments(candidate, inSample, objective);
+        if (score !== null && (winnerScore === null || score > winnerScore)) {
+          winner = i;
+          winnerScore = score;
+        }
+      });
+      if (winner === -1) continue;
+
+      const outScores = candidates.map(c => {
+        const score = this.scoreSegments(c, outSample, objective);
+        return score === null ? -Infinity : score;
+      });
+      const rank = outScores.filter(score => score <= outScores[winner]).length; // 1 = worst
+      const omega = rank / (candidates.length + 1);
+      logits.push(Math.log(omega / (1 - omega)));
+    }
+
+    const result = {
+      pbo: logits.length > 0 ? logits.filter(l => l <= 0).length / logits.length : null,
+      splits: logits.length,
+      sampled
+    };
+    if (includeLogits) {
+      result.logits = logits;
+    }
+    return result;
+  }
+
+  /**
+   * Search a strategy's parameters
+   *
+   * @param {Object} options - {
+   *   strategy, symbols, startDate, endDate, params (fixed values),
+   *   space, method, objective, iterations, initialPoints, segments (even,
+   *   at most MAX_SEGMENTS), seed, maxEvaluations, maxSplits (probability of
+   *   overfitting), walkForward (WalkForward options in segments),
+   *   onProgress(evaluated, total, candidate)
+   * }
+   * @returns {Promise<Object>} Report: { strategy, symbols, method, objective,
+   *   segments, evaluations, best, candidates, walkForward, overfitting }
+   */
+  async optimize(options = {}) {
+    const {
+      symbols = [],
+      startDate = null,
+      endDate = null,
+      method = 'random',
+      objective = 'sharpe',
+      iterations = 50,
+      segments: segmentCount = 8,
+      seed = 1,
+      maxEvaluations = 1000,
+      maxSplits = MAX_PBO_SPLITS,
+      onProgress = null
+    } = options;
+
+    if (!METHODS.includes(method)) {
+      throw new Error(`method must be one of ${METHODS.join(', ')}`);
+    }
+    if (!OBJECTIVES.includes(objective)) {
+      throw new Error(`objective must be one of ${OBJECTIVES.join(', ')}`);
+    }
+    if (symbols.length === 0) {
+      throw new Error('At least one symbol is required');
+    }
+    if (!Number.isInteger(segmentCount) || segmentCount < 2 || segmentCount > MAX_SEGMENTS || segmentCount % 2 !== 0) {
+      throw new Error(`segments must be an even integer from 2 to ${MAX_SEGMENTS}`);
+    }
+    if (!Number.isInteger(maxSplits) || maxSplits < 1) {
+      throw new Error('maxSplits must be a positive integer');
+    }
+
+    const strategy = this.registry.get(options.strategy);
+    const fixed = this.registry.resolveParams(strategy.name, options.params || {});
+    const dimensions = this.buildSpace(strategy, options.space || null);
+    // Segments start after the warmup of the largest values searched
+    // (warmups grow with lookback parameters)
+    const largest = { ...fixed };
+    dimensions.forEach(d => {
+      if (!d.values) {
+        largest[d.key] = d.max;
+      } else if (d.values.every(value => typeof value === 'number')) {
+        largest[d.key] = Math.max(...d.values);
+      }
+    });
+    const warmup = typeof strategy.warmup === 'function' ? strategy.warmup(largest) : strategy.warmup || 0;
+    const segments = this.buildSegments(symbols, segmentCount, startDate, endDate, warmup);
+    const random = createRandom(seed);
+
+    const setup = {
+      strategiesDir: this.strategiesDir,
+      dataDir: this.dataDir,
+      strategy: strategy.name,
+      symbols,
+      segments,
+      backtest: { initialCapital: this.initialCapital, fillAt: this.fillAt },
+      costs: this.costs
+    };
+
+    const pool = this.workers > 1 ? new WorkerPool(this.workers, setup) : null;
+    const evaluate = pool ? null : Optimizer.createEvaluator(setup);
+    const candidates = [];
+    const seen = new Set();
+    const total = method === 'grid' ? null : Math.min(iterations, maxEvaluations);
+
+    const evaluateBatch = async sets => {
+      const paramSets = sets.map(set => ({ ...fixed, ...set }));
+      const results = pool ? await pool.run(paramSets) : [];
+      if (!pool) {
+        for (const params of paramSets) results.push(await evaluate(params));
+      }
+
+      results.forEach((segmentResults, i) => {
+        const candidate = { params: paramSets[i], segments: segmentResults };
+        candidate.score = this.scoreSegments(candidate, segments.map((_, k) => k), objective);
+        candidates.push(candidate);
+        if (onProgress) onProgress(candidates.length, total || candidates.length, candidate);
+      });
+    };
+
+    try {
+      if (method === 'grid') {
+        const sets = this.grid(dimensions, maxEvaluations);
+        for (let i = 0; i < sets.length; i += Math.max(1, this.workers)) {
+          await evaluateBatch(sets.slice(i, i + Math.max(1, this.workers)));
+        }
+      } else {
+        const initialPoints = method === 'bayesian' ? Math.min(total, options.initialPoints || 10) : total;
+        let misses = 0;
+
+        while (candidates.length < total && misses < 1000) {
+          const batchSize = Math.min(Math.max(1, this.workers), total - candidates.length);
+          const scored = candidates.filter(c => c.score !== null);
+          let sets;
+
+          if (candidates.length < initialPoints || scored.length < 2) {
+            sets = [];
+            while (sets.length < batchSize && misses < 1000) {
+              const set = this.sample(dimensions, random);
+              const key = JSON.stringify(set);
+              if (seen.has(key)) {
+                misses++;
+              } else {
+                seen.add(key);
+                sets.push(set);
+              }
+            }
+          } else {
+            sets = this.proposeTpe(dimensions, scored.map(c => ({
+              params: c.params,
+              score: c.score
+            })), random, batchSize, seen);
+          }
+
+          if (sets.length === 0) break; // Every point in the space has been tried
+          await evaluateBatch(sets);
+        }
+      }
+    } finally {
+      if (pool) await pool.close();
+    }
+
+    const ranked = candidates
+      .slice()
+      .sort((a, b) => (b.score === null ? -Infinity : b.score) - (a.score === null ? -Infinity : a.score));
+    const describe = candidate => ({
+      params: candidate.params,
+      score: candidate.score,
+      segmentScores: candidate.segments.map(s => this.score(s.returns, objective)),
+      trades: candidate.segments.reduce((sum, s) => sum + s.trades, 0)
+    });
+
+    const best = ranked[0];
+    return {
+      strategy: strategy.name,
+      symbols,
+      method,
+      objective,
+      segments,
+      evaluations: candidates.length,
+      best: best ? describe(best) : null,
+      candidates: ranked.map(describe),
+      walkForward: await this.walkForward(candidates, segments, objective, options.walkForward || {}),
+      overfitting: {
+        ...(best ? this.deflatedSharpe(best, candidates) : { deflatedSharpe: null }),
+        ...this.probabilityOfOverfitting(candidates, segments.length, objective, { maxSplits, random: createRandom(seed) })
+      }
+    };
+  }
+}
+
+Optimizer.METHODS = METHODS;
+Optimizer.OBJECTIVES = OBJECTIVES;
+Optimizer.MAX_SEGMENTS = MAX_SEGMENTS;
+
+module.exports = Optimizer;
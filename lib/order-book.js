@@ -0,0 +1,512 @@
+const fs = require('fs');
+const path = require('path');
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+const SIDES = ['BUY', 'SELL', 'SHORT', 'COVER'];
+const TIME_IN_FORCE = ['DAY', 'GTC'];
+
+/**
+ * Order Book for the paper trading engine
+ *
+ * Keeps pending orders and matches them against incoming daily bars:
+ * - Market, limit, stop and stop-limit orders
+ * - Buy, sell, short and cover sides
+ * - DAY (next session only) and GTC (until filled or cancelled)
+ * - Marketable orders fill immediately at the current price (options.getPrice,
+ *   the same fresh quote manual trades use; the last daily close without it)
+ * - Orders live in the portfolio state (portfolio.orders), so every order
+ *   change commits in the same journaled PortfolioStore update as the
+ *   trade it causes; fills are the trades carrying an orderId
+ * - Open orders re-sized and re-priced for stock splits
+ *
+ * Fill prices respect gaps: a limit buy whose bar opens below the limit
+ * fills at the open, a stop sell whose bar opens below the stop fills at
+ * the open, and so on.
+ */
+class OrderBook {
+  constructor(options = {}) {
+    // Order book file from before orders moved into the portfolio (imported once)
+    this.ordersFile = options.ordersFile || path.join(__dirname, '..', 'paper-orders.json');
+    this.engine = options.engine;
+    this.getBars = options.getBars;
+    this.getPrice = options.getPrice || null; // symbol => freshest price
+    this.maxClosedOrders = options.maxClosedOrders || 200; // Filled / cancelled / expired orders kept
+  }
+
+  /**
+   * Orders in a portfolio (read-only)
+   */
+  ordersOf(portfolio) {
+    return portfolio.orders || [];
+  }
+
+  /**
+   * Orders of a portfolio draft, ready to be changed
+   */
+  draftOrders(portfolio) {
+    if (!portfolio.orders) {
+      portfolio.orders = [];
+    }
+    return portfolio.orders;
+  }
+
+  /**
+   * Drop the oldest closed orders beyond maxClosedOrders (open orders always stay)
+   */
+  prune(portfolio) {
+    const orders = this.draftOrders(portfolio);
+    let excess = orders.filter(o => o.status !== 'OPEN').length - this.maxClosedOrders;
+    if (excess <= 0) return;
+
+    portfolio.orders = orders.filter(o => {
+      if (o.status === 'OPEN' || excess <= 0) return true;
+      excess--;
+      return false;
+    });
+  }
+
+  /**
+   * Move an order book file from before orders were journaled into the portfolio
+   *
+   * Runs through the store like any other mutation; orders already present
+   * are skipped, so an import interrupted before the file is renamed to
+   * <file>.imported is safe to repeat.
+   *
+   * @param {PortfolioStore} store - The account's portfolio store
+   * @returns {Promise<number>} Orders imported
+   */
+  async importFile(store) {
+    if (!fs.existsSync(this.ordersFile)) {
+      return 0;
+    }
+
+    const book = JSON.parse(fs.readFileSync(this.ordersFile, 'utf8'));
+    const imported = await store.update('ORDER_IMPORT', portfolio => {
+      const orders = this.draftOrders(portfolio);
+      const ids = new Set(orders.map(o => o.id));
+      const added = (book.orders || []).filter(o => !ids.has(o.id));
+      orders.push(...added);
+      this.prune(portfolio);
+      return added.length;
+    });
+
+    fs.renameSync(this.ordersFile, `${this.ordersFile}.imported`);
+    return imported;
+  }
+
+  /**
+   * Generate unique order ID
+   */
+  generateOrderId() {
+    return `ord_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+  }
+
+  /**
+   * Validate order parameters
+   *
+   * @returns {string|null} Error message, or null when valid
+   */
+  validate(params) {
+    const { symbol, side, shares, type, limitPrice, stopPrice, timeInForce } = params;
+
+    if (!symbol) return 'Symbol is required';
+    if (!SIDES.includes(side)) return `Side must be one of ${SIDES.join(', ')}`;
+    if (!Number.isInteger(shares) || shares <= 0) return 'Shares must be a positive integer';
+    if (!ORDER_TYPES.includes(type)) return `Type must be one of ${ORDER_TYPES.join(', ')}`;
+    if (!TIME_IN_FORCE.includes(timeInForce)) return `Time in force must be one of ${TIME_IN_FORCE.join(', ')}`;
+
+    if ((type === 'LIMIT' || type === 'STOP_LIMIT') && !(limitPrice > 0)) {
+      return `${type} orders require a positive limitPrice`;
+    }
+    if ((type === 'STOP' || type === 'STOP_LIMIT') && !(stopPrice > 0)) {
+      return `${type} orders require a positive stopPrice`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Place an order
+   *
+   * Marketable orders fill immediately at the current price; the rest wait
+   * for bars dated after the latest bar at placement.
+   *
+   * @param {Object} portfolio - Portfolio to mutate on immediate fills
+   * @param {Object} params - { symbol, side, shares, type, limitPrice, stopPrice, timeInForce, user, decisionId }
+   * @returns {Object} { success, order, fill } or { success: false, error, rule }
+   */
+  placeOrder(portfolio, params) {
+    const request = {
+      ...params,
+      side: (params.side || '').toUpperCase(),
+      type: (params.type || 'MARKET').toUpperCase(),
+      timeInForce: (params.timeInForce || 'DAY').toUpperCase()
+    };
+
+    const error = this.validate(request);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const bars = this.getBars(request.symbol);
+    if (!bars || bars.length === 0) {
+      return { success: false, error: `No price data for ${request.symbol}` };
+    }
+
+    const position = portfolio.positions[this.engine.positionKey(request.symbol)];
+    if (request.side === 'SELL') {
+      if (!position || this.engine.isShort(position)) {
+        return { success: false, error: `No long position in ${request.symbol}` };
+      }
+      if (request.shares > position.shares) {
+        return { success: false, error: `Only holding ${position.shares} shares` };
+      }
+    }
+    if (request.side === 'COVER') {
+      if (!position || !this.engine.isShort(position)) {
+        return { success: false, error: `No short position in ${request.symbol}` };
+      }
+      if (request.shares > Math.abs(position.shares)) {
+        return { success: false, error: `Only short ${Math.abs(position.shares)} shares` };
+      }
+    }
+
+    const lastBar = bars[bars.length - 1];
+    const price = (this.getPrice && this.getPrice(request.symbol)) || lastBar.close;
+
+    // Opening orders go through the pre-trade rules now, and again when they fill
+    const opening = request.side === 'SHORT' || (request.side === 'BUY' && !(position && this.engine.isShort(position)));
+    if (opening) {
+      const rejection = this.engine.checkPreTrade(portfolio, {
+        side: request.side,
+        symbol: request.symbol,
+        shares: request.shares,
+        price: request.limitPrice || request.stopPrice || price
+      });
+      if (rejection) {
+        return { success: false, error: rejection.error, rule: rejection.rule };
+      }
+    }
+
+    const order = {
+      id: this.generateOrderId(),
+      symbol: request.symbol,
+      side: request.side,
+      shares: request.shares,
+      type: request.type,
+      limitPrice: request.limitPrice || null,
+      stopPrice: request.stopPrice || null,
+      timeInForce: request.timeInForce,
+      user: request.user || 'system',
+      decisionId: request.decisionId || null,
+      status: 'OPEN',
+      triggered: false,
+      createdAt: this.engine.now().toISOString(),
+      lastBarDate: lastBar.date,
+      filledAt: null,
+      fillPrice: null
+    };
+
+    this.draftOrders(portfolio).push(order);
+
+    let fill = null;
+    const immediatePrice = this.marketablePrice(order, price);
+    if (immediatePrice !== null) {
+      fill = this.executeFill(portfolio, order, immediatePrice, lastBar);
+    }
+
+    this.prune(portfolio);
+
+    if (order.status === 'REJECTED') {
+      return { success: false, error: order.rejectReason, rule: order.rejectRule, order };
+    }
+
+    return { success: true, order, fill };
+  }
+
+  /**
+   * Whether an order buys shares (buy or buy-to-cover)
+   */
+  isBuySide(order) {
+    return order.side === 'BUY' || order.side === 'COVER';
+  }
+
+  /**
+   * Price at which an order fills immediately, or null if it must rest
+   */
+  marketablePrice(order, price) {
+    const isBuy = this.isBuySide(order);
+
+    switch (order.type) {
+      case 'MARKET':
+        return price;
+      case 'LIMIT':
+        return (isBuy ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+      case 'STOP':
+        return (isBuy ? price >= order.stopPrice : price <= order.stopPrice) ? price : null;
+      case 'STOP_LIMIT': {
+        const triggered = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+        if (!triggered) return null;
+        order.triggered = true;
+        return (isBuy ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Match an order against one bar
+   *
+   * @returns {number|null} Fill price, or null if the bar does not fill it
+   */
+  matchBar(order, bar) {
+    const isBuy = this.isBuySide(order);
+
+    // Limit fill: buy at or below the limit, sell at or above it
+    const limitFill = (limitPrice, from) => {
+      if (isBuy) {
+        return bar.low <= limitPrice ? Math.min(from, limitPrice) : null;
+      }
+      return bar.high >= limitPrice ? Math.max(from, limitPrice) : null;
+    };
+
+    switch (order.type) {
+      case 'MARKET':
+        return bar.open;
+
+      case 'LIMIT':
+        return limitFill(order.limitPrice, bar.open);
+
+      case 'STOP':
+        if (isBuy) {
+          return bar.high >= order.stopPrice ? Math.max(bar.open, order.stopPrice) : null;
+        }
+        return bar.low <= order.stopPrice ? Math.min(bar.open, order.stopPrice) : null;
+
+      case 'STOP_LIMIT': {
+        if (!order.triggered) {
+          const triggerPrice = isBuy
+            ? (bar.high >= order.stopPrice ? Math.max(bar.open, order.stopPrice) : null)
+            : (bar.low <= order.stopPrice ? Math.min(bar.open, order.stopPrice) : null);
+
+          if (triggerPrice === null) return null;
+          order.triggered = true;
+
+          // On the trigger bar only the trigger price itself is known to trade after the stop
+          const withinLimit = isBuy ? triggerPrice <= order.limitPrice : triggerPrice >= order.limitPrice;
+          return withinLimit ? triggerPrice : null;
+        }
+        return limitFill(order.limitPrice, bar.open);
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Apply a fill to the portfolio and record it
+   *
+   * The engine's cost model turns the matched price into the fill price.
+   * Fills at placement pay spread, slippage and impact whatever the order
+   * type; only a limit that rested and was matched later (options.resting)
+   * pays commission alone. Limit and stop-limit fills never go past the limit.
+   */
+  executeFill(portfolio, order, price, bar, options = {}) {
+    const request = {
+      symbol: order.symbol,
+      shares: order.shares,
+      price,
+      reason: order.type,
+      user: order.user,
+      decisionId: order.decisionId,
+      resting: Boolean(options.resting),
+      limitPrice: order.limitPrice,
+      bar
+    };
+    const execute = {
+      BUY: this.engine.buy,
+      SELL: this.engine.sell,
+      SHORT: this.engine.short,
+      COVER: this.engine.cover
+    }[order.side];
+    const result = execute.call(this.engine, portfolio, request);
+
+    if (!result.success) {
+      order.status = 'REJECTED';
+      order.rejectReason = result.error;
+      if (result.rule) order.rejectRule = result.rule;
+      order.closedAt = this.engine.now().toISOString();
+      return null;
+    }
+
+    // The trade is the fill record (see getFills)
+    Object.assign(result.trade, {
+      orderId: order.id,
+      orderSide: order.side,
+      orderType: order.type,
+      barDate: bar.date
+    });
+
+    order.status = 'FILLED';
+    order.fillPrice = result.trade.price;
+    order.filledAt = this.engine.now().toISOString();
+
+    return this.describeFill(result.trade);
+  }
+
+  /**
+   * Fill record of a trade made by an order
+   */
+  describeFill(trade) {
+    return {
+      orderId: trade.orderId,
+      symbol: trade.symbol.replace('-5-years', ''),
+      side: trade.orderSide || trade.type,
+      type: trade.orderType || trade.reason,
+      shares: trade.shares,
+      price: trade.price,
+      quotePrice: trade.quotePrice,
+      costs: trade.costs,
+      barDate: trade.barDate || null,
+      user: trade.user,
+      decisionId: trade.decisionId,
+      timestamp: trade.timestamp
+    };
+  }
+
+  /**
+   * Match open orders against bars that arrived since they were last checked
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @returns {Object} { fills, expired, rejected }
+   */
+  processBars(portfolio) {
+    const fills = [];
+    const expired = [];
+    const rejected = [];
+
+    const open = this.ordersOf(portfolio).filter(o => o.status === 'OPEN');
+
+    for (const order of open) {
+      const bars = this.getBars(order.symbol);
+      if (!bars) continue;
+
+      const newBars = bars.filter(bar => bar.date > order.lastBarDate);
+
+      for (const bar of newBars) {
+        order.lastBarDate = bar.date;
+
+        // A limit rests on the book; a stop-limit only once an earlier bar triggered it
+        const resting = order.type === 'LIMIT' || (order.type === 'STOP_LIMIT' && order.triggered);
+        const price = this.matchBar(order, bar);
+        if (price !== null) {
+          const fill = this.executeFill(portfolio, order, price, bar, { resting });
+          if (fill) {
+            fills.push(fill);
+          } else {
+            rejected.push(order);
+          }
+          break;
+        }
+
+        // DAY orders only live for the next session
+        if (order.timeInForce === 'DAY') {
+          order.status = 'EXPIRED';
+          order.closedAt = this.engine.now().toISOString();
+          expired.push(order);
+          break;
+        }
+      }
+    }
+
+    this.prune(portfolio);
+
+    return { fills, expired, rejected };
+  }
+
+  /**
+   * Re-size and re-price open orders placed before a split's ex-date
+   *
+   * Shares are multiplied by the ratio (rounded down) and limit / stop
+   * prices divided by it; an order left with no whole share is cancelled.
+   * Each order records the splits applied to it, so repeated calls are safe.
+   *
+   * @param {Object} portfolio - Portfolio (draft) holding the orders
+   * @param {Array} splits - [{ id, symbol, date, ratio }] with ex-dates that have passed
+   * @returns {Array} Orders changed, as { order, split, shares: { from, to }, cancelled }
+   */
+  adjustForSplits(portfolio, splits) {
+    const changes = [];
+
+    for (const split of splits) {
+      const open = this.ordersOf(portfolio).filter(o => o.status === 'OPEN' && o.symbol === split.symbol &&
+        o.createdAt.split('T')[0] < split.date && !(o.splitsApplied || []).includes(split.id));
+
+      for (const order of open) {
+        const from = order.shares;
+        order.shares = Math.floor(order.shares * split.ratio);
+        if (order.limitPrice) order.limitPrice /= split.ratio;
+        if (order.stopPrice) order.stopPrice /= split.ratio;
+        order.splitsApplied = [...(order.splitsApplied || []), split.id];
+
+        const cancelled = order.shares === 0;
+        if (cancelled) {
+          order.status = 'CANCELLED';
+          order.closedAt = this.engine.now().toISOString();
+          order.cancelReason = `Split left no whole share (ratio ${split.ratio})`;
+        }
+        changes.push({ order, split, shares: { from, to: order.shares }, cancelled });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Cancel an open order
+   *
+   * @param {Object} portfolio - Portfolio (draft) holding the order
+   */
+  cancelOrder(portfolio, orderId, user = 'system') {
+    const order = this.ordersOf(portfolio).find(o => o.id === orderId);
+
+    if (!order) {
+      return { success: false, error: `Order not found: ${orderId}` };
+    }
+
+    if (order.status !== 'OPEN') {
+      return { success: false, error: `Order is not open: ${order.status}` };
+    }
+
+    order.status = 'CANCELLED';
+    order.cancelledBy = user;
+    order.closedAt = this.engine.now().toISOString();
+
+    return { success: true, order };
+  }
+
+  /**
+   * List orders, most recent first
+   */
+  listOrders(portfolio, filter = {}) {
+    return this.ordersOf(portfolio)
+      .filter(o => !filter.status || o.status === filter.status.toUpperCase())
+      .filter(o => !filter.symbol || o.symbol === filter.symbol)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get fills history, most recent first
+   */
+  getFills(portfolio, limit = 100) {
+    return portfolio.tradeHistory
+      .filter(trade => trade.orderId)
+      .slice(-limit)
+      .reverse()
+      .map(trade => this.describeFill(trade));
+  }
+}
+
+module.exports = OrderBook;
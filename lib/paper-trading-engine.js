@@ -0,0 +1,934 @@
+const CostModel = require('./cost-model');
+const TaxLots = require('./tax-lots');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How open positions pick up changed stop-loss / take-profit percents
+const REPRICE_POLICIES = ['KEEP', 'ENTRY', 'TIGHTEN'];
+
+/**
+ * Rejection for an order whose share count is not a positive integer
+ * (the same rule as OrderBook#validate)
+ */
+function invalidShares(shares) {
+  return Number.isInteger(shares) && shares > 0
+    ? null
+    : { success: false, error: 'Shares must be a positive integer' };
+}
+
+/**
+ * Paper Trading Engine
+ *
+ * Applies fills to a paper portfolio:
+ * - Market buys and sells with shared P&L accounting
+ * - Tax lots per position, relieved by FIFO, LIFO, highest cost or specific
+ *   lot (LOT_METHOD, or order.lotMethod / order.lots per order)
+ * - Commission, spread, slippage and market impact from a pluggable cost model
+ * - Short sales and buy-to-cover (short positions carry negative shares)
+ * - Reg T style buying power with long/short maintenance requirements
+ * - Daily borrow fees on shorts and margin interest on negative cash
+ * - Corporate actions: splits re-size lots (cash in lieu of fractional
+ *   shares) and dividends are credited to longs / charged to shorts
+ * - Margin-call liquidation when equity falls below maintenance
+ * - Stop-loss / take-profit level maintenance, including re-pricing open
+ *   positions when the percents change
+ * - Automatic exits when price crosses those levels
+ * - Pre-trade risk checks (options.preTradeCheck) on buys and shorts that
+ *   open or add to a position
+ * - Trades carry the user and the decision log event (decisionId) behind
+ *   them; automatic exits record their own decision (options.logDecision)
+ *
+ * The engine mutates the portfolio object it is given; loading and
+ * saving the portfolio is left to the caller.
+ */
+class PaperTradingEngine {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.getPrice = options.getPrice;
+    this.getBar = options.getBar;
+    this.costModel = options.costModel || new CostModel();
+    this.now = options.now || (() => new Date()); // Simulated time in replay mode
+    this.preTradeCheck = options.preTradeCheck || null; // (portfolio, order) => { rule, error } | null
+    this.logDecision = options.logDecision || null; // (type, message, data) => event id
+    this.taxLots = options.taxLots || new TaxLots();
+  }
+
+  /**
+   * Run the pre-trade risk check for an order that opens or adds to a position
+   *
+   * @param {Object} portfolio - Portfolio before the order
+   * @param {Object} order - { side: 'BUY' | 'SHORT', symbol, shares, price }
+   * @returns {Object|null} { rule, error } when a rule rejects the order
+   */
+  checkPreTrade(portfolio, order) {
+    return this.preTradeCheck ? this.preTradeCheck(portfolio, order) : null;
+  }
+
+  /**
+   * Record the decision behind an automatic order; returns its decision log id (null without a log)
+   */
+  recordDecision(message, data) {
+    return this.logDecision ? this.logDecision('decision', message, data) : null;
+  }
+
+  /**
+   * New tax lot for an opening fill (ids are unique per book: symbol plus trade number)
+   */
+  openLot(portfolio, symbol, shares, fill) {
+    return {
+      id: `${symbol}-${portfolio.tradeHistory.length + 1}`,
+      shares,
+      price: fill.fillPrice,
+      commission: fill.commission,
+      acquiredAt: this.now().toISOString()
+    };
+  }
+
+  /**
+   * Pick the lots a closing order relieves (order.lotMethod, else LOT_METHOD)
+   *
+   * @returns {Object} { method, slices, remaining } or { error }
+   */
+  relieveLots(position, positionKey, shares, order) {
+    const method = order.lotMethod || (order.lots ? 'SPECIFIC' : this.config.LOT_METHOD || 'FIFO');
+    const relief = this.taxLots.relieve(this.taxLots.lotsOf(position, positionKey), shares, method, order.lots);
+    return relief.error ? relief : { method, ...relief };
+  }
+
+  /**
+   * Position key used in portfolio.positions
+   */
+  positionKey(symbol) {
+    return `${symbol}-5-years`;
+  }
+
+  /**
+   * Whether a position is short
+   */
+  isShort(position) {
+    return position.shares < 0;
+  }
+
+  /**
+   * Mark price for a position (falls back to entry price without data)
+   */
+  markPrice(positionKey, position) {
+    return this.getPrice(positionKey.replace('-5-years', '')) || position.entryPrice;
+  }
+
+  /**
+   * Portfolio equity with open positions marked at current price
+   *
+   * Short sale proceeds sit in cash, so shorts contribute negative value.
+   */
+  computeEquity(portfolio) {
+    let positionsValue = 0;
+    for (const [positionKey, position] of Object.entries(portfolio.positions)) {
+      positionsValue += position.shares * this.markPrice(positionKey, position);
+    }
+    return portfolio.cash + positionsValue;
+  }
+
+  /**
+   * Fill price and costs for an order quoted at order.price
+   *
+   * Market impact uses order.bar's volume, falling back to the latest bar.
+   */
+  priceFill(side, order) {
+    const bar = order.bar || (this.getBar ? this.getBar(order.symbol) : null);
+    return this.costModel.estimate({
+      side,
+      shares: order.shares,
+      price: order.price,
+      volume: bar ? bar.volume : null,
+      resting: Boolean(order.resting),
+      limitPrice: order.limitPrice || null
+    });
+  }
+
+  /**
+   * Add a fill's costs to the portfolio totals
+   */
+  recordCosts(portfolio, fill) {
+    const totals = portfolio.costs || { commission: 0, spread: 0, slippage: 0, impact: 0, total: 0 };
+    for (const key of Object.keys(totals)) {
+      totals[key] += fill[key];
+    }
+    portfolio.costs = totals;
+  }
+
+  /**
+   * Cost fields recorded on a trade
+   */
+  tradeCosts(fill) {
+    const { commission, spread, slippage, impact, total } = fill;
+    return { commission, spread, slippage, impact, total };
+  }
+
+  /**
+   * Margin status for the portfolio
+   */
+  getMarginStatus(portfolio) {
+    let longMarketValue = 0;
+    let shortMarketValue = 0;
+    let maintenanceRequirement = 0;
+
+    for (const [positionKey, position] of Object.entries(portfolio.positions)) {
+      const value = Math.abs(position.shares) * this.markPrice(positionKey, position);
+      if (this.isShort(position)) {
+        shortMarketValue += value;
+        maintenanceRequirement += value * this.config.MAINTENANCE_MARGIN_SHORT;
+      } else {
+        longMarketValue += value;
+        maintenanceRequirement += value * this.config.MAINTENANCE_MARGIN_LONG;
+      }
+    }
+
+    const equity = portfolio.cash + longMarketValue - shortMarketValue;
+    const grossExposure = longMarketValue + shortMarketValue;
+    const buyingPower = Math.max(0, equity / this.config.INITIAL_MARGIN - grossExposure);
+
+    return {
+      equity,
+      cash: portfolio.cash,
+      longMarketValue,
+      shortMarketValue,
+      grossExposure,
+      netExposure: longMarketValue - shortMarketValue,
+      buyingPower,
+      maintenanceRequirement,
+      excessLiquidity: equity - maintenanceRequirement,
+      marginCall: grossExposure > 0 && equity < maintenanceRequirement,
+      financing: portfolio.financing || { borrowFees: 0, marginInterest: 0 }
+    };
+  }
+
+  /**
+   * Execute a buy at the given price (buy-to-cover when the position is short)
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} order - { symbol, shares, price, reason, confidence, modelVersion, user, decisionId, bar, resting, limitPrice }
+   * @returns {Object} { success, trade } or { success: false, error, rule }
+   */
+  buy(portfolio, order) {
+    const { symbol, shares, price, reason = 'MANUAL', confidence = null, modelVersion = null, user = 'system', decisionId = null } = order;
+    const invalid = invalidShares(shares);
+    if (invalid) {
+      return invalid;
+    }
+
+    const positionKey = this.positionKey(symbol);
+    const existing = portfolio.positions[positionKey];
+
+    if (existing && this.isShort(existing)) {
+      return this.cover(portfolio, order);
+    }
+
+    const rejection = this.checkPreTrade(portfolio, { side: 'BUY', symbol, shares, price });
+    if (rejection) {
+      return { success: false, error: rejection.error, rule: rejection.rule };
+    }
+
+    const fill = this.priceFill('BUY', order);
+    const fillPrice = fill.fillPrice;
+    const cost = shares * fillPrice;
+
+    if (cost + fill.commission > this.getMarginStatus(portfolio).buyingPower) {
+      return { success: false, error: 'Insufficient buying power' };
+    }
+
+    if (Object.keys(portfolio.positions).length >= this.config.MAX_POSITIONS) {
+      return { success: false, error: 'Maximum positions reached' };
+    }
+
+    portfolio.cash -= cost + fill.commission;
+    this.recordCosts(portfolio, fill);
+
+    const lot = this.openLot(portfolio, symbol, shares, fill);
+
+    if (existing) {
+      // Add to existing position
+      const totalShares = existing.shares + shares;
+      const avgPrice = ((existing.shares * existing.entryPrice) + cost) / totalShares;
+      portfolio.positions[positionKey] = {
+        ...existing,
+        shares: totalShares,
+        entryPrice: avgPrice,
+        stopLoss: avgPrice * (1 - this.config.STOP_LOSS_PERCENT),
+        takeProfit: avgPrice * (1 + this.config.TAKE_PROFIT_PERCENT),
+        commissions: (existing.commissions || 0) + fill.commission,
+        lots: [...this.taxLots.lotsOf(existing, positionKey), lot]
+      };
+    } else {
+      // New position
+      portfolio.positions[positionKey] = {
+        side: 'LONG',
+        shares,
+        entryPrice: fillPrice,
+        entryDate: lot.acquiredAt,
+        stopLoss: fillPrice * (1 - this.config.STOP_LOSS_PERCENT),
+        takeProfit: fillPrice * (1 + this.config.TAKE_PROFIT_PERCENT),
+        confidence,
+        modelVersion,
+        commissions: fill.commission,
+        lots: [lot]
+      };
+    }
+
+    const trade = {
+      type: 'BUY',
+      symbol: positionKey,
+      lotId: lot.id,
+      shares,
+      price: fillPrice,
+      quotePrice: price,
+      value: cost,
+      costs: this.tradeCosts(fill),
+      confidence,
+      modelVersion,
+      reason,
+      user,
+      decisionId,
+      timestamp: this.now().toISOString()
+    };
+    portfolio.tradeHistory.push(trade);
+
+    return { success: true, trade };
+  }
+
+  /**
+   * Execute a sell of a long position at the given price
+   *
+   * Realized P&L is net of the entry commission carried by the sold shares
+   * and the exit commission.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} order - { symbol, shares, price, reason, user, decisionId, bar, resting, limitPrice, lotMethod, lots }
+   * @returns {Object} { success, trade } or { success: false, error }
+   */
+  sell(portfolio, order) {
+    const { symbol, shares, price, reason = 'MANUAL', user = 'system', decisionId = null } = order;
+    const invalid = invalidShares(shares);
+    if (invalid) {
+      return invalid;
+    }
+
+    const positionKey = this.positionKey(symbol);
+    const position = portfolio.positions[positionKey];
+
+    if (!position) {
+      return { success: false, error: `No position in ${symbol}` };
+    }
+
+    if (this.isShort(position)) {
+      return { success: false, error: `Position in ${symbol} is short; use short to add or cover to close` };
+    }
+
+    if (shares > position.shares) {
+      return { success: false, error: `Only holding ${position.shares} shares` };
+    }
+
+    const relief = this.relieveLots(position, positionKey, shares, order);
+    if (relief.error) {
+      return { success: false, error: relief.error };
+    }
+
+    const fill = this.priceFill('SELL', order);
+    const proceeds = shares * fill.fillPrice;
+    const costBasis = relief.slices.reduce((sum, slice) => sum + slice.shares * slice.price, 0);
+    const entryCommission = relief.slices.reduce((sum, slice) => sum + slice.commission, 0);
+    const pnl = proceeds - costBasis - entryCommission - fill.commission;
+    const pnlPercent = (pnl / costBasis) * 100;
+    const timestamp = this.now().toISOString();
+
+    portfolio.cash += proceeds - fill.commission;
+    this.recordCosts(portfolio, fill);
+
+    if (shares === position.shares) {
+      delete portfolio.positions[positionKey];
+    } else {
+      position.shares -= shares;
+      position.commissions = (position.commissions || 0) - entryCommission;
+      position.lots = relief.remaining;
+      position.entryPrice = this.taxLots.averagePrice(relief.remaining);
+    }
+
+    const trade = {
+      type: 'SELL',
+      symbol: positionKey,
+      shares,
+      price: fill.fillPrice,
+      quotePrice: price,
+      value: proceeds,
+      costs: this.tradeCosts(fill),
+      pnl,
+      pnlPercent,
+      lotMethod: relief.method,
+      lots: this.taxLots.realize(relief.slices, {
+        side: 'LONG', price: fill.fillPrice, commission: fill.commission, closedAt: timestamp
+      }),
+      reason,
+      user,
+      decisionId,
+      timestamp
+    };
+    portfolio.tradeHistory.push(trade);
+
+    return { success: true, trade };
+  }
+
+  /**
+   * Open or add to a short position at the given price
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} order - { symbol, shares, price, reason, confidence, modelVersion, user, decisionId, bar, resting, limitPrice }
+   * @returns {Object} { success, trade } or { success: false, error, rule }
+   */
+  short(portfolio, order) {
+    const { symbol, shares, price, reason = 'MANUAL', confidence = null, modelVersion = null, user = 'system', decisionId = null } = order;
+    const invalid = invalidShares(shares);
+    if (invalid) {
+      return invalid;
+    }
+
+    if (!this.config.ALLOW_SHORTS) {
+      return { success: false, error: 'Short selling is disabled' };
+    }
+
+    const positionKey = this.positionKey(symbol);
+    const existing = portfolio.positions[positionKey];
+
+    if (existing && !this.isShort(existing)) {
+      return { success: false, error: `Holding a long position in ${symbol}; sell it before shorting` };
+    }
+
+    const rejection = this.checkPreTrade(portfolio, { side: 'SHORT', symbol, shares, price });
+    if (rejection) {
+      return { success: false, error: rejection.error, rule: rejection.rule };
+    }
+
+    const fill = this.priceFill('SHORT', order);
+    const fillPrice = fill.fillPrice;
+    const proceeds = shares * fillPrice;
+
+    if (proceeds + fill.commission > this.getMarginStatus(portfolio).buyingPower) {
+      return { success: false, error: 'Insufficient buying power' };
+    }
+
+    if (Object.keys(portfolio.positions).length >= this.config.MAX_POSITIONS) {
+      return { success: false, error: 'Maximum positions reached' };
+    }
+
+    portfolio.cash += proceeds - fill.commission;
+    this.recordCosts(portfolio, fill);
+
+    const lot = this.openLot(portfolio, symbol, shares, fill);
+
+    if (existing) {
+      // Add to existing short
+      const totalShares = Math.abs(existing.shares) + shares;
+      const avgPrice = ((Math.abs(existing.shares) * existing.entryPrice) + proceeds) / totalShares;
+      portfolio.positions[positionKey] = {
+        ...existing,
+        shares: -totalShares,
+        entryPrice: avgPrice,
+        stopLoss: avgPrice * (1 + this.config.STOP_LOSS_PERCENT),
+        takeProfit: avgPrice * (1 - this.config.TAKE_PROFIT_PERCENT),
+        commissions: (existing.commissions || 0) + fill.commission,
+        lots: [...this.taxLots.lotsOf(existing, positionKey), lot]
+      };
+    } else {
+      // New short
+      const now = lot.acquiredAt;
+      portfolio.positions[positionKey] = {
+        side: 'SHORT',
+        shares: -shares,
+        entryPrice: fillPrice,
+        entryDate: now,
+        stopLoss: fillPrice * (1 + this.config.STOP_LOSS_PERCENT),
+        takeProfit: fillPrice * (1 - this.config.TAKE_PROFIT_PERCENT),
+        confidence,
+        modelVersion,
+        commissions: fill.commission,
+        borrowFees: 0,
+        lastFeeAccrual: now,
+        lots: [lot]
+      };
+    }
+
+    const trade = {
+      type: 'SHORT',
+      symbol: positionKey,
+      lotId: lot.id,
+      shares,
+      price: fillPrice,
+      quotePrice: price,
+      value: proceeds,
+      costs: this.tradeCosts(fill),
+      confidence,
+      modelVersion,
+      reason,
+      user,
+      decisionId,
+      timestamp: this.now().toISOString()
+    };
+    portfolio.tradeHistory.push(trade);
+
+    return { success: true, trade };
+  }
+
+  /**
+   * Buy to cover a short position at the given price
+   *
+   * Realized P&L includes the borrow fees and entry commission carried by
+   * the covered shares.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} order - { symbol, shares, price, reason, user, decisionId, bar, resting, limitPrice, lotMethod, lots }
+   * @returns {Object} { success, trade } or { success: false, error }
+   */
+  cover(portfolio, order) {
+    const { symbol, shares, price, reason = 'MANUAL', user = 'system', decisionId = null } = order;
+    const invalid = invalidShares(shares);
+    if (invalid) {
+      return invalid;
+    }
+
+    const positionKey = this.positionKey(symbol);
+    const position = portfolio.positions[positionKey];
+
+    if (!position || !this.isShort(position)) {
+      return { success: false, error: `No short position in ${symbol}` };
+    }
+
+    const held = Math.abs(position.shares);
+    if (shares > held) {
+      return { success: false, error: `Only short ${held} shares` };
+    }
+
+    const relief = this.relieveLots(position, positionKey, shares, order);
+    if (relief.error) {
+      return { success: false, error: relief.error };
+    }
+
+    const fill = this.priceFill('COVER', order);
+    const cost = shares * fill.fillPrice;
+    const shortProceeds = relief.slices.reduce((sum, slice) => sum + slice.shares * slice.price, 0);
+    const feeShare = (position.borrowFees || 0) * (shares / held);
+    const entryCommission = relief.slices.reduce((sum, slice) => sum + slice.commission, 0);
+    const pnl = shortProceeds - cost - feeShare - entryCommission - fill.commission;
+    const pnlPercent = (pnl / shortProceeds) * 100;
+    const timestamp = this.now().toISOString();
+
+    portfolio.cash -= cost + fill.commission;
+    this.recordCosts(portfolio, fill);
+
+    if (shares === held) {
+      delete portfolio.positions[positionKey];
+    } else {
+      position.shares += shares;
+      position.borrowFees = (position.borrowFees || 0) - feeShare;
+      position.commissions = (position.commissions || 0) - entryCommission;
+      position.lots = relief.remaining;
+      position.entryPrice = this.taxLots.averagePrice(relief.remaining);
+    }
+
+    const trade = {
+      type: 'COVER',
+      symbol: positionKey,
+      shares,
+      price: fill.fillPrice,
+      quotePrice: price,
+      value: cost,
+      costs: this.tradeCosts(fill),
+      pnl,
+      pnlPercent,
+      borrowFees: feeShare,
+      lotMethod: relief.method,
+      lots: this.taxLots.realize(relief.slices, {
+        side: 'SHORT', price: fill.fillPrice, commission: fill.commission, borrowFees: feeShare, closedAt: timestamp
+      }),
+      reason,
+      user,
+      decisionId,
+      timestamp
+    };
+    portfolio.tradeHistory.push(trade);
+
+    return { success: true, trade };
+  }
+
+  /**
+   * Close a position entirely (sell longs, cover shorts)
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} order - { symbol, price, reason, user, decisionId, lotMethod }
+   */
+  close(portfolio, order) {
+    const position = portfolio.positions[this.positionKey(order.symbol)];
+    if (!position) {
+      return { success: false, error: `No position in ${order.symbol}` };
+    }
+
+    const request = { ...order, shares: Math.abs(position.shares) };
+    return this.isShort(position) ? this.cover(portfolio, request) : this.sell(portfolio, request);
+  }
+
+  /**
+   * Charge borrow fees on shorts and interest on negative cash
+   *
+   * Both accrue per whole calendar day (annual rate / 360) since the last accrual.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Date} now - Accrual time
+   * @returns {Array} Charges as { type, symbol, days, amount }
+   */
+  accrueFinancing(portfolio, now = this.now()) {
+    const charges = [];
+    portfolio.financing = portfolio.financing || { borrowFees: 0, marginInterest: 0 };
+
+    for (const [positionKey, position] of Object.entries(portfolio.positions)) {
+      if (!this.isShort(position)) continue;
+
+      const last = new Date(position.lastFeeAccrual || position.entryDate);
+      const days = Math.floor((now - last) / DAY_MS);
+      if (days < 1) continue;
+
+      const value = Math.abs(position.shares) * this.markPrice(positionKey, position);
+      const amount = value * (this.config.BORROW_FEE_RATE / 360) * days;
+
+      portfolio.cash -= amount;
+      portfolio.financing.borrowFees += amount;
+      position.borrowFees = (position.borrowFees || 0) + amount;
+      position.lastFeeAccrual = new Date(last.getTime() + days * DAY_MS).toISOString();
+
+      charges.push({ type: 'BORROW_FEE', symbol: positionKey.replace('-5-years', ''), days, amount });
+    }
+
+    if (!portfolio.financing.lastInterestAccrual) {
+      portfolio.financing.lastInterestAccrual = now.toISOString();
+      return charges;
+    }
+
+    const lastInterest = new Date(portfolio.financing.lastInterestAccrual);
+    const interestDays = Math.floor((now - lastInterest) / DAY_MS);
+
+    if (interestDays >= 1) {
+      if (portfolio.cash < 0) {
+        const amount = -portfolio.cash * (this.config.MARGIN_INTEREST_RATE / 360) * interestDays;
+        portfolio.cash -= amount;
+        portfolio.financing.marginInterest += amount;
+        charges.push({ type: 'MARGIN_INTEREST', symbol: null, days: interestDays, amount });
+      }
+      portfolio.financing.lastInterestAccrual = new Date(lastInterest.getTime() + interestDays * DAY_MS).toISOString();
+    }
+
+    return charges;
+  }
+
+  /**
+   * Lots of a position held before an ex-date (the ones a corporate action applies to)
+   */
+  lotsHeldBefore(position, positionKey, date) {
+    return this.taxLots.lotsOf(position, positionKey).filter(lot => lot.acquiredAt.split('T')[0] < date);
+  }
+
+  /**
+   * Apply a stock split to the position held before its ex-date
+   *
+   * Lots held before the ex-date get shares * ratio at price / ratio, and so
+   * do the exit levels. A fractional share left over is closed from the
+   * newest lot and settled in cash at the current price.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} split - { id, symbol, date, ratio }
+   * @returns {Object|null} SPLIT trade, or null without a position to split
+   */
+  applySplit(portfolio, split) {
+    const positionKey = this.positionKey(split.symbol);
+    const position = portfolio.positions[positionKey];
+    if (!position) return null;
+
+    const held = this.lotsHeldBefore(position, positionKey, split.date);
+    if (held.length === 0) return null;
+
+    const round = value => Math.round(value * 1e6) / 1e6;
+    let lots = this.taxLots.lotsOf(position, positionKey).map(lot => !held.includes(lot) ? lot : {
+      ...lot,
+      shares: round(lot.shares * split.ratio),
+      price: lot.price / split.ratio
+    });
+
+    const total = lots.reduce((sum, lot) => sum + lot.shares, 0);
+    const fraction = round(total - Math.floor(total));
+    const price = this.markPrice(positionKey, position);
+    const short = this.isShort(position);
+    let cashInLieu = 0;
+
+    if (fraction > 0) {
+      lots = this.taxLots.relieve(lots, fraction, 'LIFO').remaining;
+      cashInLieu = fraction * price * (short ? -1 : 1);
+      portfolio.cash += cashInLieu;
+    }
+
+    const sharesBefore = Math.abs(position.shares);
+    const shares = Math.round(total - fraction);
+
+    if (shares === 0) {
+      delete portfolio.positions[positionKey];
+    } else {
+      position.shares = short ? -shares : shares;
+      position.lots = lots;
+      position.entryPrice = this.taxLots.averagePrice(lots);
+      position.commissions = lots.reduce((sum, lot) => sum + lot.commission, 0);
+      if (position.stopLoss) position.stopLoss /= split.ratio;
+      if (position.takeProfit) position.takeProfit /= split.ratio;
+    }
+
+    const trade = {
+      type: 'SPLIT',
+      symbol: positionKey,
+      actionId: split.id,
+      exDate: split.date,
+      ratio: split.ratio,
+      sharesBefore,
+      shares,
+      fractionalShares: fraction,
+      price: fraction > 0 ? price : null,
+      value: cashInLieu,
+      reason: 'CORPORATE_ACTION',
+      timestamp: this.now().toISOString()
+    };
+    portfolio.tradeHistory.push(trade);
+
+    return trade;
+  }
+
+  /**
+   * Credit a cash dividend on shares held before its ex-date
+   *
+   * Shorts pay the dividend to the lender (payment in lieu), so it is charged.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Object} dividend - { id, symbol, date, amount }
+   * @returns {Object|null} DIVIDEND trade, or null without shares held on the ex-date
+   */
+  applyDividend(portfolio, dividend) {
+    const positionKey = this.positionKey(dividend.symbol);
+    const position = portfolio.positions[positionKey];
+    if (!position) return null;
+
+    const shares = this.lotsHeldBefore(position, positionKey, dividend.date)
+      .reduce((sum, lot) => sum + lot.shares, 0);
+    if (shares === 0) return null;
+
+    const short = this.isShort(position);
+    const value = shares * dividend.amount * (short ? -1 : 1);
+
+    portfolio.cash += value;
+    portfolio.dividends = portfolio.dividends || { received: 0, paid: 0 };
+    if (short) {
+      portfolio.dividends.paid -= value;
+    } else {
+      portfolio.dividends.received += value;
+    }
+    position.dividends = (position.dividends || 0) + value;
+
+    const trade = {
+      type: 'DIVIDEND',
+      symbol: positionKey,
+      actionId: dividend.id,
+      exDate: dividend.date,
+      shares,
+      price: dividend.amount,
+      value,
+      reason: short ? 'PAYMENT_IN_LIEU' : 'CORPORATE_ACTION',
+      timestamp: this.now().toISOString()
+    };
+    portfolio.tradeHistory.push(trade);
+
+    return trade;
+  }
+
+  /**
+   * Apply corporate actions due by the engine's date that this book has not applied yet
+   *
+   * Applied actions are recognized by the actionId on their trades, so each
+   * one is applied once per book; splits go before dividends of the same day.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {Array} actions - Actions from CorporateActions.dueActions()
+   * @returns {Array} SPLIT and DIVIDEND trades
+   */
+  applyCorporateActions(portfolio, actions) {
+    const today = this.now().toISOString().split('T')[0];
+    const applied = new Set(portfolio.tradeHistory.filter(trade => trade.actionId).map(trade => trade.actionId));
+
+    const due = actions
+      .filter(action => action.date <= today && !applied.has(action.id))
+      .filter(action => portfolio.positions[this.positionKey(action.symbol)])
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.type === b.type ? 0 : a.type === 'SPLIT' ? -1 : 1));
+
+    const trades = [];
+    for (const action of due) {
+      const trade = action.type === 'SPLIT' ? this.applySplit(portfolio, action) : this.applyDividend(portfolio, action);
+      if (trade) trades.push(trade);
+    }
+    return trades;
+  }
+
+  /**
+   * Liquidate positions while equity is below the maintenance requirement
+   *
+   * Largest positions are closed first.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @returns {Array} Liquidation trades
+   */
+  checkMarginCall(portfolio) {
+    const liquidations = [];
+    let status = this.getMarginStatus(portfolio);
+
+    while (status.marginCall) {
+      const [positionKey, exposure] = Object.entries(portfolio.positions)
+        .map(([key, position]) => [key, Math.abs(position.shares) * this.markPrice(key, position)])
+        .sort((a, b) => b[1] - a[1])[0];
+      const symbol = positionKey.replace('-5-years', '');
+
+      const decisionId = this.recordDecision(`${symbol}: margin call - liquidating the largest position`, {
+        symbol,
+        exposure,
+        checks: [{
+          name: 'equity >= maintenance requirement',
+          value: status.equity,
+          threshold: status.maintenanceRequirement,
+          passed: false
+        }]
+      });
+
+      const result = this.close(portfolio, {
+        symbol,
+        price: this.markPrice(positionKey, portfolio.positions[positionKey]),
+        reason: 'MARGIN_CALL',
+        decisionId
+      });
+
+      if (!result.success) break;
+
+      liquidations.push(result.trade);
+      status = this.getMarginStatus(portfolio);
+    }
+
+    return liquidations;
+  }
+
+  /**
+   * Re-price open positions' exit levels after the stop-loss / take-profit percents change
+   *
+   * Policies:
+   * - KEEP: open positions keep their levels; only new positions use the new percents
+   * - ENTRY: recompute both levels from each position's entry price
+   * - TIGHTEN: recompute from entry, but only move a level closer to entry
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @param {string} policy - One of REPRICE_POLICIES
+   * @returns {Array} Changes as { symbol, stopLoss: { from, to }, takeProfit: { from, to } }
+   */
+  repriceExits(portfolio, policy) {
+    if (!REPRICE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown reprice policy: ${policy}`);
+    }
+
+    const changes = [];
+    if (policy === 'KEEP') {
+      return changes;
+    }
+
+    for (const [positionKey, position] of Object.entries(portfolio.positions)) {
+      const direction = this.isShort(position) ? -1 : 1;
+      let stopLoss = position.entryPrice * (1 - direction * this.config.STOP_LOSS_PERCENT);
+      let takeProfit = position.entryPrice * (1 + direction * this.config.TAKE_PROFIT_PERCENT);
+
+      if (policy === 'TIGHTEN') {
+        const closer = (next, current) =>
+          Math.abs(next - position.entryPrice) < Math.abs(current - position.entryPrice) ? next : current;
+        stopLoss = closer(stopLoss, position.stopLoss);
+        takeProfit = closer(takeProfit, position.takeProfit);
+      }
+
+      if (stopLoss === position.stopLoss && takeProfit === position.takeProfit) {
+        continue;
+      }
+
+      changes.push({
+        symbol: positionKey.replace('-5-years', ''),
+        stopLoss: { from: position.stopLoss, to: stopLoss },
+        takeProfit: { from: position.takeProfit, to: takeProfit }
+      });
+
+      position.stopLoss = stopLoss;
+      position.takeProfit = takeProfit;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Close every position whose price has crossed its stop-loss or take-profit
+   *
+   * Shorts stop out above entry and take profit below it.
+   *
+   * @param {Object} portfolio - Portfolio to mutate
+   * @returns {Array} Exits as { symbol, trigger, level, trade }
+   */
+  checkExits(portfolio) {
+    const exits = [];
+
+    for (const [positionKey, position] of Object.entries(portfolio.positions)) {
+      const symbol = positionKey.replace('-5-years', '');
+      const price = this.getPrice(symbol);
+      if (!price) continue;
+
+      const short = this.isShort(position);
+      const stopHit = short ? price >= position.stopLoss : price <= position.stopLoss;
+      const targetHit = short ? price <= position.takeProfit : price >= position.takeProfit;
+
+      let trigger = null;
+      let level = null;
+
+      if (position.stopLoss && stopHit) {
+        trigger = 'STOP_LOSS';
+        level = position.stopLoss;
+      } else if (position.takeProfit && targetHit) {
+        trigger = 'TAKE_PROFIT';
+        level = position.takeProfit;
+      }
+
+      if (!trigger) continue;
+
+      const crossed = (trigger === 'STOP_LOSS') === short ? 'at or above' : 'at or below';
+      const decisionId = this.recordDecision(`${symbol}: ${trigger} - price ${crossed} ${level.toFixed(2)}`, {
+        symbol,
+        side: short ? 'SHORT' : 'LONG',
+        price,
+        checks: [
+          { name: 'stopLoss', value: price, threshold: position.stopLoss, passed: !stopHit },
+          { name: 'takeProfit', value: price, threshold: position.takeProfit, passed: !targetHit }
+        ]
+      });
+
+      const result = this.close(portfolio, { symbol, price, reason: trigger, decisionId });
+
+      if (result.success) {
+        result.trade.triggerLevel = level;
+        exits.push({ symbol, trigger, level, trade: result.trade });
+      }
+    }
+
+    return exits;
+  }
+}
+
+PaperTradingEngine.REPRICE_POLICIES = REPRICE_POLICIES;
+
+module.exports = PaperTradingEngine;
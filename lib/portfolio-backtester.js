@@ -0,0 +1,386 @@
+const Backtester = require('./backtester');
+
+const REBALANCE_FREQUENCIES = ['none', 'daily', 'weekly', 'monthly'];
+const WEIGHTINGS = ['equal', 'order'];
+
+/**
+ * Portfolio Backtester
+ *
+ * Multi-symbol backtests where every symbol competes for one cash pool:
+ * - The same strategy interface as Backtester; onBar is called for each
+ *   symbol with a bar on the day, and context.portfolio describes the shared
+ *   account ({ cash, equity, openPositions, maxPositions })
+ * - At most maxPositions open at once; when more BUY signals qualify than
+ *   slots are free they are ranked by rankBy(order, context) (default: the
+ *   order's score) and only the best are taken
+ * - weighting 'equal' sizes every entry at 1 / maxPositions of equity;
+ *   'order' uses each order's own size, notional or shares
+ * - Rebalancing ('daily', 'weekly' or 'monthly', on the first trading day of
+ *   the period) trims or tops up positions that have drifted more than
+ *   driftThreshold (a fraction of equity) from their target weight
+ * - BUY signals for a symbol already held are ignored; position sizes after
+ *   entry are managed by rebalancing
+ *
+ * Orders are executed sells first, then rebalancing trims, new entries in
+ * rank order, then top-ups. Symbols without historical data are skipped
+ * and listed in the results.
+ *
+ * The results object is Backtester's with symbols in place of symbol, plus
+ * metrics.turnover (traded value / average equity, and annualized) and a
+ * per-symbol attribution of P&L, costs and exposure.
+ */
+class PortfolioBacktester extends Backtester {
+  constructor(options = {}) {
+    super({ benchmark: 'SPY', ...options });
+    this.maxPositions = options.maxPositions || 5;
+    this.weighting = options.weighting || 'equal';
+    this.rebalance = options.rebalance || 'none';
+    this.driftThreshold = options.driftThreshold !== undefined ? options.driftThreshold : 0.02;
+    this.rankBy = options.rankBy || (order => order.score || 0);
+
+    if (!WEIGHTINGS.includes(this.weighting)) {
+      throw new Error(`weighting must be one of ${WEIGHTINGS.join(', ')}`);
+    }
+    if (!REBALANCE_FREQUENCIES.includes(this.rebalance)) {
+      throw new Error(`rebalance must be one of ${REBALANCE_FREQUENCIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether a date starts a new rebalancing period
+   */
+  isRebalanceDay(date, previousDate) {
+    if (this.rebalance === 'none' || !previousDate) return false;
+    if (this.rebalance === 'daily') return true;
+    if (this.rebalance === 'monthly') return date.slice(0, 7) !== previousDate.slice(0, 7);
+
+    // Weekly: a new week starts when the weekday wraps or a week has passed
+    const current = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+    const previous = new Date(`${previousDate.slice(0, 10)}T00:00:00Z`);
+    return current.getUTCDay() <= previous.getUTCDay() || current - previous >= 7 * 86400000;
+  }
+
+  /**
+   * Target weight of a new entry
+   */
+  entryOrder(order, equity) {
+    if (this.weighting === 'order') return order;
+    const { size, shares, ...rest } = order;
+    return { ...rest, notional: equity / this.maxPositions };
+  }
+
+  /**
+   * Trim / top-up orders bringing held positions back to their target weights
+   */
+  rebalanceOrders(account, prices, equity, exclude) {
+    const orders = [];
+    for (const [symbol, position] of Object.entries(account.positions)) {
+      if (exclude.has(symbol) || !(equity > 0)) continue;
+
+      const value = position.shares * prices[symbol];
+      const drift = value / equity - position.targetWeight;
+      if (Math.abs(drift) <= this.driftThreshold) continue;
+
+      if (drift > 0) {
+        const shares = drift * equity / prices[symbol];
+        orders.push({
+          symbol,
+          side: 'SELL',
+          shares: this.fractionalShares ? shares : Math.floor(shares),
+          rebalance: true,
+          reason: 'Rebalance trim'
+        });
+      } else {
+        orders.push({ symbol, side: 'BUY', notional: -drift * equity, rebalance: true, reason: 'Rebalance top-up' });
+      }
+    }
+    return orders.filter(order => order.side === 'BUY' || order.shares > 0);
+  }
+
+  /**
+   * Execute a portfolio order against its symbol's bar
+   */
+  executePortfolioOrder(account, order, price, bar, index, prices) {
+    const { symbol } = order;
+    if (order.side === 'SELL') {
+      return this.closePosition(account, symbol, order.shares, price, bar, index, order.reason || 'Strategy exit');
+    }
+
+    const held = !!account.positions[symbol];
+    if (held !== !!order.rebalance) return null; // Entry for a held symbol, or top-up for a closed one
+    if (!held && Object.keys(account.positions).length >= this.maxPositions) return null;
+
+    const equity = this.accountEquity(account, { ...prices, [symbol]: price });
+    const fill = this.openPosition(account, symbol, held ? order : this.entryOrder(order, equity), price, bar, index, equity);
+    if (fill && !held) {
+      account.positions[symbol].targetWeight = this.weighting === 'equal'
+        ? 1 / this.maxPositions
+        : (fill.shares * fill.price) / equity;
+    }
+    return fill;
+  }
+
+  /**
+   * Per-symbol P&L, costs, traded value and exposure
+   */
+  attribution(account, symbols, prices, exposureSums, periods) {
+    return symbols.map(symbol => {
+      const trades = account.trades.filter(t => t.symbol === symbol);
+      const fills = account.fills.filter(f => f.symbol === symbol);
+      const position = account.positions[symbol];
+
+      const realizedPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+      const unrealizedPnl = position
+        ? (prices[symbol] - position.entryPrice) * position.shares - position.commission
+        : 0;
+
+      return {
+        symbol,
+        trades: trades.length,
+        winRate: trades.length > 0 ? trades.filter(t => t.pnl > 0).length / trades.length : null,
+        realizedPnl,
+        unrealizedPnl,
+        pnl: realizedPnl + unrealizedPnl,
+        contribution: (realizedPnl + unrealizedPnl) / this.initialCapital,
+        costs: fills.reduce((sum, f) => sum + f.costs, 0),
+        tradedValue: fills.reduce((sum, f) => sum + f.shares * f.price, 0),
+        exposure: periods > 0 ? exposureSums[symbol] / periods : 0
+      };
+    }).sort((a, b) => b.pnl - a.pnl);
+  }
+
+  /**
+   * Run a strategy over a set of symbols sharing one account
+   *
+   * @param {Object} strategy - Backtester strategy interface
+   * @param {Object} options - { symbols, startDate, endDate, params, bars }
+   *   (bars: symbol -> bars, replacing the historical-data files)
+   * @returns {Promise<Object>} Standard results object with turnover and attribution
+   */
+  async run(strategy, options = {}) {
+    const { startDate = null, endDate = null } = options;
+    const requested = options.symbols || [];
+    if (requested.length === 0) {
+      throw new Error('At least one symbol is required');
+    }
+    if (!strategy || typeof strategy.onBar !== 'function') {
+      throw new Error('A strategy needs an onBar(context) function');
+    }
+
+    const params = this.resolveParams(strategy, options.params);
+    const warmup = this.resolveWarmup(strategy, params);
+
+    const barsBySymbol = {};
+    const indexBySymbol = {};
+    const missing = [];
+    for (const symbol of requested) {
+      let bars;
+      try {
+        bars = options.bars && options.bars[symbol] ? options.bars[symbol] : this.loadBars(symbol);
+      } catch (error) {
+        missing.push(symbol);
+        continue;
+      }
+      barsBySymbol[symbol] = bars.filter(bar => !endDate || bar.date <= endDate);
+      indexBySymbol[symbol] = new Map(barsBySymbol[symbol].map((bar, i) => [bar.date, i]));
+    }
+
+    const symbols = Object.keys(barsBySymbol);
+    if (symbols.length === 0) {
+      throw new Error(`No historical data for ${requested.join(', ')}`);
+    }
+
+    const dates = [...new Set(symbols.flatMap(symbol => barsBySymbol[symbol].map(bar => bar.date)))]
+      .filter(date => !startDate || date >= startDate)
+      .sort();
+    if (dates.length === 0) {
+      throw new Error(`No bars after ${startDate}`);
+    }
+
+    const account = this.createAccount();
+    const state = {};
+    const prices = {}; // symbol -> latest known price
+    const equityCurve = [];
+    const exposureSums = Object.fromEntries(symbols.map(symbol => [symbol, 0]));
+    let exposureSum = 0;
+    let tradedValue = 0;
+    let pending = [];
+
+    // Bars before the first test date only seed prices
+    for (const symbol of symbols) {
+      const before = barsBySymbol[symbol].filter(bar => bar.date < dates[0]);
+      if (before.length > 0) prices[symbol] = before[before.length - 1].close;
+    }
+
+    const barOn = (symbol, date) => {
+      const index = indexBySymbol[symbol].get(date);
+      return index === undefined ? null : { bar: barsBySymbol[symbol][index], index };
+    };
+
+    const buildContext = (symbol, bar, index) => {
+      const equity = this.accountEquity(account, prices);
+      return {
+        symbol,
+        params,
+        state,
+        bar,
+        index,
+        history: barsBySymbol[symbol].slice(0, index + 1),
+        position: this.describePosition(account.positions[symbol], bar.close),
+        cash: account.cash,
+        equity,
+        portfolio: {
+          cash: account.cash,
+          equity,
+          openPositions: Object.keys(account.positions).length,
+          maxPositions: this.maxPositions
+        }
+      };
+    };
+
+    const execute = async (orders, date, priceField) => {
+      const waiting = [];
+      for (const order of orders) {
+        const current = barOn(order.symbol, date);
+        if (!current) {
+          waiting.push(order); // No bar today: try again on the symbol's next bar
+          continue;
+        }
+        const price = current.bar[priceField];
+        const fill = this.executePortfolioOrder(account, order, price, current.bar, current.index, prices);
+        if (!fill) continue;
+
+        tradedValue += fill.shares * fill.price;
+        if (typeof strategy.onFill === 'function') {
+          await strategy.onFill(fill, buildContext(order.symbol, current.bar, current.index));
+        }
+      }
+      return waiting;
+    };
+
+    if (typeof strategy.init === 'function') {
+      const symbol = symbols[0];
+      const first = barOn(symbol, dates[0]) || { bar: barsBySymbol[symbol][0], index: 0 };
+      await strategy.init(buildContext(symbol, first.bar, first.index));
+    }
+
+    for (let d = 0; d < dates.length; d++) {
+      const date = dates[d];
+      const today = symbols.map(symbol => ({ symbol, ...barOn(symbol, date) })).filter(s => s.bar);
+
+      for (const { symbol, bar } of today) prices[symbol] = bar.open;
+      pending = await execute(pending, date, 'open');
+
+      for (const { symbol, bar, index } of today) {
+        const fill = this.checkExits(account, symbol, bar, index);
+        if (fill) {
+          tradedValue += fill.shares * fill.price;
+          if (typeof strategy.onFill === 'function') {
+            await strategy.onFill(fill, buildContext(symbol, bar, index));
+          }
+        }
+        prices[symbol] = bar.close;
+      }
+
+      // Decisions on the close
+      const sells = [];
+      const candidates = [];
+      for (const { symbol, bar, index } of today) {
+        if (index < warmup) continue;
+
+        const context = buildContext(symbol, bar, index);
+        for (const order of this.normalizeOrders(await strategy.onBar(context))) {
+          if (order.side === 'SELL' && account.positions[symbol]) {
+            sells.push({ ...order, symbol });
+          } else if (order.side === 'BUY' && !account.positions[symbol]) {
+            candidates.push({ order: { ...order, symbol }, rank: this.rankBy(order, context) });
+          }
+        }
+      }
+
+      const selling = new Set(sells.filter(order => !order.shares).map(order => order.symbol));
+      const freeSlots = this.maxPositions - (Object.keys(account.positions).length - selling.size);
+      const entries = candidates
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, Math.max(0, freeSlots))
+        .map(candidate => candidate.order);
+
+      const rebalancing = this.isRebalanceDay(date, dates[d - 1])
+        ? this.rebalanceOrders(account, prices, this.accountEquity(account, prices), selling)
+        : [];
+      const orders = [
+        ...sells,
+        ...rebalancing.filter(order => order.side === 'SELL'),
+        ...entries,
+        ...rebalancing.filter(order => order.side === 'BUY')
+      ];
+
+      if (this.fillAt === 'close') {
+        pending = pending.concat(await execute(orders, date, 'close'));
+      } else {
+        pending = pending.concat(orders);
+      }
+
+      if (d === dates.length - 1 && this.closeAtEnd) {
+        for (const symbol of Object.keys(account.positions)) {
+          const last = barsBySymbol[symbol].filter(bar => bar.date <= date).pop();
+          const fill = this.closePosition(account, symbol, null, prices[symbol], last, indexBySymbol[symbol].get(last.date), 'End of test');
+          tradedValue += fill.shares * fill.price;
+        }
+      }
+
+      const equity = this.accountEquity(account, prices);
+      let gross = 0;
+      for (const [symbol, position] of Object.entries(account.positions)) {
+        const weight = equity > 0 ? (position.shares * prices[symbol]) / equity : 0;
+        exposureSums[symbol] += weight;
+        gross += weight;
+      }
+      exposureSum += gross;
+      equityCurve.push({ date, equity });
+    }
+
+    let benchmarkBars = null;
+    try {
+      benchmarkBars = this.loadBars(this.benchmark);
+    } catch (error) {
+      // No benchmark data: results without a benchmark
+    }
+
+    const results = this.buildResults({
+      strategy,
+      symbol: null,
+      params,
+      account,
+      equityCurve,
+      exposure: exposureSum / equityCurve.length,
+      benchmark: this.benchmark,
+      benchmarkBars
+    });
+
+    const averageEquity = equityCurve.reduce((sum, p) => sum + p.equity, 0) / equityCurve.length;
+    const turnover = averageEquity > 0 ? tradedValue / averageEquity : 0;
+    const years = Math.max(equityCurve.length - 1, 1) / this.stats.periodsPerYear;
+
+    delete results.symbol;
+    return {
+      ...results,
+      symbols,
+      missing,
+      maxPositions: this.maxPositions,
+      weighting: this.weighting,
+      rebalance: this.rebalance,
+      metrics: {
+        ...results.metrics,
+        turnover,
+        annualTurnover: turnover / years
+      },
+      attribution: this.attribution(account, symbols, prices, exposureSums, equityCurve.length)
+    };
+  }
+}
+
+PortfolioBacktester.REBALANCE_FREQUENCIES = REBALANCE_FREQUENCIES;
+PortfolioBacktester.WEIGHTINGS = WEIGHTINGS;
+
+module.exports = PortfolioBacktester;
@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a file atomically: write a temp file, fsync it, then rename over the target
+ *
+ * options.mode sets the file's permissions (before any contents are written).
+ */
+function writeFileAtomic(filePath, contents, options = {}) {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w', options.mode);
+  try {
+    if (options.mode !== undefined) fs.fchmodSync(fd, options.mode); // A leftover temp file keeps its old mode
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Portfolio Store
+ *
+ * Crash-safe, serialized storage for the paper portfolio:
+ * - Mutations run one at a time through update(), so concurrent requests
+ *   cannot overwrite each other's trades
+ * - Each committed mutation is appended to a journal (JSON lines) and
+ *   fsynced before the snapshot is replaced
+ * - Snapshots are written atomically (temp file + rename)
+ * - On load, journal entries newer than the snapshot are rolled forward
+ * - recover() rebuilds the portfolio from the journal after corruption
+ *
+ * options.onChange(action, portfolio, trades) is called after every commit
+ * and reset, e.g. to push the new state to dashboards.
+ *
+ * Journal entries carry the trades appended by the mutation plus the
+ * resulting state (cash, positions, financing, ...), so tradeHistory must
+ * only ever be appended to.
+ *
+ * The store assumes a single writing process (the dashboard server).
+ */
+class PortfolioStore {
+  constructor(options = {}) {
+    this.portfolioFile = options.portfolioFile || path.join(__dirname, '..', 'paper-portfolio.json');
+    this.journalFile = options.journalFile || this.portfolioFile.replace(/\.json$/, '-journal.jsonl');
+    this.initialCapital = options.initialCapital || 100000;
+    this.onChange = options.onChange || null;
+
+    this.portfolio = null;
+    this.serialized = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Empty portfolio at initial capital
+   */
+  createPortfolio() {
+    return {
+      cash: this.initialCapital,
+      positions: {},
+      tradeHistory: [],
+      lastUpdated: null,
+      journalSeq: 0
+    };
+  }
+
+  /**
+   * Load the portfolio, rolling forward any journal entries the snapshot missed
+   */
+  load() {
+    let snapshot = null;
+
+    if (fs.existsSync(this.portfolioFile)) {
+      try {
+        snapshot = JSON.parse(fs.readFileSync(this.portfolioFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Portfolio file is corrupt (${error.message}). Run: node scripts/recover-portfolio.js`);
+      }
+    }
+
+    const journal = this.readJournal();
+
+    if (journal.corruptLine !== null && !journal.torn) {
+      throw new Error(`Portfolio journal is corrupt at line ${journal.corruptLine}. Run: node scripts/recover-portfolio.js`);
+    }
+
+    if (journal.entries.length === 0) {
+      this.portfolio = snapshot || this.createPortfolio();
+      this.portfolio.journalSeq = 0;
+
+      // Existing snapshot without a journal: record it as the baseline
+      if (snapshot) {
+        this.appendJournal(this.buildEntry('BASELINE', this.portfolio, []));
+        writeFileAtomic(this.portfolioFile, JSON.stringify(this.portfolio, null, 2));
+      }
+    } else {
+      const lastSeq = journal.entries[journal.entries.length - 1].seq;
+
+      if (snapshot && (snapshot.journalSeq || 0) >= lastSeq) {
+        this.portfolio = snapshot;
+      } else {
+        // Crashed between journal append and snapshot write (or no snapshot)
+        this.portfolio = this.replay(journal.entries);
+        writeFileAtomic(this.portfolioFile, JSON.stringify(this.portfolio, null, 2));
+      }
+
+      if (journal.torn) {
+        this.truncateJournal(journal.validBytes);
+      }
+    }
+
+    this.serialized = JSON.stringify(this.portfolio);
+    return this.portfolio;
+  }
+
+  /**
+   * Current committed portfolio (treat as read-only; mutate through update())
+   */
+  get() {
+    if (!this.portfolio) {
+      this.load();
+    }
+    return this.portfolio;
+  }
+
+  /**
+   * Run a mutation against a draft copy of the portfolio and commit it
+   *
+   * Mutations are queued and run one at a time. The draft is committed only
+   * if the mutation changed it; if the mutation throws, nothing is written.
+   *
+   * @param {string} action - Label recorded in the journal (e.g. 'BUY', 'EXIT_CHECK')
+   * @param {Function} mutate - (draft) => result, may be async
+   * @returns {Promise} Resolves with the mutation's result
+   */
+  update(action, mutate) {
+    const run = this.queue.then(async () => {
+      const current = this.get();
+      const draft = structuredClone(current);
+
+      const result = await mutate(draft);
+
+      if (JSON.stringify(draft) !== this.serialized) {
+        this.commit(action, draft, current.tradeHistory.length);
+      }
+
+      return result;
+    });
+
+    // Keep the queue going after a failed mutation
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Start over at initial capital, discarding the snapshot and journal
+   *
+   * Queued behind pending mutations like update().
+   *
+   * @param {number} initialCapital - Optional new starting capital
+   * @returns {Promise} Resolves with the fresh portfolio
+   */
+  reset(initialCapital) {
+    const run = this.queue.then(() => {
+      if (initialCapital) {
+        this.initialCapital = initialCapital;
+      }
+
+      for (const file of [this.portfolioFile, this.journalFile]) {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      }
+
+      this.portfolio = this.createPortfolio();
+      this.serialized = JSON.stringify(this.portfolio);
+      this.notify('RESET', []);
+      return this.portfolio;
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Journal a draft and make it the committed portfolio
+   */
+  commit(action, draft, previousTradeCount) {
+    draft.journalSeq = (this.portfolio.journalSeq || 0) + 1;
+    draft.lastUpdated = new Date().toISOString();
+
+    const trades = draft.tradeHistory.slice(previousTradeCount);
+    this.appendJournal(this.buildEntry(action, draft, trades));
+    writeFileAtomic(this.portfolioFile, JSON.stringify(draft, null, 2));
+
+    this.portfolio = draft;
+    this.serialized = JSON.stringify(draft);
+    this.notify(action, trades);
+  }
+
+  /**
+   * Tell the onChange listener about a new committed state
+   *
+   * Listener errors are logged, never thrown: the change is already on disk.
+   */
+  notify(action, trades) {
+    if (!this.onChange) return;
+    try {
+      this.onChange(action, this.portfolio, trades);
+    } catch (error) {
+      console.error(`Portfolio change listener failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Journal entry for a committed portfolio state
+   */
+  buildEntry(action, portfolio, trades) {
+    const { tradeHistory, ...state } = portfolio;
+    return {
+      seq: portfolio.journalSeq,
+      timestamp: portfolio.lastUpdated || new Date().toISOString(),
+      action,
+      trades: action === 'BASELINE' ? tradeHistory : trades,
+      state
+    };
+  }
+
+  /**
+   * Append one entry to the journal and fsync it
+   */
+  appendJournal(entry) {
+    const fd = fs.openSync(this.journalFile, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Read and parse the journal
+   *
+   * A partial final line (a crash mid-append) is reported as torn; a bad
+   * line anywhere else is corruption.
+   *
+   * @returns {Object} { entries, corruptLine, torn, validBytes }
+   */
+  readJournal() {
+    const result = { entries: [], corruptLine: null, torn: false, validBytes: 0 };
+
+    if (!fs.existsSync(this.journalFile)) {
+      return result;
+    }
+
+    const contents = fs.readFileSync(this.journalFile, 'utf8');
+    const endsCleanly = contents.endsWith('\n');
+    const lines = contents.split('\n');
+    if (endsCleanly) lines.pop();
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const isPartial = i === lines.length - 1 && !endsCleanly;
+      const bytes = Buffer.byteLength(line) + (isPartial ? 0 : 1);
+
+      if (line.trim() === '' && !isPartial) {
+        result.validBytes += bytes;
+        continue;
+      }
+
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Reported below
+      }
+
+      const previous = result.entries[result.entries.length - 1];
+      const inSequence = entry && (!previous || entry.seq === previous.seq + 1);
+
+      if (!inSequence || !entry.state || isPartial) {
+        result.corruptLine = i + 1;
+        result.torn = isPartial;
+        break;
+      }
+
+      result.entries.push(entry);
+      result.validBytes += bytes;
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop a torn tail from the journal
+   */
+  truncateJournal(validBytes) {
+    fs.truncateSync(this.journalFile, validBytes);
+  }
+
+  /**
+   * Rebuild a portfolio from journal entries
+   */
+  replay(entries) {
+    const tradeHistory = [];
+    let state = null;
+
+    for (const entry of entries) {
+      tradeHistory.push(...entry.trades);
+      state = entry.state;
+    }
+
+    return { ...state, tradeHistory };
+  }
+
+  /**
+   * Rebuild the snapshot from the journal
+   *
+   * Replays every valid entry, keeps a copy of the old snapshot next to it
+   * and cuts the journal back to the last valid entry.
+   *
+   * @returns {Object} { entries, trades, journalSeq, discardedFromLine, backupFile }
+   */
+  recover() {
+    const journal = this.readJournal();
+    if (journal.entries.length === 0) {
+      throw new Error(`No journal entries to recover from in ${this.journalFile}`);
+    }
+
+    let backupFile = null;
+    if (fs.existsSync(this.portfolioFile)) {
+      backupFile = `${this.portfolioFile}.corrupt-${Date.now()}`;
+      fs.copyFileSync(this.portfolioFile, backupFile);
+    }
+
+    if (journal.corruptLine !== null) {
+      fs.copyFileSync(this.journalFile, `${this.journalFile}.corrupt-${Date.now()}`);
+      this.truncateJournal(journal.validBytes);
+    }
+
+    const portfolio = this.replay(journal.entries);
+    writeFileAtomic(this.portfolioFile, JSON.stringify(portfolio, null, 2));
+
+    this.portfolio = portfolio;
+    this.serialized = JSON.stringify(portfolio);
+
+    return {
+      entries: journal.entries.length,
+      trades: portfolio.tradeHistory.length,
+      journalSeq: portfolio.journalSeq,
+      discardedFromLine: journal.corruptLine,
+      backupFile
+    };
+  }
+}
+
+PortfolioStore.writeFileAtomic = writeFileAtomic;
+
+module.exports = PortfolioStore;
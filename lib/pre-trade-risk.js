@@ -0,0 +1,293 @@
+const fs = require('fs');
+const { writeFileAtomic } = require('./portfolio-store');
+
+// Trades the engine makes on its own (protective exits, margin-call
+// liquidations); they are not orders and do not use up MAX_ORDERS_PER_DAY
+const AUTOMATIC_REASONS = ['STOP_LOSS', 'TAKE_PROFIT', 'MARGIN_CALL'];
+
+// Rules in evaluation order; names match the setting each one reads
+const RULES = [
+  { name: 'killSwitch', label: 'Kill switch', method: 'checkKillSwitch' },
+  { name: 'blockedSymbols', label: 'Blocked symbol', method: 'checkBlockedSymbols' },
+  { name: 'minPrice', label: 'Minimum price', method: 'checkMinPrice' },
+  { name: 'minAvgVolume', label: 'Minimum volume', method: 'checkMinAvgVolume' },
+  { name: 'maxOrdersPerDay', label: 'Max orders per day', method: 'checkMaxOrdersPerDay' },
+  { name: 'dailyLossLimit', label: 'Daily loss limit', method: 'checkDailyLossLimit' },
+  { name: 'maxPositionSize', label: 'Max position size', method: 'checkMaxPositionSize' },
+  { name: 'maxSectorExposure', label: 'Max sector exposure', method: 'checkMaxSectorExposure' }
+];
+
+/**
+ * Pre-Trade Risk
+ *
+ * Rule checks run before every order that opens or adds to a position
+ * (manual, automated and resting orders alike); exits are never blocked:
+ * - Kill switch: no new risk while tripped (manually or by the daily loss limit)
+ * - Blocked symbols (BLOCKED_SYMBOLS)
+ * - Minimum price (MIN_PRICE) and 20-day average volume (MIN_AVG_VOLUME)
+ * - Max orders per day (MAX_ORDERS_PER_DAY, counting orders placed by users,
+ *   the auto-trader and the order book, not automatic exits)
+ * - Daily loss limit (DAILY_LOSS_LIMIT) against start-of-day equity; a breach
+ *   trips the kill switch
+ * - Max position size (MAX_POSITION_SIZE) and max sector exposure
+ *   (MAX_SECTOR_EXPOSURE) as fractions of equity
+ *
+ * A limit of 0 turns its rule off. Limits are read from the live config, so
+ * setting changes apply to the next order. The kill switch is saved to the
+ * account's state file (options.stateFile) whenever it changes and loaded on
+ * construction, so a halt survives a restart.
+ */
+class PreTradeRisk {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.engine = options.engine;
+    this.getBars = options.getBars;
+    this.sectorOf = options.sectorOf || (() => 'Unclassified');
+    this.getStartOfDayEquity = options.getStartOfDayEquity || (() => null);
+    this.onKillSwitch = options.onKillSwitch || null; // (killSwitch) => void when tripped or reset
+    this.volumeLookback = options.volumeLookback || 20;
+    this.stateFile = options.stateFile || null; // Kill switch state (kept in memory only without one)
+
+    this.killSwitch = {
+      active: false,
+      reason: null,
+      by: null,
+      changedAt: null
+    };
+    this.load();
+  }
+
+  /**
+   * Load the saved kill switch state
+   */
+  load() {
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      if (state.killSwitch) {
+        this.killSwitch = { ...this.killSwitch, ...state.killSwitch };
+      }
+    }
+    return this.killSwitch;
+  }
+
+  /**
+   * Save the kill switch state
+   */
+  save() {
+    if (this.stateFile) {
+      writeFileAtomic(this.stateFile, JSON.stringify({ killSwitch: this.killSwitch }, null, 2));
+    }
+  }
+
+  /**
+   * Trip the kill switch
+   */
+  tripKillSwitch(reason, by = 'system') {
+    if (!this.killSwitch.active) {
+      this.killSwitch = { active: true, reason, by, changedAt: this.engine.now().toISOString() };
+      this.save();
+      if (this.onKillSwitch) this.onKillSwitch(this.killSwitch);
+    }
+    return this.killSwitch;
+  }
+
+  /**
+   * Reset the kill switch so new positions can be opened again
+   */
+  resetKillSwitch(by = 'system') {
+    if (this.killSwitch.active) {
+      this.killSwitch = { active: false, reason: null, by, changedAt: this.engine.now().toISOString() };
+      this.save();
+      if (this.onKillSwitch) this.onKillSwitch(this.killSwitch);
+    }
+    return this.killSwitch;
+  }
+
+  /**
+   * Market date of the engine's clock (YYYY-MM-DD)
+   */
+  today() {
+    return this.engine.now().toISOString().split('T')[0];
+  }
+
+  /**
+   * Orders executed today (splits, dividends and automatic exits are not orders)
+   */
+  ordersToday(portfolio) {
+    const today = this.today();
+    return portfolio.tradeHistory.filter(trade => !trade.actionId && !AUTOMATIC_REASONS.includes(trade.reason) &&
+      (trade.timestamp || '').startsWith(today)).length;
+  }
+
+  /**
+   * Today's P&L against start-of-day equity
+   *
+   * @returns {Object} { startOfDayEquity, equity, pnl, lossPercent }
+   */
+  dailyPnl(portfolio) {
+    const equity = this.engine.computeEquity(portfolio);
+    const startOfDayEquity = this.getStartOfDayEquity() || this.config.INITIAL_CAPITAL;
+    const pnl = equity - startOfDayEquity;
+    return {
+      startOfDayEquity,
+      equity,
+      pnl,
+      lossPercent: startOfDayEquity > 0 ? Math.max(0, -pnl / startOfDayEquity) : 0
+    };
+  }
+
+  /**
+   * Trip the kill switch when today's loss reaches DAILY_LOSS_LIMIT
+   *
+   * @returns {boolean} Whether the limit is breached
+   */
+  checkDailyLoss(portfolio) {
+    const limit = this.config.DAILY_LOSS_LIMIT;
+    if (!limit) return false;
+
+    const { lossPercent } = this.dailyPnl(portfolio);
+    if (lossPercent < limit) return false;
+
+    this.tripKillSwitch(`Daily loss ${(lossPercent * 100).toFixed(2)}% reached the ${(limit * 100).toFixed(2)}% limit`);
+    return true;
+  }
+
+  /**
+   * Average daily volume over the lookback (null without volume data)
+   */
+  averageVolume(symbol) {
+    const bars = (this.getBars(symbol) || []).slice(-this.volumeLookback).filter(bar => bar.volume > 0);
+    if (bars.length === 0) return null;
+    return bars.reduce((sum, bar) => sum + bar.volume, 0) / bars.length;
+  }
+
+  /**
+   * Gross market value per sector, with open positions marked to market
+   */
+  sectorExposure(portfolio) {
+    const exposure = {};
+    for (const [positionKey, position] of Object.entries(portfolio.positions)) {
+      const sector = this.sectorOf(positionKey.replace('-5-years', ''));
+      exposure[sector] = (exposure[sector] || 0) + Math.abs(position.shares) * this.engine.markPrice(positionKey, position);
+    }
+    return exposure;
+  }
+
+  checkKillSwitch(portfolio, order) {
+    if (!this.killSwitch.active) return null;
+    return `trading halted (${this.killSwitch.reason || 'manual'}); reset the kill switch to open positions`;
+  }
+
+  checkBlockedSymbols(portfolio, order) {
+    const blocked = this.config.BLOCKED_SYMBOLS || [];
+    return blocked.includes(order.symbol) ? `${order.symbol} is on the blocked list` : null;
+  }
+
+  checkMinPrice(portfolio, order) {
+    const limit = this.config.MIN_PRICE;
+    if (!limit || order.price >= limit) return null;
+    return `${order.symbol} at $${order.price.toFixed(2)} is below the $${limit.toFixed(2)} minimum`;
+  }
+
+  checkMinAvgVolume(portfolio, order) {
+    const limit = this.config.MIN_AVG_VOLUME;
+    if (!limit) return null;
+
+    const volume = this.averageVolume(order.symbol);
+    if (volume === null) return `no volume data for ${order.symbol}`;
+    if (volume >= limit) return null;
+    return `${order.symbol} trades ${Math.round(volume).toLocaleString()} shares a day, below the ${limit.toLocaleString()} minimum`;
+  }
+
+  checkMaxOrdersPerDay(portfolio, order) {
+    const limit = this.config.MAX_ORDERS_PER_DAY;
+    if (!limit) return null;
+
+    const count = this.ordersToday(portfolio);
+    return count >= limit ? `${count} orders today reached the limit of ${limit}` : null;
+  }
+
+  checkDailyLossLimit(portfolio, order) {
+    if (!this.checkDailyLoss(portfolio)) return null;
+    return this.killSwitch.reason;
+  }
+
+  checkMaxPositionSize(portfolio, order, equity) {
+    const limit = this.config.MAX_POSITION_SIZE;
+    if (!limit) return null;
+
+    const positionKey = this.engine.positionKey(order.symbol);
+    const existing = portfolio.positions[positionKey];
+    const existingValue = existing ? Math.abs(existing.shares) * this.engine.markPrice(positionKey, existing) : 0;
+    const share = equity > 0 ? (existingValue + order.shares * order.price) / equity : Infinity;
+
+    if (share <= limit) return null;
+    return `${order.symbol} would be ${(share * 100).toFixed(1)}% of equity, above the ${(limit * 100).toFixed(1)}% limit`;
+  }
+
+  checkMaxSectorExposure(portfolio, order, equity) {
+    const limit = this.config.MAX_SECTOR_EXPOSURE;
+    if (!limit) return null;
+
+    const sector = this.sectorOf(order.symbol);
+    const current = this.sectorExposure(portfolio)[sector] || 0;
+    const share = equity > 0 ? (current + order.shares * order.price) / equity : Infinity;
+
+    if (share <= limit) return null;
+    return `${sector} would be ${(share * 100).toFixed(1)}% of equity, above the ${(limit * 100).toFixed(1)}% limit`;
+  }
+
+  /**
+   * Run every rule against an order that opens or adds to a position
+   *
+   * @param {Object} portfolio - Portfolio before the order
+   * @param {Object} order - { side, symbol, shares, price }
+   * @returns {Object|null} { rule, error } for the first rule that rejects, or null
+   */
+  check(portfolio, order) {
+    const equity = this.engine.computeEquity(portfolio);
+
+    for (const rule of RULES) {
+      const reason = this[rule.method](portfolio, order, equity);
+      if (reason) {
+        return { rule: rule.name, error: `${rule.label}: ${reason}` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rule limits, today's usage and kill switch state
+   */
+  getStatus(portfolio) {
+    const limits = {
+      killSwitch: this.killSwitch.active,
+      blockedSymbols: this.config.BLOCKED_SYMBOLS || [],
+      minPrice: this.config.MIN_PRICE,
+      minAvgVolume: this.config.MIN_AVG_VOLUME,
+      maxOrdersPerDay: this.config.MAX_ORDERS_PER_DAY,
+      dailyLossLimit: this.config.DAILY_LOSS_LIMIT,
+      maxPositionSize: this.config.MAX_POSITION_SIZE,
+      maxSectorExposure: this.config.MAX_SECTOR_EXPOSURE
+    };
+    const equity = this.engine.computeEquity(portfolio);
+    const sectors = Object.entries(this.sectorExposure(portfolio))
+      .map(([sector, value]) => ({ sector, value, share: equity > 0 ? value / equity : null }))
+      .sort((a, b) => b.value - a.value);
+
+    return {
+      killSwitch: this.killSwitch,
+      rules: RULES.map(({ name, label }) => ({ name, label, limit: limits[name] })),
+      today: {
+        date: this.today(),
+        orders: this.ordersToday(portfolio),
+        ...this.dailyPnl(portfolio)
+      },
+      sectors
+    };
+  }
+}
+
+PreTradeRisk.RULES = RULES;
+
+module.exports = PreTradeRisk;
@@ -0,0 +1,219 @@
+/**
+ * Replay Clock
+ *
+ * Simulated market date for replaying historical bars through the live
+ * paper trading pipeline:
+ * - LIVE mode: the latest bar of every file is "now" (normal operation)
+ * - REPLAY mode: only bars up to the simulated date are visible
+ * - Play at a chosen speed (bars per second), pause, step and jump to a date
+ * - The trading calendar comes from a reference symbol's bars (SPY)
+ *
+ * Every date change calls onAdvance(date) and waits for it before the next
+ * one, so a slow pipeline slows the replay down instead of piling up steps.
+ * Jumps, steps and ticks are serialized through one queue.
+ */
+class ReplayClock {
+  constructor(options = {}) {
+    this.getCalendar = options.getCalendar; // () => ['YYYY-MM-DD', ...]
+    this.onAdvance = options.onAdvance || (async () => {});
+    this.maxSpeed = options.maxSpeed || 20;
+
+    this.mode = 'LIVE';
+    this.date = null;
+    this.playing = false;
+    this.speed = 1; // Bars per second
+    this.timer = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Whether the clock is replaying history
+   */
+  isReplay() {
+    return this.mode === 'REPLAY';
+  }
+
+  /**
+   * Simulated date (YYYY-MM-DD), or null in live mode
+   */
+  currentDate() {
+    return this.isReplay() ? this.date : null;
+  }
+
+  /**
+   * Current time: midnight UTC of the simulated date, or the wall clock
+   */
+  now() {
+    return this.isReplay() ? new Date(`${this.date}T00:00:00.000Z`) : new Date();
+  }
+
+  /**
+   * Bars visible at the current time
+   *
+   * @param {Array} bars - Daily bars, oldest first
+   * @returns {Array} Bars on or before the simulated date (all bars in live mode)
+   */
+  filterBars(bars) {
+    if (!this.isReplay() || !bars) return bars;
+
+    // Bars are sorted by date: binary search for the last visible bar
+    let lo = 0;
+    let hi = bars.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (bars[mid].date <= this.date) lo = mid + 1;
+      else hi = mid;
+    }
+    return bars.slice(0, lo);
+  }
+
+  /**
+   * Run a date change after any pending ones
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Move to a calendar date and run the pipeline for it
+   */
+  async moveTo(date) {
+    this.mode = 'REPLAY';
+    this.date = date;
+    await this.onAdvance(date);
+    return this.getState();
+  }
+
+  /**
+   * Jump to a date (snaps forward to the next trading day)
+   *
+   * @param {string} date - Target date (YYYY-MM-DD)
+   * @returns {Promise} Resolves with the clock state
+   */
+  jump(date) {
+    const calendar = this.getCalendar();
+    if (!calendar || calendar.length === 0) {
+      return Promise.reject(new Error('No trading calendar available'));
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      return Promise.reject(new Error('date must be YYYY-MM-DD'));
+    }
+
+    const target = calendar.find(d => d >= date);
+    if (!target) {
+      return Promise.reject(new Error(`No bars on or after ${date} (data ends ${calendar[calendar.length - 1]})`));
+    }
+
+    return this.enqueue(() => this.moveTo(target));
+  }
+
+  /**
+   * Step forward a number of trading days
+   *
+   * @param {number} bars - Trading days to advance (default 1)
+   * @returns {Promise} Resolves with the clock state
+   */
+  step(bars = 1) {
+    return this.enqueue(async () => {
+      const calendar = this.getCalendar() || [];
+      if (!this.isReplay()) {
+        throw new Error('Jump to a date before stepping');
+      }
+
+      let index = calendar.indexOf(this.date);
+      for (let i = 0; i < bars; i++) {
+        if (index >= calendar.length - 1) {
+          this.pause();
+          break;
+        }
+        index++;
+        await this.moveTo(calendar[index]);
+      }
+
+      return this.getState();
+    });
+  }
+
+  /**
+   * Play forward at a speed in bars per second
+   */
+  play(speed) {
+    if (!this.isReplay()) {
+      throw new Error('Jump to a date before playing');
+    }
+    if (speed !== undefined) {
+      if (!(speed > 0) || speed > this.maxSpeed) {
+        throw new Error(`speed must be between 0 and ${this.maxSpeed} bars per second`);
+      }
+      this.speed = speed;
+    }
+
+    this.playing = true;
+    this.schedule();
+    return this.getState();
+  }
+
+  /**
+   * Schedule the next tick while playing
+   */
+  schedule() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      try {
+        await this.step(1);
+      } catch (error) {
+        console.error(`Replay step failed: ${error.message}`);
+        this.pause();
+      }
+      if (this.playing) this.schedule();
+    }, 1000 / this.speed);
+  }
+
+  /**
+   * Pause playback (the simulated date stays put)
+   */
+  pause() {
+    this.playing = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this.getState();
+  }
+
+  /**
+   * Return to live mode
+   */
+  goLive() {
+    return this.enqueue(async () => {
+      this.pause();
+      this.mode = 'LIVE';
+      this.date = null;
+      await this.onAdvance(null);
+      return this.getState();
+    });
+  }
+
+  /**
+   * Clock state for the API
+   */
+  getState() {
+    const calendar = this.getCalendar() || [];
+    const index = this.date ? calendar.indexOf(this.date) : -1;
+
+    return {
+      mode: this.mode,
+      date: this.date,
+      playing: this.playing,
+      speed: this.speed,
+      firstDate: calendar[0] || null,
+      lastDate: calendar[calendar.length - 1] || null,
+      progress: index >= 0 && calendar.length > 1 ? index / (calendar.length - 1) : null
+    };
+  }
+}
+
+module.exports = ReplayClock;
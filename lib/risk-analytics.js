@@ -0,0 +1,362 @@
+// Sector of each symbol in the training universe (semiconductors kept apart from the rest of tech)
+const SECTORS = {
+  AAPL: 'Technology',
+  MSFT: 'Technology',
+  PLTR: 'Technology',
+  IBM: 'Technology',
+  NVDA: 'Semiconductors',
+  AMD: 'Semiconductors',
+  INTC: 'Semiconductors',
+  GOOGL: 'Communication Services',
+  DIS: 'Communication Services',
+  TSLA: 'Consumer Discretionary',
+  MCD: 'Consumer Discretionary',
+  XLY: 'Consumer Discretionary',
+  PG: 'Consumer Staples',
+  KO: 'Consumer Staples',
+  WMT: 'Consumer Staples',
+  XLP: 'Consumer Staples',
+  JNJ: 'Health Care',
+  XLV: 'Health Care',
+  XLF: 'Financials',
+  XLE: 'Energy',
+  BAH: 'Industrials',
+  SPY: 'Broad Market',
+  VOO: 'Broad Market',
+  QQQ: 'Broad Market',
+  IWM: 'Broad Market',
+  TLT: 'Treasuries',
+  IEF: 'Treasuries',
+  GLD: 'Commodities',
+  UUP: 'Currencies'
+};
+
+/**
+ * Inverse of the standard normal CDF (Acklam's approximation)
+ */
+function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Risk Analytics
+ *
+ * Position-level and portfolio risk from daily closes in historical-data:
+ * - 1-day Value-at-Risk and Expected Shortfall, historical (from the
+ *   portfolio's simulated P&L over the lookback) and parametric (normal,
+ *   from the covariance matrix of holdings)
+ * - Beta of each holding and of the portfolio to a benchmark (SPY)
+ * - Pairwise correlation matrix of holdings
+ * - Sector concentration and gross / net / beta-weighted exposure
+ * - Warnings for highly correlated pairs and concentrated sectors
+ *
+ * Returns are aligned on the dates every holding and the benchmark share.
+ * Amounts are in dollars of loss (positive = loss).
+ */
+class RiskAnalytics {
+  constructor(options = {}) {
+    this.getBars = options.getBars;
+    this.getPrice = options.getPrice;
+    this.benchmark = options.benchmark || 'SPY';
+    this.sectors = options.sectors || SECTORS;
+    this.getSector = options.getSector || null; // symbol => sector from the universe registry (null: use sectors)
+    this.lookback = options.lookback || 252;
+    this.confidence = options.confidence || 0.95;
+    this.correlationWarning = options.correlationWarning || 0.8;
+    this.sectorWarning = options.sectorWarning || 0.4; // Share of gross exposure
+  }
+
+  /**
+   * Sector for a symbol
+   */
+  sectorOf(symbol) {
+    return (this.getSector && this.getSector(symbol)) || this.sectors[symbol] || 'Unclassified';
+  }
+
+  /**
+   * Daily returns by date for a symbol over the last lookback + 1 bars
+   */
+  returnsByDate(symbol, lookback) {
+    const bars = this.getBars(symbol);
+    if (!bars || bars.length < 2) return null;
+
+    const recent = bars.slice(-(lookback + 1));
+    const returns = new Map();
+    for (let i = 1; i < recent.length; i++) {
+      if (recent[i - 1].close > 0) {
+        returns.set(recent[i].date, recent[i].close / recent[i - 1].close - 1);
+      }
+    }
+    return returns;
+  }
+
+  /**
+   * Return series aligned on the dates all symbols share
+   *
+   * @returns {Object} { dates, series: { symbol: [returns] } }
+   */
+  alignReturns(symbols, lookback) {
+    const bySymbol = {};
+    for (const symbol of symbols) {
+      const returns = this.returnsByDate(symbol, lookback);
+      if (returns) bySymbol[symbol] = returns;
+    }
+
+    const available = Object.keys(bySymbol);
+    if (available.length === 0) {
+      return { dates: [], series: {} };
+    }
+
+    const dates = [...bySymbol[available[0]].keys()]
+      .filter(date => available.every(symbol => bySymbol[symbol].has(date)))
+      .sort();
+
+    const series = {};
+    for (const symbol of available) {
+      series[symbol] = dates.map(date => bySymbol[symbol].get(date));
+    }
+    return { dates, series };
+  }
+
+  /**
+   * Mean of a series
+   */
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+  }
+
+  /**
+   * Sample covariance of two aligned series
+   */
+  covariance(x, y) {
+    if (x.length < 2) return 0;
+    const meanX = this.mean(x);
+    const meanY = this.mean(y);
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      sum += (x[i] - meanX) * (y[i] - meanY);
+    }
+    return sum / (x.length - 1);
+  }
+
+  /**
+   * Correlation of two aligned series (null without variance)
+   */
+  correlation(x, y) {
+    const varX = this.covariance(x, x);
+    const varY = this.covariance(y, y);
+    return varX > 0 && varY > 0 ? this.covariance(x, y) / Math.sqrt(varX * varY) : null;
+  }
+
+  /**
+   * Historical VaR and ES of a P&L series at a confidence level
+   */
+  historicalRisk(pnl, confidence) {
+    if (pnl.length === 0) {
+      return { var: null, expectedShortfall: null };
+    }
+
+    const sorted = [...pnl].sort((a, b) => a - b);
+    const tailCount = Math.max(1, Math.floor(sorted.length * (1 - confidence)));
+    const tail = sorted.slice(0, tailCount);
+
+    return {
+      var: -sorted[tailCount - 1],
+      expectedShortfall: -this.mean(tail)
+    };
+  }
+
+  /**
+   * Parametric (normal) VaR and ES from the P&L mean and standard deviation
+   */
+  parametricRisk(meanPnl, stdPnl, confidence) {
+    const z = normalQuantile(confidence);
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+    return {
+      var: z * stdPnl - meanPnl,
+      expectedShortfall: stdPnl * density / (1 - confidence) - meanPnl
+    };
+  }
+
+  /**
+   * Risk report for a portfolio
+   *
+   * @param {Object} portfolio - Portfolio with positions
+   * @param {Object} options - { equity, confidence, lookback }
+   * @returns {Object} Exposure, VaR / ES, betas, correlations, sectors and warnings
+   */
+  analyze(portfolio, options = {}) {
+    const confidence = options.confidence || this.confidence;
+    const lookback = options.lookback || this.lookback;
+
+    const holdings = Object.entries(portfolio.positions).map(([positionKey, position]) => {
+      const symbol = positionKey.replace('-5-years', '');
+      const price = this.getPrice(symbol) || position.entryPrice;
+      return {
+        symbol,
+        side: position.shares < 0 ? 'SHORT' : 'LONG',
+        shares: position.shares,
+        price,
+        value: position.shares * price, // Signed: shorts are negative
+        sector: this.sectorOf(symbol)
+      };
+    });
+
+    const longValue = holdings.filter(h => h.value > 0).reduce((sum, h) => sum + h.value, 0);
+    const shortValue = holdings.filter(h => h.value < 0).reduce((sum, h) => sum - h.value, 0);
+    const equity = options.equity !== undefined ? options.equity : portfolio.cash + longValue - shortValue;
+    const gross = longValue + shortValue;
+
+    const symbols = holdings.map(h => h.symbol);
+    const { dates, series } = this.alignReturns([...new Set([...symbols, this.benchmark])], lookback);
+    const benchmarkReturns = series[this.benchmark] || null;
+    const benchmarkVariance = benchmarkReturns ? this.covariance(benchmarkReturns, benchmarkReturns) : 0;
+
+    // Per-position beta and volatility
+    const positions = holdings.map(h => {
+      const returns = series[h.symbol];
+      const beta = returns && benchmarkVariance > 0
+        ? this.covariance(returns, benchmarkReturns) / benchmarkVariance
+        : null;
+      return {
+        ...h,
+        weight: equity > 0 ? h.value / equity : null,
+        beta,
+        volatility: returns ? Math.sqrt(this.covariance(returns, returns) * 252) : null
+      };
+    });
+
+    const betaWeighted = positions.reduce((sum, p) => sum + (p.beta !== null ? p.value * p.beta : 0), 0);
+
+    // Portfolio P&L per day if today's holdings had been held over the lookback
+    const pnl = dates.map((date, t) =>
+      positions.reduce((sum, p) => sum + (series[p.symbol] ? p.value * series[p.symbol][t] : 0), 0)
+    );
+
+    let variance = 0;
+    for (const a of positions) {
+      for (const b of positions) {
+        if (series[a.symbol] && series[b.symbol]) {
+          variance += a.value * b.value * this.covariance(series[a.symbol], series[b.symbol]);
+        }
+      }
+    }
+    const meanPnl = positions.reduce((sum, p) => sum + (series[p.symbol] ? p.value * this.mean(series[p.symbol]) : 0), 0);
+
+    const historical = this.historicalRisk(pnl, confidence);
+    const parametric = positions.length > 0 && dates.length > 1
+      ? this.parametricRisk(meanPnl, Math.sqrt(variance), confidence)
+      : { var: null, expectedShortfall: null };
+    const percentOf = amount => amount !== null && equity > 0 ? amount / equity : null;
+
+    // Correlation matrix of holdings
+    const correlated = [];
+    const matrix = symbols.map(a => symbols.map(b => {
+      if (a === b) return 1;
+      return series[a] && series[b] ? this.correlation(series[a], series[b]) : null;
+    }));
+    for (let i = 0; i < symbols.length; i++) {
+      for (let j = i + 1; j < symbols.length; j++) {
+        const correlation = matrix[i][j];
+        // Long/long or short/short pairs move together; long/short pairs hedge each other
+        const sameDirection = Math.sign(holdings[i].value) === Math.sign(holdings[j].value);
+        if (correlation !== null && sameDirection && correlation >= this.correlationWarning) {
+          correlated.push({ symbols: [symbols[i], symbols[j]], correlation });
+        }
+      }
+    }
+
+    // Sector concentration
+    const sectorMap = new Map();
+    for (const h of holdings) {
+      const sector = sectorMap.get(h.sector) || { sector: h.sector, symbols: [], long: 0, short: 0 };
+      sector.symbols.push(h.symbol);
+      if (h.value > 0) sector.long += h.value;
+      else sector.short -= h.value;
+      sectorMap.set(h.sector, sector);
+    }
+    const sectors = [...sectorMap.values()]
+      .map(s => ({
+        ...s,
+        gross: s.long + s.short,
+        net: s.long - s.short,
+        shareOfGross: gross > 0 ? (s.long + s.short) / gross : 0
+      }))
+      .sort((a, b) => b.gross - a.gross);
+
+    const warnings = [];
+    correlated.forEach(({ symbols: pair, correlation }) => {
+      warnings.push({
+        type: 'CORRELATION',
+        message: `${pair[0]} and ${pair[1]} are ${(correlation * 100).toFixed(0)}% correlated`,
+        symbols: pair,
+        value: correlation
+      });
+    });
+    sectors
+      .filter(s => holdings.length > 1 && s.shareOfGross >= this.sectorWarning)
+      .forEach(s => {
+        warnings.push({
+          type: 'SECTOR_CONCENTRATION',
+          message: `${s.sector} is ${(s.shareOfGross * 100).toFixed(0)}% of gross exposure (${s.symbols.join(', ')})`,
+          symbols: s.symbols,
+          value: s.shareOfGross
+        });
+      });
+
+    return {
+      asOf: dates[dates.length - 1] || null,
+      confidence,
+      lookbackDays: lookback,
+      observations: dates.length,
+      benchmark: this.benchmark,
+      equity,
+      exposure: {
+        long: longValue,
+        short: shortValue,
+        gross,
+        net: longValue - shortValue,
+        grossPercent: equity > 0 ? gross / equity : null,
+        netPercent: equity > 0 ? (longValue - shortValue) / equity : null,
+        betaWeighted,
+        beta: equity > 0 ? betaWeighted / equity : null
+      },
+      var: {
+        historical: { amount: historical.var, percent: percentOf(historical.var) },
+        parametric: { amount: parametric.var, percent: percentOf(parametric.var) }
+      },
+      expectedShortfall: {
+        historical: { amount: historical.expectedShortfall, percent: percentOf(historical.expectedShortfall) },
+        parametric: { amount: parametric.expectedShortfall, percent: percentOf(parametric.expectedShortfall) }
+      },
+      positions,
+      correlation: { symbols, matrix },
+      sectors,
+      warnings
+    };
+  }
+}
+
+RiskAnalytics.SECTORS = SECTORS;
+RiskAnalytics.normalQuantile = normalQuantile;
+
+module.exports = RiskAnalytics;
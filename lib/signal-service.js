@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const EnhancedFeatures = require('./enhanced-features');
+const ModelVersioning = require('./model-versioning');
+const Universe = require('./universe');
+
+// Feature order used by the Stage 1 ensemble when params.json has no featureNames
+const DEFAULT_FEATURE_NAMES = [
+  'priceVsSma20', 'priceVsSma50', 'priceVsSma200',
+  'rsi', 'macdHistogram', 'roc',
+  'stochK', 'stochD', 'williamsR',
+  'bbPosition', 'atrPercent',
+  'obvTrend', 'mfi', 'volumeRatio'
+];
+
+/**
+ * Signal Service for Neural Trader
+ *
+ * Serves live ensemble signals from the production models:
+ * - Loads the models behind models/production
+ * - Scores the ACTIVE symbols of the universe registry
+ * - Builds feature vectors from historical data files
+ * - Returns per-model probabilities, ensemble consensus with each threshold
+ *   check, and the raw feature values the models were given
+ * - Caches signals until the data or production version changes
+ * - Can compute signals as of a past date (replay mode) from the bars up to it
+ */
+class SignalService {
+  constructor(options = {}) {
+    this.modelsDir = options.modelsDir || path.join(__dirname, '..', 'models');
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'historical-data');
+    this.versioning = options.versioning || new ModelVersioning({ modelsDir: this.modelsDir });
+    this.minBars = options.minBars || 250;
+    this.universe = options.universe || new Universe({ dataDir: this.dataDir });
+
+    // Consensus thresholds (same as examples/45-phase5-ensemble-predict.js)
+    this.minIndividualConfidence = options.minIndividualConfidence || 0.45;
+    this.minAverageConfidence = options.minAverageConfidence || 0.50;
+    this.maxDisagreement = options.maxDisagreement || 0.15;
+
+    this.tf = null;
+    this.models = [];
+    this.versionId = null;
+    this.cache = new Map(); // symbol -> { key, signal }
+    this.pending = new Map(); // asOf -> refresh promise
+  }
+
+  /**
+   * Initialize TensorFlow
+   */
+  initialize() {
+    try {
+      this.tf = require('@tensorflow/tfjs-node-gpu');
+      return true;
+    } catch (error) {
+      throw new Error('@tensorflow/tfjs-node-gpu package not installed. Run: npm install @tensorflow/tfjs-node-gpu');
+    }
+  }
+
+  /**
+   * Load normalization parameters for a model
+   *
+   * Versions saved by ModelVersioning carry params.json next to model.json;
+   * older versions fall back to models/phase5-ensemble-model{N}-params.json.
+   */
+  loadParams(modelPath, modelNumber) {
+    const candidates = [
+      path.join(modelPath, 'params.json'),
+      path.join(this.modelsDir, `phase5-ensemble-model${modelNumber}-params.json`)
+    ];
+
+    for (const paramsPath of candidates) {
+      if (fs.existsSync(paramsPath)) {
+        return JSON.parse(fs.readFileSync(paramsPath, 'utf8'));
+      }
+    }
+
+    throw new Error(`Normalization params not found for ${path.basename(modelPath)}`);
+  }
+
+  /**
+   * Load production models, reloading when the production version changes
+   */
+  async loadProductionModels() {
+    if (!this.tf) {
+      this.initialize();
+    }
+
+    const production = this.versioning.getProductionVersion();
+    if (!production) {
+      throw new Error('No production version set. Run: node scripts/setup-production.js');
+    }
+
+    if (production.versionId === this.versionId && this.models.length > 0) {
+      return this.models;
+    }
+
+    const modelPaths = this.versioning.getModelPaths(production.versionId);
+    if (modelPaths.length === 0) {
+      throw new Error(`No models found in production version ${production.versionId}`);
+    }
+
+    const models = [];
+    for (let i = 0; i < modelPaths.length; i++) {
+      const modelPath = modelPaths[i];
+      const model = await this.tf.loadLayersModel(`file://${path.join(modelPath, 'model.json')}`);
+      const params = this.loadParams(modelPath, i + 1);
+
+      models.push({
+        name: path.basename(modelPath),
+        model,
+        params,
+        featureNames: params.featureNames || DEFAULT_FEATURE_NAMES
+      });
+    }
+
+    // Release the previous version's weights
+    this.models.forEach(m => m.model.dispose());
+
+    this.models = models;
+    this.versionId = production.versionId;
+    this.cache.clear();
+
+    return this.models;
+  }
+
+  /**
+   * Get list of ACTIVE universe symbols with data files
+   */
+  getSymbolList() {
+    return this.universe.activeSymbols({ withHistory: true });
+  }
+
+  /**
+   * Build the latest feature row for a symbol
+   */
+  buildLatestFeatures(bars) {
+    const features = EnhancedFeatures.generateAllFeatures(bars);
+    const latest = features[features.length - 1];
+
+    const hasAllFeatures = latest &&
+      latest.sma200 !== null &&
+      latest.rsi !== null &&
+      latest.macdLine !== null &&
+      latest.bbPosition !== null &&
+      latest.atr !== null &&
+      latest.mfi !== null;
+
+    return hasAllFeatures ? latest : null;
+  }
+
+  /**
+   * Normalize a feature row with a model's saved parameters
+   */
+  normalize(latest, entry) {
+    const { means, stds } = entry.params;
+    return entry.featureNames.map((name, idx) => ((latest[name] || 0) - means[idx]) / (stds[idx] || 1));
+  }
+
+  /**
+   * Combine per-model probabilities into an ensemble signal
+   */
+  buildConsensus(probabilities) {
+    const avg = probabilities.reduce((a, b) => a + b, 0) / probabilities.length;
+    const variance = probabilities.reduce((sum, p) => sum + Math.pow(p - avg, 2), 0) / probabilities.length;
+    const stdDev = Math.sqrt(variance);
+
+    let signal = 'HOLD';
+    let reason;
+
+    if (!probabilities.every(p => p >= this.minIndividualConfidence)) {
+      reason = 'Not all models agree';
+    } else if (avg < this.minAverageConfidence) {
+      reason = 'Average confidence too low';
+    } else if (stdDev > this.maxDisagreement) {
+      reason = 'High disagreement between models';
+    } else {
+      signal = 'BUY';
+      reason = 'Strong consensus';
+    }
+
+    // Each threshold comparison, for the decision log
+    const lowest = Math.min(...probabilities);
+    const checks = [
+      { name: 'minIndividualConfidence', value: lowest, threshold: this.minIndividualConfidence, passed: lowest >= this.minIndividualConfidence },
+      { name: 'minAverageConfidence', value: avg, threshold: this.minAverageConfidence, passed: avg >= this.minAverageConfidence },
+      { name: 'maxDisagreement', value: stdDev, threshold: this.maxDisagreement, passed: stdDev <= this.maxDisagreement }
+    ];
+
+    return { score: avg, stdDev, signal, reason, checks };
+  }
+
+  /**
+   * Compute signals for symbols whose cache entry is stale
+   *
+   * @param {Array} stale - [{ symbol, key }]
+   * @param {string} asOf - Only use bars on or before this date (null for all)
+   */
+  async computeSignals(stale, asOf = null) {
+    const rows = [];
+
+    for (const { symbol, key } of stale) {
+      let bars;
+      try {
+        bars = JSON.parse(fs.readFileSync(path.join(this.dataDir, `${symbol}-5-years.json`), 'utf8'));
+      } catch (error) {
+        console.warn(`Could not read data for ${symbol}: ${error.message}`);
+        continue;
+      }
+
+      if (Array.isArray(bars) && asOf) {
+        bars = bars.filter(bar => bar.date <= asOf);
+      }
+
+      if (!Array.isArray(bars) || bars.length < this.minBars) {
+        this.cache.set(symbol, { key, signal: null });
+        continue;
+      }
+
+      const latest = this.buildLatestFeatures(bars);
+      if (!latest) {
+        this.cache.set(symbol, { key, signal: null });
+        continue;
+      }
+
+      rows.push({ symbol, key, latest, lastBar: bars[bars.length - 1] });
+    }
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    // One batched prediction per model
+    const probabilities = rows.map(() => []);
+    for (const entry of this.models) {
+      const input = this.tf.tensor2d(rows.map(row => this.normalize(row.latest, entry)));
+      const output = entry.model.predict(input);
+      const values = await output.data();
+
+      input.dispose();
+      output.dispose();
+
+      rows.forEach((row, i) => probabilities[i].push(values[i]));
+    }
+
+    const featureNames = [...new Set(this.models.flatMap(entry => entry.featureNames))];
+
+    rows.forEach((row, i) => {
+      const consensus = this.buildConsensus(probabilities[i]);
+
+      this.cache.set(row.symbol, {
+        key: row.key,
+        signal: {
+          symbol: row.symbol,
+          score: consensus.score,
+          stdDev: consensus.stdDev,
+          signal: consensus.signal,
+          reason: consensus.reason,
+          checks: consensus.checks,
+          features: Object.fromEntries(featureNames.map(name => [name, row.latest[name] !== undefined ? row.latest[name] : null])),
+          models: this.models.map((entry, m) => ({
+            name: entry.name,
+            probability: probabilities[i][m]
+          })),
+          price: row.lastBar.close,
+          date: row.lastBar.date,
+          modelVersion: this.versionId
+        }
+      });
+    });
+  }
+
+  /**
+   * Refresh stale symbols and return cached signals
+   *
+   * Cache entries are keyed by data file mtime and as-of date.
+   */
+  async refresh(asOf = null) {
+    await this.loadProductionModels();
+
+    const symbols = this.getSymbolList();
+    const stale = [];
+
+    for (const symbol of symbols) {
+      const mtimeMs = fs.statSync(path.join(this.dataDir, `${symbol}-5-years.json`)).mtimeMs;
+      const key = `${mtimeMs}:${asOf || 'latest'}`;
+      const cached = this.cache.get(symbol);
+      if (!cached || cached.key !== key) {
+        stale.push({ symbol, key });
+      }
+    }
+
+    // Forget symbols that left the universe or lost their data file
+    for (const symbol of this.cache.keys()) {
+      if (!symbols.includes(symbol)) {
+        this.cache.delete(symbol);
+      }
+    }
+
+    if (stale.length > 0) {
+      await this.computeSignals(stale, asOf);
+    }
+
+    return [...this.cache.values()]
+      .map(entry => entry.signal)
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Get ensemble signals for all symbols, sorted by ensemble score
+   *
+   * Concurrent callers for the same date share a single refresh.
+   *
+   * @param {Object} options - { asOf: 'YYYY-MM-DD' } for signals as of a past date
+   */
+  async getSignals(options = {}) {
+    const asOf = options.asOf || null;
+    const pendingKey = asOf || 'latest';
+
+    if (!this.pending.has(pendingKey)) {
+      this.pending.set(pendingKey, this.refresh(asOf).finally(() => {
+        this.pending.delete(pendingKey);
+      }));
+    }
+    return this.pending.get(pendingKey);
+  }
+
+  /**
+   * Get current production version ID of the loaded models
+   */
+  getModelVersion() {
+    return this.versionId;
+  }
+}
+
+module.exports = SignalService;
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+const PARAMETER_TYPES = ['number', 'integer', 'boolean', 'string'];
+
+/**
+ * Strategy Registry
+ *
+ * Discovers strategy modules in strategies/ (every .js file not starting
+ * with "_") and checks them against the strategy interface:
+ *   module.exports = {
+ *     name: 'macd-stop',               // lowercase letters, digits and "-"
+ *     description: '...',
+ *     parameters: {                    // schema, defaults and search ranges
+ *       stopLoss: { type: 'number', default: 0.07, min: 0.01, max: 0.2, step: 0.01, description }
+ *     },
+ *     warmup: 35 | (params) => 35,     // bars needed before the first decision
+ *     init(context),                   // optional
+ *     onBar(context),                  // required, see lib/backtester.js
+ *     onFill(fill, context)            // optional
+ *   };
+ * Parameter types are number, integer, boolean and string (with values
+ * listing the allowed strings).
+ *
+ * Files that fail to load or validate are kept in errors instead of
+ * stopping discovery.
+ */
+class StrategyRegistry {
+  constructor(options = {}) {
+    this.strategiesDir = options.strategiesDir || path.join(__dirname, '..', 'strategies');
+
+    this.strategies = new Map(); // name -> { strategy, file }
+    this.errors = []; // { file, error }
+  }
+
+  /**
+   * Discover and register the strategy files
+   *
+   * @returns {Array} Registered strategies (see list())
+   */
+  load() {
+    this.strategies.clear();
+    this.errors = [];
+
+    const files = fs.existsSync(this.strategiesDir)
+      ? fs.readdirSync(this.strategiesDir).filter(file => file.endsWith('.js') && !file.startsWith('_')).sort()
+      : [];
+
+    for (const file of files) {
+      const filePath = path.join(this.strategiesDir, file);
+      try {
+        this.register(require(filePath), filePath);
+      } catch (error) {
+        this.errors.push({ file: filePath, error: error.message });
+      }
+    }
+
+    return this.list();
+  }
+
+  /**
+   * Check a strategy against the interface (throws when invalid)
+   */
+  validate(strategy) {
+    if (!strategy || typeof strategy !== 'object') {
+      throw new Error('A strategy module must export an object');
+    }
+    if (!/^[a-z0-9-]{2,40}$/.test(strategy.name || '')) {
+      throw new Error('Strategy name must be 2-40 characters: lowercase letters, digits or "-"');
+    }
+    if (typeof strategy.onBar !== 'function') {
+      throw new Error(`${strategy.name}: onBar(context) is required`);
+    }
+    for (const hook of ['init', 'onFill']) {
+      if (strategy[hook] !== undefined && typeof strategy[hook] !== 'function') {
+        throw new Error(`${strategy.name}: ${hook} must be a function`);
+      }
+    }
+    if (strategy.warmup !== undefined && typeof strategy.warmup !== 'function' &&
+        !(Number.isInteger(strategy.warmup) && strategy.warmup >= 0)) {
+      throw new Error(`${strategy.name}: warmup must be a non-negative integer or a function of the parameters`);
+    }
+
+    for (const [key, spec] of Object.entries(strategy.parameters || {})) {
+      if (!spec || !PARAMETER_TYPES.includes(spec.type)) {
+        throw new Error(`${strategy.name}: parameter ${key} needs a type (${PARAMETER_TYPES.join(', ')})`);
+      }
+      if (spec.default === undefined) {
+        throw new Error(`${strategy.name}: parameter ${key} needs a default`);
+      }
+      this.checkValue(strategy.name, key, spec, spec.default);
+    }
+  }
+
+  /**
+   * Check one parameter value against its schema (throws when invalid)
+   */
+  checkValue(strategyName, key, spec, value) {
+    const invalid = reason => new Error(`${strategyName}: parameter ${key} ${reason}`);
+
+    if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') throw invalid('must be true or false');
+      return;
+    }
+    if (spec.type === 'string') {
+      if (typeof value !== 'string') throw invalid('must be a string');
+      if (spec.values && !spec.values.includes(value)) throw invalid(`must be one of ${spec.values.join(', ')}`);
+      return;
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) throw invalid('must be a number');
+    if (spec.type === 'integer' && !Number.isInteger(value)) throw invalid('must be an integer');
+    if (spec.min !== undefined && value < spec.min) throw invalid(`must be at least ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) throw invalid(`must be at most ${spec.max}`);
+  }
+
+  /**
+   * Register a strategy (throws when invalid or the name is taken)
+   */
+  register(strategy, file = null) {
+    this.validate(strategy);
+    const existing = this.strategies.get(strategy.name);
+    if (existing && existing.file !== file) {
+      throw new Error(`Strategy ${strategy.name} is already registered from ${existing.file}`);
+    }
+    this.strategies.set(strategy.name, { strategy, file });
+    return strategy;
+  }
+
+  /**
+   * Whether a strategy is registered
+   */
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * Strategy by name (throws when unknown)
+   */
+  get(name) {
+    const entry = this.strategies.get(name);
+    if (!entry) {
+      throw new Error(`Unknown strategy: ${name}`);
+    }
+    return entry.strategy;
+  }
+
+  /**
+   * Registered strategies with their parameter schemas
+   */
+  list() {
+    return [...this.strategies.values()].map(({ strategy, file }) => ({
+      name: strategy.name,
+      description: strategy.description || '',
+      parameters: strategy.parameters || {},
+      warmup: typeof strategy.warmup === 'function'
+        ? strategy.warmup(this.defaults(strategy))
+        : strategy.warmup || 0,
+      file
+    }));
+  }
+
+  /**
+   * Default parameter values of a strategy
+   */
+  defaults(strategy) {
+    const defaults = {};
+    for (const [key, spec] of Object.entries(strategy.parameters || {})) {
+      defaults[key] = spec.default;
+    }
+    return defaults;
+  }
+
+  /**
+   * Parse a parameter value given as text (e.g. from the command line)
+   */
+  parseValue(spec, text) {
+    if (typeof text !== 'string') return text;
+    if (spec.type === 'boolean') {
+      return text === 'true' ? true : text === 'false' ? false : text;
+    }
+    if (spec.type === 'number' || spec.type === 'integer') {
+      return text.trim() === '' ? NaN : Number(text);
+    }
+    return text;
+  }
+
+  /**
+   * Full parameter set for a run: defaults overridden by the given values
+   * (text values are parsed; throws on unknown or invalid parameters)
+   */
+  resolveParams(name, params = {}) {
+    const strategy = this.get(name);
+    const schema = strategy.parameters || {};
+    const resolved = this.defaults(strategy);
+
+    for (const [key, raw] of Object.entries(params)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+        throw new Error(`${name}: unknown parameter ${key} (parameters: ${Object.keys(schema).join(', ') || 'none'})`);
+      }
+      const value = this.parseValue(schema[key], raw);
+      this.checkValue(name, key, schema[key], value);
+      resolved[key] = value;
+    }
+
+    return resolved;
+  }
+}
+
+StrategyRegistry.PARAMETER_TYPES = PARAMETER_TYPES;
+
+module.exports = StrategyRegistry;
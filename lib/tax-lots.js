@@ -0,0 +1,355 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lot relief methods; SPECIFIC takes the lots to close with the order
+const LOT_METHODS = ['FIFO', 'LIFO', 'HIGHEST_COST', 'SPECIFIC'];
+
+// Days before and after a loss sale in which a purchase makes it a wash sale
+const WASH_SALE_DAYS = 30;
+
+/**
+ * Tax Lots
+ *
+ * Per-lot cost basis for paper positions:
+ * - Every buy (or short sale) opens a lot: { id, shares, price, commission, acquiredAt }
+ * - Sells and covers relieve lots by FIFO, LIFO, highest cost or specific
+ *   lot ids, and the closing trade records each relieved lot's proceeds,
+ *   basis, gain and holding term
+ * - Realized gains report split into short-term and long-term (held more
+ *   than one year), with wash-sale flags for losses that have purchases of
+ *   the same symbol within 30 days before or after the sale
+ * - CSV export of the report
+ *
+ * Commissions are part of basis (entry) and proceeds (exit). Short sale
+ * gains are short-term; borrow fees are reported next to them, not in
+ * basis. Wash sales are flagged with the disallowed share of the loss; the
+ * basis of replacement shares is not adjusted.
+ */
+class TaxLots {
+  constructor(options = {}) {
+    this.defaultMethod = options.defaultMethod || 'FIFO';
+  }
+
+  /**
+   * Open lots of a position (positions opened before lot tracking get one lot)
+   */
+  lotsOf(position, positionKey) {
+    if (Array.isArray(position.lots)) {
+      return position.lots;
+    }
+    return [{
+      id: `${positionKey.replace('-5-years', '')}-0`,
+      shares: Math.abs(position.shares),
+      price: position.entryPrice,
+      commission: position.commissions || 0,
+      acquiredAt: position.entryDate
+    }];
+  }
+
+  /**
+   * Average price of a set of lots
+   */
+  averagePrice(lots) {
+    const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+    return shares > 0 ? lots.reduce((sum, lot) => sum + lot.shares * lot.price, 0) / shares : 0;
+  }
+
+  /**
+   * Lots in the order a method relieves them
+   */
+  orderLots(lots, method) {
+    const sorted = [...lots];
+    switch (method) {
+      case 'FIFO':
+        return sorted.sort((a, b) => a.acquiredAt.localeCompare(b.acquiredAt));
+      case 'LIFO':
+        return sorted.sort((a, b) => b.acquiredAt.localeCompare(a.acquiredAt));
+      case 'HIGHEST_COST':
+        return sorted.sort((a, b) => b.price - a.price);
+      default:
+        throw new Error(`Unknown lot method: ${method}`);
+    }
+  }
+
+  /**
+   * Take shares out of a position's lots
+   *
+   * @param {Array} lots - Open lots
+   * @param {number} shares - Shares to relieve
+   * @param {string} method - One of LOT_METHODS
+   * @param {Array} specific - [{ id, shares }] for SPECIFIC
+   * @returns {Object} { slices, remaining } or { error }
+   */
+  relieve(lots, shares, method = this.defaultMethod, specific = null) {
+    if (!LOT_METHODS.includes(method)) {
+      return { error: `Unknown lot method: ${method} (use ${LOT_METHODS.join(', ')})` };
+    }
+
+    let plan;
+    if (method === 'SPECIFIC') {
+      if (!Array.isArray(specific) || specific.length === 0) {
+        return { error: 'SPECIFIC lot relief needs lots: [{ id, shares }]' };
+      }
+      plan = [];
+      for (const request of specific) {
+        if (plan.some(p => p.lot.id === request.id)) {
+          return { error: `Lot listed twice: ${request.id}` };
+        }
+        const lot = lots.find(l => l.id === request.id);
+        if (!lot) {
+          return { error: `Lot not found: ${request.id}` };
+        }
+        if (!(request.shares > 0) || request.shares > lot.shares) {
+          return { error: `Lot ${request.id} holds ${lot.shares} shares` };
+        }
+        plan.push({ lot, shares: request.shares });
+      }
+      const planned = plan.reduce((sum, p) => sum + p.shares, 0);
+      if (planned !== shares) {
+        return { error: `Lots cover ${planned} shares, order is for ${shares}` };
+      }
+    } else {
+      plan = [];
+      let left = shares;
+      for (const lot of this.orderLots(lots, method)) {
+        if (left <= 0) break;
+        const take = Math.min(lot.shares, left);
+        plan.push({ lot, shares: take });
+        left -= take;
+      }
+      if (left > 0) {
+        return { error: `Lots hold only ${shares - left} shares` };
+      }
+    }
+
+    const slices = plan.map(({ lot, shares: take }) => ({
+      id: lot.id,
+      shares: take,
+      price: lot.price,
+      commission: lot.commission * (take / lot.shares),
+      acquiredAt: lot.acquiredAt
+    }));
+
+    const remaining = lots
+      .map(lot => {
+        const taken = plan.filter(p => p.lot === lot).reduce((sum, p) => sum + p.shares, 0);
+        if (taken === 0) return lot;
+        return {
+          ...lot,
+          shares: lot.shares - taken,
+          commission: lot.commission * ((lot.shares - taken) / lot.shares)
+        };
+      })
+      .filter(lot => lot.shares > 0);
+
+    return { slices, remaining };
+  }
+
+  /**
+   * SHORT or LONG holding term (long-term: held more than one year)
+   */
+  holdingTerm(acquiredAt, closedAt) {
+    const oneYearLater = new Date(acquiredAt);
+    oneYearLater.setUTCFullYear(oneYearLater.getUTCFullYear() + 1);
+    return new Date(closedAt) > oneYearLater ? 'LONG' : 'SHORT';
+  }
+
+  /**
+   * Realized result of the relieved lots of one closing fill
+   *
+   * @param {Array} slices - From relieve()
+   * @param {Object} fill - { side: 'LONG' | 'SHORT', price, commission, borrowFees, closedAt }
+   * @returns {Array} [{ lotId, shares, acquiredAt, closedAt, proceeds, costBasis, gain, term, borrowFees }]
+   */
+  realize(slices, fill) {
+    const total = slices.reduce((sum, slice) => sum + slice.shares, 0);
+
+    return slices.map(slice => {
+      const share = slice.shares / total;
+      const exitCommission = fill.commission * share;
+
+      // A long sells at the fill; a short sold at the lot price and buys back at the fill
+      const proceeds = fill.side === 'SHORT'
+        ? slice.shares * slice.price - slice.commission
+        : slice.shares * fill.price - exitCommission;
+      const costBasis = fill.side === 'SHORT'
+        ? slice.shares * fill.price + exitCommission
+        : slice.shares * slice.price + slice.commission;
+
+      const realized = {
+        lotId: slice.id,
+        shares: slice.shares,
+        acquiredAt: slice.acquiredAt,
+        closedAt: fill.closedAt,
+        proceeds,
+        costBasis,
+        gain: proceeds - costBasis,
+        term: fill.side === 'SHORT' ? 'SHORT' : this.holdingTerm(slice.acquiredAt, fill.closedAt)
+      };
+      if (fill.side === 'SHORT') {
+        realized.borrowFees = (fill.borrowFees || 0) * share;
+      }
+      return realized;
+    });
+  }
+
+  /**
+   * Wash-sale check for a realized loss on a long lot
+   *
+   * Replacement shares are purchases of the symbol within WASH_SALE_DAYS of
+   * the sale, other than the lots closed by that sale; earlier purchases only
+   * count for the shares still held when the sale happened. Losses are checked
+   * in sale order and take replacement shares oldest purchase first; a share
+   * that replaced one loss is used up and cannot wash another. The disallowed
+   * loss is the loss times the replaced fraction of the shares sold.
+   *
+   * @param {Object} realized - Realized lot of the sale
+   * @param {Object} sale - { trade, index } closing trade and its history index
+   * @param {Array} buys - [{ trade, index }] purchases of the symbol, in history order
+   * @param {Object} closings - lotId -> [{ index, shares }] closed shares per lot
+   * @param {Object} used - lotId -> replacement shares already matched to earlier losses (updated)
+   */
+  washSale(realized, sale, buys, closings, used = {}) {
+    if (realized.gain >= 0) {
+      return { washSale: false, disallowedLoss: 0 };
+    }
+
+    const soldAt = new Date(sale.trade.timestamp).getTime();
+    const closedLots = new Set(sale.trade.lots.map(lot => lot.lotId));
+
+    let replacementShares = 0;
+    for (const { trade, index } of buys) {
+      if (replacementShares >= realized.shares) break;
+      if (closedLots.has(trade.lotId)) continue;
+      if (Math.abs(new Date(trade.timestamp).getTime() - soldAt) > WASH_SALE_DAYS * DAY_MS) continue;
+
+      const closedBefore = index > sale.index ? 0 : (closings[trade.lotId] || [])
+        .filter(closing => closing.index < sale.index)
+        .reduce((closed, closing) => closed + closing.shares, 0);
+      const available = Math.max(0, trade.shares - closedBefore - (used[trade.lotId] || 0));
+      const matched = Math.min(available, realized.shares - replacementShares);
+      if (matched > 0) {
+        used[trade.lotId] = (used[trade.lotId] || 0) + matched;
+        replacementShares += matched;
+      }
+    }
+
+    if (replacementShares === 0) {
+      return { washSale: false, disallowedLoss: 0 };
+    }
+
+    return {
+      washSale: true,
+      disallowedLoss: -realized.gain * (replacementShares / realized.shares)
+    };
+  }
+
+  /**
+   * Realized gains report from trade history
+   *
+   * @param {Array} tradeHistory - Portfolio trade history
+   * @param {Object} options - { year } to limit to lots closed in that year
+   * @returns {Object} { year, lots, summary }
+   */
+  realizedGains(tradeHistory, options = {}) {
+    const year = options.year || null;
+    const buysBySymbol = {};
+    const closings = {};
+    tradeHistory.forEach((trade, index) => {
+      if (trade.type === 'BUY' && trade.lotId) {
+        (buysBySymbol[trade.symbol] = buysBySymbol[trade.symbol] || []).push({ trade, index });
+      }
+      if (trade.type === 'SELL' && Array.isArray(trade.lots)) {
+        trade.lots.forEach(lot => {
+          (closings[lot.lotId] = closings[lot.lotId] || []).push({ index, shares: lot.shares });
+        });
+      }
+    });
+
+    // Every sale is checked in order, including those outside the year, so
+    // replacement shares used by an earlier loss are not counted again
+    const lots = [];
+    const used = {};
+    tradeHistory.forEach((trade, index) => {
+      if ((trade.type !== 'SELL' && trade.type !== 'COVER') || !Array.isArray(trade.lots)) return;
+      const inYear = !year || trade.timestamp.startsWith(String(year));
+
+      const side = trade.type === 'SELL' ? 'LONG' : 'SHORT';
+      for (const realized of trade.lots) {
+        // Wash sales are only tracked for long positions
+        const wash = side === 'LONG'
+          ? this.washSale(realized, { trade, index }, buysBySymbol[trade.symbol] || [], closings, used)
+          : { washSale: false, disallowedLoss: 0 };
+        if (!inYear) continue;
+
+        lots.push({
+          symbol: trade.symbol.replace('-5-years', ''),
+          side,
+          ...realized,
+          borrowFees: realized.borrowFees || 0,
+          ...wash,
+          reason: trade.reason
+        });
+      }
+    });
+
+    const totals = term => {
+      const termLots = lots.filter(lot => lot.term === term);
+      return {
+        lots: termLots.length,
+        proceeds: termLots.reduce((sum, lot) => sum + lot.proceeds, 0),
+        costBasis: termLots.reduce((sum, lot) => sum + lot.costBasis, 0),
+        gain: termLots.reduce((sum, lot) => sum + lot.gain, 0),
+        disallowedLoss: termLots.reduce((sum, lot) => sum + lot.disallowedLoss, 0)
+      };
+    };
+    const shortTerm = totals('SHORT');
+    const longTerm = totals('LONG');
+    const washSales = lots.filter(lot => lot.washSale);
+
+    return {
+      year,
+      lots,
+      summary: {
+        shortTerm,
+        longTerm,
+        totalGain: shortTerm.gain + longTerm.gain,
+        washSales: washSales.length,
+        disallowedLoss: shortTerm.disallowedLoss + longTerm.disallowedLoss,
+        borrowFees: lots.reduce((sum, lot) => sum + lot.borrowFees, 0)
+      }
+    };
+  }
+
+  /**
+   * CSV export of a realized gains report, one row per closed lot
+   */
+  toCsv(report) {
+    const columns = ['symbol', 'lot_id', 'side', 'shares', 'acquired', 'closed', 'proceeds', 'cost_basis',
+      'gain', 'term', 'wash_sale', 'disallowed_loss', 'borrow_fees'];
+    const date = value => value ? value.split('T')[0] : '';
+    const money = value => value.toFixed(2);
+
+    const rows = report.lots.map(lot => [
+      lot.symbol,
+      lot.lotId,
+      lot.side,
+      lot.shares,
+      date(lot.acquiredAt),
+      date(lot.closedAt),
+      money(lot.proceeds),
+      money(lot.costBasis),
+      money(lot.gain),
+      lot.term === 'LONG' ? 'long-term' : 'short-term',
+      lot.washSale ? 'W' : '',
+      money(lot.disallowedLoss),
+      money(lot.borrowFees)
+    ].join(','));
+
+    return [columns.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+TaxLots.LOT_METHODS = LOT_METHODS;
+TaxLots.WASH_SALE_DAYS = WASH_SALE_DAYS;
+
+module.exports = TaxLots;
@@ -2,18 +2,33 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const EnhancedFeatures = require('./enhanced-features');
+const Universe = require('./universe');
+const WalkForward = require('./walk-forward');
 
 const execAsync = promisify(exec);
 
+// Stage 1 model inputs, in the training script's order
+const FEATURE_NAMES = [
+  'priceVsSma20', 'priceVsSma50', 'priceVsSma200',
+  'rsi', 'macdHistogram', 'roc',
+  'stochK', 'stochD', 'williamsR',
+  'bbPosition', 'atrPercent',
+  'obvTrend', 'mfi', 'volumeRatio'
+];
+
 /**
  * Training Orchestrator for Neural Trader
  *
  * Manages automated model training and retraining:
  * - Orchestrates training of all 5 ensemble models
  * - Validates new models against baseline performance
+ * - Walk-forward validation of candidate models (lib/walk-forward.js), with
+ *   samples and retraining hooks for the Stage 1 network
  * - Integrates with versioning system
  * - Handles training failures and rollback
  * - Parallel or sequential training modes
+ * - Trains on the ACTIVE symbols of the universe registry (SYMBOLS env var)
  */
 class TrainingOrchestrator {
   constructor(options = {}) {
@@ -25,6 +40,14 @@ class TrainingOrchestrator {
     this.parallelTraining = options.parallelTraining || false;
     this.minAccuracy = options.minAccuracy || 0.70; // 70% minimum accuracy
     this.minEnsembleConfidence = options.minEnsembleConfidence || 0.55; // 55% minimum ensemble confidence
+    this.universe = options.universe || new Universe({ dataDir: this.dataDir });
+    // Default fold layout for validateWalkForward (~2 years train, 1 quarter test, 5-day embargo)
+    this.walkForward = options.walkForward || { mode: 'rolling', trainSize: 504, testSize: 63, embargo: 5 };
+    this.maxFoldAccuracyStd = options.maxFoldAccuracyStd || 0.10; // Fold-to-fold accuracy spread
+    this.minLift = options.minLift || 1.2; // Walk-forward precision over the positive rate
+    // Labels as the training script builds them: top 30% of 5-day forward returns per symbol
+    this.forwardDays = options.forwardDays || 5;
+    this.topPercentile = options.topPercentile || 0.30;
   }
 
   /**
@@ -40,13 +63,10 @@ class TrainingOrchestrator {
   }
 
   /**
-   * Get list of symbols for training
+   * Get list of symbols for training (ACTIVE symbols with a history file)
    */
   getSymbolList() {
-    const files = fs.readdirSync(this.dataDir)
-      .filter(f => f.endsWith('-5-years.json'));
-
-    return files.map(f => f.replace('-5-years.json', ''));
+    return this.universe.activeSymbols({ withHistory: true });
   }
 
   /**
@@ -120,6 +140,7 @@ class TrainingOrchestrator {
     const env = {
       MODEL_NUMBER: modelNumber,
       SAVE_PATH: path.join(this.modelsDir, `model-${modelNumber}`),
+      SYMBOLS: (options.symbols || this.getSymbolList()).join(','),
       ...process.env
     };
 
@@ -284,10 +305,265 @@ class TrainingOrchestrator {
     };
   }
 
+  /**
+   * Walk-forward validation of a candidate before it is versioned
+   *
+   * Retrains the candidate on each training window with `hooks.train` and
+   * scores it on the following test window with `hooks.test` (see
+   * WalkForward#run). Labels are imbalanced (top 30% of returns), so a model
+   * that never predicts a winner is already 70% accurate; the gate is the
+   * pooled out-of-sample precision over the positive rate (lift), which
+   * must reach minLift, with accuracy stable across folds.
+   *
+   * @param {Array} samples - Time-ordered samples ({ date, features, label, ... })
+   * @param {Object} hooks - WalkForward hooks; test must return WalkForward.classificationMetrics
+   * @param {Object} options - WalkForward options overriding this.walkForward
+   * @returns {Promise<Object>} { passed, issues, metrics, walkForward }
+   */
+  async validateWalkForward(samples, hooks, options = {}) {
+    const walkForward = new WalkForward({ ...this.walkForward, ...options });
+
+    console.log('Running walk-forward validation...');
+    const report = await walkForward.run(samples, {
+      ...hooks,
+      onFold: fold => {
+        const { accuracy, lift } = fold.metrics;
+        console.log(`  Fold ${fold.fold + 1}: ${fold.testFrom || fold.testStart} to ${fold.testTo || fold.testEnd - 1} | ` +
+          `Acc: ${Number.isFinite(accuracy) ? (accuracy * 100).toFixed(1) + '%' : 'n/a'} | ` +
+          `Lift: ${Number.isFinite(lift) ? lift.toFixed(2) + 'x' : 'n/a'}`);
+        if (hooks.onFold) hooks.onFold(fold);
+      }
+    });
+
+    const validation = {
+      passed: true,
+      issues: [],
+      metrics: {},
+      walkForward: report
+    };
+
+    const metrics = report.aggregate.metrics;
+    const accuracy = metrics.accuracy;
+    const total = key => (metrics[key] ? metrics[key].total : null);
+
+    // Pooled over every test sample
+    const truePositives = total('truePositives');
+    const falsePositives = total('falsePositives');
+    const falseNegatives = total('falseNegatives');
+    const testSamples = total('samples');
+    const counted = [truePositives, falsePositives, falseNegatives, testSamples].every(value => value !== null);
+    const precision = counted && truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null;
+    const positiveRate = counted && testSamples > 0 ? (truePositives + falseNegatives) / testSamples : null;
+    const lift = precision !== null && positiveRate > 0 ? precision / positiveRate : null;
+
+    if (report.folds.length === 0) {
+      validation.passed = false;
+      validation.issues.push(`Not enough samples (${samples.length}) for a walk-forward fold`);
+    } else if (!accuracy || !counted) {
+      validation.passed = false;
+      validation.issues.push('Walk-forward test hook reported no classification counts');
+    } else {
+      if (precision === null) {
+        validation.passed = false;
+        validation.issues.push('Walk-forward model never predicted a positive');
+      } else if (lift === null || lift < this.minLift) {
+        validation.passed = false;
+        validation.issues.push(
+          `Walk-forward precision ${(precision * 100).toFixed(1)}% is ${lift === null ? 'n/a' : lift.toFixed(2)}x ` +
+          `the ${positiveRate === null ? 'n/a' : (positiveRate * 100).toFixed(1) + '%'} positive rate (minimum ${this.minLift.toFixed(2)}x)`
+        );
+      }
+      if (accuracy.std > this.maxFoldAccuracyStd) {
+        validation.passed = false;
+        validation.issues.push(
+          `Walk-forward accuracy varies ${(accuracy.std * 100).toFixed(1)}% across folds (maximum ${(this.maxFoldAccuracyStd * 100).toFixed(1)}%)`
+        );
+      }
+    }
+
+    validation.metrics = {
+      folds: report.folds.length,
+      testSamples: report.aggregate.testSamples,
+      avgAccuracy: accuracy ? accuracy.weighted : null,
+      minAccuracy: accuracy ? accuracy.min : null,
+      maxAccuracy: accuracy ? accuracy.max : null,
+      accuracyStd: accuracy ? accuracy.std : null,
+      precision,
+      positiveRate,
+      lift
+    };
+
+    return validation;
+  }
+
+  /**
+   * Walk-forward samples from the historical data, one per trading day
+   *
+   * Each sample holds the day's rows for every symbol ({ symbol, features,
+   * forwardReturn }) with the training script's features, so fold sizes are
+   * in trading days. Rows carry no label: a symbol's top-percentile cut-off
+   * over its whole history would leak later return levels into earlier
+   * folds, so labelThresholds() sets it from each training window.
+   *
+   * @returns {Array} [{ date, rows }] oldest first
+   */
+  buildWalkForwardSamples(symbols = this.getSymbolList()) {
+    const byDate = new Map();
+
+    for (const symbol of symbols) {
+      const file = path.join(this.dataDir, `${symbol}-5-years.json`);
+      if (!fs.existsSync(file)) continue;
+      const bars = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (bars.length <= 300) continue;
+
+      const features = EnhancedFeatures.generateAllFeatures(bars);
+      const rows = [];
+      for (let i = 0; i < features.length - this.forwardDays; i++) {
+        const feat = features[i];
+        const complete = feat.sma200 !== null && feat.rsi !== null && feat.macdLine !== null &&
+          feat.bbPosition !== null && feat.atr !== null && feat.mfi !== null;
+        if (!complete) continue;
+
+        rows.push({
+          date: bars[i].date,
+          features: FEATURE_NAMES.map(name => feat[name] || 0),
+          forwardReturn: bars[i + this.forwardDays].close / bars[i].close - 1
+        });
+      }
+
+      for (const row of rows) {
+        if (!byDate.has(row.date)) byDate.set(row.date, []);
+        byDate.get(row.date).push({ symbol, features: row.features, forwardReturn: row.forwardReturn });
+      }
+    }
+
+    return [...byDate.keys()].sort().map(date => ({ date, rows: byDate.get(date) }));
+  }
+
+  /**
+   * Per-symbol forward-return cut-off for a label of 1 (top topPercentile),
+   * from the given (training) rows only
+   *
+   * @returns {Object} symbol -> threshold
+   */
+  labelThresholds(rows) {
+    const returns = {};
+    for (const row of rows) {
+      (returns[row.symbol] = returns[row.symbol] || []).push(row.forwardReturn);
+    }
+
+    const thresholds = {};
+    for (const [symbol, values] of Object.entries(returns)) {
+      const sorted = values.sort((a, b) => b - a);
+      thresholds[symbol] = sorted[Math.floor(sorted.length * this.topPercentile)];
+    }
+    return thresholds;
+  }
+
+  /**
+   * Rows labelled against thresholds; rows of symbols without one are dropped
+   *
+   * @returns {Array} [{ symbol, features, label }]
+   */
+  labelRows(rows, thresholds) {
+    return rows
+      .filter(row => thresholds[row.symbol] !== undefined)
+      .map(row => ({ symbol: row.symbol, features: row.features, label: row.forwardReturn >= thresholds[row.symbol] ? 1 : 0 }));
+  }
+
+  /**
+   * Stage 1 network (the training script's architecture)
+   */
+  buildStage1Model(tf, seed) {
+    const dense = (units, index, extra = {}) => tf.layers.dense({
+      units,
+      activation: 'relu',
+      kernelRegularizer: tf.regularizers.l2({ l2: 0.001 }),
+      kernelInitializer: tf.initializers.glorotUniform({ seed: seed + index }),
+      ...extra
+    });
+
+    const model = tf.sequential({
+      layers: [
+        dense(128, 0, { inputShape: [FEATURE_NAMES.length] }),
+        tf.layers.dropout({ rate: 0.3 }),
+        dense(64, 1),
+        tf.layers.dropout({ rate: 0.3 }),
+        dense(32, 2),
+        tf.layers.dropout({ rate: 0.2 }),
+        dense(16, 3),
+        tf.layers.dropout({ rate: 0.2 }),
+        tf.layers.dense({ units: 1, activation: 'sigmoid', kernelInitializer: tf.initializers.glorotUniform({ seed: seed + 4 }) })
+      ]
+    });
+    model.compile({ optimizer: tf.train.adam(0.0005), loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+    return model;
+  }
+
+  /**
+   * WalkForward hooks for buildWalkForwardSamples samples: retrain the
+   * Stage 1 network on each training window and score it on the test window.
+   * Feature scaling and label thresholds come from the training window alone
+   * and are applied unchanged to the test window.
+   *
+   * @param {Object} options - { epochs, batchSize, seed }
+   */
+  createWalkForwardHooks(options = {}) {
+    let tf;
+    try {
+      tf = require('@tensorflow/tfjs-node-gpu');
+    } catch (error) {
+      throw new Error('@tensorflow/tfjs-node-gpu package not installed. Run: npm install @tensorflow/tfjs-node-gpu');
+    }
+
+    const epochs = options.epochs || 20;
+    const batchSize = options.batchSize || 128;
+    const seed = options.seed || 1001;
+    const normalize = (features, { means, stds }) => features.map((value, col) => (value - means[col]) / stds[col]);
+
+    return {
+      train: async trainSamples => {
+        const trainRows = trainSamples.flatMap(sample => sample.rows);
+        const thresholds = this.labelThresholds(trainRows);
+        const rows = this.labelRows(trainRows, thresholds);
+        const scaling = { means: [], stds: [] };
+        for (let col = 0; col < FEATURE_NAMES.length; col++) {
+          const values = rows.map(row => row.features[col]);
+          const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+          scaling.means.push(mean);
+          scaling.stds.push(Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length) || 1);
+        }
+
+        const model = this.buildStage1Model(tf, seed);
+        const xs = tf.tensor2d(rows.map(row => normalize(row.features, scaling)));
+        const ys = tf.tensor2d(rows.map(row => [row.label]));
+        try {
+          await model.fit(xs, ys, { epochs, batchSize, verbose: 0 });
+        } finally {
+          xs.dispose();
+          ys.dispose();
+        }
+        return { model, scaling, thresholds };
+      },
+      test: async ({ model, scaling, thresholds }, testSamples) => {
+        const rows = this.labelRows(testSamples.flatMap(sample => sample.rows), thresholds);
+        if (rows.length === 0) return {};
+        const xs = tf.tensor2d(rows.map(row => normalize(row.features, scaling)));
+        const output = model.predict(xs);
+        const predictions = (await output.array()).map(prediction => prediction[0]);
+        xs.dispose();
+        output.dispose();
+        return WalkForward.classificationMetrics(predictions, rows.map(row => row.label));
+      },
+      dispose: ({ model }) => model.dispose()
+    };
+  }
+
   /**
    * Validate trained models against baseline
+   * (and a validateWalkForward result, when given)
    */
-  async validateModels(modelPaths, baseline = {}) {
+  async validateModels(modelPaths, baseline = {}, walkForward = null) {
     console.log('Validating trained models...');
 
     const validation = {
@@ -320,12 +596,21 @@ class TrainingOrchestrator {
       validation.issues.push(`${baseline.failed} models failed to train`);
     }
 
+    // Walk-forward issues block versioning too
+    if (walkForward && !walkForward.passed) {
+      validation.passed = false;
+      validation.issues.push(...walkForward.issues);
+    }
+
     validation.metrics = {
       avgAccuracy: baseline.avgAccuracy,
       minAccuracy: baseline.minAccuracy,
       maxAccuracy: baseline.maxAccuracy,
       numModels: modelPaths.length
     };
+    if (walkForward) {
+      validation.metrics.walkForward = walkForward.metrics;
+    }
 
     return validation;
   }
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const RiskAnalytics = require('./risk-analytics');
+const { writeFileAtomic } = require('./portfolio-store');
+
+const ASSET_CLASSES = ['STOCK', 'ETF'];
+
+// ACTIVE symbols are refreshed, trained on and scored; the others are kept for reference
+const STATUSES = ['ACTIVE', 'INACTIVE', 'DELISTED'];
+
+// Funds among the symbols the registry is first built from
+const KNOWN_ETFS = ['SPY', 'VOO', 'QQQ', 'IWM', 'TLT', 'IEF', 'GLD', 'UUP', 'XLF', 'XLE', 'XLV', 'XLP', 'XLY'];
+
+/**
+ * Symbol Universe
+ *
+ * Registry of tradable symbols and named watchlists (data/universe.json):
+ * - Per symbol: name, sector, industry, asset class (STOCK / ETF), listing
+ *   status (ACTIVE / INACTIVE / DELISTED), tags and history download state
+ * - Create, update and remove symbols; removing one takes it off every watchlist
+ * - Named watchlists of registered symbols
+ * - activeSymbols() is the universe the data refresh, training and signals read
+ *
+ * Without a registry file, one is built from the historical-data files,
+ * with sectors from RiskAnalytics.SECTORS. The file is re-read when it
+ * changes, so the server and scripts can share it.
+ */
+class Universe {
+  constructor(options = {}) {
+    this.universeFile = options.universeFile || path.join(__dirname, '..', 'data', 'universe.json');
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'historical-data');
+
+    this.registry = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Whether a symbol has a daily history file
+   */
+  hasHistory(symbol) {
+    return fs.existsSync(path.join(this.dataDir, `${symbol}-5-years.json`));
+  }
+
+  /**
+   * Registry built from the existing data files
+   */
+  bootstrap() {
+    const now = new Date().toISOString();
+    const files = fs.existsSync(this.dataDir)
+      ? fs.readdirSync(this.dataDir).filter(f => f.endsWith('-5-years.json'))
+      : [];
+
+    const symbols = {};
+    for (const file of files) {
+      const symbol = file.replace('-5-years.json', '');
+      symbols[symbol] = this.createEntry({ symbol, sector: RiskAnalytics.SECTORS[symbol] }, now);
+      symbols[symbol].history = { status: 'READY', updatedAt: now };
+    }
+
+    return { symbols, watchlists: {} };
+  }
+
+  /**
+   * Load the registry, building it from the data files the first time
+   */
+  load() {
+    if (!fs.existsSync(this.universeFile)) {
+      this.registry = this.bootstrap();
+      this.save();
+      return this.registry;
+    }
+
+    const mtime = fs.statSync(this.universeFile).mtimeMs;
+    if (!this.registry || mtime !== this.loadedMtime) {
+      this.registry = JSON.parse(fs.readFileSync(this.universeFile, 'utf8'));
+      this.loadedMtime = mtime;
+    }
+    return this.registry;
+  }
+
+  /**
+   * Save the registry
+   */
+  save() {
+    const dir = path.dirname(this.universeFile);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    writeFileAtomic(this.universeFile, JSON.stringify(this.registry, null, 2));
+    this.loadedMtime = fs.statSync(this.universeFile).mtimeMs;
+  }
+
+  /**
+   * Validate metadata fields (throws on invalid values)
+   */
+  validate(fields) {
+    if (fields.assetClass !== undefined && !ASSET_CLASSES.includes(fields.assetClass)) {
+      throw new Error(`Asset class must be one of ${ASSET_CLASSES.join(', ')}`);
+    }
+    if (fields.status !== undefined && !STATUSES.includes(fields.status)) {
+      throw new Error(`Status must be one of ${STATUSES.join(', ')}`);
+    }
+    if (fields.tags !== undefined && (!Array.isArray(fields.tags) || fields.tags.some(tag => typeof tag !== 'string'))) {
+      throw new Error('Tags must be a list of strings');
+    }
+    for (const key of ['name', 'sector', 'industry']) {
+      if (fields[key] !== undefined && fields[key] !== null && typeof fields[key] !== 'string') {
+        throw new Error(`${key} must be a string`);
+      }
+    }
+  }
+
+  /**
+   * New registry entry with defaults for missing metadata
+   */
+  createEntry(fields, now = new Date().toISOString()) {
+    return {
+      symbol: fields.symbol,
+      name: fields.name || null,
+      sector: fields.sector || null,
+      industry: fields.industry || null,
+      assetClass: fields.assetClass || (KNOWN_ETFS.includes(fields.symbol) ? 'ETF' : 'STOCK'),
+      status: fields.status || 'ACTIVE',
+      tags: [...new Set((fields.tags || []).map(tag => tag.trim()).filter(Boolean))],
+      history: { status: 'PENDING', updatedAt: now },
+      addedAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Registered symbols, filtered by status, asset class, sector or tag
+   */
+  list(filter = {}) {
+    return Object.values(this.load().symbols)
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .filter(entry => !filter.assetClass || entry.assetClass === filter.assetClass)
+      .filter(entry => !filter.sector || entry.sector === filter.sector)
+      .filter(entry => !filter.tag || entry.tags.includes(filter.tag))
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  /**
+   * Whether a symbol is registered
+   */
+  has(symbol) {
+    return Object.prototype.hasOwnProperty.call(this.load().symbols, symbol);
+  }
+
+  /**
+   * Registry entry for a symbol (null when not registered)
+   */
+  get(symbol) {
+    return this.has(symbol) ? this.load().symbols[symbol] : null;
+  }
+
+  /**
+   * ACTIVE symbols, optionally only those with a history file
+   */
+  activeSymbols(options = {}) {
+    return this.list({ status: 'ACTIVE' })
+      .map(entry => entry.symbol)
+      .filter(symbol => !options.withHistory || this.hasHistory(symbol));
+  }
+
+  /**
+   * Sector of a registered symbol (null when unknown)
+   */
+  sectorOf(symbol) {
+    const entry = this.get(symbol);
+    return entry ? entry.sector : null;
+  }
+
+  /**
+   * Register a symbol (throws when invalid or already registered)
+   */
+  add(fields = {}) {
+    const symbol = String(fields.symbol || '').trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9.^-]{0,9}$/.test(symbol)) {
+      throw new Error('Symbol must be 1-10 characters: letters, digits, ".", "-" or "^"');
+    }
+    if (this.has(symbol)) {
+      throw new Error(`Symbol already registered: ${symbol}`);
+    }
+    this.validate(fields);
+
+    const entry = this.createEntry({ ...fields, symbol });
+    if (this.hasHistory(symbol)) {
+      entry.history = { status: 'READY', updatedAt: entry.addedAt };
+    }
+
+    this.registry.symbols[symbol] = entry;
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Change a symbol's metadata (throws when invalid)
+   */
+  update(symbol, changes = {}) {
+    const entry = this.get(symbol);
+    if (!entry) {
+      throw new Error(`Symbol not registered: ${symbol}`);
+    }
+    this.validate(changes);
+
+    for (const key of ['name', 'sector', 'industry', 'assetClass', 'status']) {
+      if (changes[key] !== undefined) entry[key] = changes[key];
+    }
+    if (changes.tags !== undefined) {
+      entry.tags = [...new Set(changes.tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+    entry.updatedAt = new Date().toISOString();
+
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Record the state of a symbol's history download
+   *
+   * @param {string} symbol - Registered symbol
+   * @param {Object} history - { status: 'DOWNLOADING' | 'READY' | 'FAILED', bars, error }
+   */
+  setHistory(symbol, history) {
+    const entry = this.get(symbol);
+    if (!entry) return null;
+
+    entry.history = { ...history, updatedAt: new Date().toISOString() };
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Remove a symbol from the registry and every watchlist (its data file is kept)
+   */
+  remove(symbol) {
+    const entry = this.get(symbol);
+    if (!entry) {
+      throw new Error(`Symbol not registered: ${symbol}`);
+    }
+
+    delete this.registry.symbols[symbol];
+    for (const watchlist of Object.values(this.registry.watchlists)) {
+      watchlist.symbols = watchlist.symbols.filter(s => s !== symbol);
+    }
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Check watchlist symbols are registered; returns them upper-cased and de-duplicated
+   */
+  validateWatchlistSymbols(symbols) {
+    if (!Array.isArray(symbols)) {
+      throw new Error('Watchlist symbols must be a list');
+    }
+    const normalized = [...new Set(symbols.map(s => String(s).trim().toUpperCase()))];
+    const unknown = normalized.filter(s => !this.has(s));
+    if (unknown.length > 0) {
+      throw new Error(`Not in the universe: ${unknown.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Named watchlists
+   */
+  listWatchlists() {
+    return Object.values(this.load().watchlists).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Watchlist by name (null when missing)
+   */
+  getWatchlist(name) {
+    const watchlists = this.load().watchlists;
+    return Object.prototype.hasOwnProperty.call(watchlists, name) ? watchlists[name] : null;
+  }
+
+  /**
+   * Create a watchlist (throws when invalid or the name is taken)
+   */
+  createWatchlist(name, symbols = []) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > 40) {
+      throw new Error('Watchlist name must be 1-40 characters');
+    }
+    if (this.getWatchlist(trimmed)) {
+      throw new Error(`Watchlist already exists: ${trimmed}`);
+    }
+
+    const now = new Date().toISOString();
+    const watchlist = {
+      name: trimmed,
+      symbols: this.validateWatchlistSymbols(symbols),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.registry.watchlists[trimmed] = watchlist;
+    this.save();
+    return watchlist;
+  }
+
+  /**
+   * Replace a watchlist's symbols (throws when missing or invalid)
+   */
+  updateWatchlist(name, symbols) {
+    const watchlist = this.getWatchlist(name);
+    if (!watchlist) {
+      throw new Error(`Watchlist not found: ${name}`);
+    }
+
+    watchlist.symbols = this.validateWatchlistSymbols(symbols);
+    watchlist.updatedAt = new Date().toISOString();
+    this.save();
+    return watchlist;
+  }
+
+  /**
+   * Delete a watchlist (throws when missing)
+   */
+  deleteWatchlist(name) {
+    const watchlist = this.getWatchlist(name);
+    if (!watchlist) {
+      throw new Error(`Watchlist not found: ${name}`);
+    }
+
+    delete this.registry.watchlists[name];
+    this.save();
+    return watchlist;
+  }
+}
+
+Universe.ASSET_CLASSES = ASSET_CLASSES;
+Universe.STATUSES = STATUSES;
+
+module.exports = Universe;
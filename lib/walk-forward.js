@@ -0,0 +1,231 @@
+const MODES = ['rolling', 'anchored'];
+
+/**
+ * Walk-Forward Validation
+ *
+ * One train/test fold generator and runner for models and strategies:
+ * - Rolling (fixed-length) or anchored (expanding) training windows
+ * - Window sizes as sample counts or as fractions of the data
+ * - Purge: drops the last training samples, whose labels look ahead into the test window
+ * - Embargo: skips samples between the training and test windows
+ * - Retraining hooks: retrain every fold, every N folds or on demand, with an
+ *   optional incremental update in between
+ * - Per-fold metrics plus mean / std / min / max / test-size weighted / total aggregates
+ *
+ * Samples are any array (bars, feature rows, segment indexes); the hooks
+ * decide what training and testing mean for them.
+ */
+class WalkForward {
+  constructor(options = {}) {
+    this.mode = options.mode || 'rolling';
+    this.trainSize = options.trainSize || 0.5; // Fraction of the samples, or a count
+    this.testSize = options.testSize || 0.1;
+    this.step = options.step || null; // Defaults to the test size
+    this.purge = options.purge || 0;
+    this.embargo = options.embargo || 0;
+    this.maxFolds = options.maxFolds || Infinity;
+    this.retrainEvery = options.retrainEvery || 1;
+    this.dateOf = options.dateOf || (sample => (sample && sample.date) || null);
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`mode must be one of ${MODES.join(', ')}`);
+    }
+    for (const key of ['trainSize', 'testSize', 'step']) {
+      const value = this[key];
+      if (value !== null && !(value > 0 && (value < 1 || Number.isInteger(value)))) {
+        throw new Error(`${key} must be a fraction below 1 or a positive integer`);
+      }
+    }
+    for (const key of ['purge', 'embargo']) {
+      if (!Number.isInteger(this[key]) || this[key] < 0) {
+        throw new Error(`${key} must be a non-negative integer`);
+      }
+    }
+    if (!Number.isInteger(this.retrainEvery) || this.retrainEvery < 1) {
+      throw new Error('retrainEvery must be a positive integer');
+    }
+  }
+
+  /**
+   * A window size in samples (fractions are of the total length)
+   */
+  resolveSize(size, length) {
+    return size < 1 ? Math.max(1, Math.round(size * length)) : size;
+  }
+
+  /**
+   * Fold index ranges over `length` samples (end indexes are exclusive)
+   */
+  splits(length) {
+    const trainSize = this.resolveSize(this.trainSize, length);
+    const testSize = this.resolveSize(this.testSize, length);
+    const step = this.step ? this.resolveSize(this.step, length) : testSize;
+    if (this.purge >= trainSize) {
+      throw new Error(`purge (${this.purge}) must be smaller than the training window (${trainSize})`);
+    }
+
+    const splits = [];
+    for (let end = trainSize; splits.length < this.maxFolds; end += step) {
+      const testStart = end + this.embargo;
+      if (testStart >= length) break;
+      splits.push({
+        fold: splits.length,
+        trainStart: this.mode === 'anchored' ? 0 : end - trainSize,
+        trainEnd: end - this.purge,
+        testStart,
+        testEnd: Math.min(testStart + testSize, length)
+      });
+    }
+    return splits;
+  }
+
+  /**
+   * Run the folds over the samples
+   *
+   * @param {Array} samples - Time-ordered samples
+   * @param {Object} hooks - {
+   *   train(trainSamples, fold) => model,
+   *   test(model, testSamples, fold) => { metric: number, ... },
+   *   shouldRetrain(fold) => boolean (default: every `retrainEvery` folds),
+   *   update(model, newSamples, fold) => model (between retrains, optional),
+   *   dispose(model) (when a model is replaced or the run ends, optional),
+   *   onFold(result) (progress, optional)
+   * }
+   * Hooks may be async. `fold` is the split plus { model, previous }.
+   * @returns {Promise<Object>} { mode, folds, aggregate }
+   */
+  async run(samples, hooks = {}) {
+    const { train, test, shouldRetrain = null, update = null, dispose = null, onFold = null } = hooks;
+    if (typeof train !== 'function' || typeof test !== 'function') {
+      throw new Error('Walk-forward needs train and test hooks');
+    }
+
+    const folds = [];
+    let model = null;
+    let trainedAt = null;
+    let lastTrainEnd = null;
+
+    try {
+      for (const split of this.splits(samples.length)) {
+        const started = Date.now();
+        const fold = { ...split, model, previous: folds.length > 0 ? folds[folds.length - 1] : null };
+
+        const retrain = trainedAt === null ||
+          (shouldRetrain ? Boolean(await shouldRetrain(fold)) : split.fold - trainedAt >= this.retrainEvery);
+        if (retrain) {
+          if (model !== null && dispose) await dispose(model);
+          model = await train(samples.slice(split.trainStart, split.trainEnd), fold);
+          trainedAt = split.fold;
+        } else if (update && split.trainEnd > lastTrainEnd) {
+          const updated = await update(model, samples.slice(lastTrainEnd, split.trainEnd), fold);
+          if (updated !== undefined) model = updated;
+        }
+        lastTrainEnd = split.trainEnd;
+
+        const testSamples = samples.slice(split.testStart, split.testEnd);
+        const metrics = (await test(model, testSamples, { ...fold, model })) || {};
+
+        const result = {
+          ...split,
+          trainSize: split.trainEnd - split.trainStart,
+          testSize: testSamples.length,
+          trainFrom: this.dateOf(samples[split.trainStart]),
+          trainTo: this.dateOf(samples[split.trainEnd - 1]),
+          testFrom: this.dateOf(testSamples[0]),
+          testTo: this.dateOf(testSamples[testSamples.length - 1]),
+          retrained: retrain,
+          metrics,
+          duration: Date.now() - started
+        };
+        folds.push(result);
+        if (onFold) onFold(result);
+      }
+    } finally {
+      if (model !== null && dispose) await dispose(model);
+    }
+
+    return { mode: this.mode, folds, aggregate: this.aggregate(folds) };
+  }
+
+  /**
+   * Aggregate the numeric metrics of fold results
+   *
+   * The test-size weighted mean of a per-fold rate (such as accuracy) is the
+   * rate over all test samples; `total` sums counts.
+   */
+  aggregate(folds) {
+    const keys = new Set();
+    folds.forEach(fold => Object.keys(fold.metrics || {}).forEach(key => keys.add(key)));
+
+    const metrics = {};
+    for (const key of keys) {
+      const rows = folds.filter(fold => fold.metrics && Number.isFinite(fold.metrics[key]));
+      if (rows.length === 0) continue;
+
+      const values = rows.map(fold => fold.metrics[key]);
+      const weights = rows.map(fold => fold.testSize || 1);
+      const total = values.reduce((sum, value) => sum + value, 0);
+      const mean = total / values.length;
+      const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+      metrics[key] = {
+        mean,
+        std: Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        weighted: values.reduce((sum, value, i) => sum + value * weights[i], 0) / weightSum,
+        total,
+        folds: values.length
+      };
+    }
+
+    return {
+      folds: folds.length,
+      testSamples: folds.reduce((sum, fold) => sum + (fold.testSize || 0), 0),
+      metrics
+    };
+  }
+
+  /**
+   * Accuracy, precision, recall and F1 of probability predictions for 0/1 labels
+   *
+   * lift is precision over the positive rate: 1 is no better than picking
+   * at random, whatever the class balance (accuracy is not).
+   */
+  static classificationMetrics(predictions, labels, threshold = 0.5) {
+    let correct = 0;
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    predictions.forEach((probability, i) => {
+      const predicted = probability > threshold ? 1 : 0;
+      if (predicted === labels[i]) correct++;
+      if (predicted === 1 && labels[i] === 1) truePositives++;
+      if (predicted === 1 && labels[i] === 0) falsePositives++;
+      if (predicted === 0 && labels[i] === 1) falseNegatives++;
+    });
+
+    const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+    const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+    const positiveRate = predictions.length > 0 ? (truePositives + falseNegatives) / predictions.length : null;
+
+    return {
+      accuracy: predictions.length > 0 ? correct / predictions.length : null,
+      precision,
+      recall,
+      f1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+      positiveRate,
+      lift: positiveRate > 0 ? precision / positiveRate : null,
+      samples: predictions.length,
+      correct,
+      truePositives,
+      falsePositives,
+      falseNegatives
+    };
+  }
+}
+
+WalkForward.MODES = MODES;
+
+module.exports = WalkForward;
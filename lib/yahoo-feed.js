@@ -0,0 +1,85 @@
+const MarketDataFeed = require('./market-data-feed');
+
+/**
+ * Yahoo Finance Feed
+ *
+ * Polls yahoo-finance2 for:
+ * - Quotes (regularMarketPrice, bid, ask) for all symbols in one request
+ * - 1-minute chart bars since the last bar received per symbol
+ *
+ * Yahoo's intraday data is delayed for some exchanges; use the Alpaca feed
+ * for real-time quotes.
+ */
+class YahooFeed extends MarketDataFeed {
+  constructor(options = {}) {
+    super({ name: 'yahoo', pollIntervalMs: 30000, ...options });
+    this.yahooFinance = options.yahooFinance || null;
+    this.lookbackMs = options.lookbackMs || 24 * 60 * 60 * 1000; // First minute-bar fetch
+    this.lastBarTime = new Map(); // symbol -> last minute bar timestamp (ms)
+  }
+
+  /**
+   * Initialize Yahoo Finance connection
+   */
+  async initialize() {
+    if (this.yahooFinance) return true;
+    try {
+      const YahooFinance = require('yahoo-finance2').default;
+      this.yahooFinance = new YahooFinance();
+      return true;
+    } catch (error) {
+      throw new Error('yahoo-finance2 package not installed. Run: npm install yahoo-finance2');
+    }
+  }
+
+  /**
+   * Fetch quotes and new minute bars
+   */
+  async poll() {
+    if (this.symbols.length === 0) return;
+
+    const quotes = await this.yahooFinance.quote(this.symbols);
+    for (const quote of [].concat(quotes)) {
+      this.handleQuote({
+        symbol: quote.symbol,
+        price: quote.regularMarketPrice,
+        bid: quote.bid,
+        ask: quote.ask,
+        timestamp: quote.regularMarketTime
+      });
+    }
+
+    for (const symbol of this.symbols) {
+      await this.fetchMinuteBars(symbol);
+    }
+  }
+
+  /**
+   * Fetch 1-minute bars since the last one received
+   */
+  async fetchMinuteBars(symbol) {
+    const since = this.lastBarTime.get(symbol) || Date.now() - this.lookbackMs;
+    const chart = await this.yahooFinance.chart(symbol, {
+      period1: new Date(since),
+      interval: '1m'
+    });
+
+    for (const bar of chart.quotes || []) {
+      if (bar.close === null || bar.close === undefined) continue;
+      const time = new Date(bar.date).getTime();
+
+      this.handleBar({
+        symbol,
+        timestamp: bar.date,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume
+      });
+      this.lastBarTime.set(symbol, Math.max(time, this.lastBarTime.get(symbol) || 0));
+    }
+  }
+}
+
+module.exports = YahooFeed;
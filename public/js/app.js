@@ -2,11 +2,52 @@
 
 const INITIAL_CAPITAL = 100000;
 const REFRESH_INTERVAL = 10000; // 10 seconds
+const MAX_THINKING_ENTRIES = 50;
+const MAX_RECONNECT_DELAY = 30000;
 
 let portfolioChart = null;
 let pnlChart = null;
 let symbolPrices = {}; // Cache symbol prices
 let thinkingIntervalId = null;
+let refreshIntervalId = null;
+let thinkingEntries = []; // Model thinking log, newest first
+let eventSource = null; // Live event stream for the selected account
+let streamConnected = false;
+let reconnectTimeoutId = null;
+let reconnectDelay = 1000;
+let currentAccount = localStorage.getItem('account') || 'default';
+let accountConfig = null; // Settings of the selected account
+let configSchema = null; // Editable settings and reprice policies
+let latestPortfolio = null; // Last portfolio rendered, for views that re-query it
+let currentUser = null; // Logged-in user { username, role }
+let dashboardStarted = false;
+let replayState = null; // Last replay clock state
+
+const ROLES = ['viewer', 'trader', 'admin'];
+
+// URL of an account-scoped API route
+function accountUrl(route) {
+  return `/api/accounts/${encodeURIComponent(currentAccount)}${route}`;
+}
+
+// Whether the logged-in user has at least a role (admin includes trader includes viewer)
+function hasRole(role) {
+  return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+// API request; a 401 means the session ended, so the login form comes back
+async function apiFetch(url, options) {
+  const response = await fetch(url, options);
+  if (response.status === 401 && currentUser) {
+    showLogin('Session expired: log in again');
+  }
+  return response;
+}
+
+// Starting capital of the selected account
+function initialCapital() {
+  return accountConfig ? accountConfig.initialCapital : INITIAL_CAPITAL;
+}
 
 // Format currency
 function formatCurrency(value) {
@@ -63,7 +104,7 @@ function updateStatus(connected, lastUpdated) {
 // Fetch portfolio data
 async function fetchPortfolio() {
   try {
-    const response = await fetch('/api/portfolio');
+    const response = await apiFetch(accountUrl('/portfolio'));
     const data = await response.json();
     updateStatus(true, data.lastUpdated || new Date().toISOString());
     return data;
@@ -74,10 +115,59 @@ async function fetchPortfolio() {
   }
 }
 
+// Fetch performance analytics
+async function fetchPerformance() {
+  try {
+    const response = await apiFetch(accountUrl('/portfolio/performance'));
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch performance:', err);
+    return null;
+  }
+}
+
+// Fetch portfolio risk
+async function fetchRisk() {
+  try {
+    const response = await apiFetch(accountUrl('/risk'));
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch risk:', err);
+    return null;
+  }
+}
+
+// Fetch pre-trade rules and kill switch state
+async function fetchRiskRules() {
+  try {
+    const response = await apiFetch(accountUrl('/risk/rules'));
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch risk rules:', err);
+    return null;
+  }
+}
+
+// Fetch the realized gains report for a year (all years when empty)
+async function fetchRealizedGains(year) {
+  try {
+    const response = await apiFetch(accountUrl(`/tax/realized${year ? `?year=${year}` : ''}`));
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch realized gains:', err);
+    return null;
+  }
+}
+
 // Fetch trading signals
 async function fetchSignals() {
   try {
-    const response = await fetch('/api/signals');
+    const response = await apiFetch('/api/signals');
+    if (!response.ok) return [];
     return await response.json();
   } catch (err) {
     console.error('Failed to fetch signals:', err);
@@ -88,7 +178,7 @@ async function fetchSignals() {
 // Fetch available symbols
 async function fetchSymbols() {
   try {
-    const response = await fetch('/api/symbols');
+    const response = await apiFetch('/api/symbols');
     return await response.json();
   } catch (err) {
     console.error('Failed to fetch symbols:', err);
@@ -96,21 +186,100 @@ async function fetchSymbols() {
   }
 }
 
+// Fetch the symbol universe
+async function fetchUniverse() {
+  try {
+    const response = await apiFetch('/api/universe');
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch universe:', err);
+    return null;
+  }
+}
+
+// Fetch watchlists
+async function fetchWatchlists() {
+  try {
+    const response = await apiFetch('/api/watchlists');
+    if (!response.ok) return [];
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch watchlists:', err);
+    return [];
+  }
+}
+
 // Fetch model thinking log
 async function fetchThinking() {
   try {
-    const response = await fetch('/api/thinking');
-    return await response.json();
+    const response = await apiFetch(`/api/thinking?limit=${MAX_THINKING_ENTRIES}`);
+    return (await response.json()).events;
   } catch (err) {
     console.error('Failed to fetch thinking:', err);
     return [];
   }
 }
 
+// Fetch auto-trader status
+async function fetchAutoTrade() {
+  try {
+    const response = await apiFetch(accountUrl('/autotrade'));
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch auto-trader status:', err);
+    return null;
+  }
+}
+
+// Fetch replay clock state
+async function fetchReplay() {
+  try {
+    const response = await apiFetch('/api/replay');
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch replay state:', err);
+    return null;
+  }
+}
+
+// Fetch accounts
+async function fetchAccounts() {
+  try {
+    const response = await apiFetch('/api/accounts');
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch accounts:', err);
+    return [];
+  }
+}
+
+// Fetch the settings schema
+async function fetchConfigSchema() {
+  try {
+    const response = await apiFetch('/api/config/schema');
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch settings schema:', err);
+    return null;
+  }
+}
+
+// Fetch the settings change log
+async function fetchAudit() {
+  try {
+    const response = await apiFetch(accountUrl('/config/audit?limit=20'));
+    return await response.json();
+  } catch (err) {
+    console.error('Failed to fetch change log:', err);
+    return [];
+  }
+}
+
 // Fetch price for a symbol
 async function fetchPrice(symbol) {
   try {
-    const response = await fetch(`/api/prices/${symbol}`);
+    const response = await apiFetch(`/api/prices/${symbol}`);
     if (!response.ok) return null;
     const data = await response.json();
     if (data && data.length > 0) {
@@ -133,7 +302,7 @@ function updatePortfolioSummary(data) {
   });
 
   const totalValue = data.cash + positionsValue;
-  const totalReturn = ((totalValue - INITIAL_CAPITAL) / INITIAL_CAPITAL) * 100;
+  const totalReturn = ((totalValue - initialCapital()) / initialCapital()) * 100;
 
   document.getElementById('total-value').textContent = formatCurrency(totalValue);
   document.getElementById('cash').textContent = formatCurrency(data.cash);
@@ -143,7 +312,14 @@ function updatePortfolioSummary(data) {
   returnEl.textContent = formatPercent(totalReturn);
   returnEl.className = `metric-value ${totalReturn >= 0 ? 'positive' : 'negative'}`;
 
-  document.getElementById('position-count').textContent = `${positionsArray.length}/10`;
+  const costs = data.costs || { commission: 0, spread: 0, slippage: 0, impact: 0, total: 0 };
+  const costsEl = document.getElementById('trading-costs');
+  costsEl.textContent = formatCurrency(costs.total);
+  costsEl.title = `Commission ${formatCurrency(costs.commission)} | Spread ${formatCurrency(costs.spread)} | ` +
+    `Slippage ${formatCurrency(costs.slippage)} | Impact ${formatCurrency(costs.impact)}`;
+
+  const maxPositions = accountConfig ? accountConfig.maxPositions : 10;
+  document.getElementById('position-count').textContent = `${positionsArray.length}/${maxPositions}`;
 }
 
 // Update positions table
@@ -165,7 +341,7 @@ function updatePositionsTable(data) {
 
     return `
       <tr>
-        <td><strong>${cleanSymbol}</strong></td>
+        <td><strong>${cleanSymbol}</strong>${pos.shares < 0 ? ' <span class="trade-type short">SHORT</span>' : ''}</td>
         <td>${pos.shares}</td>
         <td>${formatCurrency(pos.entryPrice)}</td>
         <td>${formatCurrency(currentValue)}</td>
@@ -174,7 +350,7 @@ function updatePositionsTable(data) {
         <td>${formatCurrency(pos.takeProfit)}</td>
         <td>${formatDate(pos.entryDate)}</td>
         <td>
-          <button class="btn btn-close" onclick="closePosition('${cleanSymbol}')">Close</button>
+          <button class="btn btn-close" data-requires="trader" onclick="closePosition('${cleanSymbol}')">Close</button>
         </td>
       </tr>
     `;
@@ -191,16 +367,16 @@ function updateSignals(signals) {
   }
 
   container.innerHTML = signals.map(signal => {
-    const scoreClass = signal.score >= 0.46 ? 'high' : signal.score >= 0.44 ? 'medium' : 'low';
+    const scoreClass = signal.signal === 'BUY' ? 'high' : signal.score >= 0.45 ? 'medium' : 'low';
     const cleanSymbol = signal.symbol.replace('-5-years', '');
+    const modelDetails = (signal.models || []).map(m =>
+      `<span>${m.name.replace('model-', 'M')}: ${(m.probability * 100).toFixed(1)}%</span>`
+    ).join('');
     return `
-      <div class="signal-card" onclick="selectSymbol('${cleanSymbol}')">
+      <div class="signal-card" onclick="selectSymbol('${cleanSymbol}')" title="${signal.reason || ''}">
         <div class="signal-symbol">${cleanSymbol}</div>
         <div class="signal-score ${scoreClass}">${(signal.score * 100).toFixed(1)}%</div>
-        <div class="signal-details">
-          <span>RF: ${(signal.rf * 100).toFixed(1)}%</span>
-          <span>NN: ${(signal.nn * 100).toFixed(1)}%</span>
-        </div>
+        <div class="signal-details">${modelDetails}</div>
       </div>
     `;
   }).join('');
@@ -212,7 +388,7 @@ function updateTradeHistory(data) {
   const trades = data.tradeHistory || [];
 
   // Update stats
-  const closedTrades = trades.filter(t => t.type === 'SELL');
+  const closedTrades = trades.filter(t => t.type === 'SELL' || t.type === 'COVER');
   const totalPnL = closedTrades.reduce((sum, t) => sum + (t.pnl || 0), 0);
   const winningTrades = closedTrades.filter(t => t.pnl > 0).length;
   const winRate = closedTrades.length > 0 ? (winningTrades / closedTrades.length) * 100 : 0;
@@ -225,7 +401,7 @@ function updateTradeHistory(data) {
   pnlEl.style.color = totalPnL >= 0 ? 'var(--accent-green)' : 'var(--accent-red)';
 
   if (trades.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No trade history</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="9" class="empty-state">No trade history</td></tr>';
     return;
   }
 
@@ -239,13 +415,17 @@ function updateTradeHistory(data) {
         <td>${formatDate(trade.timestamp)}</td>
         <td><span class="trade-type ${typeClass}">${trade.type}</span></td>
         <td><strong>${trade.symbol.replace('-5-years', '')}</strong></td>
-        <td>${trade.shares}</td>
-        <td>${formatCurrency(trade.price)}</td>
+        <td>${trade.type === 'SPLIT' ? `${trade.sharesBefore} → ${trade.shares}` : trade.shares}</td>
+        <td>${trade.price === null || trade.price === undefined ? '-' : formatCurrency(trade.price)}</td>
         <td>${formatCurrency(trade.value)}</td>
         <td class="${(trade.pnl || 0) >= 0 ? 'positive' : 'negative'}">
-          ${trade.type === 'SELL' ? formatCurrency(trade.pnl || 0) : '-'}
+          ${trade.type === 'SELL' || trade.type === 'COVER' ? formatCurrency(trade.pnl || 0) : '-'}
         </td>
-        <td>${trade.reason || (trade.type === 'BUY' && trade.confidence ? `Conf: ${(trade.confidence * 100).toFixed(1)}%` : '-')}</td>
+        <td>
+          ${trade.reason || (trade.type === 'BUY' && trade.confidence ? `Conf: ${(trade.confidence * 100).toFixed(1)}%` : '-')}
+          ${trade.decisionId ? `<button class="btn btn-small" onclick="showDecision('${trade.decisionId}')">Why</button>` : ''}
+        </td>
+        <td>${trade.user || 'system'}</td>
       </tr>
     `;
   }).join('');
@@ -254,6 +434,7 @@ function updateTradeHistory(data) {
 // Update model thinking panel
 function updateThinking(entries) {
   const container = document.getElementById('thinking-log');
+  thinkingEntries = entries || [];
 
   if (!entries || entries.length === 0) {
     container.innerHTML = '<div class="empty-state">Waiting for model analysis...</div>';
@@ -264,57 +445,413 @@ function updateThinking(entries) {
   const reversed = [...entries].reverse();
 
   container.innerHTML = reversed.map(entry => {
-    const dataStr = Object.keys(entry.data).length > 0
-      ? Object.entries(entry.data).map(([k, v]) => {
-          if (typeof v === 'number') {
-            return `${k}: ${v.toFixed ? v.toFixed(2) : v}`;
-          }
-          return `${k}: ${v}`;
-        }).join(' | ')
-      : '';
+    // Scalars inline; model outputs and threshold checks on their own lines (features stay in the log)
+    const dataStr = Object.entries(entry.data)
+      .filter(([, v]) => v !== null && v !== undefined && typeof v !== 'object')
+      .map(([k, v]) => typeof v === 'number' ? `${k}: ${v.toFixed(2)}` : `${k}: ${v}`)
+      .join(' | ');
+    const modelsStr = (entry.data.models || []).map(m => `${m.name}: ${m.probability.toFixed(3)}`).join(' | ');
 
     return `
       <div class="thinking-entry ${entry.type}">
-        <div class="thinking-time">${formatTime(entry.timestamp)}</div>
+        <div class="thinking-time">${entry.replayDate ? `${entry.replayDate} · ` : ''}${formatTime(entry.timestamp)}</div>
         <div class="thinking-message">${entry.message}</div>
         ${dataStr ? `<div class="thinking-data">${dataStr}</div>` : ''}
+        ${modelsStr ? `<div class="thinking-data">${modelsStr}</div>` : ''}
+        ${entry.data.checks ? `<div class="thinking-data">${formatChecks(entry.data.checks)}</div>` : ''}
       </div>
     `;
   }).join('');
 }
 
-// Set thinking refresh rate
+// Threshold comparisons of a decision, e.g. "MIN_CONFIDENCE 0.52 vs 0.43 ✓"
+function formatChecks(checks) {
+  return checks.map(check =>
+    `${check.name} ${Number(check.value).toFixed(2)} vs ${Number(check.threshold).toFixed(2)} ${check.passed ? '✓' : '✗'}`
+  ).join(' | ');
+}
+
+// Show the decision behind a trade
+async function showDecision(id) {
+  try {
+    const response = await apiFetch(`/api/thinking/${encodeURIComponent(id)}`);
+    const entry = await response.json();
+    if (!response.ok) {
+      showTradeMessage(entry.error, true);
+      return;
+    }
+    const checks = entry.data.checks ? ` (${formatChecks(entry.data.checks)})` : '';
+    showTradeMessage(`${formatDate(entry.timestamp)}: ${entry.message}${checks}`);
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Update auto-trader control
+function updateAutoTrade(status) {
+  if (!status) return;
+
+  const label = document.getElementById('autotrade-status');
+  const button = document.getElementById('btn-autotrade');
+
+  label.textContent = status.running
+    ? `Auto-Trade: ON (${status.tradesPlaced} trades)`
+    : 'Auto-Trade: OFF';
+  button.textContent = status.running ? 'Pause' : 'Start';
+  button.className = `btn btn-small ${status.running ? 'btn-sell' : 'btn-buy'}`;
+  button.dataset.running = status.running ? 'true' : 'false';
+}
+
+// Start or pause the auto-trader
+async function toggleAutoTrade() {
+  const button = document.getElementById('btn-autotrade');
+  const action = button.dataset.running === 'true' ? 'pause' : 'start';
+
+  try {
+    const response = await apiFetch(accountUrl(`/autotrade/${action}`), { method: 'POST' });
+    updateAutoTrade(await response.json());
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Set thinking refresh rate (used while polling)
 function setThinkingRefreshRate(ms) {
   if (thinkingIntervalId) {
     clearInterval(thinkingIntervalId);
+    thinkingIntervalId = null;
+  }
+  if (!streamConnected) {
+    thinkingIntervalId = setInterval(refreshThinking, ms);
   }
-  thinkingIntervalId = setInterval(refreshThinking, ms);
 }
 
-// Initialize portfolio chart
-function initPortfolioChart(data) {
-  const ctx = document.getElementById('portfolio-chart').getContext('2d');
-  const trades = data.tradeHistory || [];
+// Poll the REST API (fallback while the event stream is down)
+function startPolling() {
+  if (!refreshIntervalId) {
+    refreshIntervalId = setInterval(refresh, REFRESH_INTERVAL);
+  }
+  setThinkingRefreshRate(parseInt(document.getElementById('refresh-rate').value));
+}
 
-  // Build portfolio value over time from trades
-  let cash = INITIAL_CAPITAL;
-  const values = [{ x: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), y: INITIAL_CAPITAL }];
+// Stop polling once the event stream is up
+function stopPolling() {
+  if (refreshIntervalId) {
+    clearInterval(refreshIntervalId);
+    refreshIntervalId = null;
+  }
+  setThinkingRefreshRate(parseInt(document.getElementById('refresh-rate').value));
+}
 
-  trades.forEach(trade => {
-    if (trade.type === 'BUY') {
-      cash -= trade.value;
-    } else {
-      cash += trade.value;
-    }
-    values.push({ x: new Date(trade.timestamp), y: cash });
+// Subscribe to live updates for the selected account
+function connectStream() {
+  if (eventSource) {
+    eventSource.close();
+  }
+  if (reconnectTimeoutId) {
+    clearTimeout(reconnectTimeoutId);
+    reconnectTimeoutId = null;
+  }
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+
+  eventSource = new EventSource(accountUrl('/stream'));
+
+  eventSource.addEventListener('connected', async () => {
+    streamConnected = true;
+    reconnectDelay = 1000;
+    stopPolling();
+    // Catch up on anything missed while disconnected
+    await refresh();
+    await refreshThinking();
   });
 
-  // Add current value
-  let positionsValue = 0;
-  Object.values(data.positions || {}).forEach(pos => {
-    positionsValue += pos.shares * pos.entryPrice;
+  eventSource.addEventListener('portfolio', (e) => {
+    const portfolio = JSON.parse(e.data);
+    updateStatus(true, portfolio.lastUpdated || new Date().toISOString());
+    renderPortfolio(portfolio);
+    refreshPerformance();
+    refreshRisk();
+  });
+
+  eventSource.addEventListener('risk', () => {
+    refreshRisk();
+  });
+
+  eventSource.addEventListener('fill', (e) => {
+    const fill = JSON.parse(e.data);
+    showTradeMessage(`${fill.type} ${fill.side} filled: ${fill.shares} ${fill.symbol} @ ${formatCurrency(fill.price)}`);
+  });
+
+  eventSource.addEventListener('alert', (e) => {
+    showTradeMessage(JSON.parse(e.data).message, true);
+  });
+
+  eventSource.addEventListener('thinking', (e) => {
+    updateThinking([JSON.parse(e.data), ...thinkingEntries].slice(0, MAX_THINKING_ENTRIES));
+  });
+
+  eventSource.addEventListener('signals', (e) => {
+    updateSignals(JSON.parse(e.data));
+  });
+
+  eventSource.addEventListener('autotrade', (e) => {
+    updateAutoTrade(JSON.parse(e.data));
+  });
+
+  eventSource.addEventListener('replay', (e) => {
+    updateReplay(JSON.parse(e.data));
+  });
+
+  eventSource.addEventListener('universe', () => {
+    refreshUniverse();
+    populateSymbols();
+  });
+
+  eventSource.addEventListener('prices', (e) => {
+    Object.entries(JSON.parse(e.data)).forEach(([symbol, { price }]) => {
+      symbolPrices[symbol] = price;
+    });
+    updateEstCost();
   });
-  values.push({ x: new Date(), y: data.cash + positionsValue });
+
+  eventSource.onerror = () => {
+    streamConnected = false;
+    updateStatus(false);
+    startPolling();
+
+    // The browser retries on its own unless the stream was closed for good
+    if (eventSource.readyState === EventSource.CLOSED) {
+      reconnectTimeoutId = setTimeout(connectStream, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    }
+  };
+}
+
+// Update performance metrics
+function updatePerformance(performance) {
+  const { metrics, benchmark } = performance;
+  const ratio = value => value === null ? '-' : value.toFixed(2);
+
+  document.getElementById('perf-sharpe').textContent = ratio(metrics.sharpe);
+  document.getElementById('perf-sortino').textContent = ratio(metrics.sortino);
+  document.getElementById('perf-calmar').textContent = ratio(metrics.calmar);
+  document.getElementById('perf-max-drawdown').textContent = `${(metrics.maxDrawdown * 100).toFixed(2)}%`;
+  document.getElementById('perf-win-rate').textContent = metrics.winRate === null ? '-' : `${(metrics.winRate * 100).toFixed(1)}%`;
+  document.getElementById('perf-profit-factor').textContent = ratio(metrics.profitFactor);
+  document.getElementById('perf-exposure').textContent = `${(metrics.exposure * 100).toFixed(1)}%`;
+
+  const vsEl = document.getElementById('perf-vs-benchmark');
+  if (benchmark) {
+    vsEl.textContent = formatPercent(benchmark.excessReturn * 100);
+    vsEl.className = `metric-value ${benchmark.excessReturn >= 0 ? 'positive' : 'negative'}`;
+    vsEl.title = `${benchmark.symbol}: ${formatPercent(benchmark.totalReturn * 100)}, beta ${ratio(benchmark.beta)}`;
+  } else {
+    vsEl.textContent = '-';
+    vsEl.className = 'metric-value';
+  }
+}
+
+// Update risk panel
+function updateRisk(risk) {
+  const ratio = value => value === null ? '-' : value.toFixed(2);
+  const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+  const loss = ({ amount, percent: share }) => amount === null ? '-' : `${formatCurrency(amount)} (${percent(share)})`;
+
+  document.getElementById('risk-as-of').textContent = risk.asOf ? `${risk.observations}d to ${risk.asOf}` : '-';
+  document.getElementById('risk-var-historical').textContent = loss(risk.var.historical);
+  document.getElementById('risk-var-parametric').textContent = loss(risk.var.parametric);
+  document.getElementById('risk-es').textContent = loss(risk.expectedShortfall.historical);
+  document.getElementById('risk-beta').textContent = ratio(risk.exposure.beta);
+  document.getElementById('risk-gross').textContent = `${formatCurrency(risk.exposure.gross)} (${percent(risk.exposure.grossPercent)})`;
+  document.getElementById('risk-net').textContent = `${formatCurrency(risk.exposure.net)} (${percent(risk.exposure.netPercent)})`;
+
+  document.getElementById('risk-warnings').innerHTML = risk.warnings
+    .map(warning => `<li>⚠️ ${warning.message}</li>`)
+    .join('');
+
+  const positionsBody = document.getElementById('risk-positions-body');
+  positionsBody.innerHTML = risk.positions.length === 0
+    ? '<tr><td colspan="5" class="empty-state">No open positions</td></tr>'
+    : risk.positions.map(p => `
+      <tr>
+        <td><strong>${p.symbol}</strong>${p.side === 'SHORT' ? ' <span class="trade-type short">SHORT</span>' : ''}</td>
+        <td>${p.sector}</td>
+        <td>${percent(p.weight)}</td>
+        <td>${ratio(p.beta)}</td>
+        <td>${percent(p.volatility)}</td>
+      </tr>
+    `).join('');
+
+  const sectorsBody = document.getElementById('risk-sectors-body');
+  sectorsBody.innerHTML = risk.sectors.length === 0
+    ? '<tr><td colspan="4" class="empty-state">No exposure</td></tr>'
+    : risk.sectors.map(s => `
+      <tr>
+        <td>${s.sector}</td>
+        <td>${formatCurrency(s.long)}</td>
+        <td>${formatCurrency(s.short)}</td>
+        <td>${percent(s.shareOfGross)}</td>
+      </tr>
+    `).join('');
+
+  // Correlation matrix, shaded by strength
+  const { symbols, matrix } = risk.correlation;
+  const table = document.getElementById('risk-correlation-table');
+  if (symbols.length < 2) {
+    table.innerHTML = '<tr><td class="empty-state">Hold two or more positions to see correlations</td></tr>';
+    return;
+  }
+  table.innerHTML = `
+    <thead><tr><th></th>${symbols.map(symbol => `<th>${symbol}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${symbols.map((symbol, i) => `
+        <tr>
+          <th>${symbol}</th>
+          ${matrix[i].map(value => {
+            if (value === null) return '<td>-</td>';
+            const color = value >= 0 ? '255, 71, 87' : '74, 158, 255';
+            return `<td style="background: rgba(${color}, ${Math.abs(value) * 0.6})">${value.toFixed(2)}</td>`;
+          }).join('')}
+        </tr>
+      `).join('')}
+    </tbody>
+  `;
+}
+
+// Update realized gains report
+function updateRealizedGains(report, portfolio) {
+  // Years with closing trades, newest first
+  const yearSelect = document.getElementById('gains-year');
+  const years = [...new Set(portfolio.tradeHistory
+    .filter(t => t.type === 'SELL' || t.type === 'COVER')
+    .map(t => t.timestamp.slice(0, 4)))].sort().reverse();
+  const selected = yearSelect.value;
+  yearSelect.innerHTML = ['<option value="">All years</option>', ...years.map(year => `<option value="${year}">${year}</option>`)].join('');
+  yearSelect.value = years.includes(selected) ? selected : '';
+
+  const { summary, lots } = report;
+  const setGain = (id, label, value) => {
+    const el = document.getElementById(id);
+    el.textContent = `${label}: ${formatCurrency(value)}`;
+    el.className = value >= 0 ? 'positive' : 'negative';
+  };
+  setGain('gains-short-term', 'Short-term', summary.shortTerm.gain);
+  setGain('gains-long-term', 'Long-term', summary.longTerm.gain);
+  document.getElementById('gains-wash-sales').textContent =
+    `Wash sales: ${summary.washSales}${summary.washSales > 0 ? ` (${formatCurrency(summary.disallowedLoss)} disallowed)` : ''}`;
+
+  const year = yearSelect.value;
+  document.getElementById('gains-export').href = accountUrl(`/tax/realized?format=csv${year ? `&year=${year}` : ''}`);
+
+  const tbody = document.getElementById('gains-body');
+  if (lots.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="10" class="empty-state">No realized gains</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = [...lots].reverse().slice(0, 50).map(lot => `
+    <tr>
+      <td><strong>${lot.symbol}</strong>${lot.side === 'SHORT' ? ' <span class="trade-type short">SHORT</span>' : ''}</td>
+      <td>${lot.lotId}</td>
+      <td>${lot.shares}</td>
+      <td>${lot.acquiredAt ? lot.acquiredAt.split('T')[0] : '-'}</td>
+      <td>${lot.closedAt.split('T')[0]}</td>
+      <td>${formatCurrency(lot.proceeds)}</td>
+      <td>${formatCurrency(lot.costBasis)}</td>
+      <td class="${lot.gain >= 0 ? 'positive' : 'negative'}">${formatCurrency(lot.gain)}</td>
+      <td>${lot.term === 'LONG' ? 'Long' : 'Short'}</td>
+      <td>${lot.washSale ? `W (${formatCurrency(lot.disallowedLoss)})` : '-'}</td>
+    </tr>
+  `).join('');
+}
+
+// Update pre-trade rules and kill switch
+function updateRiskRules(status) {
+  const { killSwitch, rules, today } = status;
+
+  const badge = document.getElementById('kill-switch-status');
+  badge.textContent = killSwitch.active ? `HALTED: ${killSwitch.reason}` : 'Trading allowed';
+  badge.className = `badge ${killSwitch.active ? 'kill-switch-active' : ''}`;
+
+  const button = document.getElementById('btn-kill-switch');
+  button.textContent = killSwitch.active ? 'Reset Kill Switch' : 'Halt Trading';
+  button.className = `btn btn-small ${killSwitch.active ? 'btn-buy' : 'btn-sell'}`;
+  button.dataset.active = killSwitch.active ? 'true' : 'false';
+
+  document.getElementById('rules-orders-today').textContent = `${today.orders} orders today`;
+  const pnlEl = document.getElementById('rules-daily-pnl');
+  pnlEl.textContent = `Today: ${formatCurrency(today.pnl)}`;
+  pnlEl.className = today.pnl >= 0 ? 'positive' : 'negative';
+
+  const formatLimit = (name, limit) => {
+    if (name === 'killSwitch') return limit ? 'Tripped' : 'Off';
+    if (name === 'blockedSymbols') return limit.length > 0 ? limit.join(', ') : 'None';
+    if (!limit) return 'Off';
+    if (['maxPositionSize', 'maxSectorExposure', 'dailyLossLimit'].includes(name)) return `${(limit * 100).toFixed(1)}% of equity`;
+    if (name === 'minPrice') return formatCurrency(limit);
+    return limit.toLocaleString();
+  };
+
+  document.getElementById('rules-body').innerHTML = rules.map(rule => `
+    <tr>
+      <td>${rule.label}</td>
+      <td>${formatLimit(rule.name, rule.limit)}</td>
+    </tr>
+  `).join('');
+}
+
+// Trip or reset the kill switch
+async function toggleKillSwitch() {
+  const active = document.getElementById('btn-kill-switch').dataset.active !== 'true';
+  if (active && !confirm('Halt trading? New positions will be refused until the kill switch is reset.')) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(accountUrl('/risk/kill-switch'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ active })
+    });
+    const result = await response.json();
+
+    if (response.ok) {
+      updateRiskRules(result);
+      showTradeMessage(active ? 'Trading halted' : 'Kill switch reset');
+    } else {
+      showTradeMessage(result.error || 'Kill switch update failed', true);
+    }
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Initialize portfolio chart from the server's equity curve
+function initPortfolioChart(performance) {
+  const ctx = document.getElementById('portfolio-chart').getContext('2d');
+
+  const datasets = [{
+    label: 'Portfolio Value',
+    data: performance.equityCurve.map(p => ({ x: new Date(p.date), y: p.equity })),
+    borderColor: '#4a9eff',
+    backgroundColor: 'rgba(74, 158, 255, 0.1)',
+    fill: true,
+    tension: 0.4
+  }];
+
+  if (performance.benchmark) {
+    datasets.push({
+      label: performance.benchmark.symbol,
+      data: performance.benchmark.equityCurve.map(p => ({ x: new Date(p.date), y: p.equity })),
+      borderColor: '#8b9ab5',
+      borderDash: [4, 4],
+      fill: false,
+      tension: 0.4
+    });
+  }
 
   if (portfolioChart) {
     portfolioChart.destroy();
@@ -322,21 +859,15 @@ function initPortfolioChart(data) {
 
   portfolioChart = new Chart(ctx, {
     type: 'line',
-    data: {
-      datasets: [{
-        label: 'Portfolio Value',
-        data: values,
-        borderColor: '#4a9eff',
-        backgroundColor: 'rgba(74, 158, 255, 0.1)',
-        fill: true,
-        tension: 0.4
-      }]
-    },
+    data: { datasets },
     options: {
       responsive: true,
       maintainAspectRatio: false,
       plugins: {
-        legend: { display: false }
+        legend: {
+          display: datasets.length > 1,
+          labels: { color: '#8b9ab5' }
+        }
       },
       scales: {
         x: {
@@ -360,7 +891,7 @@ function initPortfolioChart(data) {
 // Initialize P&L chart
 function initPnLChart(data) {
   const ctx = document.getElementById('pnl-chart').getContext('2d');
-  const trades = (data.tradeHistory || []).filter(t => t.type === 'SELL');
+  const trades = (data.tradeHistory || []).filter(t => t.type === 'SELL' || t.type === 'COVER');
 
   if (trades.length === 0) {
     if (pnlChart) pnlChart.destroy();
@@ -422,62 +953,375 @@ async function loadDateAdapter() {
   });
 }
 
-// Populate symbol dropdown
-async function populateSymbols() {
-  const select = document.getElementById('trade-symbol');
-  const symbols = await fetchSymbols();
-
-  // Add signals first (they have scores)
-  const signals = await fetchSignals();
-  const signalSymbols = signals.map(s => s.symbol.replace('-5-years', ''));
+// Populate account switcher and load the selected account's settings
+async function populateAccounts() {
+  const select = document.getElementById('account-select');
+  const accounts = await fetchAccounts();
 
-  // Clear and add options
-  select.innerHTML = '<option value="">Select symbol...</option>';
+  if (!accounts.some(a => a.id === currentAccount)) {
+    currentAccount = 'default';
+  }
 
-  // Add signal symbols first with scores
-  signals.forEach(signal => {
-    const sym = signal.symbol.replace('-5-years', '');
-    const opt = document.createElement('option');
-    opt.value = sym;
-    opt.textContent = `${sym} (${(signal.score * 100).toFixed(1)}%)`;
-    select.appendChild(opt);
-  });
+  select.innerHTML = accounts.map(account =>
+    `<option value="${account.id}">${account.name}</option>`
+  ).join('');
+  select.value = currentAccount;
 
-  // Add other symbols
-  symbols.filter(s => !signalSymbols.includes(s)).forEach(sym => {
-    const opt = document.createElement('option');
-    opt.value = sym;
-    opt.textContent = sym;
-    select.appendChild(opt);
-  });
+  accountConfig = (accounts.find(a => a.id === currentAccount) || {}).config || null;
+  document.getElementById('btn-delete-account').disabled = currentAccount === 'default';
 }
 
-// Select symbol (from signal card click)
-function selectSymbol(symbol) {
-  const select = document.getElementById('trade-symbol');
-  select.value = symbol;
-  updateEstCost();
+// Switch to another account
+async function switchAccount(accountId) {
+  currentAccount = accountId;
+  localStorage.setItem('account', accountId);
+  await populateAccounts();
+  await refreshSettings();
+  await refresh();
+  connectStream();
 }
 
-// Update estimated cost
-async function updateEstCost() {
-  const symbol = document.getElementById('trade-symbol').value;
-  const shares = parseInt(document.getElementById('trade-shares').value) || 0;
-  const estCostEl = document.getElementById('est-cost');
+// Create an account and switch to it
+async function createAccount() {
+  const name = prompt('Account name:');
+  if (!name) return;
 
-  if (!symbol || shares <= 0) {
-    estCostEl.textContent = '$0.00';
+  const capital = parseFloat(prompt('Initial capital:', String(INITIAL_CAPITAL)));
+  if (!capital || capital <= 0) {
+    showTradeMessage('Please enter a valid initial capital', true);
     return;
   }
 
-  // Fetch price if not cached
-  if (!symbolPrices[symbol]) {
-    symbolPrices[symbol] = await fetchPrice(symbol);
-  }
+  try {
+    const response = await apiFetch('/api/accounts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, config: { initialCapital: capital } })
+    });
 
-  const price = symbolPrices[symbol];
-  if (price) {
-    estCostEl.textContent = formatCurrency(price * shares);
+    const result = await response.json();
+
+    if (response.ok) {
+      showTradeMessage(`Created account ${result.name}`);
+      await switchAccount(result.id);
+    } else {
+      showTradeMessage(result.error || 'Could not create account', true);
+    }
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Reset the selected account
+async function resetAccount() {
+  if (!confirm('Reset this account? All positions, trades and orders will be cleared.')) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(accountUrl('/reset'), { method: 'POST' });
+    const result = await response.json();
+
+    if (response.ok) {
+      showTradeMessage(`Reset account ${result.account.name}`);
+      await refresh();
+    } else {
+      showTradeMessage(result.error || 'Reset failed', true);
+    }
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Delete the selected account
+async function deleteAccount() {
+  if (currentAccount === 'default' || !confirm('Delete this account and its trade history?')) {
+    return;
+  }
+
+  try {
+    const response = await apiFetch(`/api/accounts/${encodeURIComponent(currentAccount)}`, { method: 'DELETE' });
+    const result = await response.json();
+
+    if (response.ok) {
+      showTradeMessage(`Deleted account ${result.account.name}`);
+      await switchAccount('default');
+    } else {
+      showTradeMessage(result.error || 'Delete failed', true);
+    }
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Render the settings form for the selected account
+function renderSettingsForm() {
+  const form = document.getElementById('settings-form');
+
+  if (!configSchema || !accountConfig) {
+    form.innerHTML = '<div class="empty-state">Settings unavailable</div>';
+    return;
+  }
+
+  form.innerHTML = configSchema.settings.map(setting => {
+    const value = accountConfig[setting.name];
+    const input = setting.type === 'boolean'
+      ? `<select id="setting-${setting.name}" data-setting="${setting.name}" data-type="boolean">
+          <option value="true" ${value ? 'selected' : ''}>Yes</option>
+          <option value="false" ${value ? '' : 'selected'}>No</option>
+        </select>`
+      : setting.type === 'enum'
+      ? `<select id="setting-${setting.name}" data-setting="${setting.name}" data-type="enum">
+          ${setting.values.map(option => `<option value="${option}" ${option === value ? 'selected' : ''}>${option}</option>`).join('')}
+        </select>`
+      : setting.type === 'symbols'
+      ? `<input type="text" id="setting-${setting.name}" data-setting="${setting.name}" data-type="symbols"
+          value="${(value || []).join(', ')}" placeholder="e.g. GME, AMC">`
+      : `<input type="number" id="setting-${setting.name}" data-setting="${setting.name}" data-type="${setting.type}"
+          value="${value}" min="${setting.min}" max="${setting.max}" step="${setting.type === 'integer' ? 1 : 'any'}">`;
+
+    return `
+      <div class="form-group" title="${setting.description}">
+        <label for="setting-${setting.name}">${setting.name}</label>
+        ${input}
+      </div>
+    `;
+  }).join('');
+
+  document.getElementById('reprice-policy').innerHTML = [
+    '<option value="">Require a choice</option>',
+    ...configSchema.repricePolicies.map(policy => `<option value="${policy}">${policy}</option>`)
+  ].join('');
+}
+
+// Render the settings change log
+function updateAudit(entries) {
+  const tbody = document.getElementById('audit-body');
+
+  if (!entries || entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="empty-state">No changes</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = entries.map(entry => `
+    <tr>
+      <td>${formatDate(entry.timestamp)} ${formatTime(entry.timestamp)}</td>
+      <td>${entry.actor}</td>
+      <td>${entry.changes.map(c => `${c.setting}: ${c.from} → ${c.to}`).join('<br>')}</td>
+      <td>${entry.repricePolicy || '-'}</td>
+    </tr>
+  `).join('');
+}
+
+// Load the settings form and change log
+async function refreshSettings() {
+  renderSettingsForm();
+  updateAudit(await fetchAudit());
+}
+
+// Show settings message
+function showSettingsMessage(message, isError = false) {
+  const el = document.getElementById('settings-message');
+  el.textContent = message;
+  el.className = `trade-message ${isError ? 'error' : 'success'}`;
+  setTimeout(() => {
+    el.textContent = '';
+    el.className = 'trade-message';
+  }, 5000);
+}
+
+// Save changed settings
+async function saveSettings() {
+  const settings = {};
+
+  document.querySelectorAll('#settings-form [data-setting]').forEach(input => {
+    const name = input.dataset.setting;
+    const type = input.dataset.type;
+    const value = type === 'boolean' ? input.value === 'true'
+      : type === 'enum' ? input.value
+      : type === 'symbols' ? input.value.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+      : parseFloat(input.value);
+    if (JSON.stringify(value) !== JSON.stringify(accountConfig[name])) {
+      settings[name] = value;
+    }
+  });
+
+  if (Object.keys(settings).length === 0) {
+    showSettingsMessage('No changes to save');
+    return;
+  }
+
+  const repricePolicy = document.getElementById('reprice-policy').value;
+
+  try {
+    const response = await apiFetch(accountUrl('/config'), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(repricePolicy ? { ...settings, repricePolicy } : settings)
+    });
+
+    const result = await response.json();
+
+    if (response.ok) {
+      const repriced = result.repriced ? result.repriced.length : 0;
+      showSettingsMessage(`Saved ${result.changes.length} setting(s)${repriced ? `, re-priced ${repriced} position(s)` : ''}`);
+      await populateAccounts();
+      await refreshSettings();
+      await refresh();
+    } else {
+      showSettingsMessage(result.error || 'Save failed', true);
+    }
+  } catch (err) {
+    showSettingsMessage('Network error', true);
+  }
+}
+
+// Update replay controls
+function updateReplay(state) {
+  if (!state) return;
+  replayState = state;
+
+  const status = document.getElementById('replay-status');
+  const dateInput = document.getElementById('replay-date');
+  const playButton = document.getElementById('btn-replay-play');
+  const isReplay = state.mode === 'REPLAY';
+
+  if (isReplay) {
+    const progress = state.progress !== null ? ` (${(state.progress * 100).toFixed(0)}%)` : '';
+    status.textContent = `REPLAY ${state.date}${state.playing ? ' ▶' : ' ⏸'}${progress}`;
+    status.className = 'replay-status replay';
+  } else {
+    status.textContent = 'LIVE';
+    status.className = 'replay-status';
+  }
+
+  dateInput.min = state.firstDate || '';
+  dateInput.max = state.lastDate || '';
+  if (isReplay && document.activeElement !== dateInput) {
+    dateInput.value = state.date;
+  }
+
+  playButton.textContent = state.playing ? 'Pause' : 'Play';
+  playButton.className = `btn btn-small ${state.playing ? 'btn-sell' : 'btn-buy'}`;
+  playButton.dataset.playing = state.playing ? 'true' : 'false';
+  playButton.disabled = !isReplay;
+  document.getElementById('btn-replay-step').disabled = !isReplay || state.playing;
+  document.getElementById('btn-replay-live').disabled = !isReplay;
+}
+
+// Send a replay command
+async function replayCommand(action, body = {}) {
+  try {
+    const response = await apiFetch(`/api/replay/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const result = await response.json();
+
+    if (response.ok) {
+      updateReplay(result);
+    } else {
+      showTradeMessage(result.error || `Replay ${action} failed`, true);
+    }
+    return result;
+  } catch (err) {
+    showTradeMessage('Network error', true);
+    return null;
+  }
+}
+
+// Jump the replay clock to the chosen date
+async function replayJump() {
+  const date = document.getElementById('replay-date').value;
+  if (!date) {
+    showTradeMessage('Please choose a replay date', true);
+    return;
+  }
+
+  // Replays trade scratch books, started over on entering replay or jumping back;
+  // a jump forward may keep them
+  const jumpingForward = replayState && replayState.mode === 'REPLAY' && date > replayState.date;
+  const resetAccounts = jumpingForward
+    ? confirm('Start the replay books over? (Cancel keeps the replay positions)')
+    : false;
+  await replayCommand('jump', { date, resetAccounts });
+  await refresh();
+}
+
+// Play or pause the replay
+async function toggleReplayPlay() {
+  const button = document.getElementById('btn-replay-play');
+  if (button.dataset.playing === 'true') {
+    await replayCommand('pause');
+  } else {
+    await replayCommand('play', { speed: parseFloat(document.getElementById('replay-speed').value) });
+  }
+}
+
+// Populate symbol dropdown
+async function populateSymbols() {
+  const select = document.getElementById('trade-symbol');
+  const selected = select.value;
+  const symbols = await fetchSymbols();
+
+  // Add signals first (they have scores)
+  const signals = await fetchSignals();
+  const signalSymbols = signals.map(s => s.symbol.replace('-5-years', ''));
+
+  // Clear and add options
+  select.innerHTML = '<option value="">Select symbol...</option>';
+
+  // Add signal symbols first with scores
+  signals.forEach(signal => {
+    const sym = signal.symbol.replace('-5-years', '');
+    const opt = document.createElement('option');
+    opt.value = sym;
+    opt.textContent = `${sym} (${(signal.score * 100).toFixed(1)}%)`;
+    select.appendChild(opt);
+  });
+
+  // Add other symbols
+  symbols.filter(s => !signalSymbols.includes(s)).forEach(sym => {
+    const opt = document.createElement('option');
+    opt.value = sym;
+    opt.textContent = sym;
+    select.appendChild(opt);
+  });
+
+  // Keep the selection when the list is rebuilt after a universe change
+  if ([...select.options].some(opt => opt.value === selected)) {
+    select.value = selected;
+  }
+}
+
+// Select symbol (from signal card click)
+function selectSymbol(symbol) {
+  const select = document.getElementById('trade-symbol');
+  select.value = symbol;
+  updateEstCost();
+}
+
+// Update estimated cost
+async function updateEstCost() {
+  const symbol = document.getElementById('trade-symbol').value;
+  const shares = parseInt(document.getElementById('trade-shares').value) || 0;
+  const estCostEl = document.getElementById('est-cost');
+
+  if (!symbol || shares <= 0) {
+    estCostEl.textContent = '$0.00';
+    return;
+  }
+
+  // Fetch price if not cached
+  if (!symbolPrices[symbol]) {
+    symbolPrices[symbol] = await fetchPrice(symbol);
+  }
+
+  const price = symbolPrices[symbol];
+  if (price) {
+    estCostEl.textContent = formatCurrency(price * shares);
   } else {
     estCostEl.textContent = 'N/A';
   }
@@ -510,7 +1354,7 @@ async function executeBuy() {
   }
 
   try {
-    const response = await fetch('/api/trade/buy', {
+    const response = await apiFetch(accountUrl('/trade/buy'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ symbol, shares })
@@ -545,10 +1389,11 @@ async function executeSell() {
   }
 
   try {
-    const response = await fetch('/api/trade/sell', {
+    const lotMethod = document.getElementById('trade-lot-method').value;
+    const response = await apiFetch(accountUrl('/trade/sell'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ symbol, shares })
+      body: JSON.stringify(lotMethod ? { symbol, shares, lotMethod } : { symbol, shares })
     });
 
     const result = await response.json();
@@ -565,6 +1410,78 @@ async function executeSell() {
   }
 }
 
+// Execute short sale
+async function executeShort() {
+  const symbol = document.getElementById('trade-symbol').value;
+  const shares = parseInt(document.getElementById('trade-shares').value);
+
+  if (!symbol) {
+    showTradeMessage('Please select a symbol', true);
+    return;
+  }
+
+  if (!shares || shares <= 0) {
+    showTradeMessage('Please enter valid shares', true);
+    return;
+  }
+
+  try {
+    const response = await apiFetch(accountUrl('/trade/short'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ symbol, shares })
+    });
+
+    const result = await response.json();
+
+    if (response.ok) {
+      showTradeMessage(`Shorted ${shares} ${symbol} @ ${formatCurrency(result.trade.price)}`);
+      await refresh();
+    } else {
+      showTradeMessage(result.error || 'Short failed', true);
+    }
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
+// Execute buy to cover
+async function executeCover() {
+  const symbol = document.getElementById('trade-symbol').value;
+  const shares = parseInt(document.getElementById('trade-shares').value);
+
+  if (!symbol) {
+    showTradeMessage('Please select a symbol', true);
+    return;
+  }
+
+  if (!shares || shares <= 0) {
+    showTradeMessage('Please enter valid shares', true);
+    return;
+  }
+
+  try {
+    const lotMethod = document.getElementById('trade-lot-method').value;
+    const response = await apiFetch(accountUrl('/trade/cover'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(lotMethod ? { symbol, shares, lotMethod } : { symbol, shares })
+    });
+
+    const result = await response.json();
+
+    if (response.ok) {
+      const pnlStr = result.trade.pnl >= 0 ? `+${formatCurrency(result.trade.pnl)}` : formatCurrency(result.trade.pnl);
+      showTradeMessage(`Covered ${shares} ${symbol} (${pnlStr})`);
+      await refresh();
+    } else {
+      showTradeMessage(result.error || 'Cover failed', true);
+    }
+  } catch (err) {
+    showTradeMessage('Network error', true);
+  }
+}
+
 // Close entire position
 async function closePosition(symbol) {
   if (!confirm(`Close entire position in ${symbol}?`)) {
@@ -572,7 +1489,7 @@ async function closePosition(symbol) {
   }
 
   try {
-    const response = await fetch('/api/trade/close', {
+    const response = await apiFetch(accountUrl('/trade/close'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ symbol })
@@ -591,22 +1508,235 @@ async function closePosition(symbol) {
   }
 }
 
+// Render portfolio views
+function renderPortfolio(portfolio) {
+  latestPortfolio = portfolio;
+  updatePortfolioSummary(portfolio);
+  updatePositionsTable(portfolio);
+  updateTradeHistory(portfolio);
+  initPnLChart(portfolio);
+  refreshRealizedGains();
+}
+
+// Reload the realized gains report for the selected year
+async function refreshRealizedGains() {
+  if (!latestPortfolio) return;
+  const report = await fetchRealizedGains(document.getElementById('gains-year').value);
+  if (report) {
+    updateRealizedGains(report, latestPortfolio);
+  }
+}
+
+// Show universe message
+function showUniverseMessage(message, isError = false) {
+  const el = document.getElementById('universe-message');
+  el.textContent = message;
+  el.className = `trade-message ${isError ? 'error' : 'success'}`;
+  setTimeout(() => {
+    el.textContent = '';
+    el.className = 'trade-message';
+  }, 5000);
+}
+
+// Update the universe table, limited to the selected watchlist
+function updateUniverse(entries, watchlists) {
+  const select = document.getElementById('universe-watchlist');
+  const selected = select.value;
+  select.innerHTML = '<option value="">All symbols</option>' + watchlists.map(w =>
+    `<option value="${w.name}">${w.name} (${w.symbols.length})</option>`
+  ).join('');
+  select.value = watchlists.some(w => w.name === selected) ? selected : '';
+
+  const watchlist = watchlists.find(w => w.name === select.value) || null;
+  document.getElementById('btn-delete-watchlist').disabled = !watchlist;
+
+  const active = entries.filter(e => e.status === 'ACTIVE').length;
+  document.getElementById('universe-count').textContent = `${active}/${entries.length} active`;
+
+  const tbody = document.getElementById('universe-body');
+  if (entries.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="9" class="empty-state">No symbols in the universe</td></tr>';
+    return;
+  }
+
+  // With a watchlist selected, its symbols come first and the rest can be added to it
+  const sorted = watchlist
+    ? [...entries].sort((a, b) => watchlist.symbols.includes(b.symbol) - watchlist.symbols.includes(a.symbol))
+    : entries;
+
+  tbody.innerHTML = sorted.map(entry => {
+    const statusOptions = ['ACTIVE', 'INACTIVE', 'DELISTED'].map(status =>
+      `<option value="${status}" ${status === entry.status ? 'selected' : ''}>${status}</option>`
+    ).join('');
+    const history = entry.history.status === 'FAILED'
+      ? `<span class="negative" title="${entry.history.error || ''}">FAILED</span> <button class="btn btn-small" data-requires="admin" onclick="retryDownload('${entry.symbol}')">Retry</button>`
+      : entry.history.status;
+    const watched = watchlist && watchlist.symbols.includes(entry.symbol);
+    const watchButton = watchlist
+      ? `<button class="btn btn-small ${watched ? 'btn-sell' : 'btn-buy'}" data-requires="trader" onclick="toggleWatch('${entry.symbol}')">${watched ? 'Unwatch' : 'Watch'}</button>`
+      : '';
+
+    return `
+      <tr>
+        <td><strong>${entry.symbol}</strong></td>
+        <td>${entry.name || '-'}</td>
+        <td>${entry.sector || '-'}</td>
+        <td>${entry.industry || '-'}</td>
+        <td>${entry.assetClass}</td>
+        <td><select class="universe-status" ${hasRole('admin') ? '' : 'disabled'} onchange="setSymbolStatus('${entry.symbol}', this.value)">${statusOptions}</select></td>
+        <td>${entry.tags.map(tag => `<span class="universe-tag">${tag}</span>`).join('') || '-'}</td>
+        <td>${history}</td>
+        <td>
+          ${watchButton}
+          <button class="btn btn-small btn-sell" data-requires="admin" onclick="removeUniverseSymbol('${entry.symbol}')">Remove</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Reload the universe and watchlists
+async function refreshUniverse() {
+  const [entries, watchlists] = await Promise.all([fetchUniverse(), fetchWatchlists()]);
+  if (entries) {
+    updateUniverse(entries, watchlists);
+  }
+}
+
+// Send a universe or watchlist change and refresh the view
+async function universeRequest(url, method, body, successMessage) {
+  try {
+    const response = await apiFetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+
+    if (response.ok) {
+      if (successMessage) showUniverseMessage(successMessage);
+      await refreshUniverse();
+      return result;
+    }
+    showUniverseMessage(result.error || 'Universe update failed', true);
+  } catch (err) {
+    showUniverseMessage('Network error', true);
+  }
+  return null;
+}
+
+// Add a symbol from the form (its history downloads in the background)
+async function addUniverseSymbol() {
+  const field = id => document.getElementById(id).value.trim();
+  const symbol = field('universe-symbol').toUpperCase();
+  if (!symbol) {
+    showUniverseMessage('Please enter a symbol', true);
+    return;
+  }
+
+  const entry = await universeRequest('/api/universe', 'POST', {
+    symbol,
+    name: field('universe-name') || null,
+    sector: field('universe-sector') || null,
+    industry: field('universe-industry') || null,
+    assetClass: field('universe-asset-class'),
+    tags: field('universe-tags').split(',').map(tag => tag.trim()).filter(Boolean)
+  });
+
+  if (entry) {
+    showUniverseMessage(entry.history.status === 'READY' ? `Added ${symbol}` : `Added ${symbol}; downloading history...`);
+    ['universe-symbol', 'universe-name', 'universe-sector', 'universe-industry', 'universe-tags']
+      .forEach(id => { document.getElementById(id).value = ''; });
+  }
+}
+
+// Change a symbol's listing status
+async function setSymbolStatus(symbol, status) {
+  await universeRequest(`/api/universe/${symbol}`, 'PUT', { status }, `${symbol} is now ${status}`);
+  await populateSymbols();
+}
+
+// Remove a symbol from the universe
+async function removeUniverseSymbol(symbol) {
+  if (!confirm(`Remove ${symbol} from the universe? Its data file is kept.`)) return;
+  await universeRequest(`/api/universe/${symbol}`, 'DELETE', null, `Removed ${symbol}`);
+  await populateSymbols();
+}
+
+// Retry a failed history download
+async function retryDownload(symbol) {
+  await universeRequest(`/api/universe/${symbol}/download`, 'POST', null, `Downloading ${symbol} history...`);
+}
+
+// Add a symbol to or remove it from the selected watchlist
+async function toggleWatch(symbol) {
+  const name = document.getElementById('universe-watchlist').value;
+  const watchlists = await fetchWatchlists();
+  const watchlist = watchlists.find(w => w.name === name);
+  if (!watchlist) return;
+
+  const symbols = watchlist.symbols.includes(symbol)
+    ? watchlist.symbols.filter(s => s !== symbol)
+    : [...watchlist.symbols, symbol];
+  await universeRequest(`/api/watchlists/${encodeURIComponent(name)}`, 'PUT', { symbols });
+}
+
+// Create a watchlist and select it
+async function createWatchlist() {
+  const name = prompt('Watchlist name:');
+  if (!name) return;
+
+  const watchlist = await universeRequest('/api/watchlists', 'POST', { name, symbols: [] }, `Created watchlist ${name}`);
+  if (watchlist) {
+    document.getElementById('universe-watchlist').value = watchlist.name;
+    await refreshUniverse();
+  }
+}
+
+// Delete the selected watchlist
+async function deleteWatchlist() {
+  const name = document.getElementById('universe-watchlist').value;
+  if (!name || !confirm(`Delete watchlist ${name}?`)) return;
+  await universeRequest(`/api/watchlists/${encodeURIComponent(name)}`, 'DELETE', null, `Deleted watchlist ${name}`);
+}
+
+// Reload the equity curve and performance metrics
+async function refreshPerformance() {
+  const performance = await fetchPerformance();
+  if (performance) {
+    updatePerformance(performance);
+    initPortfolioChart(performance);
+  }
+}
+
+// Reload the risk panel
+async function refreshRisk() {
+  const [risk, rules] = await Promise.all([fetchRisk(), fetchRiskRules()]);
+  if (risk) {
+    updateRisk(risk);
+  }
+  if (rules) {
+    updateRiskRules(rules);
+  }
+}
+
 // Main refresh function
 async function refresh() {
-  const [portfolio, signals] = await Promise.all([
+  const [portfolio, signals, autoTrade, replay] = await Promise.all([
     fetchPortfolio(),
-    fetchSignals()
+    fetchSignals(),
+    fetchAutoTrade(),
+    fetchReplay()
   ]);
 
   if (portfolio) {
-    updatePortfolioSummary(portfolio);
-    updatePositionsTable(portfolio);
-    updateTradeHistory(portfolio);
-    initPortfolioChart(portfolio);
-    initPnLChart(portfolio);
+    renderPortfolio(portfolio);
+    await Promise.all([refreshPerformance(), refreshRisk()]);
   }
 
   updateSignals(signals);
+  updateAutoTrade(autoTrade);
+  updateReplay(replay);
 }
 
 // Refresh thinking panel
@@ -615,10 +1745,100 @@ async function refreshThinking() {
   updateThinking(thinking);
 }
 
-// Initialize
+// Show the login form
+function showLogin(message = '') {
+  const messageEl = document.getElementById('login-message');
+  messageEl.textContent = message;
+  messageEl.className = message ? 'trade-message error' : 'trade-message';
+  document.getElementById('login-overlay').classList.remove('hidden');
+  document.getElementById('login-username').focus();
+}
+
+// Show who is logged in; controls above the user's role are hidden (data-requires)
+function setUser(user) {
+  currentUser = user;
+  document.body.dataset.role = user.role;
+  document.getElementById('user-name').textContent = user.username;
+  document.getElementById('user-role').textContent = user.role;
+  document.getElementById('login-overlay').classList.add('hidden');
+}
+
+// Current session's user (null when not logged in)
+async function fetchSession() {
+  try {
+    const response = await fetch('/api/auth/session');
+    if (!response.ok) return null;
+    return (await response.json()).user;
+  } catch (err) {
+    console.error('Failed to fetch session:', err);
+    return null;
+  }
+}
+
+// Log in from the login form
+async function login(e) {
+  e.preventDefault();
+  const username = document.getElementById('login-username').value.trim();
+  const password = document.getElementById('login-password').value;
+
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      showLogin(result.error);
+      return;
+    }
+
+    document.getElementById('login-password').value = '';
+    setUser(result.user);
+    if (dashboardStarted) {
+      connectStream();
+      await refresh();
+    } else {
+      await startDashboard();
+    }
+  } catch (err) {
+    showLogin(`Login failed: ${err.message}`);
+  }
+}
+
+// Log out and return to the login form
+async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (err) {
+    console.error('Failed to log out:', err);
+  }
+  window.location.reload();
+}
+
+// Initialize: log in first, then load the dashboard
 async function init() {
+  document.getElementById('login-form').addEventListener('submit', login);
+  document.getElementById('btn-logout').addEventListener('click', logout);
+
+  const user = await fetchSession();
+  if (!user) {
+    showLogin();
+    return;
+  }
+  setUser(user);
+  await startDashboard();
+}
+
+// Load the dashboard and start live updates
+async function startDashboard() {
+  dashboardStarted = true;
   await loadDateAdapter();
+  configSchema = await fetchConfigSchema();
+  await populateAccounts();
+  await refreshSettings();
   await populateSymbols();
+  await refreshUniverse();
   await refresh();
   await refreshThinking();
 
@@ -627,6 +1847,32 @@ async function init() {
   document.getElementById('trade-shares').addEventListener('input', updateEstCost);
   document.getElementById('btn-buy').addEventListener('click', executeBuy);
   document.getElementById('btn-sell').addEventListener('click', executeSell);
+  document.getElementById('btn-short').addEventListener('click', executeShort);
+  document.getElementById('btn-cover').addEventListener('click', executeCover);
+  document.getElementById('btn-autotrade').addEventListener('click', toggleAutoTrade);
+  document.getElementById('account-select').addEventListener('change', (e) => switchAccount(e.target.value));
+  document.getElementById('btn-new-account').addEventListener('click', createAccount);
+  document.getElementById('btn-reset-account').addEventListener('click', resetAccount);
+  document.getElementById('btn-delete-account').addEventListener('click', deleteAccount);
+  document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
+  document.getElementById('btn-kill-switch').addEventListener('click', toggleKillSwitch);
+  document.getElementById('gains-year').addEventListener('change', refreshRealizedGains);
+  document.getElementById('btn-add-symbol').addEventListener('click', addUniverseSymbol);
+  document.getElementById('universe-watchlist').addEventListener('change', refreshUniverse);
+  document.getElementById('btn-new-watchlist').addEventListener('click', createWatchlist);
+  document.getElementById('btn-delete-watchlist').addEventListener('click', deleteWatchlist);
+  document.getElementById('btn-replay-jump').addEventListener('click', replayJump);
+  document.getElementById('btn-replay-play').addEventListener('click', toggleReplayPlay);
+  document.getElementById('btn-replay-step').addEventListener('click', () => replayCommand('step', { bars: 1 }));
+  document.getElementById('btn-replay-live').addEventListener('click', async () => {
+    await replayCommand('live');
+    await refresh();
+  });
+  document.getElementById('replay-speed').addEventListener('change', (e) => {
+    if (document.getElementById('btn-replay-play').dataset.playing === 'true') {
+      replayCommand('play', { speed: parseFloat(e.target.value) });
+    }
+  });
 
   // Refresh rate control
   const refreshRateSelect = document.getElementById('refresh-rate');
@@ -634,9 +1880,9 @@ async function init() {
     setThinkingRefreshRate(parseInt(e.target.value));
   });
 
-  // Auto-refresh
-  setInterval(refresh, REFRESH_INTERVAL);
-  setThinkingRefreshRate(parseInt(refreshRateSelect.value));
+  // Live updates, polling until the stream connects
+  startPolling();
+  connectStream();
 }
 
 // Start app
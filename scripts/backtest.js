@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Strategy Backtest Runner
+ *
+ * Runs any strategy registered in strategies/ over a set of symbols and a
+ * date range using lib/backtester.js, one backtest per symbol, or one
+ * shared-capital backtest with --portfolio.
+ *
+ * Usage:
+ *   node scripts/backtest.js --list
+ *   node scripts/backtest.js <strategy> [SYMBOL ...] [options]
+ *
+ * Options:
+ *   --from YYYY-MM-DD       First trading date (earlier bars are warmup history)
+ *   --to YYYY-MM-DD         Last trading date
+ *   --param key=value       Strategy parameter (repeatable)
+ *   --watchlist NAME        Symbols from a universe watchlist
+ *   --capital N             Starting cash (default 10000)
+ *   --fill open|close       Fill at the next open (default) or the signal bar's close
+ *   --portfolio             One shared account across the symbols
+ *   --max-positions N       Portfolio slots (default 5)
+ *   --rebalance FREQ        Portfolio rebalancing: none, daily, weekly, monthly
+ *   --json                  Print the results objects as JSON
+ *
+ * Without symbols or a watchlist, the universe's active symbols are used.
+ * Fills are costed with the paper accounts' default cost settings
+ * (lib/default-config.js).
+ */
+
+const Backtester = require('../lib/backtester');
+const PortfolioBacktester = require('../lib/portfolio-backtester');
+const StrategyRegistry = require('../lib/strategy-registry');
+const CostModel = require('../lib/cost-model');
+const Universe = require('../lib/universe');
+const DEFAULT_CONFIG = require('../lib/default-config');
+
+const VALUE_OPTIONS = ['--from', '--to', '--param', '--watchlist', '--capital', '--fill', '--max-positions', '--rebalance'];
+
+/**
+ * Split the command line into positional arguments and options
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = { params: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    if (!VALUE_OPTIONS.includes(arg)) {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+
+    const value = args[++i];
+    if (value === undefined) {
+      throw new Error(`${arg} needs a value`);
+    }
+    if (arg === '--param') {
+      const separator = value.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`--param expects key=value, got "${value}"`);
+      }
+      options.params[value.slice(0, separator)] = value.slice(separator + 1);
+    } else {
+      options[arg.slice(2)] = value;
+    }
+  }
+
+  return { positional, options };
+}
+
+const pct = value => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+const ratio = value => (value === null || value === undefined ? 'n/a' : value.toFixed(2));
+
+/**
+ * Print the registered strategies and their parameters
+ */
+function printStrategies(registry) {
+  for (const strategy of registry.list()) {
+    console.log(`${strategy.name}  (warmup ${strategy.warmup} bars)`);
+    console.log(`  ${strategy.description}`);
+    for (const [key, spec] of Object.entries(strategy.parameters)) {
+      const range = spec.min !== undefined || spec.max !== undefined ? ` [${spec.min}..${spec.max}]` : '';
+      console.log(`    ${key.padEnd(16)} ${String(spec.default).padEnd(8)} ${spec.type}${range}  ${spec.description || ''}`);
+    }
+    console.log('');
+  }
+  registry.errors.forEach(({ file, error }) => console.log(`  ✗ ${file}: ${error}`));
+}
+
+/**
+ * One summary row per result
+ */
+function printSummary(results) {
+  console.log('Symbol     | Return  | Benchmark | Sharpe | Max DD | Trades | Win rate | Exposure');
+  console.log('-----------|---------|-----------|--------|--------|--------|----------|---------');
+  for (const r of results) {
+    const m = r.metrics;
+    const label = r.symbol || 'Portfolio';
+    console.log(
+      `${label.padEnd(10)} | ${pct(m.totalReturn).padStart(7)} | ${(r.benchmark ? pct(r.benchmark.totalReturn) : 'n/a').padStart(9)} | ` +
+      `${ratio(m.sharpe).padStart(6)} | ${pct(m.maxDrawdown).padStart(6)} | ${String(m.closedTrades).padStart(6)} | ` +
+      `${pct(m.winRate).padStart(8)} | ${pct(m.exposure).padStart(8)}`
+    );
+  }
+}
+
+async function main() {
+  try {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    const registry = new StrategyRegistry();
+    registry.load();
+
+    if (options.list || positional.length === 0) {
+      if (positional.length === 0 && !options.list) {
+        console.log('Usage: node scripts/backtest.js <strategy> [SYMBOL ...] [options]  (--list for strategies)\n');
+      }
+      printStrategies(registry);
+      process.exit(0);
+    }
+
+    const [name, ...requested] = positional;
+    const strategy = registry.get(name);
+    const params = registry.resolveParams(name, options.params);
+
+    const universe = new Universe();
+    let symbols = requested.map(symbol => symbol.toUpperCase());
+    if (options.watchlist) {
+      const watchlist = universe.getWatchlist(options.watchlist);
+      if (!watchlist) {
+        throw new Error(`Watchlist not found: ${options.watchlist}`);
+      }
+      symbols = symbols.concat(watchlist.symbols);
+    }
+    if (symbols.length === 0) {
+      symbols = universe.activeSymbols({ withHistory: true });
+    }
+
+    const settings = {
+      initialCapital: options.capital ? Number(options.capital) : 10000,
+      fillAt: options.fill || 'open',
+      costModel: CostModel.fromConfig(DEFAULT_CONFIG)
+    };
+    if (!(settings.initialCapital > 0)) {
+      throw new Error('--capital must be a positive number');
+    }
+    if (!['open', 'close'].includes(settings.fillAt)) {
+      throw new Error('--fill must be open or close');
+    }
+    const runOptions = { startDate: options.from || null, endDate: options.to || null, params };
+
+    if (!options.json) {
+      console.log(`Strategy:   ${name} ${JSON.stringify(params)}`);
+      console.log(`Symbols:    ${symbols.join(', ')}`);
+      console.log(`Period:     ${runOptions.startDate || 'start'} to ${runOptions.endDate || 'end'}`);
+      console.log('');
+    }
+
+    const results = [];
+    if (options.portfolio) {
+      const backtester = new PortfolioBacktester({
+        ...settings,
+        maxPositions: options['max-positions'] ? Number(options['max-positions']) : 5,
+        rebalance: options.rebalance || 'none'
+      });
+      results.push(await backtester.run(strategy, { ...runOptions, symbols }));
+    } else {
+      const backtester = new Backtester(settings);
+      for (const symbol of symbols) {
+        try {
+          results.push(await backtester.run(strategy, { ...runOptions, symbol }));
+        } catch (error) {
+          if (!options.json) console.log(`  ✗ ${symbol}: ${error.message}`);
+        }
+      }
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      printSummary(results);
+      const portfolio = results.find(r => r.attribution);
+      if (portfolio) {
+        console.log('');
+        console.log(`Turnover: ${portfolio.metrics.annualTurnover.toFixed(1)}x per year`);
+        portfolio.attribution.forEach(a => {
+          console.log(`  ${a.symbol.padEnd(8)} ${String(a.trades).padStart(4)} trades  P&L ${a.pnl.toFixed(2).padStart(12)}  (${pct(a.contribution)})`);
+        });
+        if (portfolio.missing.length > 0) {
+          console.log(`  No data: ${portfolio.missing.join(', ')}`);
+        }
+      }
+    }
+    process.exit(0);
+
+  } catch (error) {
+    console.error('');
+    console.error(`ERROR: ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+// Run
+main();
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Strategy Parameter Optimizer
+ *
+ * Searches a registered strategy's parameters with lib/optimizer.js and
+ * reports the best sets together with how likely the winner is to be luck:
+ * walk-forward out-of-sample score, deflated Sharpe ratio and probability
+ * of backtest overfitting.
+ *
+ * Usage:
+ *   node scripts/optimize.js <strategy> SYMBOL [SYMBOL ...] [options]
+ *
+ * Options:
+ *   --method grid|random|bayesian   Search method (default random)
+ *   --iterations N                  Parameter sets to try (random / bayesian, default 50)
+ *   --space key=a,b,c               Search only these values of a parameter (repeatable)
+ *   --space key=min:max[:step]      Search a range of a parameter (repeatable)
+ *   --param key=value               Fix a parameter that is not searched (repeatable)
+ *   --objective NAME                sharpe (default), sortino, calmar, totalReturn, annualizedReturn
+ *   --segments N                    Date segments for scoring (default 8; even, at most 16)
+ *   --rolling N                     Walk-forward on the last N segments (default: all earlier ones)
+ *   --workers N                     Worker threads (default: CPU cores - 1, at most 4)
+ *   --from YYYY-MM-DD / --to YYYY-MM-DD
+ *   --seed N                        Random seed (default 1)
+ *   --top N                         Parameter sets to print (default 10)
+ *   --json                          Print the full report as JSON
+ *
+ * Without --space every parameter with a min and max is searched.
+ */
+
+const Optimizer = require('../lib/optimizer');
+const CostModel = require('../lib/cost-model');
+const DEFAULT_CONFIG = require('../lib/default-config');
+
+const VALUE_OPTIONS = ['--method', '--iterations', '--space', '--param', '--objective', '--segments', '--rolling', '--workers', '--from', '--to', '--seed', '--top'];
+
+/**
+ * Split the command line into positional arguments and options
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = { params: {}, space: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    if (!VALUE_OPTIONS.includes(arg)) {
+      options[arg.slice(2)] = true;
+      continue;
+    }
+
+    const value = args[++i];
+    if (value === undefined) {
+      throw new Error(`${arg} needs a value`);
+    }
+    if (arg === '--param' || arg === '--space') {
+      const separator = value.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`${arg} expects key=value, got "${value}"`);
+      }
+      const key = value.slice(0, separator);
+      const text = value.slice(separator + 1);
+      if (arg === '--param') {
+        options.params[key] = text;
+      } else {
+        options.space[key] = parseRange(key, text);
+      }
+    } else {
+      options[arg.slice(2)] = value;
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * A --space value: "a,b,c" (values) or "min:max[:step]" (range)
+ */
+function parseRange(key, text) {
+  if (!text.includes(':')) {
+    return text.split(',').map(value => value.trim()).filter(Boolean);
+  }
+  const [min, max, step] = text.split(':').map(Number);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || (step !== undefined && !(step > 0))) {
+    throw new Error(`--space ${key} expects min:max[:step], got "${text}"`);
+  }
+  return step !== undefined ? { min, max, step } : { min, max };
+}
+
+const fixed = (value, digits = 2) => (value === null || value === undefined ? 'n/a' : value.toFixed(digits));
+const pct = value => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+const integer = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return number;
+};
+
+async function main() {
+  try {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    const [name, ...symbols] = positional;
+    if (!name || symbols.length === 0) {
+      throw new Error('Usage: node scripts/optimize.js <strategy> SYMBOL [SYMBOL ...] [options]');
+    }
+
+    const optimizer = new Optimizer({
+      costModel: CostModel.fromConfig(DEFAULT_CONFIG),
+      workers: options.workers ? integer(options.workers, 'workers') : undefined
+    });
+    const top = options.top ? integer(options.top, 'top') : 10;
+
+    if (!options.json) {
+      console.log('═══════════════════════════════════════════════════════════════════');
+      console.log(`         PARAMETER OPTIMIZATION - ${name}`);
+      console.log('═══════════════════════════════════════════════════════════════════');
+      console.log('');
+    }
+
+    const report = await optimizer.optimize({
+      strategy: name,
+      symbols: symbols.map(symbol => symbol.toUpperCase()),
+      startDate: options.from || null,
+      endDate: options.to || null,
+      method: options.method || 'random',
+      objective: options.objective || 'sharpe',
+      iterations: options.iterations ? integer(options.iterations, 'iterations') : 50,
+      segments: options.segments ? integer(options.segments, 'segments') : 8,
+      seed: options.seed ? integer(options.seed, 'seed') : 1,
+      params: options.params,
+      space: Object.keys(options.space).length > 0 ? options.space : null,
+      walkForward: options.rolling ? { mode: 'rolling', trainSize: integer(options.rolling, 'rolling') } : {},
+      onProgress: options.json ? null : (done, total) => {
+        process.stdout.write(`\r  Evaluated ${done}/${total}`);
+      }
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(0);
+    }
+
+    console.log('\n');
+    console.log(`Symbols:     ${report.symbols.join(', ')}`);
+    console.log(`Method:      ${report.method} (${report.evaluations} parameter sets)`);
+    console.log(`Segments:    ${report.segments.length}, ${report.segments[0].start} to ${report.segments[report.segments.length - 1].end}`);
+    console.log(`Objective:   ${report.objective}`);
+    console.log('');
+
+    console.log(`Top ${Math.min(top, report.candidates.length)} (score over all segments):`);
+    report.candidates.slice(0, top).forEach((candidate, i) => {
+      const positive = candidate.segmentScores.filter(score => score !== null && score > 0).length;
+      console.log(`  ${String(i + 1).padStart(2)}. ${fixed(candidate.score).padStart(7)}  ` +
+        `${positive}/${candidate.segmentScores.length} segments positive  ${candidate.trades} trades  ${JSON.stringify(candidate.params)}`);
+    });
+    console.log('');
+
+    console.log(`Walk-forward (best on ${report.walkForward.mode === 'rolling' ? `the last ${options.rolling}` : 'all earlier'} segments, scored on the next):`);
+    report.walkForward.folds.forEach(fold => {
+      console.log(`  ${fold.segment.start} to ${fold.segment.end}: in-sample ${fixed(fold.inSampleScore).padStart(6)}  ` +
+        `out-of-sample ${fixed(fold.outOfSampleScore).padStart(6)}`);
+    });
+    console.log(`  Out-of-sample ${report.objective}: ${fixed(report.walkForward.outOfSampleScore)} ` +
+      `(best in-sample: ${fixed(report.best ? report.best.score : null)})`);
+    console.log('');
+
+    const overfitting = report.overfitting;
+    console.log('Overfitting checks:');
+    console.log(`  Best Sharpe:              ${fixed(overfitting.sharpe)} (expected best of ${overfitting.trials} by luck: ${fixed(overfitting.expectedMaxSharpe)})`);
+    console.log(`  Deflated Sharpe ratio:    ${pct(overfitting.deflatedSharpe)} probability of real skill`);
+    console.log(`  Backtest overfitting:     ${pct(overfitting.pbo)} probability (${overfitting.splits}${overfitting.sampled ? ' sampled' : ''} splits)`);
+    if (overfitting.deflatedSharpe !== null && overfitting.deflatedSharpe < 0.95) {
+      console.log('  ⚠ The best parameters are not distinguishable from luck at 95%');
+    }
+    if (overfitting.pbo !== null && overfitting.pbo > 0.5) {
+      console.log('  ⚠ The in-sample winner usually underperforms out of sample');
+    }
+    console.log('');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('');
+    console.error(`ERROR: ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+// Run
+main();
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Portfolio Recovery Script
+ *
+ * Rebuilds paper-portfolio.json by replaying paper-portfolio-journal.jsonl
+ *
+ * Usage:
+ *   node scripts/recover-portfolio.js [portfolio-file]
+ *
+ * Stop the dashboard server first. The current portfolio file is kept as
+ * <file>.corrupt-<timestamp>; a journal with a bad entry is cut back to the
+ * last good entry after being copied the same way.
+ */
+
+const PortfolioStore = require('../lib/portfolio-store');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const portfolioFile = args[0];
+
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('         PORTFOLIO RECOVERY - Neural Trader');
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('');
+
+  try {
+    const store = new PortfolioStore(portfolioFile ? { portfolioFile } : {});
+
+    console.log(`Portfolio: ${store.portfolioFile}`);
+    console.log(`Journal:   ${store.journalFile}`);
+    console.log('');
+
+    const result = store.recover();
+    const portfolio = store.get();
+
+    console.log('✓ Portfolio rebuilt from journal:');
+    console.log(`  Journal Entries: ${result.entries}`);
+    console.log(`  Journal Seq:     ${result.journalSeq}`);
+    console.log(`  Trades:          ${result.trades}`);
+    console.log(`  Open Positions:  ${Object.keys(portfolio.positions).length}`);
+    console.log(`  Cash:            $${portfolio.cash.toFixed(2)}`);
+    if (result.backupFile) {
+      console.log(`  Previous File:   ${result.backupFile}`);
+    }
+    if (result.discardedFromLine !== null) {
+      console.log(`  ⚠ Journal cut at line ${result.discardedFromLine} (bad entry)`);
+    }
+    console.log('');
+
+    console.log('═══════════════════════════════════════════════════════════════════');
+    console.log('                    RECOVERY COMPLETE');
+    console.log('═══════════════════════════════════════════════════════════════════');
+    console.log('');
+
+    process.exit(0);
+
+  } catch (error) {
+    console.error('');
+    console.error('═══════════════════════════════════════════════════════════════════');
+    console.error('ERROR: Recovery failed');
+    console.error('═══════════════════════════════════════════════════════════════════');
+    console.error('');
+    console.error(error.message);
+    console.error('');
+    console.error(error.stack);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+// Run
+main();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Corporate Actions Sync Script
+ *
+ * Fetches splits and dividends from Yahoo Finance into
+ * data/corporate-actions.json and back-adjusts the historical-data files
+ * for splits. With --local, only the actions already in the file are
+ * applied to the bars (no network).
+ *
+ * Usage:
+ *   node scripts/sync-corporate-actions.js [--local] [SYMBOL ...]
+ *
+ * The dashboard server applies the actions to positions on its next market check.
+ */
+
+const DataRefreshSystem = require('../lib/data-refresh');
+const CorporateActions = require('../lib/corporate-actions');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const local = args.includes('--local');
+  const requested = args.filter(arg => !arg.startsWith('--')).map(arg => arg.toUpperCase());
+
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('         CORPORATE ACTIONS SYNC - Neural Trader');
+  console.log('═══════════════════════════════════════════════════════════════════');
+  console.log('');
+
+  try {
+    const corporateActions = new CorporateActions();
+    const refreshSystem = new DataRefreshSystem();
+    const symbols = requested.length > 0 ? requested : await refreshSystem.getSymbolList();
+
+    if (!local) {
+      await corporateActions.initialize();
+    }
+
+    let added = 0;
+    let adjusted = 0;
+
+    for (const symbol of symbols) {
+      if (!local) {
+        const bars = refreshSystem.loadExistingData(symbol);
+        const since = bars && bars.length > 0 ? bars[0].date : '2000-01-01';
+        try {
+          const actions = await corporateActions.fetchActions(symbol, since);
+          added += actions.length;
+          actions.forEach(action => {
+            const detail = action.type === 'SPLIT' ? `ratio ${action.ratio}` : `$${action.amount}/share`;
+            console.log(`  + ${symbol} ${action.type} ex ${action.date} (${detail})`);
+          });
+        } catch (error) {
+          console.log(`  ✗ ${symbol}: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, refreshSystem.rateLimitDelay));
+      }
+
+      const result = corporateActions.adjustDataFile(symbol);
+      result.adjusted.forEach(split => {
+        adjusted++;
+        console.log(`  ✓ ${symbol}: bars before ${split.date} adjusted for ratio ${split.ratio}`);
+      });
+    }
+
+    console.log('');
+    console.log(`Symbols:           ${symbols.length}`);
+    console.log(`New actions:       ${local ? '-' : added}`);
+    console.log(`Splits applied:    ${adjusted}`);
+    console.log(`Actions file:      ${corporateActions.actionsFile}`);
+    console.log('');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('');
+    console.error(`ERROR: ${error.message}`);
+    console.error('');
+    process.exit(1);
+  }
+}
+
+// Run
+main();
@@ -11,6 +11,7 @@
  */
 
 const DataRefreshSystem = require('../lib/data-refresh');
+const CorporateActions = require('../lib/corporate-actions');
 
 async function main() {
   console.log('═══════════════════════════════════════════════════════════════════');
@@ -21,8 +22,8 @@ async function main() {
   console.log('');
 
   try {
-    // Initialize data refresh system
-    const refreshSystem = new DataRefreshSystem();
+    // Initialize data refresh system (splits back-adjust the stored bars)
+    const refreshSystem = new DataRefreshSystem({ corporateActions: new CorporateActions() });
 
     console.log('[1] Initializing Yahoo Finance connection...');
     await refreshSystem.initialize();
@@ -48,6 +49,7 @@ async function main() {
     console.log(`    Successful:      ${summary.successful} (${(summary.successful / summary.totalSymbols * 100).toFixed(1)}%)`);
     console.log(`    Failed:          ${summary.failed}`);
     console.log(`    New Bars Added:  ${summary.totalNewBars}`);
+    console.log(`    Split Adjusted:  ${summary.results.filter(r => r.splitsAdjusted && r.splitsAdjusted.length > 0).length} symbol(s)`);
     console.log('');
 
     if (summary.failed > 0) {
@@ -6,7 +6,8 @@
  * Automated weekly workflow:
  * 1. Refresh market data (incremental updates)
  * 2. Retrain all 5 ensemble models
- * 3. Validate new models against baseline
+ * 3. Validate new models against baseline and walk-forward (the Stage 1
+ *    network retrained on rolling windows, scored on the following quarter)
  * 4. Create new model version
  * 5. Deploy to production if validation passes
  * 6. Rollback on failure
@@ -117,14 +118,22 @@ async function main() {
       modelPaths.push(path.join(__dirname, '..', 'models', `model-${i}`));
     }
 
+    const samples = orchestrator.buildWalkForwardSamples();
+    const walkForward = await orchestrator.validateWalkForward(samples, orchestrator.createWalkForwardHooks());
+    console.log('');
+
     const validation = await orchestrator.validateModels(
       modelPaths,
-      trainingResult.summary
+      trainingResult.summary,
+      walkForward
     );
 
+    const { precision, lift } = walkForward.metrics;
     console.log('Validation Results:');
     console.log(`  Passed:          ${validation.passed ? 'YES' : 'NO'}`);
     console.log(`  Avg Accuracy:    ${(validation.metrics.avgAccuracy * 100).toFixed(1)}%`);
+    console.log(`  Walk-Forward:    ${precision !== null ? (precision * 100).toFixed(1) + '% precision' : 'no positive predictions'}, ` +
+      `${lift !== null ? lift.toFixed(2) + 'x' : 'n/a'} lift over ${walkForward.metrics.folds} folds`);
     console.log(`  Issues:          ${validation.issues.length}`);
 
     if (validation.issues.length > 0) {
@@ -167,6 +176,8 @@ async function main() {
         newBars: refreshSummary.totalNewBars
       },
       validationPassed: validation.passed,
+      walkForwardAccuracy: walkForward.metrics.avgAccuracy,
+      walkForwardLift: walkForward.metrics.lift,
       automated: true,
       trainingType: 'weekly-retrain'
     });
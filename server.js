@@ -1,6 +1,27 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const SignalService = require('./lib/signal-service');
+const PaperTradingEngine = require('./lib/paper-trading-engine');
+const AutoTrader = require('./lib/auto-trader');
+const OrderBook = require('./lib/order-book');
+const CostModel = require('./lib/cost-model');
+const PortfolioStore = require('./lib/portfolio-store');
+const AccountManager = require('./lib/account-manager');
+const ConfigValidator = require('./lib/config-validator');
+const EventStream = require('./lib/event-stream');
+const EquityTracker = require('./lib/equity-tracker');
+const ReplayClock = require('./lib/replay-clock');
+const BarStore = require('./lib/bar-store');
+const MarketDataFeed = require('./lib/market-data-feed');
+const RiskAnalytics = require('./lib/risk-analytics');
+const PreTradeRisk = require('./lib/pre-trade-risk');
+const CorporateActions = require('./lib/corporate-actions');
+const Universe = require('./lib/universe');
+const DataRefreshSystem = require('./lib/data-refresh');
+const Auth = require('./lib/auth');
+const DecisionLog = require('./lib/decision-log');
+const DEFAULT_CONFIG = require('./lib/default-config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -8,209 +29,1149 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', authenticate);
 
-// Config
-const CONFIG = {
-  INITIAL_CAPITAL: 100000,
-  MAX_POSITION_SIZE: 0.02,
-  STOP_LOSS_PERCENT: 0.02,  // Changed from 5% to 2%
-  TAKE_PROFIT_PERCENT: 0.02,  // Changed from 15% to 2%
-  MIN_CONFIDENCE: 0.43,
-  MAX_POSITIONS: 10
-};
+// Symbol whose bars define the replay trading calendar
+const REPLAY_CALENDAR_SYMBOL = 'SPY';
 
-// Model thinking log (in-memory, recent decisions)
-const modelThinking = [];
-const MAX_THINKING_LOG = 50;
+// Intraday market data feed: yahoo, alpaca or file (unset: daily historical-data files only)
+const MARKET_DATA_FEED = process.env.MARKET_DATA_FEED || null;
 
+// Users, API keys and dashboard sessions (data/users.json): every /api request is made by a user
+const auth = new Auth({ adminPassword: process.env.ADMIN_PASSWORD });
+
+// Symbol universe and watchlists (data/universe.json): prices, signals and training use its ACTIVE symbols
+const universe = new Universe();
+
+// Initial history downloads for symbols added to the universe
+const dataRefresh = new DataRefreshSystem({ universe });
+
+// Live ensemble signals from the production models
+const signalService = new SignalService({ universe });
+
+// Server-Sent Events pushed to dashboards (portfolio changes, fills, thinking, prices)
+const events = new EventStream();
+
+// Intraday quotes and minute bars on top of the daily history files
+const barStore = new BarStore({
+  readDailyBars: symbol => readBars(symbol)
+});
+
+// Replay clock: in replay mode prices, signals and checks only see bars up to the simulated date
+const clock = new ReplayClock({
+  getCalendar: () => (readBars(REPLAY_CALENDAR_SYMBOL) || []).map(bar => bar.date),
+  onAdvance: date => runReplayStep(date)
+});
+
+// Portfolio risk (VaR / ES, betas, correlations, sector concentration) from daily closes
+const riskAnalytics = new RiskAnalytics({
+  getBars: symbol => loadBars(symbol, { includePartial: false }),
+  getPrice: symbol => getCurrentPrice(symbol),
+  getSector: symbol => universe.sectorOf(symbol)
+});
+
+// Splits and dividends (data/corporate-actions.json), applied to every account's positions as they go ex
+const corporateActions = new CorporateActions();
+
+// Paper accounts, each with its own book, settings and services
+const accounts = new AccountManager({
+  defaults: DEFAULT_CONFIG,
+  createContext: (account, config, paths) => {
+    // Events for this account's dashboards only
+    const publish = (type, data) => events.publish(type, data, account.id);
+
+    // Serialized, journaled portfolio storage (paper-portfolio.json + journal)
+    const store = new PortfolioStore({
+      portfolioFile: paths.portfolioFile,
+      initialCapital: config.INITIAL_CAPITAL,
+      onChange: (action, portfolio, trades) => {
+        publish('portfolio', portfolio);
+        trades.forEach(trade => publish('trade', trade));
+      }
+    });
+    store.load(); // Fails fast on a corrupt portfolio; rolls forward an interrupted write
+
+    // Paper fills (buys, sells, automatic stop-loss / take-profit exits)
+    const engine = new PaperTradingEngine({
+      config,
+      getPrice: symbol => getCurrentPrice(symbol),
+      getBar: symbol => getLatestBar(symbol),
+      costModel: CostModel.fromConfig(config),
+      now: () => clock.now(),
+      preTradeCheck: (portfolio, order) => preTradeRisk.check(portfolio, order),
+      logDecision: (type, message, data) => log(type, message, data).id
+    });
+
+    // Pending limit / stop / stop-limit orders matched against completed daily bars
+    // (kept in the journaled portfolio state); marketable orders fill at the fresh price
+    const orderBook = new OrderBook({
+      ordersFile: paths.ordersFile,
+      engine,
+      getBars: symbol => loadBars(symbol, { includePartial: false }),
+      getPrice: symbol => getCurrentPrice(symbol)
+    });
+
+    // Opt-in autonomous trading on signals above MIN_CONFIDENCE
+    const autoTrader = new AutoTrader({
+      engine,
+      config,
+      getPrice: symbol => getCurrentPrice(symbol)
+    });
+
+    // Daily mark-to-market equity series and performance analytics (benchmarked against SPY)
+    const equityTracker = new EquityTracker({
+      equityFile: paths.equityFile,
+      getBars: symbol => loadBars(symbol)
+    });
+
+    // Thinking log entries tagged with the account (unprefixed for the default account)
+    const label = account.id === AccountManager.DEFAULT_ACCOUNT_ID ? '' : `[${account.name}] `;
+    const log = (type, message, data = {}) => logThinking(type, `${label}${message}`, { account: account.id, ...data });
+
+    // Pre-trade rules for every order that opens or adds to a position
+    const preTradeRisk = new PreTradeRisk({
+      config,
+      engine,
+      getBars: symbol => loadBars(symbol, { includePartial: false }),
+      sectorOf: symbol => riskAnalytics.sectorOf(symbol),
+      getStartOfDayEquity: () => equityTracker.startOfDayEquity(),
+      stateFile: paths.riskFile,
+      onKillSwitch: killSwitch => {
+        if (killSwitch.active) {
+          autoTrader.pause();
+          log('alert', `KILL SWITCH tripped: ${killSwitch.reason}. New positions are refused until it is reset`, { by: killSwitch.by });
+          publish('autotrade', autoTrader.getStatus());
+        } else {
+          log('alert', `Kill switch reset by ${killSwitch.by}: new positions allowed`, {});
+        }
+        publish('risk', killSwitch);
+      }
+    });
+
+    // Orders saved in paper-orders.json before they were journaled move into the portfolio
+    orderBook.importFile(store)
+      .then(count => {
+        if (count > 0) log('monitor', `Imported ${count} orders from ${path.basename(paths.ordersFile)} into the portfolio journal`, {});
+      })
+      .catch(err => log('error', `Order book import failed: ${err.message}`, {}));
+
+    return { store, engine, orderBook, autoTrader, equityTracker, preTradeRisk, log, publish };
+  }
+});
+accounts.load();
+accounts.getAll(); // Open every book now so a corrupt portfolio fails at startup
+
+// Replay sessions trade scratch copies of the accounts (same settings, empty books in a
+// temp directory), discarded when the replay ends, so the real books never see back-dated fills
+let replayAccounts = null;
+
+// Accounts the pipeline and the account routes work on: the scratch copies while replaying
+function activeAccounts() {
+  return clock.isReplay() && replayAccounts ? replayAccounts : accounts;
+}
+
+// Start a replay session on fresh scratch books (serialized with replay steps)
+function startReplayBooks() {
+  return clock.enqueue(async () => {
+    const previous = replayAccounts;
+    replayAccounts = accounts.createScratch();
+    if (previous) await previous.discard();
+  });
+}
+
+// Drop the replay session's scratch books (serialized with replay steps)
+function endReplayBooks() {
+  return clock.enqueue(async () => {
+    const previous = replayAccounts;
+    replayAccounts = null;
+    if (previous) await previous.discard();
+  });
+}
+
+// Account-scoped routes, served at /api/accounts/:accountId/* and at /api/* for the default account
+const accountRoutes = express.Router({ mergeParams: true });
+
+accountRoutes.use((req, res, next) => {
+  const accountId = req.params.accountId || AccountManager.DEFAULT_ACCOUNT_ID;
+  if (!activeAccounts().has(accountId)) {
+    return res.status(404).json({ error: `Account not found: ${accountId}` });
+  }
+  try {
+    req.account = activeAccounts().get(accountId);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  next();
+});
+
+app.use('/api/accounts/:accountId', accountRoutes);
+app.use('/api', accountRoutes);
+
+// Model thinking log, persisted as the decision log (logs/decisions/*.jsonl)
+const decisionLog = new DecisionLog();
+
+// Last logged signal decision per account and symbol ({ key, id }); unchanged decisions are not logged again
+const lastSignalDecisions = new Map();
+
+// Record a thinking / decision event and push it to dashboards; returns the event with its id
 function logThinking(type, message, data = {}) {
-  const entry = {
+  const event = {
     timestamp: new Date().toISOString(),
     type,
+    account: data.account || null,
+    symbol: data.symbol || null,
     message,
     data
   };
-  modelThinking.unshift(entry);
-  if (modelThinking.length > MAX_THINKING_LOG) {
-    modelThinking.pop();
+  if (clock.isReplay()) {
+    event.replayDate = clock.currentDate();
   }
-}
 
-// Helper: Load portfolio
-function loadPortfolio() {
-  const portfolioPath = path.join(__dirname, 'paper-portfolio.json');
-  if (!fs.existsSync(portfolioPath)) {
-    return {
-      cash: CONFIG.INITIAL_CAPITAL,
-      positions: {},
-      tradeHistory: [],
-      lastUpdated: null
-    };
-  }
-  return JSON.parse(fs.readFileSync(portfolioPath, 'utf8'));
-}
+  let entry;
+  try {
+    entry = decisionLog.append(event);
+  } catch (err) {
+    console.error(`Decision log write failed: ${err.message}`);
+    entry = { id: null, ...event };
+  }
 
-// Helper: Save portfolio
-function savePortfolio(data) {
-  data.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(
-    path.join(__dirname, 'paper-portfolio.json'),
-    JSON.stringify(data, null, 2)
-  );
+  events.publish('thinking', entry);
+  if (type === 'alert') {
+    events.publish('alert', entry, data.account || null);
+  }
+  return entry;
 }
 
-// Helper: Get current price for symbol
-function getCurrentPrice(symbol) {
+// Helper: Read all daily bars for symbol from its data file
+function readBars(symbol) {
   try {
     const dataPath = path.join(__dirname, 'historical-data', `${symbol}-5-years.json`);
     if (!fs.existsSync(dataPath)) return null;
     const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
     if (!Array.isArray(data) || data.length === 0) return null;
-    return data[data.length - 1].close;
+    return data;
   } catch {
     return null;
   }
 }
 
-// API: Get portfolio data
-app.get('/api/portfolio', (req, res) => {
-  try {
-    const portfolioPath = path.join(__dirname, 'paper-portfolio.json');
-    if (!fs.existsSync(portfolioPath)) {
-      return res.json({
-        cash: 100000,
-        positions: {},
-        tradeHistory: [],
-        lastUpdated: null
-      });
+// Helper: Load daily bars for symbol, including today's bar built from intraday data
+// (up to the simulated date in replay mode)
+function loadBars(symbol, options = {}) {
+  const bars = clock.filterBars(barStore.getDailyBars(symbol, options));
+  return bars && bars.length > 0 ? bars : null;
+}
+
+// Helper: Get latest daily bar for symbol
+function getLatestBar(symbol) {
+  const bars = loadBars(symbol);
+  return bars ? bars[bars.length - 1] : null;
+}
+
+// Helper: Freshest price for symbol as { symbol, price, timestamp, source }
+function getLatestPrice(symbol) {
+  if (clock.isReplay()) {
+    const bar = getLatestBar(symbol);
+    return bar ? { symbol, price: bar.close, timestamp: bar.date, source: 'replay' } : null;
+  }
+  return barStore.getLatest(symbol);
+}
+
+// Helper: Get current price for symbol
+function getCurrentPrice(symbol) {
+  const latest = getLatestPrice(symbol);
+  return latest ? latest.price : null;
+}
+
+// Helper: ACTIVE universe symbols with historical data
+function listSymbols() {
+  return universe.activeSymbols({ withHistory: true });
+}
+
+// Helper: Download a new symbol's history in the background and report the outcome
+async function downloadHistory(symbol) {
+  try {
+    if (!dataRefresh.yahooFinance) {
+      await dataRefresh.initialize();
+    }
+    const result = await dataRefresh.downloadHistory(symbol);
+    if (result.success) {
+      logThinking('analysis', `${symbol}: ${result.message}, added to prices and signals`, { symbol, bars: result.totalBars });
+    } else {
+      logThinking('error', `${symbol}: history download failed (${result.errors[0]})`, { symbol });
     }
-    const data = JSON.parse(fs.readFileSync(portfolioPath, 'utf8'));
-    res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    universe.setHistory(symbol, { status: 'FAILED', error: err.message });
+    logThinking('error', `${symbol}: history download failed (${err.message})`, { symbol });
   }
-});
+  events.publish('universe', universe.get(symbol));
+}
 
 // API: Get trading signals
-app.get('/api/signals', (req, res) => {
-  const signals = [
-    { symbol: 'AAPL', score: 0.469, rf: 0.512, nn: 0.405 },
-    { symbol: 'NVDA', score: 0.468, rf: 0.511, nn: 0.405 },
-    { symbol: 'AMD', score: 0.462, rf: 0.501, nn: 0.405 },
-    { symbol: 'ABNB', score: 0.455, rf: 0.488, nn: 0.405 },
-    { symbol: 'UBER', score: 0.454, rf: 0.487, nn: 0.405 },
-    { symbol: 'BA', score: 0.451, rf: 0.481, nn: 0.405 }
-  ];
-  res.json(signals);
-});
-
-// API: Get historical prices for a symbol
+app.get('/api/signals', async (req, res) => {
+  try {
+    const signals = await signalService.getSignals({ asOf: clock.currentDate() });
+    res.json(signals);
+  } catch (err) {
+    res.status(503).json({ error: err.message });
+  }
+});
+
+
+// API: Get price bars for a symbol (?interval=1m for minute bars; default daily)
 app.get('/api/prices/:symbol', (req, res) => {
   try {
     const symbol = req.params.symbol;
-    const dataPath = path.join(__dirname, 'historical-data', `${symbol}-5-years.json`);
 
-    if (!fs.existsSync(dataPath)) {
+    if (req.query.interval === '1m') {
+      let bars = barStore.getMinuteBars(symbol, { limit: 390 });
+      if (clock.isReplay()) {
+        bars = bars.filter(bar => barStore.tradingDate(bar.timestamp) <= clock.currentDate());
+      }
+      return res.json(bars);
+    }
+
+    const data = loadBars(symbol);
+    if (!data) {
       return res.status(404).json({ error: 'Symbol not found' });
     }
 
-    const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-    // Return last 90 days for charts
-    const recentData = data.slice(-90);
-    res.json(recentData);
+    // Return last 90 days for charts; today's bar carries the freshest price and its timestamp
+    const recentData = data.slice(-90);
+    res.json(recentData);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Get freshest prices and market data feed status
+app.get('/api/quotes', (req, res) => {
+  try {
+    res.json({
+      feed: marketDataFeed ? marketDataFeed.getStatus() : null,
+      quotes: listSymbols().map(symbol => getLatestPrice(symbol)).filter(Boolean)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Get settings schema (names, types, ranges) for settings forms
+app.get('/api/config/schema', (req, res) => {
+  res.json({
+    settings: new ConfigValidator().describe(),
+    repricePolicies: PaperTradingEngine.REPRICE_POLICIES
+  });
+});
+
+// API: Get the thinking / decision log, newest first (?account=&symbol=&type=signal,trade&from=&to=&offset=&limit=)
+app.get('/api/thinking', async (req, res) => {
+  const { account, symbol, type, from, to } = req.query;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+
+  if (!(offset >= 0)) {
+    return res.status(400).json({ error: 'offset must be zero or more' });
+  }
+  if (!(limit >= 1 && limit <= 500)) {
+    return res.status(400).json({ error: 'limit must be between 1 and 500' });
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && isNaN(new Date(value))) {
+      return res.status(400).json({ error: `${name} must be an ISO date or timestamp` });
+    }
+  }
+
+  try {
+    res.json(await decisionLog.query({
+      account,
+      symbol: symbol ? symbol.toUpperCase() : null,
+      types: type ? type.split(',').map(t => t.trim()).filter(Boolean) : null,
+      from,
+      to,
+      offset,
+      limit
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Get one thinking / decision event (e.g. a trade's decisionId)
+app.get('/api/thinking/:id', async (req, res) => {
+  try {
+    const entry = await decisionLog.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: `Decision event not found: ${req.params.id}` });
+    }
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Get available symbols
+app.get('/api/symbols', (req, res) => {
+  try {
+    res.json(listSymbols());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Get replay clock state
+app.get('/api/replay', (req, res) => {
+  res.json(clock.getState());
+});
+
+
+// API: Jump the replay clock to a date
+// Starts on fresh scratch books when entering replay, jumping back, or with resetAccounts
+app.post('/api/replay/jump', requireRole('admin'), async (req, res) => {
+  const { date, resetAccounts = false } = req.body || {};
+  try {
+    clock.pause();
+    const startOver = !clock.isReplay() || resetAccounts || !date || date < clock.currentDate();
+    if (startOver) {
+      await startReplayBooks();
+    }
+
+    let state;
+    try {
+      state = await clock.jump(date);
+    } catch (err) {
+      if (!clock.isReplay()) await endReplayBooks();
+      throw err;
+    }
+
+    logThinking('alert', `Replay: jumped to ${state.date}${startOver ? ' on fresh scratch books' : ''} by ${req.user.username}`, { date: state.date, user: req.user.username });
+    res.json(state);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
+// API: Play the replay forward ({ speed } in bars per second)
+app.post('/api/replay/play', requireRole('admin'), (req, res) => {
+  const { speed } = req.body || {};
+  try {
+    const state = clock.play(speed === undefined ? undefined : Number(speed));
+    logThinking('analysis', `Replay: playing from ${state.date} at ${state.speed} bar(s)/sec (${req.user.username})`, { speed: state.speed, user: req.user.username });
+    events.publish('replay', state);
+    res.json(state);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
+// API: Pause the replay
+app.post('/api/replay/pause', requireRole('admin'), (req, res) => {
+  const state = clock.pause();
+  events.publish('replay', state);
+  res.json(state);
+});
+
+
+// API: Step the replay forward ({ bars } trading days, default 1)
+app.post('/api/replay/step', requireRole('admin'), async (req, res) => {
+  const bars = req.body && req.body.bars !== undefined ? Number(req.body.bars) : 1;
+  if (!Number.isInteger(bars) || bars < 1 || bars > 250) {
+    return res.status(400).json({ error: 'bars must be a whole number from 1 to 250' });
+  }
+  try {
+    res.json(await clock.step(bars));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
+// API: Leave replay mode and return to the latest bars and the real books
+app.post('/api/replay/live', requireRole('admin'), async (req, res) => {
+  try {
+    const state = await clock.goLive();
+    await endReplayBooks();
+    logThinking('alert', `Replay ended by ${req.user.username}: back to live data, replay books discarded`, { user: req.user.username });
+    res.json(state);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: List the symbol universe (?status=&assetClass=&sector=&tag=)
+app.get('/api/universe', (req, res) => {
+  try {
+    const { status, assetClass, sector, tag } = req.query;
+    res.json(universe.list({
+      status: status ? status.toUpperCase() : null,
+      assetClass: assetClass ? assetClass.toUpperCase() : null,
+      sector,
+      tag
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Get one symbol's universe entry
+app.get('/api/universe/:symbol', (req, res) => {
+  try {
+    const entry = universe.get(req.params.symbol.toUpperCase());
+    if (!entry) {
+      return res.status(404).json({ error: `Symbol not registered: ${req.params.symbol}` });
+    }
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Add a symbol { symbol, name, sector, industry, assetClass, status, tags } and download its history
+app.post('/api/universe', requireRole('admin'), (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = universe.add(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    logThinking('analysis', `${entry.symbol}: added to the universe by ${req.user.username}`, { symbol: entry.symbol, user: req.user.username });
+    if (entry.history.status !== 'READY') {
+      downloadHistory(entry.symbol);
+    }
+    events.publish('universe', entry);
+    res.status(201).json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Update a symbol's metadata or status
+app.put('/api/universe/:symbol', requireRole('admin'), (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    if (!universe.has(symbol)) {
+      return res.status(404).json({ error: `Symbol not registered: ${symbol}` });
+    }
+
+    let entry;
+    try {
+      entry = universe.update(symbol, req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    logThinking('analysis', `${symbol}: universe entry updated by ${req.user.username}`, { symbol, changes: req.body, user: req.user.username });
+    events.publish('universe', entry);
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Retry a symbol's history download
+app.post('/api/universe/:symbol/download', requireRole('admin'), (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const entry = universe.get(symbol);
+    if (!entry) {
+      return res.status(404).json({ error: `Symbol not registered: ${symbol}` });
+    }
+    if (entry.history.status === 'DOWNLOADING') {
+      return res.status(400).json({ error: `${symbol} history is already downloading` });
+    }
+    if (universe.hasHistory(symbol)) {
+      return res.status(400).json({ error: `${symbol} already has history; the data refresh keeps it current` });
+    }
+
+    downloadHistory(symbol);
+    res.json({ success: true, symbol });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Remove a symbol from the universe and its watchlists (the data file is kept)
+app.delete('/api/universe/:symbol', requireRole('admin'), (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    if (!universe.has(symbol)) {
+      return res.status(404).json({ error: `Symbol not registered: ${symbol}` });
+    }
+
+    const entry = universe.remove(symbol);
+    logThinking('analysis', `${symbol}: removed from the universe by ${req.user.username}`, { symbol, user: req.user.username });
+    events.publish('universe', { symbol, removed: true });
+    res.json({ success: true, symbol: entry });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: List watchlists
+app.get('/api/watchlists', (req, res) => {
+  try {
+    res.json(universe.listWatchlists());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Create a watchlist { name, symbols }
+app.post('/api/watchlists', (req, res) => {
+  try {
+    const { name, symbols = [] } = req.body || {};
+    let watchlist;
+    try {
+      watchlist = universe.createWatchlist(name, symbols);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(201).json(watchlist);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Replace a watchlist's symbols { symbols }
+app.put('/api/watchlists/:name', (req, res) => {
+  try {
+    if (!universe.getWatchlist(req.params.name)) {
+      return res.status(404).json({ error: `Watchlist not found: ${req.params.name}` });
+    }
+
+    let watchlist;
+    try {
+      watchlist = universe.updateWatchlist(req.params.name, (req.body || {}).symbols);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(watchlist);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Delete a watchlist
+app.delete('/api/watchlists/:name', (req, res) => {
+  try {
+    if (!universe.getWatchlist(req.params.name)) {
+      return res.status(404).json({ error: `Watchlist not found: ${req.params.name}` });
+    }
+    res.json({ success: true, watchlist: universe.deleteWatchlist(req.params.name) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: List known splits and dividends (?symbol=&type=&from=&to=)
+app.get('/api/corporate-actions', (req, res) => {
+  try {
+    const { symbol, type, from, to } = req.query;
+    res.json(corporateActions.getActions({
+      symbol: symbol ? symbol.toUpperCase() : null,
+      type: type ? type.toUpperCase() : null,
+      from,
+      to
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Add a split { symbol, type: 'SPLIT', date, ratio } or dividend { symbol, type: 'DIVIDEND', date, amount }
+app.post('/api/corporate-actions', requireRole('admin'), (req, res) => {
+  let action;
+  try {
+    action = corporateActions.normalize(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const added = corporateActions.addActions([action]);
+    if (added.length === 0) {
+      return res.status(400).json({ error: `Already recorded: ${action.id}` });
+    }
+
+    // Splits back-adjust the stored bars right away; positions follow on the next market check
+    const bars = action.type === 'SPLIT' ? corporateActions.adjustDataFile(action.symbol) : null;
+    logThinking('analysis', `Corporate action recorded by ${req.user.username}: ${action.symbol} ${action.type} ex ${action.date}`, { action, user: req.user.username });
+
+    res.json({
+      success: true,
+      action: corporateActions.getActions({ symbol: action.symbol }).find(a => a.id === action.id),
+      barsAdjusted: bars ? bars.adjusted.length > 0 : false
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Authenticate an /api request by API key or session cookie
+ *
+ * Reads need the viewer role and changes the trader role; admin-only routes
+ * add requireRole('admin'). Changes are logged with the user who made them.
+ */
+function authenticate(req, res, next) {
+  if (req.path === '/auth/login') return next();
+
+  const result = auth.authenticate(req);
+  if (!result) {
+    return res.status(401).json({ error: 'Authentication required: log in or send an API key' });
+  }
+  req.user = result.user;
+  req.authVia = result.via;
+
+  // Every role can manage its own session and API keys
+  const role = req.method === 'GET' || req.path.startsWith('/auth/') ? 'viewer' : 'trader';
+  if (!auth.hasRole(req.user, role)) {
+    return res.status(403).json({ error: `Requires the ${role} role` });
+  }
+
+  if (req.method !== 'GET') {
+    res.on('finish', () => {
+      console.log(`${new Date().toISOString()} ${req.user.username} ${req.method} ${req.originalUrl} ${res.statusCode}`);
+    });
+  }
+  next();
+}
+
+/**
+ * Route middleware allowing only users with at least the given role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!auth.hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// API: Log in to the dashboard { username, password } (sets the session cookie)
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await auth.verifyPassword(String(username || ''), password);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    const session = auth.createSession(result.user.username);
+    res.set('Set-Cookie', auth.sessionCookie(session.token, session.expiresAt));
+    res.json({ user: auth.describe(result.user), expiresAt: session.expiresAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Log out (ends the session and clears the cookie)
+app.post('/api/auth/logout', (req, res) => {
+  const token = auth.sessionToken(req);
+  if (token) {
+    auth.endSession(token);
+  }
+  res.set('Set-Cookie', auth.sessionCookie(null));
+  res.json({ success: true });
+});
+
+// API: Current user and how the request was authenticated
+app.get('/api/auth/session', (req, res) => {
+  res.json({ user: auth.describe(req.user), via: req.authVia });
+});
+
+// API: List the current user's API keys
+app.get('/api/auth/keys', (req, res) => {
+  res.json(auth.describe(req.user).apiKeys);
+});
+
+// API: Create an API key for the current user { label } (the key is only in this response)
+app.post('/api/auth/keys', (req, res) => {
+  try {
+    const key = auth.createApiKey(req.user.username, (req.body || {}).label);
+    logThinking('analysis', `API key ${key.id} created by ${req.user.username}`, { user: req.user.username, keyId: key.id });
+    res.status(201).json(key);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Revoke one of the current user's API keys
+app.delete('/api/auth/keys/:id', (req, res) => {
+  try {
+    if (!req.user.apiKeys.some(key => key.id === req.params.id)) {
+      return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    }
+    const key = auth.revokeApiKey(req.user.username, req.params.id);
+    logThinking('analysis', `API key ${key.id} revoked by ${req.user.username}`, { user: req.user.username, keyId: key.id });
+    res.json({ success: true, key });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: List users
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    res.json(auth.listUsers());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Create a user { username, password, role }
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await auth.createUser(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    logThinking('alert', `User ${user.username} (${user.role}) created by ${req.user.username}`, { user: req.user.username, target: user.username });
+    res.status(201).json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Change a user's role or password { role, password }
+app.put('/api/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    if (!auth.getUser(req.params.username)) {
+      return res.status(404).json({ error: `User not found: ${req.params.username}` });
+    }
+
+    const { role, password } = req.body || {};
+    let user;
+    try {
+      user = await auth.updateUser(req.params.username, { role, password });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const changed = [role !== undefined ? `role ${user.role}` : null, password !== undefined ? 'password' : null].filter(Boolean);
+    logThinking('alert', `User ${user.username} updated by ${req.user.username}: ${changed.join(', ') || 'no changes'}`, {
+      user: req.user.username, target: user.username
+    });
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Create an API key for a user { label }, e.g. for a trading bot (the key is only in this response)
+app.post('/api/users/:username/keys', requireRole('admin'), (req, res) => {
+  try {
+    if (!auth.getUser(req.params.username)) {
+      return res.status(404).json({ error: `User not found: ${req.params.username}` });
+    }
+
+    const key = auth.createApiKey(req.params.username, (req.body || {}).label);
+    logThinking('analysis', `API key ${key.id} for ${req.params.username} created by ${req.user.username}`, {
+      user: req.user.username, target: req.params.username, keyId: key.id
+    });
+    res.status(201).json(key);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Delete a user (ends their sessions and API keys)
+app.delete('/api/users/:username', requireRole('admin'), (req, res) => {
+  try {
+    if (!auth.getUser(req.params.username)) {
+      return res.status(404).json({ error: `User not found: ${req.params.username}` });
+    }
+
+    let user;
+    try {
+      user = auth.deleteUser(req.params.username);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    logThinking('alert', `User ${user.username} deleted by ${req.user.username}`, { user: req.user.username, target: user.username });
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: List accounts
+app.get('/api/accounts', (req, res) => {
+  try {
+    res.json(activeAccounts().list());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Create account
+app.post('/api/accounts', requireRole('admin'), (req, res) => {
+  try {
+    if (clock.isReplay()) {
+      return res.status(409).json({ error: 'Accounts cannot be created during a replay' });
+    }
+    const { id, name, config: settings } = req.body;
+
+    let account;
+    try {
+      account = accounts.create({ id, name, config: settings });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const { config, log } = accounts.get(account.id);
+    log('analysis', `Account created by ${req.user.username} with $${config.INITIAL_CAPITAL.toFixed(2)}`, { user: req.user.username });
+    res.status(201).json(account);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Reset account to its initial capital
+app.post('/api/accounts/:accountId/reset', requireRole('admin'), async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    if (!activeAccounts().has(accountId)) {
+      return res.status(404).json({ error: `Account not found: ${accountId}` });
+    }
+
+    const account = await activeAccounts().reset(accountId, req.user.username);
+    activeAccounts().get(accountId).log('alert', `Account reset by ${req.user.username}: positions, history and orders cleared, kill switch reset`, { user: req.user.username });
+    res.json({ success: true, account });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Delete account
+app.delete('/api/accounts/:accountId', requireRole('admin'), async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    if (clock.isReplay()) {
+      return res.status(409).json({ error: 'Accounts cannot be deleted during a replay' });
+    }
+    if (!accounts.has(accountId)) {
+      return res.status(404).json({ error: `Account not found: ${accountId}` });
+    }
+    if (accountId === AccountManager.DEFAULT_ACCOUNT_ID) {
+      return res.status(400).json({ error: 'The default account cannot be deleted' });
+    }
+
+    const account = await accounts.remove(accountId);
+    logThinking('alert', `Account deleted by ${req.user.username}: ${account.name}`, { account: accountId, user: req.user.username });
+    res.json({ success: true, account });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Get portfolio data
+accountRoutes.get('/portfolio', (req, res) => {
+  const { store } = req.account;
+  try {
+    res.json(store.get());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Get equity curve, drawdowns, risk-adjusted returns and SPY comparison
+accountRoutes.get('/portfolio/performance', (req, res) => {
+  const { store, engine, equityTracker } = req.account;
+  try {
+    const portfolio = store.get();
+    equityTracker.record(engine.getMarginStatus(portfolio));
+    res.json(equityTracker.getPerformance(portfolio));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Portfolio risk (?confidence=0.95&lookback=252)
+accountRoutes.get('/risk', (req, res) => {
+  const { store, engine } = req.account;
+  const confidence = req.query.confidence !== undefined ? parseFloat(req.query.confidence) : undefined;
+  const lookback = req.query.lookback !== undefined ? parseInt(req.query.lookback, 10) : undefined;
+
+  if (confidence !== undefined && !(confidence >= 0.5 && confidence < 1)) {
+    return res.status(400).json({ error: 'confidence must be between 0.5 and 1' });
+  }
+  if (lookback !== undefined && !(lookback >= 20 && lookback <= 1260)) {
+    return res.status(400).json({ error: 'lookback must be between 20 and 1260 days' });
+  }
+
+  try {
+    const portfolio = store.get();
+    const { equity } = engine.getMarginStatus(portfolio);
+    res.json(riskAnalytics.analyze(portfolio, { equity, confidence, lookback }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Pre-trade rules, today's usage and kill switch state
+accountRoutes.get('/risk/rules', (req, res) => {
+  const { store, preTradeRisk } = req.account;
+  try {
+    res.json(preTradeRisk.getStatus(store.get()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: Trip or reset the kill switch ({ active, reason })
+accountRoutes.post('/risk/kill-switch', (req, res) => {
+  const { store, preTradeRisk } = req.account;
+  try {
+    const { active, reason } = req.body || {};
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+
+    // Any trader can halt trading; resuming it is for admins
+    if (!active && !auth.hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'Requires the admin role' });
+    }
+
+    const actor = req.user.username;
+    if (active) {
+      preTradeRisk.tripKillSwitch(reason || 'Manual halt', actor);
+    } else {
+      preTradeRisk.resetKillSwitch(actor);
+    }
+
+    res.json(preTradeRisk.getStatus(store.get()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Stream dashboard events (Server-Sent Events)
+accountRoutes.get('/stream', (req, res) => {
+  const { account } = req.account;
+  events.subscribe(req, res, { accountId: account.id });
+});
+
+
+// API: Get config
+accountRoutes.get('/config', (req, res) => {
+  const { config } = req.account;
+  res.json(activeAccounts().publicConfig(config));
+});
+
+// API: Update config (partial settings; repricePolicy says how open positions pick up new exit percents)
+accountRoutes.put('/config', requireRole('admin'), async (req, res) => {
+  const { account, store, engine, config, log } = req.account;
+  try {
+    const { repricePolicy, ...settings } = req.body || {};
+
+    if (repricePolicy !== undefined && !PaperTradingEngine.REPRICE_POLICIES.includes(repricePolicy)) {
+      return res.status(400).json({ error: `repricePolicy must be one of ${PaperTradingEngine.REPRICE_POLICIES.join(', ')}` });
+    }
+
+    const exitsChanging = ['stopLossPercent', 'takeProfitPercent']
+      .some(name => name in settings && settings[name] !== config[ConfigValidator.toConfigKey(name)]);
+    const hasPositions = Object.keys(store.get().positions).length > 0;
+
+    if (exitsChanging && hasPositions && !repricePolicy) {
+      return res.status(400).json({
+        error: `repricePolicy is required when exit percents change with open positions (${PaperTradingEngine.REPRICE_POLICIES.join(', ')})`
+      });
+    }
+
+    const actor = req.user.username;
+    const result = activeAccounts().updateConfig(account.id, settings, {
+      actor,
+      repricePolicy: exitsChanging ? (repricePolicy || 'KEEP') : undefined
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, errors: result.errors });
+    }
+
+    // Cost settings are read when the cost model is built
+    engine.costModel = CostModel.fromConfig(config);
+
+    let repriced = [];
+    if (exitsChanging && repricePolicy) {
+      repriced = await store.update('REPRICE', portfolio => engine.repriceExits(portfolio, repricePolicy));
+    }
+
+    if (result.changes.length > 0) {
+      const summary = result.changes.map(c => `${c.setting} ${c.from} -> ${c.to}`).join(', ');
+      log('alert', `Config changed by ${actor}: ${summary}`, {
+        changes: result.changes, repricePolicy, repriced: repriced.length
+      });
+    }
+
+    res.json({ success: true, changes: result.changes, config: result.config, repriced });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// API: Get config
-app.get('/api/config', (req, res) => {
-  res.json({
-    initialCapital: CONFIG.INITIAL_CAPITAL,
-    maxPositionSize: CONFIG.MAX_POSITION_SIZE,
-    stopLossPercent: CONFIG.STOP_LOSS_PERCENT,
-    takeProfitPercent: CONFIG.TAKE_PROFIT_PERCENT,
-    minConfidence: CONFIG.MIN_CONFIDENCE,
-    maxPositions: CONFIG.MAX_POSITIONS
-  });
+// API: Get config audit log
+accountRoutes.get('/config/audit', (req, res) => {
+  const { account } = req.account;
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    res.json(activeAccounts().getAuditLog({ accountId: account.id, limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// API: Get model thinking log
-app.get('/api/thinking', (req, res) => {
-  res.json(modelThinking);
-});
+// Log a user's trade or order request as the decision behind the trades it leads to; returns the event id
+function logRequestDecision(req, description, data) {
+  return req.account.log('decision', `${description} requested by ${req.user.username}`, { ...data, user: req.user.username }).id;
+}
 
 // API: Manual BUY
-app.post('/api/trade/buy', (req, res) => {
+accountRoutes.post('/trade/buy', async (req, res) => {
+  const { store, engine, log } = req.account;
   try {
     const { symbol, shares } = req.body;
-    if (!symbol || !shares || shares <= 0) {
-      return res.status(400).json({ error: 'Invalid symbol or shares' });
+    if (!symbol || !Number.isInteger(shares) || shares <= 0) {
+      return res.status(400).json({ error: 'Symbol is required and shares must be a positive integer' });
     }
 
     const price = getCurrentPrice(symbol);
     if (!price) {
-      logThinking('error', `BUY rejected: No price data for ${symbol}`, { symbol });
+      log('error', `BUY rejected: No price data for ${symbol}`, { symbol });
       return res.status(400).json({ error: `No price data for ${symbol}` });
     }
 
-    const portfolio = loadPortfolio();
-    const cost = shares * price;
-
-    if (cost > portfolio.cash) {
-      logThinking('error', `BUY rejected: Insufficient funds`, { symbol, cost, cash: portfolio.cash });
-      return res.status(400).json({ error: 'Insufficient funds' });
-    }
+    const decisionId = logRequestDecision(req, `MANUAL BUY ${shares} ${symbol}`, { symbol, shares, side: 'BUY', quote: price });
+    const result = await store.update('BUY', portfolio =>
+      engine.buy(portfolio, { symbol, shares, price, reason: 'MANUAL', user: req.user.username, decisionId })
+    );
 
-    if (Object.keys(portfolio.positions).length >= CONFIG.MAX_POSITIONS) {
-      logThinking('error', `BUY rejected: Max positions reached`, { symbol });
-      return res.status(400).json({ error: 'Maximum positions reached' });
+    if (!result.success) {
+      log('error', `BUY rejected: ${result.error}`, { user: req.user.username, symbol, rule: result.rule, cost: shares * price, cash: store.get().cash });
+      return res.status(400).json({ error: result.error, rule: result.rule });
     }
 
-    // Execute buy
-    portfolio.cash -= cost;
-    const positionKey = `${symbol}-5-years`;
+    const { trade } = result;
 
-    if (portfolio.positions[positionKey]) {
-      // Add to existing position
-      const existing = portfolio.positions[positionKey];
-      const totalShares = existing.shares + shares;
-      const avgPrice = ((existing.shares * existing.entryPrice) + cost) / totalShares;
-      portfolio.positions[positionKey] = {
-        ...existing,
-        shares: totalShares,
-        entryPrice: avgPrice,
-        stopLoss: avgPrice * (1 - CONFIG.STOP_LOSS_PERCENT),
-        takeProfit: avgPrice * (1 + CONFIG.TAKE_PROFIT_PERCENT)
-      };
-    } else {
-      // New position
-      portfolio.positions[positionKey] = {
-        shares,
-        entryPrice: price,
-        entryDate: new Date().toISOString(),
-        stopLoss: price * (1 - CONFIG.STOP_LOSS_PERCENT),
-        takeProfit: price * (1 + CONFIG.TAKE_PROFIT_PERCENT),
-        confidence: null // Manual trade
-      };
-    }
-
-    // Log trade
-    const trade = {
-      type: 'BUY',
-      symbol: positionKey,
-      shares,
-      price,
-      value: cost,
-      confidence: null,
-      reason: 'MANUAL',
-      timestamp: new Date().toISOString()
-    };
-    portfolio.tradeHistory.push(trade);
-    savePortfolio(portfolio);
-
-    logThinking('trade', `MANUAL BUY executed: ${shares} ${symbol} @ $${price.toFixed(2)}`, {
-      symbol, shares, price, cost
+    log('trade', `MANUAL BUY executed by ${req.user.username}: ${shares} ${symbol} @ $${trade.price.toFixed(2)}`, {
+      symbol, shares, price: trade.price, cost: trade.value, costs: trade.costs, user: req.user.username, decisionId
     });
 
     res.json({ success: true, trade });
@@ -219,65 +1180,124 @@ app.post('/api/trade/buy', (req, res) => {
   }
 });
 
-// API: Manual SELL
-app.post('/api/trade/sell', (req, res) => {
+
+// API: Manual SELL (optional lotMethod, or lots: [{ id, shares }] for specific lots)
+accountRoutes.post('/trade/sell', async (req, res) => {
+  const { store, engine, log } = req.account;
   try {
-    const { symbol, shares } = req.body;
-    if (!symbol || !shares || shares <= 0) {
-      return res.status(400).json({ error: 'Invalid symbol or shares' });
+    const { symbol, shares, lotMethod, lots } = req.body;
+    if (!symbol || !Number.isInteger(shares) || shares <= 0) {
+      return res.status(400).json({ error: 'Symbol is required and shares must be a positive integer' });
     }
 
-    const portfolio = loadPortfolio();
-    const positionKey = `${symbol}-5-years`;
-    const position = portfolio.positions[positionKey];
+    const position = store.get().positions[engine.positionKey(symbol)];
 
-    if (!position) {
-      logThinking('error', `SELL rejected: No position in ${symbol}`, { symbol });
-      return res.status(400).json({ error: `No position in ${symbol}` });
+    if (!position || engine.isShort(position)) {
+      log('error', `SELL rejected: No long position in ${symbol}`, { symbol });
+      return res.status(400).json({ error: `No long position in ${symbol}` });
     }
 
     if (shares > position.shares) {
-      logThinking('error', `SELL rejected: Not enough shares`, { symbol, requested: shares, held: position.shares });
+      log('error', `SELL rejected: Not enough shares`, { symbol, requested: shares, held: position.shares });
       return res.status(400).json({ error: `Only holding ${position.shares} shares` });
     }
 
     const price = getCurrentPrice(symbol);
     if (!price) {
-      logThinking('error', `SELL rejected: No price data for ${symbol}`, { symbol });
+      log('error', `SELL rejected: No price data for ${symbol}`, { symbol });
       return res.status(400).json({ error: `No price data for ${symbol}` });
     }
 
-    // Execute sell
-    const proceeds = shares * price;
-    const costBasis = shares * position.entryPrice;
-    const pnl = proceeds - costBasis;
-    const pnlPercent = (pnl / costBasis) * 100;
+    const decisionId = logRequestDecision(req, `MANUAL SELL ${shares} ${symbol}`, { symbol, shares, side: 'SELL', quote: price });
+    const result = await store.update('SELL', portfolio =>
+      engine.sell(portfolio, { symbol, shares, price, reason: 'MANUAL', user: req.user.username, decisionId, lotMethod, lots })
+    );
+    if (!result.success) {
+      log('error', `SELL rejected: ${result.error}`, { user: req.user.username, symbol });
+      return res.status(400).json({ error: result.error });
+    }
 
-    portfolio.cash += proceeds;
+    const { trade } = result;
+    const { value: proceeds, pnl, pnlPercent } = trade;
 
-    if (shares === position.shares) {
-      delete portfolio.positions[positionKey];
-    } else {
-      portfolio.positions[positionKey].shares -= shares;
+    log('trade', `MANUAL SELL executed by ${req.user.username}: ${shares} ${symbol} @ $${trade.price.toFixed(2)} (P&L: $${pnl.toFixed(2)})`, {
+      symbol, shares, price: trade.price, proceeds, pnl, pnlPercent, costs: trade.costs, user: req.user.username, decisionId
+    });
+
+    res.json({ success: true, trade });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Short sell
+accountRoutes.post('/trade/short', async (req, res) => {
+  const { store, engine, log } = req.account;
+  try {
+    const { symbol, shares } = req.body;
+    if (!symbol || !Number.isInteger(shares) || shares <= 0) {
+      return res.status(400).json({ error: 'Symbol is required and shares must be a positive integer' });
+    }
+
+    const price = getCurrentPrice(symbol);
+    if (!price) {
+      log('error', `SHORT rejected: No price data for ${symbol}`, { symbol });
+      return res.status(400).json({ error: `No price data for ${symbol}` });
+    }
+
+    const decisionId = logRequestDecision(req, `MANUAL SHORT ${shares} ${symbol}`, { symbol, shares, side: 'SHORT', quote: price });
+    const result = await store.update('SHORT', portfolio =>
+      engine.short(portfolio, { symbol, shares, price, reason: 'MANUAL', user: req.user.username, decisionId })
+    );
+
+    if (!result.success) {
+      log('error', `SHORT rejected: ${result.error}`, { user: req.user.username, symbol, rule: result.rule, value: shares * price });
+      return res.status(400).json({ error: result.error, rule: result.rule });
+    }
+
+    const { trade } = result;
+
+    log('trade', `MANUAL SHORT executed by ${req.user.username}: ${shares} ${symbol} @ $${trade.price.toFixed(2)}`, {
+      symbol, shares, price: trade.price, proceeds: trade.value, costs: trade.costs, user: req.user.username, decisionId
+    });
+
+    res.json({ success: true, trade });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Buy to cover (optional lotMethod, or lots: [{ id, shares }] for specific lots)
+accountRoutes.post('/trade/cover', async (req, res) => {
+  const { store, engine, log } = req.account;
+  try {
+    const { symbol, shares, lotMethod, lots } = req.body;
+    if (!symbol || !Number.isInteger(shares) || shares <= 0) {
+      return res.status(400).json({ error: 'Symbol is required and shares must be a positive integer' });
+    }
+
+    const price = getCurrentPrice(symbol);
+    if (!price) {
+      log('error', `COVER rejected: No price data for ${symbol}`, { symbol });
+      return res.status(400).json({ error: `No price data for ${symbol}` });
+    }
+
+    const decisionId = logRequestDecision(req, `MANUAL COVER ${shares} ${symbol}`, { symbol, shares, side: 'COVER', quote: price });
+    const result = await store.update('COVER', portfolio =>
+      engine.cover(portfolio, { symbol, shares, price, reason: 'MANUAL', user: req.user.username, decisionId, lotMethod, lots })
+    );
+
+    if (!result.success) {
+      log('error', `COVER rejected: ${result.error}`, { user: req.user.username, symbol });
+      return res.status(400).json({ error: result.error });
     }
 
-    // Log trade
-    const trade = {
-      type: 'SELL',
-      symbol: positionKey,
-      shares,
-      price,
-      value: proceeds,
-      pnl,
-      pnlPercent,
-      reason: 'MANUAL',
-      timestamp: new Date().toISOString()
-    };
-    portfolio.tradeHistory.push(trade);
-    savePortfolio(portfolio);
+    const { trade } = result;
 
-    logThinking('trade', `MANUAL SELL executed: ${shares} ${symbol} @ $${price.toFixed(2)} (P&L: $${pnl.toFixed(2)})`, {
-      symbol, shares, price, proceeds, pnl, pnlPercent
+    log('trade', `MANUAL COVER executed by ${req.user.username}: ${shares} ${symbol} @ $${trade.price.toFixed(2)} (P&L: $${trade.pnl.toFixed(2)})`, {
+      symbol, shares, price: trade.price, cost: trade.value, pnl: trade.pnl, borrowFees: trade.borrowFees, costs: trade.costs, user: req.user.username, decisionId
     });
 
     res.json({ success: true, trade });
@@ -286,119 +1306,574 @@ app.post('/api/trade/sell', (req, res) => {
   }
 });
 
-// API: Close position entirely
-app.post('/api/trade/close', (req, res) => {
+
+// API: Close position entirely (sells longs, covers shorts)
+accountRoutes.post('/trade/close', async (req, res) => {
+  const { store, engine, log } = req.account;
   try {
     const { symbol } = req.body;
-    const portfolio = loadPortfolio();
-    const positionKey = `${symbol}-5-years`;
-    const position = portfolio.positions[positionKey];
+    const position = store.get().positions[engine.positionKey(symbol)];
 
     if (!position) {
       return res.status(400).json({ error: `No position in ${symbol}` });
     }
 
-    // Delegate to sell with all shares
-    req.body.shares = position.shares;
-    return app._router.handle({ ...req, url: '/api/trade/sell', method: 'POST' }, res, () => {});
+    const price = getCurrentPrice(symbol);
+    if (!price) {
+      log('error', `CLOSE rejected: No price data for ${symbol}`, { symbol });
+      return res.status(400).json({ error: `No price data for ${symbol}` });
+    }
+
+    const decisionId = logRequestDecision(req, `MANUAL CLOSE ${symbol}`, { symbol, side: 'CLOSE', quote: price });
+    const result = await store.update('CLOSE', portfolio =>
+      engine.close(portfolio, { symbol, price, reason: 'MANUAL', user: req.user.username, decisionId })
+    );
+    if (!result.success) {
+      log('error', `CLOSE rejected: ${result.error}`, { user: req.user.username, symbol });
+      return res.status(400).json({ error: result.error });
+    }
+
+    const { trade } = result;
+
+    log('trade', `MANUAL ${trade.type} executed by ${req.user.username}: ${trade.shares} ${symbol} @ $${trade.price.toFixed(2)} (P&L: $${trade.pnl.toFixed(2)})`, {
+      symbol, shares: trade.shares, price: trade.price, pnl: trade.pnl, pnlPercent: trade.pnlPercent, costs: trade.costs, user: req.user.username, decisionId
+    });
+
+    res.json({ success: true, trade });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// API: Get available symbols
-app.get('/api/symbols', (req, res) => {
+
+// API: Open tax lots per position, marked to market
+accountRoutes.get('/tax/lots', (req, res) => {
+  const { store, engine } = req.account;
+  try {
+    const now = engine.now().toISOString();
+    const positions = Object.entries(store.get().positions).map(([positionKey, position]) => {
+      const symbol = positionKey.replace('-5-years', '');
+      const price = engine.markPrice(positionKey, position);
+      const direction = engine.isShort(position) ? -1 : 1;
+
+      const lots = engine.taxLots.lotsOf(position, positionKey).map(lot => ({
+        ...lot,
+        unrealizedGain: direction * (price - lot.price) * lot.shares - lot.commission,
+        holdingDays: Math.floor((new Date(now) - new Date(lot.acquiredAt)) / (24 * 60 * 60 * 1000)),
+        term: engine.isShort(position) ? 'SHORT' : engine.taxLots.holdingTerm(lot.acquiredAt, now)
+      }));
+
+      return { symbol, side: engine.isShort(position) ? 'SHORT' : 'LONG', price, lots };
+    });
+
+    res.json({ lotMethod: req.account.config.LOT_METHOD, positions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Realized gains report (?year=2024, ?format=csv to download)
+accountRoutes.get('/tax/realized', (req, res) => {
+  const { account, store, engine } = req.account;
+  try {
+    const year = req.query.year ? parseInt(req.query.year, 10) : null;
+    if (req.query.year && !(year >= 1900 && year <= 2100)) {
+      return res.status(400).json({ error: 'year must be a four-digit year' });
+    }
+
+    const report = engine.taxLots.realizedGains(store.get().tradeHistory, { year });
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="realized-gains-${account.id}${year ? `-${year}` : ''}.csv"`);
+      return res.send(engine.taxLots.toCsv(report));
+    }
+
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Get margin status
+accountRoutes.get('/margin', (req, res) => {
+  const { store, engine } = req.account;
+  try {
+    res.json(engine.getMarginStatus(store.get()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: List orders
+accountRoutes.get('/orders', (req, res) => {
+  const { store, orderBook } = req.account;
+  try {
+    res.json(orderBook.listOrders(store.get(), { status: req.query.status, symbol: req.query.symbol }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Get fills history
+accountRoutes.get('/orders/fills', (req, res) => {
+  const { store, orderBook } = req.account;
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    res.json(orderBook.getFills(store.get(), limit));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Place order
+accountRoutes.post('/orders', async (req, res) => {
+  const { store, orderBook, log, publish } = req.account;
+  try {
+    const { symbol, side, shares, type = 'MARKET', limitPrice, stopPrice } = req.body || {};
+    const decisionId = logRequestDecision(req, `${String(type).toUpperCase()} ${String(side).toUpperCase()} ${shares} ${symbol} order`, {
+      symbol, side, shares, type, limitPrice, stopPrice
+    });
+    const result = await store.update('ORDER', portfolio =>
+      orderBook.placeOrder(portfolio, { ...req.body, user: req.user.username, decisionId })
+    );
+
+    if (!result.success) {
+      log('error', `ORDER rejected: ${result.error}`, { symbol: req.body.symbol, rule: result.rule, user: req.user.username });
+      return res.status(400).json({ error: result.error, rule: result.rule, order: result.order });
+    }
+
+    const { order, fill } = result;
+    const priceStr = [
+      order.limitPrice ? `limit $${order.limitPrice.toFixed(2)}` : null,
+      order.stopPrice ? `stop $${order.stopPrice.toFixed(2)}` : null
+    ].filter(Boolean).join(', ');
+
+    if (fill) {
+      log('trade', `${order.type} ${order.side} filled for ${order.user}: ${fill.shares} ${fill.symbol} @ $${fill.price.toFixed(2)}`, {
+        symbol: fill.symbol, shares: fill.shares, price: fill.price, orderId: order.id, user: order.user, decisionId
+      });
+      publish('fill', fill);
+    } else {
+      log('analysis', `${order.type} ${order.side} order placed by ${order.user}: ${order.shares} ${order.symbol}${priceStr ? ` (${priceStr})` : ''} ${order.timeInForce}`, {
+        symbol: order.symbol, shares: order.shares, orderId: order.id, user: order.user, decisionId
+      });
+    }
+
+    res.json({ success: true, order, fill });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// API: Cancel order
+accountRoutes.delete('/orders/:id', async (req, res) => {
+  const { store, orderBook, log } = req.account;
   try {
-    const dataDir = path.join(__dirname, 'historical-data');
-    if (!fs.existsSync(dataDir)) {
-      return res.json([]);
+    const result = await store.update('ORDER_CANCEL', portfolio =>
+      orderBook.cancelOrder(portfolio, req.params.id, req.user.username)
+    );
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
     }
-    const files = fs.readdirSync(dataDir);
-    const symbols = files
-      .filter(f => f.endsWith('.json'))
-      .map(f => f.replace('-5-years.json', '').replace('.json', ''))
-      .filter(s => !s.includes('-5-years'));
-    res.json([...new Set(symbols)]);
+
+    log('analysis', `Order cancelled by ${req.user.username}: ${result.order.side} ${result.order.shares} ${result.order.symbol}`, {
+      symbol: result.order.symbol, orderId: result.order.id, user: req.user.username
+    });
+
+    res.json(result);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+
+// API: Get auto-trader status
+accountRoutes.get('/autotrade', (req, res) => {
+  const { store, autoTrader } = req.account;
+  const recentTrades = store.get().tradeHistory
+    .filter(t => t.reason === 'AUTO')
+    .slice(-20)
+    .reverse();
+  res.json({ ...autoTrader.getStatus(), recentTrades });
+});
+
+
+// API: Start auto-trader
+accountRoutes.post('/autotrade/start', (req, res) => {
+  const { autoTrader, config, log, publish } = req.account;
+  const status = autoTrader.start();
+  log('analysis', `Auto-trader started by ${req.user.username}: acting on signals above threshold`, {
+    user: req.user.username,
+    threshold: config.MIN_CONFIDENCE,
+    maxPositionSize: config.MAX_POSITION_SIZE
+  });
+  publish('autotrade', status);
+  res.json(status);
+});
+
+
+// API: Pause auto-trader
+accountRoutes.post('/autotrade/pause', (req, res) => {
+  const { autoTrader, log, publish } = req.account;
+  const status = autoTrader.pause();
+  log('analysis', `Auto-trader paused by ${req.user.username}: open positions keep their exits`, {
+    user: req.user.username,
+    tradesPlaced: status.tradesPlaced
+  });
+  publish('autotrade', status);
+  res.json(status);
+});
+
 // Simulate model thinking (runs periodically)
-function simulateModelThinking() {
-  const signals = [
-    { symbol: 'AAPL', score: 0.469, rf: 0.512, nn: 0.405 },
-    { symbol: 'NVDA', score: 0.468, rf: 0.511, nn: 0.405 },
-    { symbol: 'AMD', score: 0.462, rf: 0.501, nn: 0.405 },
-    { symbol: 'ABNB', score: 0.455, rf: 0.488, nn: 0.405 },
-    { symbol: 'UBER', score: 0.454, rf: 0.487, nn: 0.405 },
-    { symbol: 'BA', score: 0.451, rf: 0.481, nn: 0.405 }
-  ];
-
-  const portfolio = loadPortfolio();
-
-  logThinking('analysis', 'Scanning market for trading opportunities...', {
+async function simulateModelThinking() {
+  let signals = [];
+  try {
+    signals = await signalService.getSignals({ asOf: clock.currentDate() });
+    events.publish('signals', signals);
+  } catch (err) {
+    logThinking('error', `Signal generation failed: ${err.message}`, {});
+  }
+
+  for (const context of activeAccounts().getAll()) {
+    await runAccountThinking(context, signals);
+  }
+}
+
+// Analyze signals and manage positions for one account
+async function runAccountThinking(context, signals) {
+  const { store, engine, autoTrader, config, log } = context;
+
+  const portfolio = store.get();
+
+  log('analysis', 'Scanning market for trading opportunities...', {
     cash: portfolio.cash,
     openPositions: Object.keys(portfolio.positions).length
   });
 
-  // Analyze each signal
-  signals.forEach(signal => {
-    const meetsThreshold = signal.score >= CONFIG.MIN_CONFIDENCE;
+  // Analyze each signal; automated trades link to the decision behind them
+  const decided = signals.map(signal => {
+    const meetsThreshold = signal.score >= config.MIN_CONFIDENCE;
     const positionKey = `${signal.symbol}-5-years`;
     const hasPosition = !!portfolio.positions[positionKey];
 
+    let decisionId;
     if (meetsThreshold && !hasPosition) {
-      logThinking('signal', `${signal.symbol}: BUY signal (${(signal.score * 100).toFixed(1)}% confidence)`, {
-        symbol: signal.symbol,
-        ensemble: signal.score,
-        randomForest: signal.rf,
-        neuralNet: signal.nn,
-        threshold: CONFIG.MIN_CONFIDENCE,
-        action: 'Would open position'
+      decisionId = logSignalDecision(context, signal, 'signal', `${signal.symbol}: BUY signal (${(signal.score * 100).toFixed(1)}% confidence)`, {
+        action: autoTrader.isRunning() ? 'Opening position' : 'Would open position'
       });
     } else if (meetsThreshold && hasPosition) {
-      logThinking('hold', `${signal.symbol}: Holding position (${(signal.score * 100).toFixed(1)}% confidence still valid)`, {
-        symbol: signal.symbol,
-        ensemble: signal.score
-      });
-    } else if (!meetsThreshold) {
-      logThinking('skip', `${signal.symbol}: Below threshold (${(signal.score * 100).toFixed(1)}% < ${(CONFIG.MIN_CONFIDENCE * 100).toFixed(1)}%)`, {
-        symbol: signal.symbol,
-        ensemble: signal.score,
-        threshold: CONFIG.MIN_CONFIDENCE
-      });
+      decisionId = logSignalDecision(context, signal, 'hold', `${signal.symbol}: Holding position (${(signal.score * 100).toFixed(1)}% confidence still valid)`);
+    } else {
+      decisionId = logSignalDecision(context, signal, 'skip', `${signal.symbol}: Below threshold (${(signal.score * 100).toFixed(1)}% < ${(config.MIN_CONFIDENCE * 100).toFixed(1)}%)`);
     }
+    return { ...signal, decisionId };
   });
 
-  // Check existing positions for stop loss / take profit
-  Object.entries(portfolio.positions).forEach(([positionKey, position]) => {
+  // Auto-trade signals that passed the threshold
+  if (autoTrader.isRunning()) {
+    await runAutoTrader(context, decided);
+  }
+
+  // Close anything that crossed its stop loss / take profit, then monitor the rest
+  await runExitChecks(context);
+
+  const remaining = store.get();
+  Object.entries(remaining.positions).forEach(([positionKey, position]) => {
     const symbol = positionKey.replace('-5-years', '');
     const currentPrice = getCurrentPrice(symbol);
     if (!currentPrice) return;
 
-    const pnlPercent = ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+    const direction = engine.isShort(position) ? -1 : 1;
+    const pnlPercent = direction * ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+
+    log('monitor', `${symbol}: Monitoring ${engine.isShort(position) ? 'short ' : ''}position (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)`, {
+      symbol, currentPrice, entryPrice: position.entryPrice, pnlPercent
+    });
+  });
+}
+
+// Log a signal decision with the features, per-model outputs and threshold checks behind it
+//
+// The same decision on the same bar and model version is logged once; its id is reused.
+function logSignalDecision(context, signal, type, message, details = {}) {
+  const { account, config, log } = context;
+  const key = [type, signal.date, signal.modelVersion, signal.score, config.MIN_CONFIDENCE, details.action].join('|');
+  const last = lastSignalDecisions.get(`${account.id}:${signal.symbol}`);
+  if (last && last.key === key && last.id) {
+    return last.id;
+  }
+
+  const entry = log(type, message, {
+    symbol: signal.symbol,
+    ensemble: signal.score,
+    threshold: config.MIN_CONFIDENCE,
+    ...details,
+    consensus: signal.signal,
+    consensusReason: signal.reason,
+    stdDev: signal.stdDev,
+    modelVersion: signal.modelVersion,
+    barDate: signal.date,
+    price: signal.price,
+    models: signal.models,
+    checks: [
+      ...(signal.checks || []),
+      { name: 'MIN_CONFIDENCE', value: signal.score, threshold: config.MIN_CONFIDENCE, passed: signal.score >= config.MIN_CONFIDENCE }
+    ],
+    features: signal.features || {}
+  });
+
+  lastSignalDecisions.set(`${account.id}:${signal.symbol}`, { key, id: entry.id });
+  return entry.id;
+}
+
+// Open positions for qualifying signals
+async function runAutoTrader(context, signals) {
+  const { store, autoTrader, log, publish } = context;
+  try {
+    const { opened, skipped } = await store.update('AUTO_TRADE', portfolio => autoTrader.run(portfolio, signals));
+
+    if (opened.length > 0) {
+      publish('autotrade', autoTrader.getStatus());
+    }
 
-    if (currentPrice <= position.stopLoss) {
-      logThinking('alert', `${symbol}: STOP LOSS triggered! Price $${currentPrice.toFixed(2)} <= $${position.stopLoss.toFixed(2)}`, {
-        symbol, currentPrice, stopLoss: position.stopLoss, pnlPercent
+    opened.forEach(trade => {
+      const symbol = trade.symbol.replace('-5-years', '');
+      log('trade', `AUTO BUY executed: ${trade.shares} ${symbol} @ $${trade.price.toFixed(2)} (${(trade.confidence * 100).toFixed(1)}% confidence)`, {
+        symbol, shares: trade.shares, price: trade.price, cost: trade.value,
+        confidence: trade.confidence, modelVersion: trade.modelVersion, decisionId: trade.decisionId
       });
-    } else if (currentPrice >= position.takeProfit) {
-      logThinking('alert', `${symbol}: TAKE PROFIT triggered! Price $${currentPrice.toFixed(2)} >= $${position.takeProfit.toFixed(2)}`, {
-        symbol, currentPrice, takeProfit: position.takeProfit, pnlPercent
+    });
+
+    skipped.forEach(({ symbol, reason, rule }) => {
+      log('skip', `${symbol}: Auto-trade skipped (${reason})`, { symbol, reason, rule });
+    });
+  } catch (err) {
+    log('error', `Auto-trade failed: ${err.message}`, {});
+  }
+}
+
+// Execute stop loss / take profit exits for open positions
+async function runExitChecks(context) {
+  const { store, engine, log } = context;
+  try {
+    const exits = await store.update('EXIT_CHECK', portfolio => engine.checkExits(portfolio));
+
+    exits.forEach(({ symbol, trigger, level, trade }) => {
+      const label = trigger === 'STOP_LOSS' ? 'STOP LOSS' : 'TAKE PROFIT';
+      log('trade', `${symbol}: ${label} executed - sold ${trade.shares} @ $${trade.price.toFixed(2)} (level $${level.toFixed(2)}, P&L: $${trade.pnl.toFixed(2)})`, {
+        symbol, shares: trade.shares, price: trade.price, level, pnl: trade.pnl, pnlPercent: trade.pnlPercent, decisionId: trade.decisionId
       });
-    } else {
-      logThinking('monitor', `${symbol}: Monitoring position (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}%)`, {
-        symbol, currentPrice, entryPrice: position.entryPrice, pnlPercent
+    });
+  } catch (err) {
+    log('error', `Exit check failed: ${err.message}`, {});
+  }
+}
+
+// Match pending orders against bars that arrived since the last check
+async function runOrderMatching(context) {
+  const { store, orderBook, log, publish } = context;
+  try {
+    const { fills, expired, rejected } = await store.update('ORDER_MATCH', portfolio => orderBook.processBars(portfolio));
+
+    fills.forEach(fill => {
+      log('trade', `${fill.type} ${fill.side} filled: ${fill.shares} ${fill.symbol} @ $${fill.price.toFixed(2)} (bar ${fill.barDate})`, {
+        symbol: fill.symbol, shares: fill.shares, price: fill.price, orderId: fill.orderId, decisionId: fill.decisionId
+      });
+      publish('fill', fill);
+    });
+
+    expired.forEach(order => {
+      log('skip', `${order.symbol}: DAY ${order.type} ${order.side} order expired unfilled`, {
+        symbol: order.symbol, orderId: order.id
+      });
+    });
+
+    rejected.forEach(order => {
+      log('error', `${order.symbol}: ${order.type} ${order.side} fill rejected (${order.rejectReason})`, {
+        symbol: order.symbol, orderId: order.id, rule: order.rejectRule
+      });
+    });
+  } catch (err) {
+    log('error', `Order matching failed: ${err.message}`, {});
+  }
+}
+
+// Apply splits and dividends that have gone ex to positions and resting orders
+async function runCorporateActions(context) {
+  const { store, engine, orderBook, log } = context;
+  try {
+    const due = corporateActions.dueActions(engine.now().toISOString().split('T')[0]);
+    if (due.length === 0) return;
+
+    const splits = due.filter(action => action.type === 'SPLIT');
+    const changes = await store.update('ORDER_SPLIT', portfolio => orderBook.adjustForSplits(portfolio, splits));
+    changes.forEach(({ order, split, shares, cancelled }) => {
+      const change = cancelled ? 'cancelled' : `re-sized ${shares.from} -> ${shares.to} shares`;
+      log('monitor', `${order.symbol}: ${order.type} ${order.side} order ${change} for the ${split.date} split`, {
+        symbol: order.symbol, orderId: order.id, ratio: split.ratio
+      });
+    });
+
+    const trades = await store.update('CORPORATE_ACTION', portfolio => engine.applyCorporateActions(portfolio, due));
+
+    trades.forEach(trade => {
+      const symbol = trade.symbol.replace('-5-years', '');
+      if (trade.type === 'SPLIT') {
+        const inLieu = trade.fractionalShares > 0 ? `, ${trade.fractionalShares} share(s) settled for $${trade.value.toFixed(2)}` : '';
+        log('trade', `${symbol}: SPLIT ${trade.ratio}:1 - ${trade.sharesBefore} -> ${trade.shares} shares${inLieu}`, {
+          symbol, ratio: trade.ratio, shares: trade.shares, cashInLieu: trade.value
+        });
+      } else {
+        const label = trade.value >= 0 ? 'DIVIDEND received' : 'DIVIDEND charged (short)';
+        log('trade', `${symbol}: ${label} - $${Math.abs(trade.value).toFixed(2)} ($${trade.price} x ${trade.shares})`, {
+          symbol, shares: trade.shares, amount: trade.price, value: trade.value
+        });
+      }
+    });
+  } catch (err) {
+    log('error', `Corporate actions failed: ${err.message}`, {});
+  }
+}
+
+// Charge borrow fees / margin interest and liquidate on a margin call
+async function runMarginChecks(context) {
+  const { store, engine, log } = context;
+  try {
+    const { charges, liquidations } = await store.update('MARGIN_CHECK', portfolio => ({
+      charges: engine.accrueFinancing(portfolio),
+      liquidations: engine.checkMarginCall(portfolio)
+    }));
+
+    charges.forEach(({ type, symbol, days, amount }) => {
+      const label = type === 'BORROW_FEE' ? `${symbol}: Borrow fee` : 'Margin interest';
+      log('monitor', `${label} charged: $${amount.toFixed(2)} for ${days} day(s)`, { symbol, days, amount });
+    });
+
+    if (liquidations.length > 0) {
+      const status = engine.getMarginStatus(store.get());
+      log('alert', `MARGIN CALL: liquidated ${liquidations.length} position(s)`, {
+        equity: status.equity,
+        maintenanceRequirement: status.maintenanceRequirement
+      });
+    }
+
+    liquidations.forEach(trade => {
+      const symbol = trade.symbol.replace('-5-years', '');
+      log('trade', `${symbol}: MARGIN CALL ${trade.type} - ${trade.shares} @ $${trade.price.toFixed(2)} (P&L: $${trade.pnl.toFixed(2)})`, {
+        symbol, shares: trade.shares, price: trade.price, pnl: trade.pnl, decisionId: trade.decisionId
       });
+    });
+  } catch (err) {
+    log('error', `Margin check failed: ${err.message}`, {});
+  }
+}
+
+// Mark the account to market for today's point on its equity curve
+function runEquitySnapshot(context) {
+  const { store, engine, equityTracker, preTradeRisk, log } = context;
+  try {
+    const portfolio = store.get();
+    equityTracker.record(engine.getMarginStatus(portfolio));
+    preTradeRisk.checkDailyLoss(portfolio); // Trips the kill switch without waiting for an order
+  } catch (err) {
+    log('error', `Equity snapshot failed: ${err.message}`, {});
+  }
+}
+
+// Push latest prices that changed since the last check
+const lastPrices = {};
+
+function runPriceUpdates() {
+  const changed = {};
+
+  listSymbols().forEach(symbol => {
+    const latest = getLatestPrice(symbol);
+    if (!latest) return;
+
+    const previous = lastPrices[symbol];
+    if (!previous || previous.timestamp !== latest.timestamp || previous.price !== latest.price) {
+      lastPrices[symbol] = { price: latest.price, timestamp: latest.timestamp, source: latest.source };
+      changed[symbol] = lastPrices[symbol];
     }
   });
+
+  if (Object.keys(changed).length > 0) {
+    events.publish('prices', changed);
+  }
+}
+
+// Check prices, pending orders, stop loss / take profit levels and margin for every account
+async function runMarketChecks() {
+  runPriceUpdates();
+  for (const context of activeAccounts().getAll()) {
+    await runCorporateActions(context);
+    await runOrderMatching(context);
+    await runExitChecks(context);
+    await runMarginChecks(context);
+    runEquitySnapshot(context);
+  }
+}
+
+// One replay step: the full pipeline against the new simulated date (null when going live)
+async function runReplayStep(date) {
+  await runMarketChecks();
+  if (date) {
+    await simulateModelThinking();
+  }
+  events.publish('replay', clock.getState());
 }
 
-// Run model thinking simulation every 30 seconds
-setInterval(simulateModelThinking, 30000);
+// Live mode: market checks every 10 seconds (the replay clock drives them in replay mode)
+setInterval(() => {
+  if (!clock.isReplay()) runMarketChecks();
+}, 10000);
+
+// Live mode: model thinking simulation every 30 seconds
+setInterval(() => {
+  if (!clock.isReplay()) simulateModelThinking();
+}, 30000);
 simulateModelThinking(); // Run once on startup
 
-app.listen(PORT, () => {
-  console.log(`Neural Trader Dashboard running at http://localhost:${PORT}`);
-});
+// Stream intraday quotes and minute bars into the bar store
+const marketDataFeed = MARKET_DATA_FEED
+  ? MarketDataFeed.create(MARKET_DATA_FEED, {
+    barStore,
+    symbols: listSymbols(),
+    file: process.env.MARKET_DATA_FILE,
+    ...(process.env.MARKET_DATA_POLL_MS ? { pollIntervalMs: parseInt(process.env.MARKET_DATA_POLL_MS) } : {}),
+    onUpdate: () => {
+      if (!clock.isReplay()) runPriceUpdates();
+    },
+    onError: err => logThinking('error', `Market data feed (${MARKET_DATA_FEED}): ${err.message}`, {})
+  })
+  : null;
+
+if (marketDataFeed) {
+  marketDataFeed.start()
+    .then(status => logThinking('analysis', `Market data feed started: ${status.feed} (${status.symbols} symbols)`, status))
+    .catch(err => logThinking('error', `Market data feed failed to start: ${err.message}`, {}));
+}
+
+// Users are loaded (the admin user created the first time) before requests are accepted
+auth.load()
+  .then(authSetup => {
+    app.listen(PORT, () => {
+      console.log(`Neural Trader Dashboard running at http://localhost:${PORT}`);
+      if (authSetup.created) {
+        console.log(authSetup.password
+          ? `Created user "admin" with password ${authSetup.password} (shown once; set ADMIN_PASSWORD to choose it)`
+          : 'Created user "admin" with the password from ADMIN_PASSWORD');
+      }
+    });
+  })
+  .catch(err => {
+    console.error(`ERROR: Failed to load users: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+/**
+ * Helpers shared by the strategy modules (skipped by the registry)
+ */
+
+/**
+ * Mean of a list of numbers
+ */
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Simple moving average ending `offset` bars before the last value
+ */
+function smaAt(values, period, offset = 0) {
+  const end = values.length - offset;
+  return end >= period ? average(values.slice(end - period, end)) : null;
+}
+
+/**
+ * The previous and current values of an indicator series
+ */
+function lastTwo(series) {
+  return series.slice(-2);
+}
+
+/**
+ * The latest bars' closes, highs, lows and volumes
+ *
+ * Indicators only need a window of recent bars; EMAs settle within a few
+ * times their period, so the window keeps onBar cheap on long histories.
+ */
+function window(history, length) {
+  const bars = history.slice(-length);
+  return {
+    closes: bars.map(b => b.close),
+    highs: bars.map(b => b.high),
+    lows: bars.map(b => b.low),
+    volumes: bars.map(b => b.volume || 0)
+  };
+}
+
+module.exports = { average, smaAt, lastTwo, window };
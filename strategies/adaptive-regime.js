@@ -0,0 +1,85 @@
+const EnhancedFeatures = require('../lib/enhanced-features');
+const { smaAt, lastTwo, window } = require('./_helpers');
+
+/**
+ * Adaptive Regime
+ *
+ * runAdaptiveStrategy / detectRegime from examples/17-adaptive-regime-strategy.js.
+ * The regime comes from price against the long SMA and that SMA's slope:
+ * - strong_bull (above, rising): buy and hold, no stops
+ * - weak_bull / sideways (above but flat, or below but not falling hard):
+ *   trade MACD crossovers with tighter stops, including positions held
+ *   over from a strong bull
+ * - bear (below, falling faster than bearSlope): exit to cash
+ */
+function detectRegime(closes, params) {
+  const price = closes[closes.length - 1];
+  const sma = smaAt(closes, params.trendPeriod);
+  const earlier = smaAt(closes, params.trendPeriod, params.slopeLookback);
+  const slope = ((sma - earlier) / earlier) * 100;
+
+  let regime;
+  if (price > sma) {
+    regime = slope > 0 ? 'strong_bull' : 'weak_bull';
+  } else {
+    regime = slope < params.bearSlope ? 'bear' : 'sideways';
+  }
+  return { regime, slope };
+}
+
+module.exports = {
+  name: 'adaptive-regime',
+  description: 'Buy and hold in strong bull markets, MACD trading in weak or sideways markets, cash in bear markets',
+
+  parameters: {
+    trendPeriod: { type: 'integer', default: 200, min: 50, max: 300, step: 10, description: 'Long SMA period' },
+    slopeLookback: { type: 'integer', default: 50, min: 10, max: 100, step: 5, description: 'Bars over which the SMA slope is measured' },
+    bearSlope: { type: 'number', default: -3, min: -20, max: 0, step: 0.5, description: 'SMA slope (%) below which a downtrend is a bear market' },
+    stopLoss: { type: 'number', default: 0.05, min: 0.01, max: 0.2, step: 0.01, description: 'Stop in weak / sideways markets (fraction)' },
+    takeProfit: { type: 'number', default: 0.15, min: 0.02, max: 0.5, step: 0.01, description: 'Target in weak / sideways markets (fraction)' },
+    maxEntryRsi: { type: 'number', default: 60, min: 40, max: 80, step: 1, description: 'No MACD entries above this RSI' }
+  },
+
+  warmup: params => params.trendPeriod + params.slopeLookback,
+
+  onBar({ history, position, params }) {
+    const { closes } = window(history, params.trendPeriod + params.slopeLookback + 100);
+    const { regime, slope } = detectRegime(closes, params);
+
+    if (regime === 'strong_bull') {
+      return position ? null : { side: 'BUY', score: slope, reason: `Strong bull (SMA slope ${slope.toFixed(1)}%): buy and hold` };
+    }
+
+    if (regime === 'bear') {
+      return position ? { side: 'SELL', reason: `Bear market (SMA slope ${slope.toFixed(1)}%): to cash` } : null;
+    }
+
+    // Weak bull or sideways: active MACD trading
+    const [previous, current] = lastTwo(EnhancedFeatures.macd(closes).histogram);
+    const rsi = EnhancedFeatures.rsi(closes).pop();
+
+    if (position) {
+      if (position.unrealizedPnlPercent <= -params.stopLoss * 100) {
+        return { side: 'SELL', reason: `Stop loss in ${regime} market` };
+      }
+      if (position.unrealizedPnlPercent >= params.takeProfit * 100) {
+        return { side: 'SELL', reason: `Take profit in ${regime} market` };
+      }
+      if (current < 0 && previous >= 0) {
+        return { side: 'SELL', reason: `MACD cross down in ${regime} market` };
+      }
+      return null;
+    }
+
+    if (current > 0 && previous <= 0 && rsi < params.maxEntryRsi) {
+      return {
+        side: 'BUY',
+        stopLoss: params.stopLoss,
+        takeProfit: params.takeProfit,
+        score: slope,
+        reason: `MACD cross up in ${regime} market (RSI ${rsi.toFixed(0)})`
+      };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,86 @@
+const EnhancedFeatures = require('../lib/enhanced-features');
+const { average, smaAt, lastTwo, window } = require('./_helpers');
+
+/**
+ * Ensemble Vote
+ *
+ * runEnsembleStrategy from examples/18-ensemble-strategies.js. Six signals
+ * each vote bullish (+1), bearish (-1) or neutral:
+ * - MACD histogram crossovers
+ * - RSI oversold / overbought
+ * - Bollinger Band breakouts
+ * - ADX-confirmed SMA20 / SMA50 trend
+ * - Volume against its 20-day average
+ * - Pattern: MACD, RSI and distance from SMA20 together
+ * Enter above the 200-day SMA when minAgreement signals are bullish; exit
+ * when exitAgreement are bearish, below the SMA, or at the stop / target.
+ */
+function votes(bars, params) {
+  const { closes, highs, lows, volumes } = bars;
+  const price = closes[closes.length - 1];
+  const [previous, current] = lastTwo(EnhancedFeatures.macd(closes).histogram);
+  const rsi = EnhancedFeatures.rsi(closes).pop();
+  const bands = EnhancedFeatures.bollingerBands(closes, 20, 2);
+  const adx = EnhancedFeatures.adx(highs, lows, closes, 14).pop();
+  const sma20 = smaAt(closes, 20);
+  const sma50 = smaAt(closes, 50);
+  const averageVolume = average(volumes.slice(-20));
+  const volumeRatio = averageVolume > 0 ? volumes[volumes.length - 1] / averageVolume : 1;
+
+  const vote = (bullish, bearish) => (bullish ? 1 : bearish ? -1 : 0);
+  return {
+    macd: vote(current > 0 && previous <= 0, current < 0 && previous >= 0),
+    rsi: vote(rsi < 30, rsi > 70),
+    breakout: vote(price > bands.upper[bands.upper.length - 1], price < bands.lower[bands.lower.length - 1]),
+    trend: vote(adx > params.adxThreshold && sma20 > sma50, adx > params.adxThreshold && sma20 < sma50),
+    volume: vote(volumeRatio > 1.5, volumeRatio < 0.5),
+    pattern: vote(
+      current > 0 && rsi > 40 && rsi < 60 && price < sma20 * 1.02,
+      current < 0 && rsi > 65 && price > sma20 * 1.05
+    )
+  };
+}
+
+module.exports = {
+  name: 'ensemble-vote',
+  description: 'Six technical signals vote; enter when enough agree in an uptrend',
+
+  parameters: {
+    minAgreement: { type: 'integer', default: 3, min: 1, max: 6, step: 1, description: 'Bullish votes needed to enter' },
+    exitAgreement: { type: 'integer', default: 2, min: 1, max: 6, step: 1, description: 'Bearish votes that force an exit' },
+    adxThreshold: { type: 'number', default: 25, min: 10, max: 50, step: 1, description: 'ADX above which a trend counts' },
+    stopLoss: { type: 'number', default: 0.05, min: 0.01, max: 0.3, step: 0.01, description: 'Stop below entry (fraction)' },
+    takeProfit: { type: 'number', default: 0.15, min: 0.02, max: 1, step: 0.01, description: 'Target above entry (fraction)' }
+  },
+
+  warmup: 200,
+
+  onBar({ history, position, params }) {
+    const bars = window(history, 300);
+    const price = bars.closes[bars.closes.length - 1];
+    const inUptrend = price > smaAt(bars.closes, 200);
+    const signals = votes(bars, params);
+
+    const bullish = Object.keys(signals).filter(name => signals[name] === 1);
+    const bearish = Object.keys(signals).filter(name => signals[name] === -1);
+
+    if (position) {
+      if (!inUptrend) return { side: 'SELL', reason: 'Closed below SMA200' };
+      if (bearish.length >= params.exitAgreement) {
+        return { side: 'SELL', reason: `${bearish.length}/6 bearish: ${bearish.join(', ')}` };
+      }
+      return null;
+    }
+
+    if (inUptrend && bullish.length >= params.minAgreement) {
+      return {
+        side: 'BUY',
+        stopLoss: params.stopLoss,
+        takeProfit: params.takeProfit,
+        score: bullish.length,
+        reason: `${bullish.length}/6 bullish: ${bullish.join(', ')}`
+      };
+    }
+    return null;
+  }
+};
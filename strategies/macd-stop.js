@@ -0,0 +1,45 @@
+const EnhancedFeatures = require('../lib/enhanced-features');
+const { lastTwo, window } = require('./_helpers');
+
+/**
+ * MACD with Stop-Loss
+ *
+ * runMACDWithStopLoss from examples/16-ultimate-strategy.js:
+ * - Buy when the MACD histogram crosses above zero
+ * - Sell when it crosses below zero, or at the stop-loss / take-profit
+ */
+module.exports = {
+  name: 'macd-stop',
+  description: 'MACD histogram crossovers with a fixed stop-loss and take-profit',
+
+  parameters: {
+    fastPeriod: { type: 'integer', default: 12, min: 3, max: 20, step: 1, description: 'Fast EMA period' },
+    slowPeriod: { type: 'integer', default: 26, min: 21, max: 60, step: 1, description: 'Slow EMA period' },
+    signalPeriod: { type: 'integer', default: 9, min: 3, max: 20, step: 1, description: 'Signal line EMA period' },
+    stopLoss: { type: 'number', default: 0.07, min: 0.01, max: 0.3, step: 0.01, description: 'Stop below entry (fraction)' },
+    takeProfit: { type: 'number', default: 0.20, min: 0.02, max: 1, step: 0.01, description: 'Target above entry (fraction)' }
+  },
+
+  warmup: params => params.slowPeriod + params.signalPeriod,
+
+  onBar({ history, position, params }) {
+    const { closes } = window(history, (params.slowPeriod + params.signalPeriod) * 4);
+    const { histogram } = EnhancedFeatures.macd(closes, params.fastPeriod, params.slowPeriod, params.signalPeriod);
+    const [previous, current] = lastTwo(histogram);
+    if (previous === null || current === null) return null;
+
+    if (!position && current > 0 && previous <= 0) {
+      return {
+        side: 'BUY',
+        stopLoss: params.stopLoss,
+        takeProfit: params.takeProfit,
+        score: current / closes[closes.length - 1],
+        reason: 'MACD histogram crossed above zero'
+      };
+    }
+    if (position && current < 0 && previous >= 0) {
+      return { side: 'SELL', reason: 'MACD histogram crossed below zero' };
+    }
+    return null;
+  }
+};
@@ -0,0 +1,67 @@
+const EnhancedFeatures = require('../lib/enhanced-features');
+const { smaAt, lastTwo, window } = require('./_helpers');
+
+/**
+ * Signal Agreement
+ *
+ * runFinalStrategy from examples/19-final-optimized-strategy.js. Above the
+ * 200-day SMA, enter when enough of three signals agree:
+ * - MACD momentum (a cross up, or a positive histogram as SMA20 crosses SMA50)
+ * - Trend (SMA20 above SMA50)
+ * - RSI not overbought
+ * Stops are wider when SMA50 is also above SMA200 (strong uptrend), set at
+ * entry. Exits on a MACD cross down or a close below the 200-day SMA.
+ */
+module.exports = {
+  name: 'signal-agreement',
+  description: 'Enter when 2 of 3 signals (MACD, trend, RSI) agree in an uptrend, with regime-based stops',
+
+  parameters: {
+    minSignals: { type: 'integer', default: 2, min: 1, max: 3, step: 1, description: 'Signals that must agree to enter' },
+    maxEntryRsi: { type: 'number', default: 65, min: 50, max: 85, step: 1, description: 'RSI below which the RSI signal counts' },
+    strongStopLoss: { type: 'number', default: 0.07, min: 0.01, max: 0.3, step: 0.01, description: 'Stop in a strong uptrend (fraction)' },
+    strongTakeProfit: { type: 'number', default: 0.20, min: 0.02, max: 1, step: 0.01, description: 'Target in a strong uptrend (fraction)' },
+    weakStopLoss: { type: 'number', default: 0.05, min: 0.01, max: 0.3, step: 0.01, description: 'Stop in a weak uptrend (fraction)' },
+    weakTakeProfit: { type: 'number', default: 0.12, min: 0.02, max: 1, step: 0.01, description: 'Target in a weak uptrend (fraction)' }
+  },
+
+  warmup: 200,
+
+  onBar({ history, position, params }) {
+    const { closes } = window(history, 300);
+    const price = closes[closes.length - 1];
+    const sma200 = smaAt(closes, 200);
+    const aboveSma200 = price > sma200;
+
+    const [previous, current] = lastTwo(EnhancedFeatures.macd(closes).histogram);
+    const macdCrossUp = current > 0 && previous <= 0;
+    const macdCrossDown = current < 0 && previous >= 0;
+
+    if (position) {
+      if (!aboveSma200) return { side: 'SELL', reason: 'Closed below SMA200' };
+      if (macdCrossDown) return { side: 'SELL', reason: 'MACD cross down' };
+      return null;
+    }
+    if (!aboveSma200) return null;
+
+    const sma20 = smaAt(closes, 20);
+    const sma50 = smaAt(closes, 50);
+    const trendCrossUp = sma20 > sma50 && smaAt(closes, 20, 1) <= smaAt(closes, 50, 1);
+    const rsi = EnhancedFeatures.rsi(closes).pop();
+
+    const signals = [];
+    if (macdCrossUp || (current > 0 && trendCrossUp)) signals.push('MACD');
+    if (sma20 > sma50) signals.push('trend');
+    if (rsi < params.maxEntryRsi) signals.push('RSI');
+    if (signals.length < params.minSignals) return null;
+
+    const strong = smaAt(closes, 50) > sma200;
+    return {
+      side: 'BUY',
+      stopLoss: strong ? params.strongStopLoss : params.weakStopLoss,
+      takeProfit: strong ? params.strongTakeProfit : params.weakTakeProfit,
+      score: signals.length,
+      reason: `${signals.join(' + ')} agree in a ${strong ? 'strong' : 'weak'} uptrend`
+    };
+  }
+};